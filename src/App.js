@@ -5,7 +5,7 @@ import CountSession from './components/CountSession';
 import CSVUploadComponent from './components/CSVUploadComponent';
 import DataExporter from './components/DataExporter';
 import ErrorBoundary from './components/ErrorBoundary';
-import { localStorageManager } from './utils/LocalStorageManager';
+import { localStorageManager, STORAGE_UNAVAILABLE_MESSAGE } from './utils/LocalStorageManager';
 import './index.css';
 
 function App() {
@@ -40,28 +40,38 @@ function App() {
     }
   }, []);
 
-  // Initialize app and load existing session
+  // Initialize app and load existing session once IndexedDB has been read
   useEffect(() => {
-    try {
-      console.log('Initializing pure frontend app...');
-      
-      // Check for existing session
-      const existingSession = localStorageManager.getCurrentSession();
-      if (existingSession) {
-        setCurrentSession(existingSession);
-        console.log('Found existing session:', existingSession.id);
+    const initializeApp = async () => {
+      try {
+        console.log('Initializing pure frontend app...');
+        
+        await localStorageManager.ready;
+
+        if (localStorageManager.storageBackend !== 'indexeddb') {
+          setError(STORAGE_UNAVAILABLE_MESSAGE);
+        }
+        
+        // Check for existing session
+        const existingSession = localStorageManager.getCurrentSession();
+        if (existingSession) {
+          setCurrentSession(existingSession);
+          console.log('Found existing session:', existingSession.id);
+        }
+        
+        // Load app statistics
+        const stats = localStorageManager.getDashboardStats();
+        setAppStats(stats);
+        
+        setLoading(false);
+      } catch (error) {
+        console.error('Error initializing app:', error);
+        setError('Failed to initialize application');
+        setLoading(false);
       }
-      
-      // Load app statistics
-      const stats = localStorageManager.getDashboardStats();
-      setAppStats(stats);
-      
-      setLoading(false);
-    } catch (error) {
-      console.error('Error initializing app:', error);
-      setError('Failed to initialize application');
-      setLoading(false);
-    }
+    };
+
+    initializeApp();
   }, []);
 
   // FIXED: Auto-refresh session data periodically to catch updates
@@ -76,12 +86,12 @@ function App() {
     }
   }, [currentView, refreshStats]);
 
-  // Handle CSV upload success
-  const handleCSVUploadSuccess = (filename, csvData) => {
+  // Handle CSV upload success - adds a new session alongside any active ones
+  const handleCSVUploadSuccess = (filename, csvData, options = {}) => {
     try {
       console.log('Processing CSV upload:', filename, csvData.length, 'items');
       
-      const result = localStorageManager.processCSVUpload(filename, csvData);
+      const result = localStorageManager.processCSVUpload(filename, csvData, options);
       
       if (result.success) {
         setCurrentSession(result.session);
@@ -100,19 +110,45 @@ function App() {
     }
   };
 
+  // Large CSVs are written to storage while they stream in; the session arrives ready to count
+  const handleCSVImportComplete = (session) => {
+    setCurrentSession(session);
+    setCurrentView('count-session');
+    setError('');
+    refreshStats();
+  };
+
+  // Merge a second file into the session being counted
+  const handleMergeIntoSession = (filename, csvData, options = {}) => {
+    if (!currentSession) return;
+
+    try {
+      const result = localStorageManager.mergeIntoSession(currentSession.id, filename, csvData, options);
+      console.log('Merge complete:', result.summary);
+
+      setCurrentSession(result.session);
+      setCurrentView('count-session');
+      setError('');
+      refreshStats();
+    } catch (error) {
+      console.error('CSV merge error:', error);
+      handleCSVUploadError(error.message || 'Failed to merge file into session');
+    }
+  };
+
   // Handle CSV upload error
   const handleCSVUploadError = (errorMessage) => {
     setError(errorMessage);
   };
 
-  // Handle count completion
+  // Handle count completion - only the session being counted goes to history
   const handleCountComplete = () => {
     try {
-      const completedSession = localStorageManager.completeSession();
+      const completedSession = localStorageManager.completeSession(currentSession?.id);
       
       if (completedSession) {
         console.log('Count session completed:', completedSession.id);
-        setCurrentSession(null);
+        setCurrentSession(localStorageManager.getCurrentSession());
         setCurrentView('dashboard');
         refreshStats();
       }
@@ -126,8 +162,8 @@ function App() {
   const handleCancelSession = () => {
     if (window.confirm('Are you sure you want to cancel this count session? All progress will be lost.')) {
       try {
-        localStorageManager.clearCurrentSession();
-        setCurrentSession(null);
+        localStorageManager.cancelSession(currentSession?.id);
+        setCurrentSession(localStorageManager.getCurrentSession());
         setCurrentView('dashboard');
         refreshStats();
       } catch (error) {
@@ -137,14 +173,8 @@ function App() {
     }
   };
 
-  // Handle new session start
+  // Handle new session start - active sessions are kept
   const handleStartNewSession = () => {
-    if (currentSession && currentSession.skus && currentSession.skus.length > 0) {
-      if (!window.confirm('Starting a new session will replace your current progress. Continue?')) {
-        return;
-      }
-    }
-    
     setCurrentView('upload');
     setError('');
   };
@@ -169,9 +199,26 @@ function App() {
 
 
 
+  // Switch the session counting operations apply to
+  const handleSwitchSession = (sessionId) => {
+    try {
+      const session = localStorageManager.setCurrentSession(sessionId);
+      setCurrentSession(session);
+      setError('');
+      refreshStats();
+    } catch (error) {
+      console.error('Error switching session:', error);
+      setError('Failed to switch session');
+    }
+  };
+
   // FIXED: Enhanced continue counting with session validation
-  const handleContinueCountingWithRefresh = () => {
+  const handleContinueCountingWithRefresh = (sessionId = null) => {
     try {
+      if (sessionId) {
+        localStorageManager.setCurrentSession(sessionId);
+      }
+
       // Always get the latest session data
       const latestSession = localStorageManager.getCurrentSession();
       if (latestSession) {
@@ -329,14 +376,17 @@ function App() {
                     Upload Inventory CSV
                   </h2>
                   <p style={{ color: '#9FA3AC' }}>
-                    Upload your inventory CSV file to start a new count session
+                    Upload your inventory CSV file to start a new count session alongside any active ones
                   </p>
                 </div>
                 
                 <CSVUploadComponent
                   onUploadSuccess={handleCSVUploadSuccess}
+                  onImportComplete={handleCSVImportComplete}
+                  onMergeIntoSession={handleMergeIntoSession}
                   onUploadError={handleCSVUploadError}
                   existingSession={currentSession}
+                  activeSessionCount={appStats?.activeSessions?.length || 0}
                 />
               </div>
             </div>
@@ -345,6 +395,8 @@ function App() {
           {currentView === 'count-session' && currentSession && (
             <CountSession
               session={currentSession}
+              activeSessions={appStats?.activeSessions || []}
+              onSwitchSession={handleSwitchSession}
               onCountComplete={handleCountComplete}
               onCancelSession={handleCancelSession}
               onBack={goToDashboard}
@@ -365,6 +417,8 @@ function App() {
                 
                 <DataExporter
                   currentSession={currentSession}
+                  onDataRestored={refreshStats}
+                  onContinueCounting={handleContinueCountingWithRefresh}
                 />
               </div>
             </div>
@@ -386,9 +440,11 @@ function App() {
               <div className="flex items-center space-x-1">
                 <span 
                   className="w-2 h-2 rounded-full"
-                  style={{ backgroundColor: '#86EFAC' }}
+                  style={{ backgroundColor: localStorageManager.storageBackend === 'indexeddb' ? '#86EFAC' : '#F87171' }}
                 ></span>
-                <span>Local Storage Active</span>
+                <span>
+                  {localStorageManager.storageBackend === 'indexeddb' ? 'IndexedDB Storage Active' : 'Storage unavailable - counting disabled'}
+                </span>
               </div>
               {currentSession && (
                 <div className="flex items-center space-x-1">
@@ -396,7 +452,11 @@ function App() {
                     className="w-2 h-2 rounded-full"
                     style={{ backgroundColor: '#86EFAC' }}
                   ></span>
-                  <span>Count Session Active</span>
+                  <span>
+                    {appStats?.activeSessions?.length > 1 
+                      ? `${appStats.activeSessions.length} Count Sessions Active` 
+                      : 'Count Session Active'}
+                  </span>
                 </div>
               )}
             </div>
@@ -1,5 +1,6 @@
 import React, { useState, useEffect, useCallback, useRef } from 'react';
 import { supabaseReplacementAPI, adminUtils, priorityAPI } from '../utils/api';
+import BarcodeScannerModal, { useBarcodeScanner } from './BarcodeScanner';
 
 const AdminPriorityManager = ({ selectedLocation, user, onBack }) => {
   // ✅ All hooks at the top
@@ -17,19 +18,9 @@ const AdminPriorityManager = ({ selectedLocation, user, onBack }) => {
     priorityComponents: 0
   });
   
-  // ✅ NEW: Camera/Scanner state
-  const [showCamera, setShowCamera] = useState(false);
-  const [cameraStream, setCameraStream] = useState(null);
-  const [isScanning, setIsScanning] = useState(false);
-  const [cameraError, setCameraError] = useState('');
-  const [cameraSupported, setCameraSupported] = useState(true);
-
-  // Refs for dropdown and camera functionality
+  // Refs for dropdown and search input
   const searchRef = useRef(null);
   const dropdownRef = useRef(null);
-  const videoRef = useRef(null);
-  const canvasRef = useRef(null);
-  const scannerRef = useRef(null);
 
   const daysOfWeek = [
     { value: 'Monday', label: 'Mon' },
@@ -39,39 +30,18 @@ const AdminPriorityManager = ({ selectedLocation, user, onBack }) => {
     { value: 'Friday', label: 'Fri' }
   ];
 
-  // ✅ Stop camera function - defined early to avoid dependency issues
-  const stopCamera = useCallback(() => {
-    if (cameraStream) {
-      cameraStream.getTracks().forEach(track => track.stop());
-      setCameraStream(null);
-    }
-    
-    if (scannerRef.current) {
-      try {
-        scannerRef.current.stop();
-        scannerRef.current = null;
-      } catch (error) {
-        console.error('Error stopping scanner:', error);
-      }
-    }
-    
-    setShowCamera(false);
-    setIsScanning(false);
-    setCameraError('');
-  }, [cameraStream]);
+  // Camera scanning: a scanned code fills the component search
+  const scanner = useBarcodeScanner({
+    onDetected: ({ code }) => {
+      setSearchTerm(code);
+      setStatus(`Barcode scanned: ${code}`);
+      setStatusType('success');
 
-  // ✅ Check camera support on component mount
-  useEffect(() => {
-    const checkCameraSupport = () => {
-      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        setCameraSupported(false);
-        return;
+      if (searchRef.current) {
+        searchRef.current.focus();
       }
-      setCameraSupported(true);
-    };
-    
-    checkCameraSupport();
-  }, []);
+    }
+  });
 
   // ✅ Auto-dismiss success messages after 5 seconds
   useEffect(() => {
@@ -84,141 +54,6 @@ const AdminPriorityManager = ({ selectedLocation, user, onBack }) => {
     }
   }, [status, statusType]);
 
-  // ✅ Initialize barcode scanner when camera is shown
-  useEffect(() => {
-    const initializeScanner = async () => {
-      if (showCamera && videoRef.current && !scannerRef.current) {
-        try {
-          // Dynamic import for QuaggaJS (barcode scanner library)
-          const Quagga = await import('quagga');
-          
-          const config = {
-            inputStream: {
-              name: "Live",
-              type: "LiveStream",
-              target: videoRef.current,
-              constraints: {
-                width: 320,
-                height: 240,
-                facingMode: "environment" // Use back camera on mobile
-              }
-            },
-            decoder: {
-              readers: [
-                "code_128_reader",
-                "ean_reader",
-                "ean_8_reader",
-                "code_39_reader",
-                "code_39_vin_reader",
-                "codabar_reader",
-                "upc_reader",
-                "upc_e_reader"
-              ]
-            },
-            locate: true,
-            locator: {
-              halfSample: true,
-              patchSize: "medium"
-            }
-          };
-
-          Quagga.init(config, (err) => {
-            if (err) {
-              console.error('Quagga initialization error:', err);
-              setCameraError('Failed to initialize barcode scanner');
-              return;
-            }
-            
-            console.log('✅ Barcode scanner initialized');
-            Quagga.start();
-            setIsScanning(true);
-            
-            // Handle successful barcode detection
-            Quagga.onDetected((result) => {
-              if (result && result.codeResult && result.codeResult.code) {
-                const barcode = result.codeResult.code;
-                console.log('📷 Barcode detected:', barcode);
-                
-                // Fill the search input with detected barcode
-                setSearchTerm(barcode);
-                
-                // Close camera
-                stopCamera();
-                
-                // Show success message
-                setStatus(`Barcode scanned: ${barcode}`);
-                setStatusType('success');
-                
-                // Focus back on search input
-                if (searchRef.current) {
-                  searchRef.current.focus();
-                }
-              }
-            });
-          });
-
-          scannerRef.current = Quagga;
-        } catch (error) {
-          console.error('Error loading barcode scanner:', error);
-          setCameraError('Barcode scanner not available');
-        }
-      }
-    };
-
-    if (showCamera) {
-      initializeScanner();
-    }
-
-    return () => {
-      if (scannerRef.current) {
-        try {
-          scannerRef.current.stop();
-          scannerRef.current = null;
-        } catch (error) {
-          console.error('Error stopping scanner:', error);
-        }
-      }
-    };
-  }, [showCamera, stopCamera]);
-
-  // ✅ Start camera function
-  const startCamera = async () => {
-    if (!cameraSupported) {
-      setCameraError('Camera not supported on this device');
-      return;
-    }
-
-    try {
-      setCameraError('');
-      setShowCamera(true);
-      
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { 
-          facingMode: "environment",
-          width: { ideal: 320 },
-          height: { ideal: 240 }
-        }
-      });
-      
-      setCameraStream(stream);
-      
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-      }
-    } catch (error) {
-      console.error('Camera access error:', error);
-      setCameraError('Camera access denied or not available');
-      setShowCamera(false);
-    }
-  };
-
-  // ✅ Cleanup camera on unmount
-  useEffect(() => {
-    return () => {
-      stopCamera();
-    };
-  }, [stopCamera]);
-
   // Fetch all components and priority status
   const fetchComponents = useCallback(async () => {
     setIsLoading(true);
@@ -585,16 +420,16 @@ const AdminPriorityManager = ({ selectedLocation, user, onBack }) => {
               />
               
               {/* ✅ Camera Scanner Button */}
-              {cameraSupported && (
+              {scanner.isSupported && (
                 <button
-                  onClick={startCamera}
-                  disabled={showCamera}
+                  onClick={scanner.open}
+                  disabled={scanner.isOpen}
                   className="absolute right-3 p-2 rounded-lg"
                   style={{ 
                     backgroundColor: 'transparent',
                     border: 'none',
-                    cursor: showCamera ? 'not-allowed' : 'pointer',
-                    opacity: showCamera ? '0.5' : '1'
+                    cursor: scanner.isOpen ? 'not-allowed' : 'pointer',
+                    opacity: scanner.isOpen ? '0.5' : '1'
                   }}
                   title="Scan barcode with camera"
                 >
@@ -689,101 +524,8 @@ const AdminPriorityManager = ({ selectedLocation, user, onBack }) => {
           </div>
         </div>
 
-        {/* ✅ Camera Scanner Modal */}
-        {showCamera && (
-          <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
-            <div 
-              className="rounded-xl p-6 max-w-md w-full mx-4"
-              style={{ 
-                backgroundColor: '#181B22', 
-                borderColor: '#39414E' 
-              }}
-            >
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
-                  Scan Barcode
-                </h3>
-                <button
-                  onClick={stopCamera}
-                  className="p-2 rounded-lg"
-                  style={{ 
-                    backgroundColor: '#86EFAC', 
-                    color: '#00001C',
-                    border: 'none',
-                    cursor: 'pointer'
-                  }}
-                >
-                  ✕
-                </button>
-              </div>
-              
-              {cameraError ? (
-                <div className="text-center py-8">
-                  <div className="text-red-400 mb-4">{cameraError}</div>
-                  <button
-                    onClick={stopCamera}
-                    className="px-4 py-2 rounded-lg font-medium"
-                    style={{ 
-                      backgroundColor: '#86EFAC', 
-                      color: '#00001C',
-                      border: 'none',
-                      cursor: 'pointer'
-                    }}
-                  >
-                    Close
-                  </button>
-                </div>
-              ) : (
-                <div className="text-center">
-                  <div 
-                    className="relative mb-4 rounded-lg overflow-hidden"
-                    style={{ backgroundColor: '#15161B' }}
-                  >
-                    <video
-                      ref={videoRef}
-                      autoPlay
-                      playsInline
-                      muted
-                      style={{
-                        width: '100%',
-                        height: '240px',
-                        objectFit: 'cover'
-                      }}
-                    />
-                    <canvas
-                      ref={canvasRef}
-                      style={{ display: 'none' }}
-                    />
-                  </div>
-                  
-                  <div className="text-sm mb-4" style={{ color: '#9FA3AC' }}>
-                    {isScanning ? (
-                      <div className="flex items-center justify-center">
-                        <div className="animate-pulse mr-2">📷</div>
-                        Position barcode in camera view
-                      </div>
-                    ) : (
-                      'Initializing camera...'
-                    )}
-                  </div>
-                  
-                  <button
-                    onClick={stopCamera}
-                    className="px-4 py-2 rounded-lg font-medium"
-                    style={{ 
-                      backgroundColor: '#86EFAC', 
-                      color: '#00001C',
-                      border: 'none',
-                      cursor: 'pointer'
-                    }}
-                  >
-                    Cancel
-                  </button>
-                </div>
-              )}
-            </div>
-          </div>
-        )}
+        {/* Camera Scanner Modal */}
+        <BarcodeScannerModal scanner={scanner} />
 
         {/* Current Priority SKUs for Selected Day */}
         <div 
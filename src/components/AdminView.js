@@ -8,6 +8,7 @@ import {
   quantityHelpers
 } from '../utils/api';
 import auditLogger from '../utils/auditLogger'; // ✅ Added audit logger import
+import { describeMisread, matchComponent } from '../utils/gtin';
 
 const AdminView = ({ userType, selectedLocation, user }) => {
   const [components, setComponents] = useState([]);
@@ -253,6 +254,15 @@ const AdminView = ({ userType, selectedLocation, user }) => {
       return;
     }
 
+    // A misread (bad check digit) is never sent to the lookup
+    const { misread } = matchComponent(components, barcode);
+    if (misread) {
+      setStatus(describeMisread(barcode));
+      setStatusColor('red');
+      setShowNextButton(true);
+      return;
+    }
+
     try {
       const component = await supabaseReplacementAPI.getComponentByBarcode(barcode);
       const enteredQuantity = parseInt(quantity, 10);
@@ -372,7 +382,7 @@ const AdminView = ({ userType, selectedLocation, user }) => {
         }
       );
     }
-  }, [barcode, quantity, selectedLocation, getTenantId, cycleProgress, components.length, fetchComponents, getCountSource, userType, locationName, user]);
+  }, [barcode, quantity, selectedLocation, getTenantId, cycleProgress, components, fetchComponents, getCountSource, userType, locationName, user]);
 
   // ✅ OPTIMIZED: Simplified navigation handlers
   const handleNext = useCallback(() => {
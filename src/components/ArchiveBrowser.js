@@ -0,0 +1,296 @@
+// ArchiveBrowser.js - Browse compressed session archives, reopen one read-only or export it
+import React, { useEffect, useRef, useState } from 'react';
+import { localStorageManager, storageHelpers } from '../utils/LocalStorageManager';
+import { MULTI_SESSION_EXPORT_COLUMNS } from '../utils/exportEngine';
+import { formatBytes } from '../utils/archive';
+import SessionReportDialog from './SessionReportDialog';
+
+const MAX_VISIBLE_SKUS = 200;
+
+const varianceColor = (variance) => {
+  if (variance === null) return '#9FA3AC';
+  if (variance < 0) return '#F87171';
+  if (variance > 0) return '#86EFAC';
+  return '#FAFCFB';
+};
+
+// Read-only view of one archived session
+const ArchivedSessionView = ({ session, onBack, onExport, onReport }) => {
+  const [filter, setFilter] = useState('');
+
+  const query = filter.trim().toLowerCase();
+  const matches = query
+    ? session.skus.filter(sku => [sku.sku, sku.barcode, sku.description]
+      .some(value => (value || '').toString().toLowerCase().includes(query)))
+    : session.skus;
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <button onClick={onBack} className="text-sm font-medium" style={{ color: '#86EFAC' }}>
+          ← Archive
+        </button>
+        <span className="px-2 py-1 rounded text-xs font-medium" style={{ backgroundColor: '#374051', color: '#FAFCFB' }}>
+          READ-ONLY
+        </span>
+      </div>
+
+      <div className="font-medium" style={{ color: '#FAFCFB' }}>
+        {session.name || session.uploadData?.filename || session.id}
+      </div>
+      <div className="text-sm mb-3" style={{ color: '#9FA3AC' }}>
+        Uploaded {new Date(session.uploadDate).toLocaleDateString()}
+        {session.countProgress?.endTime && ` • Completed ${new Date(session.countProgress.endTime).toLocaleDateString()}`}
+        {' '}• {session.countProgress?.counted || 0}/{session.countProgress?.total || 0} counted
+        {session.counters?.length > 0 && ` • Counted by ${session.counters.join(', ')}`}
+      </div>
+
+      <div className="flex flex-wrap gap-2 mb-3">
+        <button
+          onClick={() => onExport('csv')}
+          className="px-3 py-1 rounded-lg text-xs font-medium"
+          style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+        >
+          Export CSV
+        </button>
+        <button
+          onClick={() => onExport('json')}
+          className="px-3 py-1 rounded-lg text-xs font-medium"
+          style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+        >
+          Export JSON
+        </button>
+        <button
+          onClick={onReport}
+          className="px-3 py-1 rounded-lg text-xs font-medium"
+          style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+        >
+          PDF Report
+        </button>
+      </div>
+
+      <input
+        type="text"
+        value={filter}
+        onChange={(e) => setFilter(e.target.value)}
+        placeholder="Filter by SKU, barcode or description"
+        className="w-full px-3 py-2 rounded-lg border text-sm mb-2"
+        style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+      />
+
+      <div className="max-h-80 overflow-y-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr style={{ color: '#9FA3AC' }}>
+              <th className="text-left py-1 pr-3 font-medium">SKU</th>
+              <th className="text-left py-1 pr-3 font-medium">Description</th>
+              <th className="text-right py-1 pr-3 font-medium">Expected</th>
+              <th className="text-right py-1 pr-3 font-medium">Counted</th>
+              <th className="text-right py-1 font-medium">Variance</th>
+            </tr>
+          </thead>
+          <tbody>
+            {matches.slice(0, MAX_VISIBLE_SKUS).map(sku => {
+              const variance = sku.counted ? sku.countedQuantity - sku.expectedQuantity : null;
+              return (
+                <tr key={sku.id} className="border-t" style={{ borderColor: '#39414E' }}>
+                  <td className="py-1 pr-3 font-mono" style={{ color: '#FAFCFB' }}>{sku.sku}</td>
+                  <td className="py-1 pr-3 truncate max-w-xs" style={{ color: '#9FA3AC' }}>{sku.description}</td>
+                  <td className="py-1 pr-3 text-right" style={{ color: '#FAFCFB' }}>{sku.expectedQuantity}</td>
+                  <td className="py-1 pr-3 text-right" style={{ color: '#FAFCFB' }}>{sku.counted ? sku.countedQuantity : '—'}</td>
+                  <td className="py-1 text-right" style={{ color: varianceColor(variance) }}>
+                    {variance === null ? '—' : `${variance > 0 ? '+' : ''}${variance}`}
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+      {matches.length > MAX_VISIBLE_SKUS && (
+        <div className="text-xs mt-2" style={{ color: '#9FA3AC' }}>
+          Showing {MAX_VISIBLE_SKUS} of {matches.length} SKUs - filter or export to see the rest.
+        </div>
+      )}
+    </div>
+  );
+};
+
+const ArchiveBrowser = ({ onClose }) => {
+  const [archives, setArchives] = useState(null);
+  const [filter, setFilter] = useState('');
+  const [openSession, setOpenSession] = useState(null);
+  const [reportSession, setReportSession] = useState(null);
+  const [loadingId, setLoadingId] = useState(null);
+  const [error, setError] = useState('');
+  const openedIds = useRef(new Set());
+
+  useEffect(() => {
+    let cancelled = false;
+    localStorageManager.getArchivedSessions()
+      .then(list => {
+        if (!cancelled) setArchives(list);
+      })
+      .catch(err => {
+        console.error('Error loading archives:', err);
+        if (!cancelled) setError(`Could not load the archive: ${err.message}`);
+      });
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  // Reopened sessions only stay in memory while the browser is open
+  useEffect(() => {
+    const ids = openedIds.current;
+    return () => ids.forEach(id => localStorageManager.closeArchivedSession(id));
+  }, []);
+
+  const loadSession = async (sessionId) => {
+    setLoadingId(sessionId);
+    setError('');
+    try {
+      const session = await localStorageManager.openArchivedSession(sessionId);
+      if (!session) {
+        throw new Error('Archived data not found');
+      }
+      openedIds.current.add(sessionId);
+      return session;
+    } finally {
+      setLoadingId(null);
+    }
+  };
+
+  const handleOpen = async (sessionId) => {
+    try {
+      setOpenSession(await loadSession(sessionId));
+    } catch (err) {
+      console.error('Error opening archived session:', err);
+      setError(`Could not open session: ${err.message}`);
+    }
+  };
+
+  const handleExport = async (sessionId, format) => {
+    try {
+      await loadSession(sessionId);
+      if (format === 'csv') {
+        storageHelpers.exportSessionAsCSV(sessionId);
+      } else {
+        storageHelpers.exportSessions([sessionId], { format, columns: MULTI_SESSION_EXPORT_COLUMNS });
+      }
+    } catch (err) {
+      console.error('Error exporting archived session:', err);
+      setError(`Could not export session: ${err.message}`);
+    }
+  };
+
+  const query = filter.trim().toLowerCase();
+  const visibleArchives = (archives || []).filter(archive => !query ||
+    [archive.name, archive.filename, archive.id].some(value => (value || '').toLowerCase().includes(query)));
+
+  const totalSize = (archives || []).reduce((total, archive) => total + archive.size, 0);
+  const totalOriginalSize = (archives || []).reduce((total, archive) => total + archive.originalSize, 0);
+
+  return (
+    <>
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+        <div
+          className="w-full max-w-3xl max-h-full overflow-y-auto rounded-xl p-6 border"
+          style={{ backgroundColor: '#181B22', borderColor: '#39414E' }}
+          onClick={(e) => e.stopPropagation()}
+        >
+          <div className="flex items-center justify-between mb-1">
+            <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+              Session Archive
+            </h3>
+            <button onClick={onClose} className="text-sm" style={{ color: '#9FA3AC' }}>
+              ✕ Close
+            </button>
+          </div>
+          {archives && archives.length > 0 && (
+            <div className="text-sm mb-4" style={{ color: '#9FA3AC' }}>
+              {archives.length} archived session{archives.length === 1 ? '' : 's'} • {formatBytes(totalSize)} stored
+              ({formatBytes(totalOriginalSize)} uncompressed)
+            </div>
+          )}
+
+          {error && (
+            <div className="text-sm mb-3" style={{ color: '#F87171' }}>{error}</div>
+          )}
+
+          {openSession ? (
+            <ArchivedSessionView
+              session={openSession}
+              onBack={() => setOpenSession(null)}
+              onExport={(format) => handleExport(openSession.id, format)}
+              onReport={() => setReportSession(openSession)}
+            />
+          ) : archives === null ? (
+            <div className="text-sm py-6 text-center" style={{ color: '#9FA3AC' }}>Loading archive...</div>
+          ) : archives.length === 0 ? (
+            <div className="text-sm py-6 text-center" style={{ color: '#9FA3AC' }}>
+              No archived sessions. Completed sessions move here when they fall outside the retention policy.
+            </div>
+          ) : (
+            <>
+              <input
+                type="text"
+                value={filter}
+                onChange={(e) => setFilter(e.target.value)}
+                placeholder="Search archived sessions"
+                className="w-full px-3 py-2 rounded-lg border text-sm mb-3"
+                style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+              />
+              <div className="space-y-2 max-h-96 overflow-y-auto">
+                {visibleArchives.map(archive => (
+                  <div
+                    key={archive.id}
+                    className="flex items-center justify-between p-3 rounded-lg border"
+                    style={{ backgroundColor: '#15161B', borderColor: '#39414E' }}
+                  >
+                    <div>
+                      <div className="font-medium" style={{ color: '#FAFCFB' }}>{archive.name}</div>
+                      <div className="text-xs" style={{ color: '#9FA3AC' }}>
+                        Completed {new Date(archive.completedDate).toLocaleDateString()} •
+                        {' '}{archive.countProgress?.counted || 0}/{archive.countProgress?.total || 0} counted •
+                        {' '}{formatBytes(archive.size)} • archived {new Date(archive.archivedDate).toLocaleDateString()}
+                      </div>
+                    </div>
+                    <div className="flex space-x-2">
+                      <button
+                        onClick={() => handleOpen(archive.id)}
+                        disabled={loadingId === archive.id}
+                        className="px-3 py-1 rounded-lg text-xs font-medium disabled:opacity-50"
+                        style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+                      >
+                        {loadingId === archive.id ? 'Opening...' : 'Open'}
+                      </button>
+                      <button
+                        onClick={() => handleExport(archive.id, 'csv')}
+                        disabled={loadingId === archive.id}
+                        className="px-3 py-1 rounded-lg text-xs font-medium disabled:opacity-50"
+                        style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+                      >
+                        CSV
+                      </button>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </>
+          )}
+        </div>
+      </div>
+
+      {/* Outside the browser's backdrop so its clicks do not close the browser */}
+      {reportSession && (
+        <SessionReportDialog
+          session={reportSession}
+          onClose={() => setReportSession(null)}
+        />
+      )}
+    </>
+  );
+};
+
+export default ArchiveBrowser;
@@ -0,0 +1,203 @@
+// BackupRestore.js - Restore sessions from the JSON backup written by DataExporter
+import React, { useState, useRef, useMemo } from 'react';
+import { localStorageManager } from '../utils/LocalStorageManager';
+
+const BackupRestore = ({ onRestoreComplete }) => {
+  const [backupData, setBackupData] = useState(null);
+  const [backupFilename, setBackupFilename] = useState('');
+  const [restoreMode, setRestoreMode] = useState('merge');
+  const [fileError, setFileError] = useState('');
+  const [status, setStatus] = useState('');
+
+  const fileInputRef = useRef(null);
+
+  // Preview is recalculated whenever the file or mode changes
+  const preview = useMemo(() => {
+    if (!backupData) return null;
+    return localStorageManager.previewRestore(backupData, restoreMode);
+  }, [backupData, restoreMode]);
+
+  const resetFile = () => {
+    setBackupData(null);
+    setBackupFilename('');
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleFileSelect = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    setFileError('');
+    setStatus('');
+
+    try {
+      const text = await file.text();
+      setBackupData(JSON.parse(text));
+      setBackupFilename(file.name);
+    } catch (error) {
+      console.error('Backup read error:', error);
+      setFileError('Could not read backup file. Please choose a JSON backup exported from this app.');
+      resetFile();
+    }
+  };
+
+  const handleRestore = () => {
+    if (!preview || !preview.valid) return;
+
+    if (restoreMode === 'replace' &&
+        !window.confirm('Replace will remove all sessions and history on this device. Continue?')) {
+      return;
+    }
+
+    const result = localStorageManager.restoreBackup(backupData, restoreMode);
+    if (result.success) {
+      setStatus(`Restored ${result.preview.activeSessions.added.length} active and ${result.preview.history.added} completed sessions from ${backupFilename}`);
+      resetFile();
+      if (onRestoreComplete) {
+        onRestoreComplete();
+      }
+    } else {
+      setFileError(result.error || 'Restore failed');
+    }
+  };
+
+  return (
+    <div
+      className="rounded-xl p-6 shadow-sm border"
+      style={{
+        backgroundColor: '#181B22',
+        borderColor: '#39414E'
+      }}
+    >
+      <h3 className="text-lg font-semibold mb-1" style={{ color: '#FAFCFB' }}>
+        Restore from Backup
+      </h3>
+      <p className="text-sm mb-4" style={{ color: '#9FA3AC' }}>
+        Load a Full Data Backup file to move counts between devices or recover after a browser wipe
+      </p>
+
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".json,application/json"
+        onChange={handleFileSelect}
+        className="block w-full text-sm mb-4"
+        style={{ color: '#9FA3AC' }}
+      />
+
+      {status && (
+        <div className="p-3 rounded-lg mb-4 text-sm border bg-emerald-900/20 border-emerald-400 text-emerald-300">
+          ✓ {status}
+        </div>
+      )}
+
+      {(fileError || (preview && !preview.valid)) && (
+        <div
+          className="p-3 rounded-lg mb-4 text-sm border"
+          style={{ backgroundColor: '#FEE2E2', borderColor: '#F87171', color: '#B91C1C' }}
+        >
+          <div className="font-medium mb-1">Cannot restore this file:</div>
+          <ul className="list-disc list-inside space-y-1">
+            {fileError && <li>{fileError}</li>}
+            {preview && preview.errors.map((error, index) => (
+              <li key={index}>{error}</li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      {preview && preview.valid && (
+        <div className="space-y-4">
+          {/* Mode Selection */}
+          <div className="flex space-x-4">
+            {[
+              { value: 'merge', label: 'Merge with existing data' },
+              { value: 'replace', label: 'Replace existing data' }
+            ].map(option => (
+              <label key={option.value} className="flex items-center">
+                <input
+                  type="radio"
+                  value={option.value}
+                  checked={restoreMode === option.value}
+                  onChange={(e) => setRestoreMode(e.target.value)}
+                  className="mr-2"
+                  style={{ accentColor: '#86EFAC' }}
+                />
+                <span className="text-sm" style={{ color: '#FAFCFB' }}>{option.label}</span>
+              </label>
+            ))}
+          </div>
+
+          {/* Change Preview */}
+          <div className="p-4 rounded-lg text-sm space-y-2" style={{ backgroundColor: '#15161B', color: '#9FA3AC' }}>
+            <div>
+              <span style={{ color: '#FAFCFB' }}>{backupFilename}</span> • version {preview.version}
+              {preview.exportDate && ` • exported ${new Date(preview.exportDate).toLocaleString()}`}
+            </div>
+            <div>
+              Active sessions: <span style={{ color: '#86EFAC' }}>+{preview.activeSessions.added.length} added</span>
+              {preview.activeSessions.skipped.length > 0 && `, ${preview.activeSessions.skipped.length} already on this device`}
+              {preview.activeSessions.removed.length > 0 && (
+                <span style={{ color: '#F87171' }}>, {preview.activeSessions.removed.length} removed</span>
+              )}
+            </div>
+            <div>
+              Completed sessions: <span style={{ color: '#86EFAC' }}>+{preview.history.added} added</span>
+              {preview.history.skipped > 0 && `, ${preview.history.skipped} already on this device`}
+              {preview.history.removed > 0 && (
+                <span style={{ color: '#F87171' }}>, {preview.history.removed} removed</span>
+              )}
+            </div>
+            {preview.skippedInvalid > 0 && (
+              <div style={{ color: '#F59E0B' }}>
+                {preview.skippedInvalid} empty or invalid sessions in the file will be ignored
+              </div>
+            )}
+            {preview.replacesSettings && (
+              <div style={{ color: '#F59E0B' }}>
+                Preferences and app state will be replaced with the backup's
+              </div>
+            )}
+            {preview.activeSessions.added.length > 0 && (
+              <ul className="pt-2 space-y-1">
+                {preview.activeSessions.added.map(session => (
+                  <li key={session.id} className="text-xs">
+                    • {session.name} ({session.counted}/{session.total} counted)
+                  </li>
+                ))}
+              </ul>
+            )}
+          </div>
+
+          <div className="flex space-x-3">
+            <button
+              onClick={resetFile}
+              className="flex-1 py-3 px-4 rounded-lg font-medium border"
+              style={{
+                backgroundColor: 'transparent',
+                color: '#9FA3AC',
+                borderColor: '#39414E'
+              }}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleRestore}
+              className="flex-1 py-3 px-4 rounded-lg font-medium"
+              style={{
+                backgroundColor: restoreMode === 'replace' ? '#F87171' : '#86EFAC',
+                color: '#00001C'
+              }}
+            >
+              {restoreMode === 'replace' ? 'Replace & Restore' : 'Merge & Restore'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default BackupRestore;
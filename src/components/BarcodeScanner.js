@@ -0,0 +1,189 @@
+// BarcodeScanner.js - Shared camera scanner hook and modal for every count screen
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { createBarcodeScanner, describeCameraError, isCameraSupported } from '../utils/barcodeScanner';
+
+const BACKEND_LABELS = {
+  native: 'built-in detector',
+  quagga: 'Quagga'
+};
+
+/**
+ * Camera lifecycle for one screen. open() shows the modal; scanning starts once
+ * its <video> is mounted and stops on close, on unmount and (unless continuous)
+ * after the first accepted code. Other options go to createBarcodeScanner.
+ */
+export const useBarcodeScanner = ({ onDetected, continuous = false, ...scannerOptions } = {}) => {
+  const [isSupported] = useState(isCameraSupported);
+  const [isOpen, setIsOpen] = useState(false);
+  const [isScanning, setIsScanning] = useState(false);
+  const [error, setError] = useState('');
+  const [backend, setBackend] = useState(null);
+  const videoRef = useRef(null);
+
+  // Latest callback and options without restarting the camera on every render
+  const optionsRef = useRef();
+  optionsRef.current = { onDetected, continuous, ...scannerOptions };
+
+  const close = useCallback(() => {
+    setIsOpen(false);
+    setIsScanning(false);
+    setError('');
+  }, []);
+
+  const open = useCallback(() => {
+    // Unsupported cameras still open the modal, showing why instead of the video
+    setError(isSupported ? '' : 'Camera not supported on this device or insecure connection');
+    setIsOpen(true);
+  }, [isSupported]);
+
+  useEffect(() => {
+    if (!isOpen || !isSupported || !videoRef.current) return undefined;
+
+    const options = optionsRef.current;
+    const scanner = createBarcodeScanner({
+      ...options,
+      onDetected: (result) => {
+        console.log('Barcode detected:', result.code, result.format, `via ${result.backend}`);
+        if (!options.continuous) {
+          setIsOpen(false);
+          setIsScanning(false);
+        }
+        optionsRef.current.onDetected(result);
+      }
+    });
+
+    scanner.start(videoRef.current)
+      .then(name => {
+        if (!name) return;
+        setBackend(name);
+        setIsScanning(true);
+      })
+      .catch(err => {
+        console.error('Barcode scanner error:', err);
+        setError(describeCameraError(err));
+        setIsScanning(false);
+      });
+
+    return () => scanner.stop();
+  }, [isOpen, isSupported]);
+
+  return { isSupported, isOpen, isScanning, error, backend, videoRef, open, close };
+};
+
+// Camera view for a useBarcodeScanner() result; children render below the video
+const BarcodeScannerModal = ({ scanner, title = 'Scan Barcode', children }) => {
+  if (!scanner.isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
+      <div
+        className="rounded-xl p-6 max-w-md w-full mx-4"
+        style={{ backgroundColor: '#181B22' }}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+            {title}
+          </h3>
+          <button
+            onClick={scanner.close}
+            className="p-2 rounded-lg"
+            style={{
+              backgroundColor: '#86EFAC',
+              color: '#00001C'
+            }}
+          >
+            ✕
+          </button>
+        </div>
+
+        {scanner.error ? (
+          <div className="text-center py-8">
+            <div className="text-red-400 mb-4">{scanner.error}</div>
+            <div className="text-sm text-gray-400 mb-4">
+              {scanner.error.includes('permission') && (
+                <div>
+                  <p>To enable camera access:</p>
+                  <p>1. Click the camera icon in your browser's address bar</p>
+                  <p>2. Select "Allow" for camera permissions</p>
+                  <p>3. Refresh the page and try again</p>
+                </div>
+              )}
+            </div>
+            <button
+              onClick={scanner.close}
+              className="px-4 py-2 rounded-lg font-medium"
+              style={{
+                backgroundColor: '#86EFAC',
+                color: '#00001C'
+              }}
+            >
+              Close
+            </button>
+          </div>
+        ) : (
+          <div className="text-center">
+            <div
+              className="relative mb-4 rounded-lg overflow-hidden"
+              style={{ backgroundColor: '#15161B' }}
+            >
+              <video
+                ref={scanner.videoRef}
+                autoPlay
+                playsInline
+                muted
+                style={{
+                  width: '100%',
+                  height: '240px',
+                  objectFit: 'cover'
+                }}
+              />
+              {scanner.isScanning && (
+                <div className="absolute inset-0 flex items-center justify-center">
+                  <div
+                    className="border-2 border-red-500 bg-transparent"
+                    style={{
+                      width: '200px',
+                      height: '60px',
+                      opacity: 0.7
+                    }}
+                  />
+                </div>
+              )}
+            </div>
+
+            <div className="text-sm mb-4" style={{ color: '#9FA3AC' }}>
+              {scanner.isScanning ? (
+                <div className="space-y-2">
+                  <div className="flex items-center justify-center">
+                    <div className="animate-pulse mr-2">📷</div>
+                    Position barcode in the red box
+                  </div>
+                  <div className="text-xs">
+                    Scanning for UPC, EAN, Code 128, and other formats with the {BACKEND_LABELS[scanner.backend] || scanner.backend}...
+                  </div>
+                </div>
+              ) : (
+                'Initializing camera scanner...'
+              )}
+            </div>
+
+            {children}
+
+            <button
+              onClick={scanner.close}
+              className="px-4 py-2 rounded-lg font-medium"
+              style={{
+                backgroundColor: '#86EFAC',
+                color: '#00001C'
+              }}
+            >
+              Cancel
+            </button>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default BarcodeScannerModal;
@@ -0,0 +1,327 @@
+// BatchScan.js - Continuous scanning into a tally queue, saved as one batch
+import React, { useRef, useState } from 'react';
+import BarcodeScannerModal, { useBarcodeScanner } from './BarcodeScanner';
+import { useWedgeScanner } from './WedgeScanner';
+
+const isWholeNumber = (value) => /^\d+$/.test(value.trim());
+
+const pluralize = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+/**
+ * Camera (continuous) and hardware scans go into a queue instead of the screen's
+ * scan → quantity → confirm loop; scanning an item again adds to its tally. The
+ * screen supplies:
+ *   resolveScan(code) => { key, label, detail?, quantity?, once?, item? } - throws
+ *     with a message for unknown codes and misreads. Entries are tallied by key;
+ *     quantity is what one scan adds (default 1). A `once` entry is a single unit
+ *     (e.g. a serial number), so scanning it again does not add to it.
+ *   commitEntry(entry, quantity, { bin, pending }) => { type, message }, or a promise
+ *     of it - saves one entry through the screen's normal save path; throws to keep
+ *     it queued. pending lists the entries still to be saved after this one.
+ *   onCommitted(savedCount) - after a save that stored at least one entry.
+ */
+const BatchScanDialog = ({ title = 'Batch Scan', resolveScan, commitEntry, onCommitted, onClose, withBin = false }) => {
+  const [queue, setQueue] = useState([]); // [{ key, label, detail, code, item, quantity (text) }]
+  const [rowStatus, setRowStatus] = useState({}); // key -> { type, message }
+  const [manualCode, setManualCode] = useState('');
+  const [bin, setBin] = useState('');
+  const [message, setMessage] = useState(null); // { type, text }
+  const [isSaving, setIsSaving] = useState(false);
+  const manualInputRef = useRef(null);
+
+  const addScan = (code) => {
+    if (isSaving) {
+      setMessage({ type: 'warning', text: `Scan ignored (${code}): the batch is being saved` });
+      return;
+    }
+
+    let resolved;
+    try {
+      resolved = resolveScan(code);
+    } catch (error) {
+      setMessage({ type: 'error', text: error.message });
+      return;
+    }
+
+    const increment = resolved.quantity || 1;
+    const existing = queue.find(entry => entry.key === resolved.key);
+    if (existing && existing.once) {
+      setMessage({ type: 'warning', text: `${resolved.label} is already in the batch - scanned twice?` });
+      return;
+    }
+    const addTo = (quantity) => (isWholeNumber(quantity) ? parseInt(quantity, 10) : 0) + increment;
+
+    setQueue(prev => (prev.some(entry => entry.key === resolved.key)
+      ? prev.map(entry => (entry.key === resolved.key ? { ...entry, quantity: String(addTo(entry.quantity)) } : entry))
+      : [{ ...resolved, code, quantity: String(increment) }, ...prev]));
+    setRowStatus(prev => {
+      const { [resolved.key]: cleared, ...rest } = prev;
+      return rest;
+    });
+    setMessage({ type: 'success', text: `+${increment} ${resolved.label} (${existing ? addTo(existing.quantity) : increment} queued)` });
+  };
+
+  // The camera keeps running between codes; a label still in view is not re-read,
+  // but the next unit with the same label is as soon as the first has moved away
+  const camera = useBarcodeScanner({
+    continuous: true,
+    cooldownMs: 400,
+    onDetected: ({ code }) => addScan(code)
+  });
+
+  // Takes over hardware scans from the screen behind while open, auto-submit or not
+  useWedgeScanner(addScan);
+
+  const invalidEntries = queue.filter(entry => !isWholeNumber(entry.quantity));
+  const totalUnits = queue
+    .filter(entry => isWholeNumber(entry.quantity))
+    .reduce((total, entry) => total + parseInt(entry.quantity, 10), 0);
+
+  const setQuantity = (key, value) => {
+    setQueue(prev => prev.map(entry => (entry.key === key ? { ...entry, quantity: value } : entry)));
+  };
+
+  const removeEntry = (key) => {
+    setQueue(prev => prev.filter(entry => entry.key !== key));
+  };
+
+  const handleManualSubmit = (e) => {
+    e.preventDefault();
+    if (!manualCode.trim()) return;
+    addScan(manualCode.trim());
+    setManualCode('');
+    if (manualInputRef.current) {
+      manualInputRef.current.focus();
+    }
+  };
+
+  const handleClear = () => {
+    if (queue.length > 0 && !window.confirm(`Discard ${pluralize(queue.length, 'queued item')}?`)) return;
+    setQueue([]);
+    setRowStatus({});
+    setMessage(null);
+  };
+
+  // Entries are saved one at a time, in scan order; failed ones stay in the queue
+  const handleSave = async () => {
+    if (queue.length === 0 || isSaving) return;
+    if (invalidEntries.length > 0) {
+      setMessage({ type: 'error', text: `Fix ${invalidEntries.length} invalid quantit${invalidEntries.length === 1 ? 'y' : 'ies'} before saving` });
+      return;
+    }
+
+    setIsSaving(true);
+    const statuses = {};
+    const remaining = [];
+    const flagged = [];
+    let saved = 0;
+
+    const ordered = [...queue].reverse();
+    for (const [index, entry] of ordered.entries()) {
+      try {
+        const result = await commitEntry(entry, parseInt(entry.quantity, 10), {
+          bin: bin.trim(),
+          pending: ordered.slice(index + 1)
+        });
+        saved++;
+        if (result && result.type === 'warning') {
+          flagged.push(`${entry.label}: ${result.message}`);
+        }
+      } catch (error) {
+        console.error('Error saving batch count:', entry.key, error);
+        statuses[entry.key] = { type: 'error', message: error.message };
+        remaining.unshift(entry);
+      }
+    }
+
+    setQueue(remaining);
+    setRowStatus(statuses);
+    setMessage({
+      type: remaining.length > 0 ? 'error' : flagged.length > 0 ? 'warning' : 'success',
+      text: `Saved ${pluralize(saved, 'count')}` +
+        (flagged.length > 0 ? ` • ${flagged.join('; ')}` : '') +
+        (remaining.length > 0 ? ` • ${remaining.length} failed and are still queued` : '')
+    });
+    setIsSaving(false);
+
+    if (saved > 0 && onCommitted) {
+      onCommitted(saved);
+    }
+  };
+
+  const handleClose = () => {
+    if (queue.length > 0 && !window.confirm(`Discard ${pluralize(queue.length, 'unsaved item')}?`)) {
+      return;
+    }
+    onClose();
+  };
+
+  const statusColors = { success: '#86EFAC', warning: '#F59E0B', error: '#F87171' };
+  const inputStyle = { backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' };
+
+  return (
+    <>
+      <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+        <div
+          className="w-full max-w-2xl max-h-full flex flex-col rounded-xl p-4 border"
+          style={{ backgroundColor: '#181B22', borderColor: '#39414E' }}
+        >
+          <div className="flex items-center justify-between mb-3">
+            <div>
+              <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+                {title}
+              </h3>
+              <div className="text-xs" style={{ color: '#9FA3AC' }}>
+                Scan each unit - scanning an item again adds to its tally. Adjust the quantities, then save the batch.
+              </div>
+            </div>
+            <button onClick={handleClose} className="text-sm" style={{ color: '#9FA3AC' }}>
+              ✕ Close
+            </button>
+          </div>
+
+          <div className="flex flex-wrap gap-3 mb-3">
+            <form onSubmit={handleManualSubmit} className="flex-1 min-w-0">
+              <input
+                ref={manualInputRef}
+                type="text"
+                value={manualCode}
+                onChange={(e) => setManualCode(e.target.value)}
+                placeholder="Type a SKU/barcode and press Enter"
+                autoComplete="off"
+                className="w-full px-3 py-2 rounded-lg border text-sm"
+                style={inputStyle}
+              />
+            </form>
+            {withBin && (
+              <input
+                type="text"
+                value={bin}
+                onChange={(e) => setBin(e.target.value)}
+                placeholder="Bin for this batch (optional)"
+                className="w-56 px-3 py-2 rounded-lg border text-sm"
+                style={inputStyle}
+              />
+            )}
+            {camera.isSupported && (
+              <button
+                onClick={camera.open}
+                disabled={isSaving}
+                className="px-3 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+                style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+              >
+                📷 Camera
+              </button>
+            )}
+          </div>
+
+          {(message || camera.error) && (
+            <div className="text-sm mb-2" style={{ color: message ? statusColors[message.type] : '#F87171' }}>
+              {message ? message.text : camera.error}
+            </div>
+          )}
+
+          <div className="flex-1 overflow-y-auto rounded-lg border" style={{ borderColor: '#39414E', minHeight: '8rem' }}>
+            {queue.length === 0 ? (
+              <div className="text-sm py-8 text-center" style={{ color: '#9FA3AC' }}>
+                Nothing queued yet - start scanning
+              </div>
+            ) : (
+              <table className="w-full text-sm">
+                <thead className="sticky top-0" style={{ backgroundColor: '#15161B' }}>
+                  <tr style={{ color: '#9FA3AC' }}>
+                    <th className="px-2 py-2 text-left font-medium">Item</th>
+                    <th className="px-2 py-2 text-left font-medium w-24">Qty</th>
+                    <th className="px-2 py-2 w-10" />
+                  </tr>
+                </thead>
+                <tbody>
+                  {queue.map(entry => {
+                    const invalid = !isWholeNumber(entry.quantity);
+                    const status = rowStatus[entry.key];
+
+                    return (
+                      <tr key={entry.key} className="border-t" style={{ borderColor: '#39414E' }}>
+                        <td className="px-2 py-1">
+                          <div className="font-mono" style={{ color: '#FAFCFB' }}>{entry.label}</div>
+                          {entry.detail && (
+                            <div className="text-xs truncate max-w-xs" style={{ color: '#9FA3AC' }}>{entry.detail}</div>
+                          )}
+                          {status && (
+                            <div className="text-xs" style={{ color: statusColors[status.type] }}>{status.message}</div>
+                          )}
+                        </td>
+                        <td className="px-2 py-1">
+                          <input
+                            type="text"
+                            inputMode="numeric"
+                            value={entry.quantity}
+                            onChange={(e) => setQuantity(entry.key, e.target.value)}
+                            onFocus={(e) => e.target.select()}
+                            disabled={isSaving}
+                            className="w-full px-2 py-1 rounded border text-sm text-right"
+                            style={{ ...inputStyle, borderColor: invalid ? '#F87171' : '#39414E' }}
+                          />
+                        </td>
+                        <td className="px-2 py-1 text-right">
+                          <button
+                            onClick={() => removeEntry(entry.key)}
+                            disabled={isSaving}
+                            title="Remove from batch"
+                            className="text-sm"
+                            style={{ color: '#F87171' }}
+                          >
+                            ✕
+                          </button>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+
+          <div className="flex items-center justify-between mt-3">
+            <div className="text-sm" style={{ color: '#9FA3AC' }}>
+              {pluralize(queue.length, 'item')} • {pluralize(totalUnits, 'unit')}
+              {invalidEntries.length > 0 && (
+                <span style={{ color: '#F87171' }}> • {invalidEntries.length} invalid</span>
+              )}
+            </div>
+            <div className="flex space-x-3">
+              <button
+                onClick={handleClear}
+                disabled={queue.length === 0 || isSaving}
+                className="px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+                style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+              >
+                Clear
+              </button>
+              <button
+                onClick={handleSave}
+                disabled={queue.length === 0 || isSaving}
+                className="px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+                style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+              >
+                {isSaving ? 'Saving...' : `Save ${pluralize(queue.length, 'Count')}`}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {/* Camera on top of the queue; closing it keeps the queue */}
+      <BarcodeScannerModal scanner={camera} title={title}>
+        <div className="text-sm mb-4" style={{ color: message ? statusColors[message.type] : '#9FA3AC' }}>
+          {message ? message.text : 'Scan each unit'}
+        </div>
+        <div className="text-xs mb-4" style={{ color: '#9FA3AC' }}>
+          {pluralize(queue.length, 'item')} • {pluralize(totalUnits, 'unit')} queued
+        </div>
+      </BarcodeScannerModal>
+    </>
+  );
+};
+
+export default BatchScanDialog;
@@ -1,13 +1,19 @@
 // Fixed CSVUploadComponent.js - Proper barcode mapping and validation
-import React, { useState, useRef, useCallback } from 'react';
+import React, { useState, useRef, useCallback, useMemo } from 'react';
 import Papa from 'papaparse';
+import { localStorageManager } from '../utils/LocalStorageManager';
+import { isExcelFile, readWorkbook, getSheetNames, readSheetRows } from '../utils/spreadsheet';
+import { detectFileEncoding, ENCODING_OPTIONS, getEncodingLabel, stripBom } from '../utils/fileEncoding';
 
 // Enhanced header mapping with barcode support
 const EXPECTED_HEADERS = {
   sku: ['sku', 'SKU', 'item_code', 'product_code', 'part_number', 'id', 'ID'],
   barcode: ['barcode', 'Barcode', 'BARCODE', 'upc', 'UPC', 'ean', 'EAN', 'gtin', 'GTIN'],
   description: ['description', 'Description', 'item_description', 'product_name', 'name', 'desc', 'DESCRIPTION'],
-  expected_quantity: ['expected_quantity', 'expectedQuantity', 'quantity', 'qty', 'expected_qty', 'Quantity', 'QTY']
+  expected_quantity: ['expected_quantity', 'expectedQuantity', 'quantity', 'qty', 'expected_qty', 'Quantity', 'QTY'],
+  tolerance: ['tolerance', 'Tolerance', 'variance_tolerance', 'count_tolerance'], // optional, "5" units or "10%"
+  unit_cost: ['unit_cost', 'unitCost', 'cost', 'Cost', 'unit cost', 'Unit Cost', 'avg_cost', 'average_cost'],
+  unit_price: ['unit_price', 'unitPrice', 'price', 'Price', 'unit price', 'Unit Price', 'retail', 'retail_price', 'sell_price']
 };
 
 // Enhanced header mapping function
@@ -29,165 +35,329 @@ const mapHeaders = (headers) => {
   return mappedHeaders;
 };
 
-const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession = null }) => {
+// Labels for the column-mapping step, in display order
+const FIELD_LABELS = {
+  sku: 'SKU',
+  barcode: 'Barcode',
+  description: 'Description',
+  expected_quantity: 'Expected Quantity',
+  tolerance: 'Tolerance',
+  unit_cost: 'Unit Cost',
+  unit_price: 'Unit Price'
+};
+
+// Keep only mappings whose source column exists in this file
+const filterMapping = (mapping, headers) => {
+  const filtered = {};
+  Object.entries(mapping || {}).forEach(([field, header]) => {
+    if (FIELD_LABELS[field] && headers.includes(header)) {
+      filtered[field] = header;
+    }
+  });
+  return filtered;
+};
+
+// Files above this size are previewed from a sample and imported in chunks by a worker
+const STREAMING_THRESHOLD_BYTES = 2 * 1024 * 1024;
+const MAX_FILE_SIZE_BYTES = 10 * 1024 * 1024;
+const MAX_STREAMED_FILE_SIZE_BYTES = 200 * 1024 * 1024;
+const STREAMING_PREVIEW_ROWS = 200;
+const STREAMING_CHUNK_BYTES = 512 * 1024;
+const MAX_REPORTED_ROWS = 10;
+
+const isStreamedFile = (file) => !isExcelFile(file) && file.size > STREAMING_THRESHOLD_BYTES;
+
+const PARSE_ERROR_REASONS = {
+  MissingQuotes: 'Quoted field is never closed - following rows may have been read into it',
+  InvalidQuotes: 'Unexpected quote inside a quoted field'
+};
+
+// Papa Parse errors tied to a row -> { row, message }, numbered like the file (header is row 1).
+// Field-count errors carry an absolute row index; quote errors are relative to the chunk.
+const collectParseErrors = (errors, chunkRowOffset = 0) => {
+  const seen = new Set();
+  return (errors || [])
+    .filter(error => error.row !== undefined)
+    .map(error => ({
+      row: error.row + (error.type === 'FieldMismatch' ? 0 : chunkRowOffset) + 2,
+      message: PARSE_ERROR_REASONS[error.code] || error.message
+    }))
+    .filter(error => {
+      // Papa Parse can report the same quote problem more than once
+      const key = `${error.row}-${error.message}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+};
+
+// Check for required columns (either SKU or barcode must be present)
+const validateMapping = (mappedHeaders) => (
+  !mappedHeaders.sku && !mappedHeaders.barcode ? ['Map at least one column to SKU or Barcode'] : []
+);
+
+// Enhanced CSV data validation with barcode support
+const validateCSVData = (data, mappedHeaders) => {
+  const errors = validateMapping(mappedHeaders);
+  
+  console.log('Mapped headers:', mappedHeaders);
+  
+  if (data.length === 0) {
+    errors.push('CSV file appears to be empty');
+  }
+  
+  // Check for duplicate identifiers
+  const identifiers = new Set();
+  const duplicates = [];
+  data.forEach((row, index) => {
+    const identifier = row[mappedHeaders.barcode] || row[mappedHeaders.sku];
+    if (identifier) {
+      const cleanIdentifier = identifier.toString().trim();
+      if (identifiers.has(cleanIdentifier)) {
+        duplicates.push(`Row ${index + 2}: ${cleanIdentifier}`);
+      }
+      identifiers.add(cleanIdentifier);
+    }
+  });
+  
+  if (duplicates.length > 0) {
+    errors.push(`Duplicate identifiers found: ${duplicates.slice(0, 5).join(', ')}${duplicates.length > 5 ? '...' : ''}`);
+  }
+  
+  // Check for missing identifier values
+  const missingIdentifiers = [];
+  data.forEach((row, index) => {
+    const sku = row[mappedHeaders.sku];
+    const barcode = row[mappedHeaders.barcode];
+    if ((!sku || sku.toString().trim() === '') && (!barcode || barcode.toString().trim() === '')) {
+      missingIdentifiers.push(index + 2);
+    }
+  });
+  
+  if (missingIdentifiers.length > 0 && (mappedHeaders.sku || mappedHeaders.barcode)) {
+    errors.push(`Missing identifier values in rows: ${missingIdentifiers.slice(0, 10).join(', ')}${missingIdentifiers.length > 10 ? '...' : ''}`);
+  }
+  
+  return { errors, validRows: data.length - missingIdentifiers.length };
+};
+
+// Transform data with proper barcode support
+const transformCSVData = (data, mappedHeaders) => data
+  .filter(row => {
+    const sku = row[mappedHeaders.sku];
+    const barcode = row[mappedHeaders.barcode];
+    return (sku && sku.toString().trim() !== '') || (barcode && barcode.toString().trim() !== '');
+  })
+  .map((row, index) => {
+    // Use barcode as primary identifier, fall back to SKU
+    const primaryIdentifier = row[mappedHeaders.barcode]?.toString().trim() || 
+                             row[mappedHeaders.sku]?.toString().trim() || 
+                             `unknown_${index}`;
+    
+    const secondaryIdentifier = row[mappedHeaders.sku]?.toString().trim() || 
+                                row[mappedHeaders.barcode]?.toString().trim() || 
+                                primaryIdentifier;
+    
+    return {
+      sku: primaryIdentifier, // This will be used for searching/matching
+      barcode: primaryIdentifier, // Keep same for consistency
+      alternateId: secondaryIdentifier !== primaryIdentifier ? secondaryIdentifier : null,
+      description: row[mappedHeaders.description]?.toString().replace(/\s*\r?\n\s*/g, ' ').trim() || '', // quoted multiline fields
+      expected_quantity: parseInt(row[mappedHeaders.expected_quantity]) || 0,
+      tolerance: row[mappedHeaders.tolerance]?.toString().trim() || '',
+      unit_cost: row[mappedHeaders.unit_cost]?.toString().trim() || '',
+      unit_price: row[mappedHeaders.unit_price]?.toString().trim() || '',
+      originalRow: index + 2 // For error reporting
+    };
+  });
+
+// Incremental validation for streamed imports - the same duplicate and missing-identifier
+// rules as validateCSVData, but offending rows are skipped and reported instead of blocking
+const createStreamValidator = (mappedHeaders) => {
+  const seen = new Set();
+  const state = {
+    rowCount: 0,
+    duplicateCount: 0,
+    duplicates: [],
+    missingCount: 0,
+    missingRows: []
+  };
+
+  // Returns the chunk's accepted rows, transformed for storage
+  const accept = (data) => {
+    const accepted = [];
+    const rowNumbers = [];
+
+    data.forEach(row => {
+      state.rowCount++;
+      const rowNumber = state.rowCount + 1; // header is row 1
+      const identifier = row[mappedHeaders.barcode]?.toString().trim() ||
+                         row[mappedHeaders.sku]?.toString().trim() || '';
+
+      if (!identifier) {
+        state.missingCount++;
+        if (state.missingRows.length < MAX_REPORTED_ROWS) {
+          state.missingRows.push(rowNumber);
+        }
+        return;
+      }
+
+      if (seen.has(identifier)) {
+        state.duplicateCount++;
+        if (state.duplicates.length < MAX_REPORTED_ROWS) {
+          state.duplicates.push(`Row ${rowNumber}: ${identifier}`);
+        }
+        return;
+      }
+
+      seen.add(identifier);
+      accepted.push(row);
+      rowNumbers.push(rowNumber);
+    });
+
+    return transformCSVData(accepted, mappedHeaders)
+      .map((item, index) => ({ ...item, originalRow: rowNumbers[index] }));
+  };
+
+  return { accept, state };
+};
+
+const CSVUploadComponent = ({
+  onUploadSuccess,
+  onImportComplete,
+  onMergeIntoSession,
+  onUploadError,
+  existingSession = null,
+  activeSessionCount = 0
+}) => {
   const [isDragging, setIsDragging] = useState(false);
   const [isProcessing, setIsProcessing] = useState(false);
   const [uploadStatus, setUploadStatus] = useState('');
   const [validationErrors, setValidationErrors] = useState([]);
-  const [previewData, setPreviewData] = useState(null);
+  const [parsedFile, setParsedFile] = useState(null); // { filename, fileSize, data, fields }
+  const [columnMapping, setColumnMapping] = useState({});
+  const [activeProfile, setActiveProfile] = useState(null);
+  const [profileName, setProfileName] = useState('');
+  const [profileMessage, setProfileMessage] = useState('');
   const [showPreview, setShowPreview] = useState(false);
+  const [sessionName, setSessionName] = useState('');
+  const [blindCount, setBlindCount] = useState(false);
+  const [toleranceType, setToleranceType] = useState('none');
+  const [toleranceValue, setToleranceValue] = useState('');
+  const [sheetNames, setSheetNames] = useState([]); // XLSX only
+  const [activeSheet, setActiveSheet] = useState('');
+  const [importProgress, setImportProgress] = useState(null); // streamed CSV import
+  const [uploadMode, setUploadMode] = useState('new'); // new session or merge into existingSession
+  const [missingAction, setMissingAction] = useState('keep'); // keep, flag, remove
   
   const fileInputRef = useRef(null);
+  const workbookRef = useRef(null);
+  const importRef = useRef(null); // { sessionId, cancelled, error }
   const dragCounter = useRef(0);
 
   // Enhanced file validation
   const validateFile = (file) => {
     const errors = [];
     
-    if (!file.type.includes('csv') && !file.name.endsWith('.csv')) {
-      errors.push('Please upload a CSV file');
+    if (!file.type.includes('csv') && !file.name.toLowerCase().endsWith('.csv') && !isExcelFile(file)) {
+      errors.push('Please upload a CSV or Excel (.xlsx) file');
     }
     
-    if (file.size > 10 * 1024 * 1024) { // Increased to 10MB
-      errors.push('File size must be less than 10MB');
+    // Large CSVs are streamed, so only spreadsheets are held to the in-memory limit
+    if (isExcelFile(file) && file.size > MAX_FILE_SIZE_BYTES) {
+      errors.push('Excel files must be less than 10MB - save large lists as CSV');
+    } else if (file.size > MAX_STREAMED_FILE_SIZE_BYTES) {
+      errors.push('File size must be less than 200MB');
     }
     
     return errors;
   };
 
-  // Enhanced CSV data validation with barcode support
-  const validateCSVData = useCallback((data, headers) => {
-    const errors = [];
-    const mappedHeaders = mapHeaders(headers);
-    
-    console.log('Available headers:', headers);
-    console.log('Mapped headers:', mappedHeaders);
-    
-    // Check for required columns (either SKU or barcode must be present)
-    if (!mappedHeaders.sku && !mappedHeaders.barcode) {
-      errors.push('CSV must contain either a SKU column or Barcode column');
-    }
-    
-    if (data.length === 0) {
-      errors.push('CSV file appears to be empty');
-    }
-    
-    // Check for duplicate identifiers
-    const identifiers = new Set();
-    const duplicates = [];
-    data.forEach((row, index) => {
-      const identifier = row[mappedHeaders.barcode] || row[mappedHeaders.sku];
-      if (identifier) {
-        const cleanIdentifier = identifier.toString().trim();
-        if (identifiers.has(cleanIdentifier)) {
-          duplicates.push(`Row ${index + 2}: ${cleanIdentifier}`);
-        }
-        identifiers.add(cleanIdentifier);
-      }
-    });
-    
-    if (duplicates.length > 0) {
-      errors.push(`Duplicate identifiers found: ${duplicates.slice(0, 5).join(', ')}${duplicates.length > 5 ? '...' : ''}`);
-    }
-    
-    // Check for missing identifier values
-    const missingIdentifiers = [];
-    data.forEach((row, index) => {
-      const sku = row[mappedHeaders.sku];
-      const barcode = row[mappedHeaders.barcode];
-      if ((!sku || sku.toString().trim() === '') && (!barcode || barcode.toString().trim() === '')) {
-        missingIdentifiers.push(index + 2);
-      }
+  // Shared by CSV and XLSX: pick the column mapping and open the preview
+  const loadParsedRows = useCallback((file, data, rawFields, details = {}) => {
+    const fields = (rawFields || []).filter(field => field && field.trim() !== '');
+
+    // A saved profile for this header signature wins over auto-detection
+    const profile = localStorageManager.findColumnMappingProfile(fields);
+    const mapping = profile ? filterMapping(profile.mapping, fields) : mapHeaders(fields);
+    console.log(profile ? `Using mapping profile "${profile.name}"` : 'Auto-detected mapping', mapping);
+
+    setParsedFile({
+      filename: file.name,
+      fileSize: (file.size / 1024).toFixed(1) + ' KB',
+      file,
+      data,
+      fields,
+      ...details // streamed, encoding and parse errors (CSV)
     });
-    
-    if (missingIdentifiers.length > 0) {
-      errors.push(`Missing identifier values in rows: ${missingIdentifiers.slice(0, 10).join(', ')}${missingIdentifiers.length > 10 ? '...' : ''}`);
-    }
-    
-    return { errors, mappedHeaders, validRows: data.length - missingIdentifiers.length };
+    setColumnMapping(mapping);
+    setActiveProfile(profile);
+    setProfileName(profile ? profile.name : '');
+    setProfileMessage(profile ? `Columns mapped with saved profile "${profile.name}"` : '');
+    setSessionName(file.name.replace(/\.[^.]+$/, ''));
+    setShowPreview(true);
+    setUploadStatus('');
+    setIsProcessing(false);
   }, []);
 
   // Enhanced CSV processing with proper barcode handling
-  const processCSVFile = useCallback((file) => {
+  // encodingOverride comes from the preview's encoding picker; null means auto-detect
+  const processCSVFile = useCallback(async (file, encodingOverride = null) => {
     setIsProcessing(true);
     setUploadStatus('Processing CSV file...');
     setValidationErrors([]);
+    workbookRef.current = null;
+    setSheetNames([]);
+    setActiveSheet('');
+
+    // NEW: large files only parse a sample here; the full file is read by a worker on confirm
+    const streamed = isStreamedFile(file);
+
+    // NEW: legacy exports are UTF-16 or Windows-1252 - detect before parsing
+    let detected;
+    try {
+      detected = await detectFileEncoding(file);
+    } catch (error) {
+      console.error('Encoding detection error:', error);
+      detected = { encoding: 'utf-8', hasBom: false, reason: 'detection failed' };
+    }
+    const encoding = encodingOverride || detected.encoding;
+    console.log('CSV encoding:', encoding, detected);
     
     Papa.parse(file, {
       header: true,
       dynamicTyping: false, // Keep as strings to preserve leading zeros in barcodes
       skipEmptyLines: true,
       delimitersToGuess: [',', '\t', '|', ';'],
+      encoding,
+      transformHeader: stripBom,
+      ...(streamed ? { preview: STREAMING_PREVIEW_ROWS, chunkSize: STREAMING_CHUNK_BYTES } : {}),
       complete: (results) => {
         try {
-          const { data, meta } = results;
-          
-          if (meta.errors && meta.errors.length > 0) {
-            const criticalErrors = meta.errors.filter(error => error.type === 'Delimiter');
-            if (criticalErrors.length > 0) {
-              throw new Error('Unable to parse CSV file. Please check the file format.');
-            }
-          }
+          const { data, meta, errors } = results;
           
           console.log('Parsed CSV data:', data.slice(0, 3));
           console.log('CSV headers:', meta.fields);
-          
-          const { errors, mappedHeaders, validRows } = validateCSVData(data, meta.fields);
-          
-          if (errors.length > 0) {
-            setValidationErrors(errors);
-            setIsProcessing(false);
-            setUploadStatus('');
-            return;
-          }
-          
-          // Transform data with proper barcode support
-          const transformedData = data
-            .filter(row => {
-              const sku = row[mappedHeaders.sku];
-              const barcode = row[mappedHeaders.barcode];
-              return (sku && sku.toString().trim() !== '') || (barcode && barcode.toString().trim() !== '');
-            })
-            .map((row, index) => {
-              // Use barcode as primary identifier, fall back to SKU
-              const primaryIdentifier = row[mappedHeaders.barcode]?.toString().trim() || 
-                                       row[mappedHeaders.sku]?.toString().trim() || 
-                                       `unknown_${index}`;
-              
-              const secondaryIdentifier = row[mappedHeaders.sku]?.toString().trim() || 
-                                          row[mappedHeaders.barcode]?.toString().trim() || 
-                                          primaryIdentifier;
-              
-              return {
-                sku: primaryIdentifier, // This will be used for searching/matching
-                barcode: primaryIdentifier, // Keep same for consistency
-                alternateId: secondaryIdentifier !== primaryIdentifier ? secondaryIdentifier : null,
-                description: row[mappedHeaders.description]?.toString().trim() || '',
-                expected_quantity: parseInt(row[mappedHeaders.expected_quantity]) || 0,
-                originalRow: index + 2 // For error reporting
-              };
-            });
-          
-          console.log('Transformed data sample:', transformedData.slice(0, 3));
-          
-          // Create preview
-          const previewInfo = {
-            filename: file.name,
-            fileSize: (file.size / 1024).toFixed(1) + ' KB',
-            totalRows: data.length,
-            validRows: transformedData.length,
-            skippedRows: data.length - transformedData.length,
-            headers: mappedHeaders,
-            sampleData: transformedData.slice(0, 5),
-            uploadTime: new Date().toISOString(),
-            hasBarcode: !!mappedHeaders.barcode,
-            hasSku: !!mappedHeaders.sku
+
+          // Malformed rows are kept as parsed and listed on the preview
+          const details = {
+            encoding,
+            encodingOverride,
+            detectedEncoding: detected,
+            parseErrors: collectParseErrors(errors)
           };
           
-          setPreviewData({ transformedData, previewInfo });
-          setShowPreview(true);
-          setUploadStatus(`Preview ready: ${validRows} items to count`);
-          setIsProcessing(false);
+          if (streamed) {
+            const bytesPerRow = data.length > 0 && meta.cursor ? meta.cursor / data.length : null;
+            loadParsedRows(file, data, meta.fields, {
+              ...details,
+              streamed: true,
+              delimiter: meta.delimiter,
+              estimatedRows: bytesPerRow ? Math.round(file.size / bytesPerRow) : null
+            });
+          } else {
+            loadParsedRows(file, data, meta.fields, details);
+          }
           
         } catch (error) {
           console.error('CSV processing error:', error);
@@ -203,7 +373,145 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
         setIsProcessing(false);
       }
     });
-  }, [validateCSVData]);
+  }, [loadParsedRows]);
+
+  // NEW: Excel workbooks - first visible sheet by default, switchable in the preview
+  const processExcelFile = useCallback(async (file) => {
+    setIsProcessing(true);
+    setUploadStatus('Reading Excel workbook...');
+    setValidationErrors([]);
+
+    try {
+      const workbook = await readWorkbook(file);
+      const names = getSheetNames(workbook);
+      if (names.length === 0) {
+        throw new Error('The workbook has no visible sheets');
+      }
+
+      const { fields, data } = readSheetRows(workbook, names[0]);
+      console.log(`Parsed sheet "${names[0]}":`, data.slice(0, 3));
+
+      workbookRef.current = { file, workbook };
+      setSheetNames(names);
+      setActiveSheet(names[0]);
+      loadParsedRows(file, data, fields);
+    } catch (error) {
+      console.error('Excel processing error:', error);
+      setValidationErrors([error.message || 'Error reading Excel file. Please check the file format.']);
+      setUploadStatus('');
+      setIsProcessing(false);
+    }
+  }, [loadParsedRows]);
+
+  const processFile = useCallback((file) => {
+    if (isExcelFile(file)) {
+      processExcelFile(file);
+    } else {
+      processCSVFile(file);
+    }
+  }, [processCSVFile, processExcelFile]);
+
+  // Manual encoding override re-reads the file ('auto' goes back to detection)
+  const handleEncodingChange = (value) => {
+    if (!parsedFile || !parsedFile.file) return;
+    processCSVFile(parsedFile.file, value === 'auto' ? null : value);
+  };
+
+  // Re-read the chosen sheet; it goes through the same mapping and validation
+  const handleSheetChange = (sheetName) => {
+    if (!workbookRef.current) return;
+
+    try {
+      const { file, workbook } = workbookRef.current;
+      const { fields, data } = readSheetRows(workbook, sheetName);
+      setActiveSheet(sheetName);
+      loadParsedRows(file, data, fields);
+    } catch (error) {
+      console.error('Sheet read error:', error);
+      setValidationErrors([error.message]);
+    }
+  };
+
+  // Preview is rebuilt from the raw rows whenever the column mapping changes
+  const previewData = useMemo(() => {
+    if (!parsedFile) return null;
+
+    // Streamed files are only a sample here; row-level checks run during the import
+    const { errors } = parsedFile.streamed
+      ? { errors: validateMapping(columnMapping) }
+      : validateCSVData(parsedFile.data, columnMapping);
+    const transformedData = transformCSVData(parsedFile.data, columnMapping);
+
+    const previewInfo = {
+      filename: parsedFile.filename,
+      fileSize: parsedFile.fileSize,
+      streamed: !!parsedFile.streamed,
+      estimatedRows: parsedFile.estimatedRows || null,
+      totalRows: parsedFile.data.length,
+      validRows: transformedData.length,
+      skippedRows: parsedFile.data.length - transformedData.length,
+      headers: columnMapping,
+      sampleData: transformedData.slice(0, 5),
+      uploadTime: new Date().toISOString(),
+      hasBarcode: !!columnMapping.barcode,
+      hasSku: !!columnMapping.sku
+    };
+
+    console.log('Transformed data sample:', transformedData.slice(0, 3));
+
+    return { transformedData, previewInfo, errors };
+  }, [parsedFile, columnMapping]);
+
+  const hasExistingSession = existingSession && existingSession.skus && existingSession.skus.length > 0;
+  const canMerge = hasExistingSession && !!onMergeIntoSession && !!parsedFile && !parsedFile.streamed;
+
+  // NEW: what a merge into the current session would change, shown before confirming
+  const mergeDiff = useMemo(() => {
+    if (uploadMode !== 'merge' || !canMerge || !previewData || previewData.errors.length > 0) return null;
+
+    try {
+      return localStorageManager.previewSessionMerge(existingSession.id, previewData.transformedData);
+    } catch (error) {
+      console.error('Merge preview error:', error);
+      return null;
+    }
+  }, [uploadMode, canMerge, previewData, existingSession]);
+
+  // Assign a source column to a field ('' ignores the column)
+  const handleColumnAssign = (header, field) => {
+    setColumnMapping(prev => {
+      const next = {};
+      Object.entries(prev).forEach(([existingField, existingHeader]) => {
+        if (existingHeader !== header && existingField !== field) {
+          next[existingField] = existingHeader;
+        }
+      });
+      if (field) {
+        next[field] = header;
+      }
+      return next;
+    });
+  };
+
+  const handleSaveProfile = () => {
+    try {
+      const profile = localStorageManager.saveColumnMappingProfile(profileName, parsedFile.fields, columnMapping);
+      setActiveProfile(profile);
+      setProfileMessage(`Profile "${profile.name}" saved - it will be used for files with these columns`);
+    } catch (error) {
+      setProfileMessage(error.message);
+    }
+  };
+
+  const handleDeleteProfile = () => {
+    if (!activeProfile || !window.confirm(`Delete mapping profile "${activeProfile.name}"?`)) return;
+
+    localStorageManager.deleteColumnMappingProfile(activeProfile.name);
+    setActiveProfile(null);
+    setColumnMapping(mapHeaders(parsedFile.fields));
+    setProfileName('');
+    setProfileMessage('Profile deleted - columns auto-detected');
+  };
 
   // Drag and drop handlers
   const handleDragEnter = useCallback((e) => {
@@ -244,9 +552,9 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
         return;
       }
       
-      processCSVFile(file);
+      processFile(file);
     }
-  }, [processCSVFile]);
+  }, [processFile]);
 
   const handleFileSelect = useCallback((e) => {
     if (e.target.files && e.target.files.length > 0) {
@@ -258,40 +566,211 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
         return;
       }
       
-      processCSVFile(file);
+      processFile(file);
     }
-  }, [processCSVFile]);
+  }, [processFile]);
+
+  const resetPreview = () => {
+    setParsedFile(null);
+    setShowPreview(false);
+    workbookRef.current = null;
+    setSheetNames([]);
+    setUploadMode('new');
+    setMissingAction('keep');
+
+    if (fileInputRef.current) {
+      fileInputRef.current.value = '';
+    }
+  };
+
+  const handleConfirmMerge = () => {
+    try {
+      onMergeIntoSession(previewData.previewInfo.filename, previewData.transformedData, { missingAction });
+      resetPreview();
+      setUploadStatus('Merged into current session');
+    } catch (error) {
+      console.error('Merge confirmation error:', error);
+      onUploadError(error.message || 'Error merging file');
+    }
+  };
 
   const handleConfirmUpload = () => {
-    if (!previewData) return;
+    if (!previewData || previewData.errors.length > 0) return;
+
+    if (uploadMode === 'merge' && canMerge) {
+      handleConfirmMerge();
+      return;
+    }
+
+    if (parsedFile.streamed) {
+      startStreamingImport();
+      return;
+    }
     
     try {
-      onUploadSuccess(previewData.previewInfo.filename, previewData.transformedData);
-      setPreviewData(null);
-      setShowPreview(false);
+      onUploadSuccess(previewData.previewInfo.filename, previewData.transformedData, {
+        name: sessionName.trim() || previewData.previewInfo.filename,
+        blindCount,
+        varianceTolerance: toleranceType === 'none' ? null : { type: toleranceType, value: toleranceValue }
+      });
+      resetPreview();
       setUploadStatus('Upload successful!');
       
-      if (fileInputRef.current) {
-        fileInputRef.current.value = '';
-      }
-      
     } catch (error) {
       console.error('Upload confirmation error:', error);
       onUploadError(error.message || 'Error confirming upload');
     }
   };
 
-  const handleCancelPreview = () => {
-    setPreviewData(null);
-    setShowPreview(false);
-    setUploadStatus('');
-    
+  const resetStreamingImport = () => {
+    importRef.current = null;
+    setImportProgress(null);
+
     if (fileInputRef.current) {
       fileInputRef.current.value = '';
     }
   };
 
-  const hasExistingSession = existingSession && existingSession.skus && existingSession.skus.length > 0;
+  const completeStreamingImport = () => {
+    try {
+      const session = localStorageManager.finishStreamingUpload(importRef.current.sessionId);
+      resetStreamingImport();
+      setUploadStatus('Upload successful!');
+      onImportComplete(session);
+    } catch (error) {
+      console.error('Import completion error:', error);
+      resetStreamingImport();
+      onUploadError(error.message || 'Error finishing import');
+    }
+  };
+
+  const discardStreamingImport = () => {
+    if (importRef.current) {
+      localStorageManager.abortStreamingUpload(importRef.current.sessionId);
+    }
+    resetStreamingImport();
+    setUploadStatus('');
+  };
+
+  // Parse the whole file in a worker, validating and storing each chunk as it arrives
+  const startStreamingImport = () => {
+    const { file, delimiter, encoding } = parsedFile;
+    const validator = createStreamValidator(columnMapping);
+    const parseErrors = [];
+    let parseErrorCount = 0;
+
+    let session;
+    try {
+      session = localStorageManager.beginStreamingUpload(file.name, {
+        name: sessionName.trim() || file.name,
+        blindCount,
+        varianceTolerance: toleranceType === 'none' ? null : { type: toleranceType, value: toleranceValue }
+      });
+    } catch (error) {
+      console.error('Import start error:', error);
+      onUploadError(error.message || 'Error starting import');
+      return;
+    }
+
+    importRef.current = { sessionId: session.id, cancelled: false, error: null };
+    setParsedFile(null);
+    setShowPreview(false);
+    setUploadStatus('');
+
+    const tally = () => ({
+      rowsRead: validator.state.rowCount,
+      duplicateCount: validator.state.duplicateCount,
+      duplicates: [...validator.state.duplicates],
+      missingCount: validator.state.missingCount,
+      missingRows: [...validator.state.missingRows],
+      parseErrorCount,
+      parseErrors: [...parseErrors]
+    });
+
+    setImportProgress({
+      filename: file.name,
+      percent: 0,
+      imported: 0,
+      status: 'importing', // importing, cancelling, review
+      ...tally()
+    });
+
+    Papa.parse(file, {
+      header: true,
+      dynamicTyping: false,
+      skipEmptyLines: true,
+      delimiter, // detected from the preview sample
+      encoding, // FileReader in the worker consumes the BOM; transformHeader cannot be sent to it
+      worker: true,
+      chunkSize: STREAMING_CHUNK_BYTES,
+      chunk: (results, parser) => {
+        if (!importRef.current || importRef.current.cancelled) {
+          parser.abort();
+          return;
+        }
+
+        try {
+          const chunkErrors = collectParseErrors(results.errors, validator.state.rowCount);
+          parseErrorCount += chunkErrors.length;
+          parseErrors.push(...chunkErrors.slice(0, Math.max(0, MAX_REPORTED_ROWS - parseErrors.length)));
+
+          const rows = validator.accept(results.data);
+          const { total } = localStorageManager.appendStreamingRows(session.id, rows);
+          const percent = Math.min(99, Math.round(((results.meta.cursor || 0) / file.size) * 100));
+          setImportProgress(prev => prev && { ...prev, ...tally(), imported: total, percent });
+        } catch (error) {
+          console.error('Streamed import error:', error);
+          importRef.current.error = error.message || 'Error importing rows';
+          parser.abort();
+        }
+      },
+      complete: () => {
+        if (!importRef.current) return;
+
+        if (validator.state.rowCount === 0 && !importRef.current.cancelled && !importRef.current.error) {
+          importRef.current.error = 'CSV file appears to be empty';
+        }
+
+        const { cancelled, error } = importRef.current;
+        if (cancelled || error) {
+          discardStreamingImport();
+          if (error) {
+            setValidationErrors([error]);
+          } else {
+            setUploadStatus('Import cancelled - nothing was saved');
+          }
+          return;
+        }
+
+        const result = tally();
+        console.log('Streamed CSV parsed:', result);
+
+        // Skipped rows need a decision; a clean file goes straight to counting
+        if (result.duplicateCount > 0 || result.missingCount > 0 || result.parseErrorCount > 0) {
+          setImportProgress(prev => prev && { ...prev, ...result, percent: 100, status: 'review' });
+        } else {
+          completeStreamingImport();
+        }
+      },
+      error: (error) => {
+        console.error('Papa Parse worker error:', error);
+        discardStreamingImport();
+        setValidationErrors(['Error parsing CSV file. Please check the file format.']);
+      }
+    });
+  };
+
+  const handleCancelImport = () => {
+    if (!importRef.current) return;
+
+    importRef.current.cancelled = true;
+    setImportProgress(prev => prev && { ...prev, status: 'cancelling' });
+  };
+
+  const handleCancelPreview = () => {
+    resetPreview();
+    setUploadStatus('');
+  };
 
   return (
     <div className="space-y-6">
@@ -310,10 +789,12 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
               <path fillRule="evenodd" d="M8.257 3.099c.765-1.36 2.722-1.36 3.486 0l5.58 9.92c.75 1.334-.213 2.98-1.742 2.98H4.42c-1.53 0-2.493-1.646-1.743-2.98l5.58-9.92zM11 13a1 1 0 11-2 0 1 1 0 012 0zm-1-8a1 1 0 00-1 1v3a1 1 0 002 0V6a1 1 0 00-1-1z" clipRule="evenodd" />
             </svg>
             <div>
-              <div className="font-medium">Active Session Found</div>
+              <div className="font-medium">
+                {activeSessionCount > 1 ? `${activeSessionCount} Active Sessions` : 'Active Session Found'}
+              </div>
               <div className="text-sm">
                 You have {existingSession.countProgress.counted} of {existingSession.countProgress.total} items counted. 
-                Uploading a new CSV will replace your current session.
+                Uploading a new CSV starts an additional session - your current counts are kept.
               </div>
             </div>
           </div>
@@ -358,8 +839,97 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
         </div>
       )}
 
+      {/* Streamed import progress */}
+      {importProgress && (
+        <div className="rounded-xl p-6 border bg-white" style={{ borderColor: '#D1D5DB' }}>
+          <div className="flex items-center justify-between mb-2">
+            <h3 className="text-lg font-medium text-gray-900">
+              {importProgress.status === 'review' ? 'Import finished with skipped rows' : `Importing ${importProgress.filename}`}
+            </h3>
+            <span className="text-sm font-medium text-gray-600">{importProgress.percent}%</span>
+          </div>
+
+          <div className="w-full h-2 rounded-full bg-gray-200 overflow-hidden mb-3">
+            <div
+              className="h-2 rounded-full transition-all duration-200"
+              style={{ width: `${importProgress.percent}%`, backgroundColor: '#86EFAC' }}
+            />
+          </div>
+
+          <div className="grid grid-cols-3 gap-4 text-sm mb-4">
+            <div>
+              <div className="text-gray-600">Rows read</div>
+              <div className="font-medium text-gray-900">{importProgress.rowsRead.toLocaleString()}</div>
+            </div>
+            <div>
+              <div className="text-gray-600">Items imported</div>
+              <div className="font-medium text-gray-900">{importProgress.imported.toLocaleString()}</div>
+            </div>
+            <div>
+              <div className="text-gray-600">Rows skipped</div>
+              <div className="font-medium" style={{ color: importProgress.duplicateCount + importProgress.missingCount > 0 ? '#B45309' : '#111827' }}>
+                {(importProgress.duplicateCount + importProgress.missingCount).toLocaleString()}
+              </div>
+            </div>
+          </div>
+
+          {(importProgress.duplicateCount > 0 || importProgress.missingCount > 0 || importProgress.parseErrorCount > 0) && (
+            <div className="rounded-lg p-3 mb-4 text-sm" style={{ backgroundColor: '#FEF3C7', color: '#B45309' }}>
+              {importProgress.duplicateCount > 0 && (
+                <div>
+                  {importProgress.duplicateCount} duplicate identifiers skipped (first kept): {importProgress.duplicates.join(', ')}
+                  {importProgress.duplicateCount > importProgress.duplicates.length ? '...' : ''}
+                </div>
+              )}
+              {importProgress.missingCount > 0 && (
+                <div>
+                  {importProgress.missingCount} rows without an identifier skipped: {importProgress.missingRows.join(', ')}
+                  {importProgress.missingCount > importProgress.missingRows.length ? '...' : ''}
+                </div>
+              )}
+              {importProgress.parseErrorCount > 0 && (
+                <div className="mt-1">
+                  <div>{importProgress.parseErrorCount} rows could not be parsed cleanly (imported as read):</div>
+                  <ul className="list-disc list-inside">
+                    {importProgress.parseErrors.map(error => (
+                      <li key={`${error.row}-${error.message}`}>Row {error.row}: {error.message}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+
+          {importProgress.status === 'review' ? (
+            <div className="flex space-x-3">
+              <button
+                onClick={discardStreamingImport}
+                className="flex-1 py-2 px-4 rounded-lg border border-gray-300 text-gray-700 font-medium hover:bg-gray-50"
+              >
+                Discard Import
+              </button>
+              <button
+                onClick={completeStreamingImport}
+                className="flex-1 py-2 px-4 rounded-lg font-medium"
+                style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+              >
+                Start Count ({importProgress.imported.toLocaleString()} items)
+              </button>
+            </div>
+          ) : (
+            <button
+              onClick={handleCancelImport}
+              disabled={importProgress.status === 'cancelling'}
+              className="w-full py-2 px-4 rounded-lg border border-gray-300 text-gray-700 font-medium hover:bg-gray-50 disabled:opacity-50"
+            >
+              {importProgress.status === 'cancelling' ? 'Cancelling...' : 'Cancel Import'}
+            </button>
+          )}
+        </div>
+      )}
+
       {/* File Upload Area */}
-      {!showPreview && (
+      {!showPreview && !importProgress && (
         <div
           className={`border-2 border-dashed rounded-xl p-8 text-center transition-all duration-200 cursor-pointer ${
             isDragging 
@@ -379,7 +949,7 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
           <input
             ref={fileInputRef}
             type="file"
-            accept=".csv"
+            accept=".csv,.xlsx"
             onChange={handleFileSelect}
             className="hidden"
           />
@@ -402,19 +972,22 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
             
             <div>
               <h3 className="text-lg font-medium text-gray-900">
-                {isProcessing ? 'Processing CSV...' : 'Upload Inventory CSV'}
+                {isProcessing ? 'Processing file...' : 'Upload Inventory CSV or Excel'}
               </h3>
               <p className="text-gray-600 mt-2">
-                Drag and drop your CSV file here, or click to browse
+                Drag and drop your CSV or .xlsx file here, or click to browse
               </p>
             </div>
             
             <div className="text-sm text-gray-500 space-y-1">
-              <div>• Accepted format: CSV files only</div>
+              <div>• Accepted formats: CSV and Excel (.xlsx) - pick the sheet on the preview screen</div>
               <div>• Required columns: SKU OR Barcode (at least one)</div>
-              <div>• Optional columns: Description, Expected Quantity</div>
+              <div>• Optional columns: Description, Expected Quantity, Tolerance, Unit Cost, Unit Price</div>
+              <div>• Any column names work - map them on the preview screen</div>
               <div>• Supports UPC, EAN, and other barcode formats</div>
-              <div>• Maximum file size: 10MB</div>
+              <div>• UTF-8, UTF-16 and Windows-1252 encodings are detected automatically</div>
+              <div>• Large CSVs (over 2MB) import in the background with progress - up to 200MB</div>
+              <div>• Maximum Excel file size: 10MB</div>
             </div>
             
             {isProcessing && (
@@ -439,7 +1012,7 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
           >
             <div className="p-6 border-b border-gray-200">
               <h3 className="text-lg font-semibold text-gray-900">
-                CSV Upload Preview - Enhanced Barcode Support
+                Upload Preview - Enhanced Barcode Support
               </h3>
               <p className="text-gray-600 text-sm mt-1">
                 Review your data before starting the count session
@@ -459,38 +1032,352 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
                 </div>
                 <div className="p-3 rounded-lg bg-gray-50">
                   <div className="text-sm text-gray-600">Total Items</div>
-                  <div className="font-medium text-gray-900">{previewData.previewInfo.validRows}</div>
+                  <div className="font-medium text-gray-900">
+                    {previewData.previewInfo.streamed
+                      ? `~${(previewData.previewInfo.estimatedRows || 0).toLocaleString()}`
+                      : previewData.previewInfo.validRows}
+                  </div>
                 </div>
                 <div className="p-3 rounded-lg bg-gray-50">
                   <div className="text-sm text-gray-600">Skipped Rows</div>
-                  <div className="font-medium text-gray-900">{previewData.previewInfo.skippedRows}</div>
+                  <div className="font-medium text-gray-900">
+                    {previewData.previewInfo.streamed ? 'Checked on import' : previewData.previewInfo.skippedRows}
+                  </div>
                 </div>
               </div>
 
-              {/* Enhanced Column Mapping */}
+              {previewData.previewInfo.streamed && (
+                <div className="rounded-lg p-3 mb-6 text-sm" style={{ backgroundColor: '#DCFCE7', color: '#059669' }}>
+                  Large file - the preview shows the first {previewData.previewInfo.totalRows} rows. The full file is
+                  read in the background when you start the count; rows with a missing or duplicate identifier are
+                  skipped and listed before counting begins.
+                </div>
+              )}
+
+              {/* File encoding (CSV) - detected, with manual override for garbled text */}
+              {parsedFile.encoding && (
+                <div className="mb-6">
+                  <label className="block font-medium text-gray-900 mb-2" htmlFor="encoding-select">
+                    File Encoding
+                  </label>
+                  <select
+                    id="encoding-select"
+                    value={parsedFile.encodingOverride || 'auto'}
+                    onChange={(e) => handleEncodingChange(e.target.value)}
+                    disabled={isProcessing}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900"
+                  >
+                    <option value="auto">Auto-detect ({getEncodingLabel(parsedFile.detectedEncoding.encoding)})</option>
+                    {ENCODING_OPTIONS.map(option => (
+                      <option key={option.value} value={option.value}>{option.label}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Detected {getEncodingLabel(parsedFile.detectedEncoding.encoding)} ({parsedFile.detectedEncoding.reason}
+                    {parsedFile.detectedEncoding.hasBom ? ', byte order mark removed' : ''}).
+                    If descriptions look garbled, pick the encoding your system exports.
+                  </p>
+                </div>
+              )}
+
+              {/* Sheet selection (Excel workbooks with several sheets) */}
+              {sheetNames.length > 1 && (
+                <div className="mb-6">
+                  <label className="block font-medium text-gray-900 mb-2" htmlFor="sheet-select">
+                    Sheet
+                  </label>
+                  <select
+                    id="sheet-select"
+                    value={activeSheet}
+                    onChange={(e) => handleSheetChange(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900"
+                  >
+                    {sheetNames.map(name => (
+                      <option key={name} value={name}>{name}</option>
+                    ))}
+                  </select>
+                  <p className="text-xs text-gray-500 mt-1">
+                    The first non-empty row of the sheet is used as the header
+                  </p>
+                </div>
+              )}
+
+              {/* Upload mode - new session, or merge into the session being counted */}
+              {canMerge && (
+                <div className="mb-6">
+                  <div className="block font-medium text-gray-900 mb-2">Upload Mode</div>
+                  <div className="space-y-2">
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        name="upload-mode"
+                        value="new"
+                        checked={uploadMode === 'new'}
+                        onChange={() => setUploadMode('new')}
+                        className="mr-2"
+                      />
+                      <span className="text-sm text-gray-900">Start a new count session</span>
+                    </label>
+                    <label className="flex items-center">
+                      <input
+                        type="radio"
+                        name="upload-mode"
+                        value="merge"
+                        checked={uploadMode === 'merge'}
+                        onChange={() => setUploadMode('merge')}
+                        className="mr-2"
+                      />
+                      <span className="text-sm text-gray-900">
+                        Merge into current session "{existingSession.name || existingSession.uploadData?.filename}"
+                      </span>
+                    </label>
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Merging appends new SKUs and updates expected quantities and descriptions. Counts already recorded are kept.
+                  </p>
+                </div>
+              )}
+
+              {uploadMode === 'merge' && canMerge ? (
+                <div className="mb-6">
+                  <label className="block font-medium text-gray-900 mb-2" htmlFor="missing-action">
+                    SKUs Not in This File
+                  </label>
+                  <select
+                    id="missing-action"
+                    value={missingAction}
+                    onChange={(e) => setMissingAction(e.target.value)}
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900"
+                  >
+                    <option value="keep">Keep them as they are</option>
+                    <option value="flag">Keep and flag as "not in latest file"</option>
+                    <option value="remove">Remove uncounted ones (counted ones are flagged)</option>
+                  </select>
+
+                  {/* Diff summary */}
+                  {mergeDiff && (
+                    <div className="mt-4">
+                      <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-3">
+                        <div className="p-3 rounded-lg bg-gray-50">
+                          <div className="text-sm text-gray-600">New SKUs</div>
+                          <div className="font-medium" style={{ color: '#059669' }}>+{mergeDiff.added.length}</div>
+                        </div>
+                        <div className="p-3 rounded-lg bg-gray-50">
+                          <div className="text-sm text-gray-600">Updated</div>
+                          <div className="font-medium text-gray-900">{mergeDiff.updated.length}</div>
+                        </div>
+                        <div className="p-3 rounded-lg bg-gray-50">
+                          <div className="text-sm text-gray-600">Unchanged</div>
+                          <div className="font-medium text-gray-900">{mergeDiff.unchanged}</div>
+                        </div>
+                        <div className="p-3 rounded-lg bg-gray-50">
+                          <div className="text-sm text-gray-600">Not in File</div>
+                          <div className="font-medium" style={{ color: mergeDiff.missing.length > 0 ? '#B45309' : '#111827' }}>
+                            {mergeDiff.missing.length}
+                          </div>
+                        </div>
+                      </div>
+
+                      <div className="space-y-1 text-sm max-h-48 overflow-y-auto">
+                        {mergeDiff.added.slice(0, 10).map(item => (
+                          <div key={`added-${item.sku}`} className="font-mono" style={{ color: '#059669' }}>
+                            + {item.sku} {item.description && <span className="font-sans text-gray-500">{item.description}</span>}
+                            {' '}(expected {item.expectedQuantity})
+                          </div>
+                        ))}
+                        {mergeDiff.updated.slice(0, 10).map(item => (
+                          <div key={`updated-${item.sku}`} className="font-mono text-gray-900">
+                            ~ {item.sku}
+                            <span className="font-sans text-gray-500">
+                              {item.changes.expectedQuantity && ` expected ${item.changes.expectedQuantity.from} → ${item.changes.expectedQuantity.to}`}
+                              {item.changes.description && ` description "${item.changes.description.from}" → "${item.changes.description.to}"`}
+                              {item.counted && ' (count kept)'}
+                            </span>
+                          </div>
+                        ))}
+                        {missingAction !== 'keep' && mergeDiff.missing.slice(0, 10).map(item => (
+                          <div key={`missing-${item.sku}`} className="font-mono" style={{ color: '#B45309' }}>
+                            {missingAction === 'remove' && !item.counted ? '−' : '!'} {item.sku}
+                            <span className="font-sans">
+                              {missingAction === 'remove' && !item.counted ? ' will be removed' : ' will be flagged'}
+                            </span>
+                          </div>
+                        ))}
+                        {(mergeDiff.added.length > 10 || mergeDiff.updated.length > 10 || (missingAction !== 'keep' && mergeDiff.missing.length > 10)) && (
+                          <div className="text-xs text-gray-500">Showing the first 10 of each change</div>
+                        )}
+                      </div>
+                    </div>
+                  )}
+                </div>
+              ) : (
+                <>
+                {/* Session Name */}
+                <div className="mb-6">
+                  <label className="block font-medium text-gray-900 mb-2" htmlFor="session-name">
+                    Session Name
+                  </label>
+                  <input
+                    id="session-name"
+                    type="text"
+                    value={sessionName}
+                    onChange={(e) => setSessionName(e.target.value)}
+                    placeholder="e.g. Cooler, Dry Goods"
+                    className="w-full px-3 py-2 border border-gray-300 rounded-lg text-gray-900"
+                  />
+                  <p className="text-xs text-gray-500 mt-1">
+                    Used to tell this count apart from other active sessions
+                  </p>
+                  <label className="flex items-start mt-3">
+                    <input
+                      type="checkbox"
+                      checked={blindCount}
+                      onChange={(e) => setBlindCount(e.target.checked)}
+                      className="mt-1 mr-2"
+                    />
+                    <span>
+                      <span className="block text-sm font-medium text-gray-900">Blind count</span>
+                      <span className="block text-xs text-gray-500">
+                        Counters never see expected quantities; variance is only calculated after counts are submitted
+                      </span>
+                    </span>
+                  </label>
+                </div>
+
+                {/* Variance Tolerance */}
+                <div className="mb-6">
+                  <label className="block font-medium text-gray-900 mb-2" htmlFor="tolerance-type">
+                    Variance Tolerance
+                  </label>
+                  <div className="flex space-x-2">
+                    <select
+                      id="tolerance-type"
+                      value={toleranceType}
+                      onChange={(e) => setToleranceType(e.target.value)}
+                      className="px-3 py-2 border border-gray-300 rounded-lg text-gray-900"
+                    >
+                      <option value="none">No tolerance check</option>
+                      <option value="absolute">Units (±)</option>
+                      <option value="percent">Percent (%)</option>
+                    </select>
+                    {toleranceType !== 'none' && (
+                      <input
+                        type="number"
+                        min="0"
+                        value={toleranceValue}
+                        onChange={(e) => setToleranceValue(e.target.value)}
+                        placeholder={toleranceType === 'percent' ? 'e.g. 10' : 'e.g. 2'}
+                        className="w-32 px-3 py-2 border border-gray-300 rounded-lg text-gray-900"
+                      />
+                    )}
+                  </div>
+                  <p className="text-xs text-gray-500 mt-1">
+                    Counts outside tolerance require a second count before they are accepted.
+                    {previewData.previewInfo.headers.tolerance
+                      ? ` Per-SKU values from the "${previewData.previewInfo.headers.tolerance}" column override this.`
+                      : ' Add a "tolerance" column (e.g. 5 or 10%) to set it per SKU.'}
+                  </p>
+                </div>
+                </>
+              )}
+
+              {/* Enhanced Column Mapping - auto-detected or from a saved profile, editable per column */}
               <div className="mb-6">
                 <h4 className="font-medium text-gray-900 mb-3">Column Mapping</h4>
                 <div className="bg-green-50 border border-green-200 rounded-lg p-3 mb-3">
-                  <div className="text-sm font-medium text-green-800">Barcode Support Active</div>
+                  <div className="text-sm font-medium text-green-800">
+                    {activeProfile ? `Profile: ${activeProfile.name}` : 'Auto-detected'}
+                  </div>
                   <div className="text-xs text-green-600 mt-1">
-                    {previewData.previewInfo.hasBarcode ? 'Barcode column detected and mapped' : 'Using SKU column as identifier'}
+                    {profileMessage || (previewData.previewInfo.hasBarcode ? 'Barcode column detected and mapped' : 'Using SKU column as identifier')}
                   </div>
                 </div>
                 <div className="space-y-2">
-                  {Object.entries(previewData.previewInfo.headers).map(([key, value]) => (
-                    <div key={key} className="flex items-center text-sm">
-                      <span className="font-medium text-gray-700 w-32 capitalize">{key.replace('_', ' ')}:</span>
-                      <span className="text-gray-600">"{value}"</span>
-                      {key === 'barcode' && (
-                        <span className="ml-2 px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded">
-                          Primary ID
-                        </span>
-                      )}
-                    </div>
-                  ))}
+                  {parsedFile.fields.map(header => {
+                    const assignedField = Object.keys(columnMapping).find(field => columnMapping[field] === header) || '';
+                    const sampleValue = parsedFile.data[0] ? parsedFile.data[0][header] : '';
+                    return (
+                      <div key={header} className="flex items-center text-sm">
+                        <span className="font-medium text-gray-700 w-40 truncate" title={header}>"{header}"</span>
+                        <span className="text-gray-400 mx-2">→</span>
+                        <select
+                          value={assignedField}
+                          onChange={(e) => handleColumnAssign(header, e.target.value)}
+                          className="px-2 py-1 border border-gray-300 rounded text-gray-900"
+                        >
+                          <option value="">Ignore</option>
+                          {Object.entries(FIELD_LABELS).map(([field, label]) => (
+                            <option key={field} value={field}>{label}</option>
+                          ))}
+                        </select>
+                        {assignedField === 'barcode' && (
+                          <span className="ml-2 px-2 py-1 bg-blue-100 text-blue-800 text-xs rounded">
+                            Primary ID
+                          </span>
+                        )}
+                        {sampleValue && (
+                          <span className="ml-3 text-xs text-gray-500 truncate">e.g. {sampleValue}</span>
+                        )}
+                      </div>
+                    );
+                  })}
+                </div>
+
+                {/* Save mapping as a named profile for this export source */}
+                <div className="flex items-center space-x-2 mt-3">
+                  <input
+                    type="text"
+                    value={profileName}
+                    onChange={(e) => setProfileName(e.target.value)}
+                    placeholder="Profile name, e.g. ERP export"
+                    className="flex-1 px-3 py-2 border border-gray-300 rounded-lg text-sm text-gray-900"
+                  />
+                  <button
+                    onClick={handleSaveProfile}
+                    disabled={!profileName.trim()}
+                    className="px-3 py-2 rounded-lg text-sm font-medium border border-gray-300 text-gray-700 hover:bg-gray-50"
+                  >
+                    Save Profile
+                  </button>
+                  {activeProfile && (
+                    <button
+                      onClick={handleDeleteProfile}
+                      className="px-3 py-2 rounded-lg text-sm text-red-600 hover:bg-red-50"
+                    >
+                      Delete
+                    </button>
+                  )}
                 </div>
               </div>
 
+              {/* Mapping problems */}
+              {previewData.errors.length > 0 && (
+                <div className="mb-6 rounded-lg p-3 border" style={{ backgroundColor: '#FEE2E2', borderColor: '#F87171', color: '#B91C1C' }}>
+                  <ul className="list-disc list-inside space-y-1 text-sm">
+                    {previewData.errors.map((error, index) => (
+                      <li key={index}>{error}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              {/* Rows the parser could not read cleanly - kept as read, listed so they can be checked */}
+              {parsedFile.parseErrors && parsedFile.parseErrors.length > 0 && (
+                <div className="mb-6 rounded-lg p-3 border" style={{ backgroundColor: '#FEF3C7', borderColor: '#F59E0B', color: '#B45309' }}>
+                  <div className="font-medium text-sm mb-1">
+                    {parsedFile.parseErrors.length} row{parsedFile.parseErrors.length === 1 ? '' : 's'} could not be parsed cleanly
+                  </div>
+                  <ul className="list-disc list-inside space-y-1 text-sm">
+                    {parsedFile.parseErrors.slice(0, 20).map(error => (
+                      <li key={`${error.row}-${error.message}`}>Row {error.row}: {error.message}</li>
+                    ))}
+                  </ul>
+                  {parsedFile.parseErrors.length > 20 && (
+                    <div className="text-xs mt-1">...and {parsedFile.parseErrors.length - 20} more</div>
+                  )}
+                </div>
+              )}
+
               {/* Sample Data Preview */}
               <div>
                 <h4 className="font-medium text-gray-900 mb-3">Sample Data (First 5 Rows)</h4>
@@ -501,6 +1388,9 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
                         <th className="px-4 py-2 text-left text-sm font-medium text-gray-700 border-b border-gray-200">Identifier</th>
                         <th className="px-4 py-2 text-left text-sm font-medium text-gray-700 border-b border-gray-200">Description</th>
                         <th className="px-4 py-2 text-left text-sm font-medium text-gray-700 border-b border-gray-200">Expected Qty</th>
+                        {previewData.previewInfo.headers.unit_cost && (
+                          <th className="px-4 py-2 text-left text-sm font-medium text-gray-700 border-b border-gray-200">Unit Cost</th>
+                        )}
                         <th className="px-4 py-2 text-left text-sm font-medium text-gray-700 border-b border-gray-200">Type</th>
                       </tr>
                     </thead>
@@ -515,6 +1405,9 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
                           </td>
                           <td className="px-4 py-2 text-sm text-gray-600 border-b border-gray-200">{row.description || '-'}</td>
                           <td className="px-4 py-2 text-sm text-gray-900 border-b border-gray-200">{row.expected_quantity}</td>
+                          {previewData.previewInfo.headers.unit_cost && (
+                            <td className="px-4 py-2 text-sm text-gray-900 border-b border-gray-200">{row.unit_cost || '-'}</td>
+                          )}
                           <td className="px-4 py-2 text-sm border-b border-gray-200">
                             {previewData.previewInfo.hasBarcode ? (
                               <span className="inline-block bg-blue-100 text-blue-800 text-xs px-2 py-1 rounded">
@@ -543,13 +1436,17 @@ const CSVUploadComponent = ({ onUploadSuccess, onUploadError, existingSession =
               </button>
               <button
                 onClick={handleConfirmUpload}
+                disabled={previewData.errors.length > 0}
                 className="flex-1 px-4 py-2 rounded-lg font-medium transition-colors"
                 style={{ 
-                  backgroundColor: '#86EFAC', 
-                  color: '#00001C'
+                  backgroundColor: previewData.errors.length > 0 ? '#D1D5DB' : '#86EFAC', 
+                  color: '#00001C',
+                  cursor: previewData.errors.length > 0 ? 'not-allowed' : 'pointer'
                 }}
               >
-                Start Count Session ({previewData.previewInfo.validRows} items)
+                {uploadMode === 'merge' && canMerge
+                  ? `Merge into Session (+${mergeDiff ? mergeDiff.added.length : 0} new, ${mergeDiff ? mergeDiff.updated.length : 0} updated)`
+                  : `Start Count Session (${previewData.previewInfo.validRows} items)`}
               </button>
             </div>
           </div>
@@ -3,6 +3,9 @@ import { DateTime } from 'luxon';
 import { getLocationByCode, quantityFieldMap } from '../config/theme';
 import auditLogger from '../utils/auditLogger';
 import { supabaseReplacementAPI, utils } from '../utils/api';
+import { describeMisread, matchComponent } from '../utils/gtin';
+import WedgeScannerSettings, { useWedgeScanner } from './WedgeScanner';
+import BatchScanDialog from './BatchScan';
 
 const CountItems = ({ selectedLocation, user, countMode = 'full' }) => {
   // ✅ SIMPLIFIED: Core state only
@@ -16,6 +19,8 @@ const CountItems = ({ selectedLocation, user, countMode = 'full' }) => {
   const [sessionId, setSessionId] = useState('');
   const [filteredSuggestions, setFilteredSuggestions] = useState([]);
   const [showSuggestions, setShowSuggestions] = useState(false);
+  const [showWedgeSettings, setShowWedgeSettings] = useState(false);
+  const [showBatchScan, setShowBatchScan] = useState(false);
   
   // Mobile-optimized refs
   const skuInputRef = useRef(null);
@@ -154,17 +159,58 @@ const CountItems = ({ selectedLocation, user, countMode = 'full' }) => {
     }
   };
 
-  // ✅ MOBILE-FIRST: Handle barcode scan/entry
-  const handleScan = async (e) => {
-    e.preventDefault();
-    
-    if (!currentSku.trim()) {
+  // Save one count with tracking and audit; returns its Recent Scans entry
+  const saveCount = async (component, enteredQty, scannedSku) => {
+    const actualQty = component[quantityFieldMap[selectedLocation]] || 0;
+
+    // Create history entry
+    const historyEntry = {
+      sku: scannedSku,
+      description: component.description || component.id,
+      enteredQty,
+      actualQty,
+      isCorrect: enteredQty === actualQty,
+      timestamp: DateTime.now().toFormat('HH:mm:ss'),
+      isPriority: component.is_high_volume
+    };
+
+    // Update component with count tracking
+    await supabaseReplacementAPI.updateComponentWithCountTracking(
+      component.barcode,
+      enteredQty,
+      selectedLocation,
+      countSource,
+      sessionId,
+      user?.id,
+      DateTime.now().toISO()
+    );
+
+    // Log to audit
+    await auditLogger.logInventoryScan(
+      component.barcode,
+      enteredQty,
+      selectedLocation,
+      `${countSource}_count`,
+      {
+        expected_quantity: actualQty,
+        is_correct: enteredQty === actualQty,
+        session_id: sessionId,
+        description: component.description
+      }
+    );
+
+    return historyEntry;
+  };
+
+  // Record a count for a SKU/barcode; also used for hardware scans
+  const submitCount = async (skuInput, quantityInput) => {
+    if (!skuInput.trim()) {
       setStatus('Please enter or scan a SKU');
       setStatusType('error');
       return;
     }
 
-    if (currentQuantity === '') {
+    if (quantityInput === '') {
       setStatus('Please enter a quantity');
       setStatusType('error');
       return;
@@ -172,63 +218,30 @@ const CountItems = ({ selectedLocation, user, countMode = 'full' }) => {
 
     try {
       // Find component
-      const component = components.find(c => 
-        c.barcode === currentSku || c.id === currentSku
-      );
+      const { component, misread } = matchComponent(components, skuInput);
 
-      if (!component) {
-        setStatus(`SKU "${currentSku}" not found in ${countSource} count list`);
+      if (misread) {
+        setStatus(describeMisread(skuInput));
         setStatusType('error');
         return;
       }
 
-      const enteredQty = parseInt(currentQuantity, 10);
-      const actualQty = component[quantityFieldMap[selectedLocation]] || 0;
-
-      // Create history entry
-      const historyEntry = {
-        sku: currentSku,
-        description: component.description || component.id,
-        enteredQty,
-        actualQty,
-        isCorrect: enteredQty === actualQty,
-        timestamp: DateTime.now().toFormat('HH:mm:ss'),
-        isPriority: component.is_high_volume
-      };
-
-      // Update component with count tracking
-      await supabaseReplacementAPI.updateComponentWithCountTracking(
-        component.barcode,
-        enteredQty,
-        selectedLocation,
-        countSource,
-        sessionId,
-        user?.id,
-        DateTime.now().toISO()
-      );
+      if (!component) {
+        setStatus(`SKU "${skuInput}" not found in ${countSource} count list`);
+        setStatusType('error');
+        return;
+      }
 
-      // Log to audit
-      await auditLogger.logInventoryScan(
-        component.barcode,
-        enteredQty,
-        selectedLocation,
-        `${countSource}_count`,
-        {
-          expected_quantity: actualQty,
-          is_correct: enteredQty === actualQty,
-          session_id: sessionId,
-          description: component.description
-        }
-      );
+      const historyEntry = await saveCount(component, parseInt(quantityInput, 10), skuInput);
 
       // Update UI
       setScanHistory(prev => [historyEntry, ...prev.slice(0, 4)]); // Keep 5 recent
       
-      if (enteredQty === actualQty) {
-        setStatus(`✓ ${component.description || currentSku} - Correct!`);
+      if (historyEntry.isCorrect) {
+        setStatus(`✓ ${component.description || skuInput} - Correct!`);
         setStatusType('success');
       } else {
-        setStatus(`✗ ${component.description || currentSku} - Check quantity`);
+        setStatus(`✗ ${component.description || skuInput} - Check quantity`);
         setStatusType('error');
       }
 
@@ -252,6 +265,48 @@ const CountItems = ({ selectedLocation, user, countMode = 'full' }) => {
     }
   };
 
+  // ✅ MOBILE-FIRST: Handle barcode scan/entry
+  const handleScan = (e) => {
+    e.preventDefault();
+    submitCount(currentSku, currentQuantity);
+  };
+
+  // Hardware scanner: a scan fills the SKU field (or counts 1 with auto-submit) wherever focus is
+  const wedge = useWedgeScanner((code) => {
+    setCurrentSku(code);
+    if (wedge.settings.autoSubmit) {
+      submitCount(code, '1');
+    }
+  }, { enabled: isActive && !showBatchScan });
+
+  // Batch scanning: each queued tally is saved like a submitted count
+  const resolveBatchScan = (code) => {
+    const { component, misread } = matchComponent(components, code);
+    if (misread) throw new Error(describeMisread(code));
+    if (!component) throw new Error(`SKU "${code}" not found in ${countSource} count list`);
+
+    return {
+      key: component.barcode,
+      label: component.id || component.barcode,
+      detail: component.description,
+      item: component
+    };
+  };
+
+  const commitBatchEntry = async (entry, quantity) => {
+    const historyEntry = await saveCount(entry.item, quantity, entry.code);
+    setScanHistory(prev => [historyEntry, ...prev.slice(0, 4)]);
+    return historyEntry.isCorrect
+      ? { type: 'success', message: 'Correct' }
+      : { type: 'warning', message: 'check quantity' };
+  };
+
+  const handleBatchCommitted = async (savedCount) => {
+    setStatus(`Saved ${savedCount} batch count${savedCount === 1 ? '' : 's'}`);
+    setStatusType('success');
+    await fetchComponents();
+  };
+
   // ✅ MOBILE-FIRST: Handle suggestion selection
   const selectSuggestion = (suggestion) => {
     setCurrentSku(suggestion.barcode);
@@ -455,6 +510,26 @@ const CountItems = ({ selectedLocation, user, countMode = 'full' }) => {
                   >
                     📷
                   </button>
+
+                  {/* Hardware Scanner Settings */}
+                  <button
+                    type="button"
+                    onClick={() => setShowWedgeSettings(true)}
+                    title="Hardware scanner settings"
+                    className="px-4 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-emerald-500"
+                  >
+                    ⚙️
+                  </button>
+
+                  {/* Batch Scan */}
+                  <button
+                    type="button"
+                    onClick={() => setShowBatchScan(true)}
+                    title="Batch scan single units"
+                    className="px-4 py-3 bg-gray-100 text-gray-700 rounded-lg hover:bg-gray-200 focus:ring-2 focus:ring-emerald-500"
+                  >
+                    🔁
+                  </button>
                 </div>
               </div>
 
@@ -540,6 +615,20 @@ const CountItems = ({ selectedLocation, user, countMode = 'full' }) => {
           </>
         )}
       </div>
+
+      {showWedgeSettings && (
+        <WedgeScannerSettings scanner={wedge} onClose={() => setShowWedgeSettings(false)} />
+      )}
+
+      {showBatchScan && (
+        <BatchScanDialog
+          title={countMode === 'priority' ? 'Batch Scan - Priority Count' : 'Batch Scan - Full Count'}
+          resolveScan={resolveBatchScan}
+          commitEntry={commitBatchEntry}
+          onCommitted={handleBatchCommitted}
+          onClose={() => setShowBatchScan(false)}
+        />
+      )}
     </div>
   );
 };
@@ -1,19 +1,36 @@
 // Enhanced CountSession.js - Added confirmation/rejection workflow for counts
 import React, { useState, useRef, useEffect, useCallback } from 'react';
 import { localStorageManager, storageHelpers } from '../utils/LocalStorageManager';
+import FoundItems from './FoundItems';
+import SkuHistoryDrawer, { describeCountEvent } from './SkuHistoryDrawer';
+import CountSheetDialog from './CountSheetDialog';
+import KeyInGrid from './KeyInGrid';
+import BarcodeScannerModal, { useBarcodeScanner } from './BarcodeScanner';
+import WedgeScannerSettings, { useWedgeScanner } from './WedgeScanner';
+import BatchScanDialog from './BatchScan';
+import { describeGS1, getGS1LineData, parseGS1 } from '../utils/gs1';
+import { describeMisread, isBarcodeMisread } from '../utils/gtin';
 
-const CountSession = ({ session: initialSession, onCountComplete, onCancelSession, onBack }) => {
+const CountSession = ({ session: initialSession, activeSessions = [], onSwitchSession, onCountComplete, onCancelSession, onBack }) => {
   const [currentSku, setCurrentSku] = useState('');
   const [currentQuantity, setCurrentQuantity] = useState('');
+  const [currentBin, setCurrentBin] = useState('');
+  const [moreBinsToCount, setMoreBinsToCount] = useState(false);
+  const [editingLine, setEditingLine] = useState(null); // { id, quantity, bin }
+  const [foundItemPrefill, setFoundItemPrefill] = useState(null);
+  const [historySkuId, setHistorySkuId] = useState(null);
+  // NEW: Paper counts - printed sheet and key-in grid share one order
+  const [paperMode, setPaperMode] = useState(null); // 'sheet' | 'grid'
+  const [sheetOptions, setSheetOptions] = useState({ groupBy: 'none', sortBy: 'file', onlyUncounted: true });
+  const [showWedgeSettings, setShowWedgeSettings] = useState(false);
+  const [showBatchScan, setShowBatchScan] = useState(false);
+  // SKU whose auto-submitted scan lines still await the tolerance check
+  const [autoCountSku, setAutoCountSku] = useState(null);
   const [searchResults, setSearchResults] = useState([]);
   const [showDropdown, setShowDropdown] = useState(false);
   const [selectedSkuData, setSelectedSkuData] = useState(null);
   const [status, setStatus] = useState('');
   const [statusType, setStatusType] = useState('');
-  const [showCamera, setShowCamera] = useState(false);
-  const [isScanning, setIsScanning] = useState(false);
-  const [cameraError, setCameraError] = useState('');
-  const [cameraSupported, setCameraSupported] = useState(true);
   
   // NEW: Confirmation workflow state
   const [showConfirmation, setShowConfirmation] = useState(false);
@@ -26,16 +43,14 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
   const skuInputRef = useRef(null);
   const quantityInputRef = useRef(null);
   const dropdownRef = useRef(null);
-  const videoRef = useRef(null);
-  const streamRef = useRef(null);
-  const scannerRef = useRef(null);
+  const autoCountRef = useRef(null); // { sku, sessionId } behind autoCountSku
 
   // FIXED: Update live session when initial session changes
   useEffect(() => {
     setLiveSession(initialSession);
   }, [initialSession]);
 
-  // FIXED: Function to refresh session data from LocalStorage
+  // FIXED: Function to refresh session data from the storage manager
   const refreshSession = useCallback(() => {
     const updatedSession = localStorageManager.getCurrentSession();
     if (updatedSession) {
@@ -48,208 +63,28 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
     }
   }, []);
 
-  // Check camera support
-  useEffect(() => {
-    const checkCameraSupport = () => {
-      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        setCameraSupported(false);
-        return;
-      }
-      
-      if (window.location.protocol !== 'https:' && window.location.hostname !== 'localhost') {
-        setCameraSupported(false);
-        return;
-      }
-      
-      setCameraSupported(true);
-    };
-    
-    checkCameraSupport();
-  }, []);
-
-  // Stop camera function
-  const stopCamera = useCallback(() => {
-    console.log('Stopping camera...');
-    
-    if (scannerRef.current) {
-      try {
-        scannerRef.current.stop();
-        scannerRef.current.offDetected();
-        scannerRef.current = null;
-      } catch (error) {
-        console.error('Error stopping Quagga:', error);
-      }
-    }
-    
-    if (streamRef.current) {
-      streamRef.current.getTracks().forEach(track => {
-        track.stop();
-        console.log('Stopped video track:', track.kind);
-      });
-      streamRef.current = null;
-    }
-    
-    if (videoRef.current) {
-      videoRef.current.srcObject = null;
-    }
-    
-    setShowCamera(false);
-    setIsScanning(false);
-    setCameraError('');
-  }, []);
-
-  // Enhanced barcode scanner with better detection
-  useEffect(() => {
-    if (showCamera && videoRef.current && !scannerRef.current && cameraSupported) {
-      const initializeScanner = async () => {
-        try {
-          const Quagga = (await import('quagga')).default;
-          
-          const config = {
-            inputStream: {
-              name: "Live",
-              type: "LiveStream",
-              target: videoRef.current,
-              constraints: {
-                width: { min: 640, ideal: 1280, max: 1920 },
-                height: { min: 480, ideal: 720, max: 1080 },
-                facingMode: "environment",
-                aspectRatio: { min: 1, max: 2 }
-              }
-            },
-            locator: {
-              patchSize: "medium",
-              halfSample: true
-            },
-            numOfWorkers: 2,
-            decoder: {
-              readers: [
-                "code_128_reader",
-                "ean_reader",
-                "ean_8_reader", 
-                "code_39_reader",
-                "code_39_vin_reader",
-                "codabar_reader",
-                "upc_reader",
-                "upc_e_reader",
-                "i2of5_reader"
-              ]
-            },
-            locate: true
-          };
-
-          console.log('Initializing Quagga scanner...');
-          
-          Quagga.init(config, (err) => {
-            if (err) {
-              console.error('Quagga initialization error:', err);
-              setCameraError('Failed to initialize barcode scanner. Please try again.');
-              return;
-            }
-            
-            console.log('Quagga initialized successfully');
-            Quagga.start();
-            setIsScanning(true);
-          });
-
-          Quagga.onDetected((result) => {
-            if (result && result.codeResult) {
-              const code = result.codeResult.code;
-              const confidence = result.codeResult.confidence || 0;
-              
-              console.log('Barcode detected:', code, 'Confidence:', confidence);
-              
-              if (confidence > 75) {
-                console.log('High confidence scan accepted:', code);
-                setCurrentSku(code);
-                stopCamera();
-                setStatus(`Barcode scanned: ${code}`);
-                setStatusType('success');
-                
-                setTimeout(() => {
-                  if (quantityInputRef.current) {
-                    quantityInputRef.current.focus();
-                  }
-                }, 100);
-              } else {
-                console.log('Low confidence scan ignored:', code, confidence);
-              }
-            }
-          });
-
-          scannerRef.current = Quagga;
-        } catch (error) {
-          console.error('Error loading Quagga:', error);
-          setCameraError('Barcode scanner library not available. Please enter codes manually.');
-        }
-      };
-
-      initializeScanner();
-    }
-
-    return () => {
-      if (scannerRef.current) {
-        try {
-          scannerRef.current.stop();
-          scannerRef.current.offDetected();
-          scannerRef.current = null;
-        } catch (error) {
-          console.error('Error stopping scanner:', error);
-        }
-      }
-    };
-  }, [showCamera, cameraSupported, stopCamera]);
-
-  useEffect(() => {
-    return () => {
-      stopCamera();
-    };
-  }, [stopCamera]);
+  // A GS1 count (AI 37) or variable count (AI 30) is the quantity on the label
+  const getScannedQuantity = (code) => {
+    const gs1 = parseGS1(code);
+    const count = gs1 ? gs1.count ?? gs1.variableCount : undefined;
+    return count === undefined ? '' : String(count);
+  };
 
-  const startCamera = async () => {
-    if (!cameraSupported) {
-      setCameraError('Camera not supported on this device or insecure connection');
-      return;
-    }
+  // Camera scanning: a scanned code fills the SKU field, then the quantity gets focus
+  const scanner = useBarcodeScanner({
+    onDetected: ({ code }) => {
+      setCurrentSku(code);
+      setCurrentQuantity(getScannedQuantity(code));
+      setStatus(`Barcode scanned: ${code}`);
+      setStatusType('success');
 
-    try {
-      setCameraError('');
-      setShowCamera(true);
-      
-      console.log('Requesting camera access...');
-      
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: {
-          facingMode: { ideal: "environment" },
-          width: { min: 640, ideal: 1280, max: 1920 },
-          height: { min: 480, ideal: 720, max: 1080 }
+      setTimeout(() => {
+        if (quantityInputRef.current) {
+          quantityInputRef.current.focus();
         }
-      });
-      
-      console.log('Camera access granted');
-      streamRef.current = stream;
-      
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
-      }
-    } catch (error) {
-      console.error('Camera access error:', error);
-      let errorMessage = 'Camera access denied';
-      
-      if (error.name === 'NotAllowedError') {
-        errorMessage = 'Camera permission denied. Please allow camera access and try again.';
-      } else if (error.name === 'NotFoundError') {
-        errorMessage = 'No camera found on this device.';
-      } else if (error.name === 'NotSupportedError') {
-        errorMessage = 'Camera not supported on this device.';
-      } else if (error.name === 'NotReadableError') {
-        errorMessage = 'Camera is in use by another application.';
-      }
-      
-      setCameraError(errorMessage);
-      setShowCamera(false);
+      }, 100);
     }
-  };
+  });
 
   useEffect(() => {
     if (status && statusType === 'success') {
@@ -297,6 +132,7 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
   const handleSkuSelect = (sku) => {
     setCurrentSku(sku.sku);
     setSelectedSkuData(sku);
+    setEditingLine(null);
     setShowDropdown(false);
     
     setTimeout(() => {
@@ -306,72 +142,155 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
     }, 100);
   };
 
-  // NEW: Modified count submission to show confirmation instead of immediately saving
-  const handleSubmitCount = async () => {
-    if (!currentSku || !currentQuantity) {
+  // Pending count for a SKU/barcode and quantity, or null after reporting why not
+  const prepareCount = (skuInput, quantityInput, { bin = currentBin, partial = moreBinsToCount } = {}) => {
+    if (!skuInput || !quantityInput) {
       setStatus('Please enter both SKU/Barcode and quantity');
       setStatusType('error');
-      return;
+      return null;
     }
 
-    const quantity = parseInt(currentQuantity);
+    const quantity = parseInt(quantityInput);
     if (isNaN(quantity) || quantity < 0) {
       setStatus('Please enter a valid quantity (0 or greater)');
       setStatusType('error');
-      return;
+      return null;
     }
 
     try {
       console.log('=== PREPARING COUNT FOR CONFIRMATION ===');
-      console.log('Scanned input:', currentSku);
+      console.log('Scanned input:', skuInput);
 
       // FIXED: Search in live session data
       let foundItem = liveSession.skus.find(sku => {
-        const searchSku = currentSku.toLowerCase().trim();
+        const searchSku = skuInput.toLowerCase().trim();
         return sku.sku.toLowerCase() === searchSku ||
                sku.barcode.toLowerCase() === searchSku ||
                (sku.alternateId && sku.alternateId.toLowerCase() === searchSku);
       });
+
+      // Not listed as typed: reject misreads, then match the same GTIN in another
+      // form (UPC-A as EAN-13/GTIN-14, UPC-E, or inside a GS1 element string)
+      if (!foundItem && isBarcodeMisread(skuInput)) {
+        setStatus(describeMisread(skuInput.trim()));
+        setStatusType('error');
+        return null;
+      }
+      if (!foundItem) {
+        const position = localStorageManager.findSkuPosition(skuInput, liveSession.id);
+        foundItem = position === -1 ? null : liveSession.skus[position];
+      }
+
+      const gs1 = parseGS1(skuInput);
       
       if (!foundItem) {
-        setStatus(`Item not found: "${currentSku}". Please check the SKU/Barcode.`);
+        // Not on the list - offer to record it as a found item instead of losing the count
+        setStatus(`Item not found: "${gs1?.gtin || skuInput}". Check the SKU/Barcode or record it as a found item below.`);
         setStatusType('error');
-        return;
+        setFoundItemPrefill({ identifier: gs1?.gtin || skuInput.trim(), quantity });
+        return null;
       }
 
       console.log('✅ Found item for confirmation:', foundItem.sku, 'Quantity:', quantity);
       
-      // Set up pending count for confirmation
-      setPendingCount({
+      // Earlier bin lines add to the running total
+      const existingTotal = (foundItem.countLines || []).reduce((total, line) => total + line.quantity, 0);
+      return {
         item: foundItem,
         quantity: quantity,
-        scannedInput: currentSku
-      });
-      
-      setShowConfirmation(true);
-      
+        bin: bin.trim(),
+        partial,
+        existingTotal,
+        runningTotal: existingTotal + quantity,
+        scannedInput: skuInput,
+        gs1
+      };
     } catch (error) {
       console.error('Count preparation error:', error);
       setStatus(`Error: ${error.message}`);
       setStatusType('error');
+      return null;
+    }
+  };
+
+  // NEW: Modified count submission to show confirmation instead of immediately saving
+  const handleSubmitCount = () => {
+    const pending = prepareCount(currentSku, currentQuantity);
+    if (pending) {
+      setPendingCount(pending);
+      setShowConfirmation(true);
     }
   };
 
   // NEW: Confirm the count and save it
-  const handleConfirmCount = async () => {
-    if (!pendingCount) return;
+  const handleConfirmCount = async (pending = pendingCount) => {
+    if (!pending) return;
     
     try {
       console.log('=== CONFIRMING COUNT ===');
-      const { item, quantity } = pendingCount;
+      const { item, quantity, bin, partial, gs1 } = pending;
       
-      const result = localStorageManager.countSku(item.sku, quantity);
+      const result = localStorageManager.countSku(item.sku, quantity, '', liveSession.id, { bin, partial, gs1 });
+
+      // A count of another SKU closes the auto-submitted one; a final count of the
+      // same SKU has just run the tolerance check itself
+      const openAutoCount = autoCountRef.current;
+      if (openAutoCount && (openAutoCount.sku !== item.sku || !partial)) {
+        autoCountRef.current = null;
+        setAutoCountSku(null);
+        if (openAutoCount.sku !== item.sku) {
+          // After this count's own status, so a recount warning is not overwritten
+          setTimeout(() => finishAutoCount(openAutoCount), 0);
+        }
+      }
       
-      if (result.success) {
+      if (result.success && result.recountRequired) {
+        // Out of tolerance - ask for an independent second count, without revealing the first
+        console.log('=== RECOUNT REQUIRED ===', result.skuData.sku);
+
+        setStatus(`Recount required: ${item.sku} is outside the variance tolerance. Please count it again.`);
+        setStatusType('warning');
+
+        refreshSession();
+
+        setCurrentSku('');
+        setCurrentQuantity('');
+        setCurrentBin('');
+        setMoreBinsToCount(false);
+        setSelectedSkuData(null);
+        setPendingCount(null);
+        setShowConfirmation(false);
+
+        setTimeout(() => {
+          if (skuInputRef.current) {
+            skuInputRef.current.focus();
+          }
+        }, 1500);
+      } else if (result.success && partial) {
+        // More bins to go - keep the SKU selected for the next line
+        setStatus(`✓ ${item.sku}${bin ? ` @ ${bin}` : ''} - Qty: ${quantity} (running total ${result.skuData.countedQuantity})`);
+        setStatusType('success');
+
+        refreshSession();
+
+        setCurrentQuantity('');
+        setCurrentBin('');
+        setSelectedSkuData(result.skuData);
+        setPendingCount(null);
+        setShowConfirmation(false);
+
+        setTimeout(() => {
+          if (quantityInputRef.current) {
+            quantityInputRef.current.focus();
+          }
+        }, 100);
+      } else if (result.success) {
         console.log('=== COUNT SUCCESS DEBUG ===');
         console.log('Result:', result);
 
-        setStatus(`✓ Confirmed: ${item.sku} - Qty: ${quantity}`);
+        setStatus(result.skuData.countLines.length > 1
+          ? `✓ Confirmed: ${item.sku}${bin ? ` @ ${bin}` : ''} - Qty: ${quantity} (total ${result.skuData.countedQuantity})`
+          : `✓ Confirmed: ${item.sku} - Qty: ${quantity}`);
         setStatusType('success');
         
         // FIXED: Immediately refresh session to update progress
@@ -380,6 +299,8 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
         // Clear all inputs and states
         setCurrentSku('');
         setCurrentQuantity('');
+        setCurrentBin('');
+        setMoreBinsToCount(false);
         setSelectedSkuData(null);
         setPendingCount(null);
         setShowConfirmation(false);
@@ -391,7 +312,7 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
         }, 1500);
         
         // Check if session is complete
-        const updatedStats = localStorageManager.getCountStatistics();
+        const updatedStats = localStorageManager.getCountStatistics(liveSession.id);
         if (updatedStats && updatedStats.percentage === 100) {
           setTimeout(() => {
             if (window.confirm('🎉 All items have been counted! Complete this session?')) {
@@ -410,6 +331,133 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
     }
   };
 
+  // Auto-submitted lines are partial, so the SKU is checked against its tolerance
+  // once scanning moves on to another SKU, on "Finish" or when the screen closes
+  const finishAutoCount = useCallback((open, { quiet = false } = {}) => {
+    if (!open) return;
+    if (autoCountRef.current === open) {
+      autoCountRef.current = null;
+      setAutoCountSku(null);
+    }
+
+    try {
+      const result = localStorageManager.finishSkuCount(open.sku, open.sessionId);
+      if (quiet) return;
+
+      refreshSession();
+      if (result.recountRequired) {
+        setStatus(`Recount required: ${open.sku} is outside the variance tolerance. Please count it again.`);
+        setStatusType('warning');
+      } else {
+        setStatus(`✓ Finished: ${open.sku} - Qty: ${result.skuData.countedQuantity}`);
+        setStatusType('success');
+      }
+    } catch (error) {
+      // Lines deleted or undone since the scan: nothing left to check
+      console.warn('Could not finish auto-submitted count:', open.sku, error);
+    }
+  }, [refreshSession]);
+
+  useEffect(() => () => finishAutoCount(autoCountRef.current, { quiet: true }), [finishAutoCount]);
+
+  // Hardware scanner: a scan fills the SKU field wherever focus is. With auto-submit
+  // each scan is a bin line of 1 (or the GS1 count), so the tolerance check waits
+  // for a final count.
+  const wedge = useWedgeScanner((code) => {
+    if (showConfirmation) {
+      setStatus(`Scan ignored (${code}): confirm or reject the pending count first`);
+      setStatusType('warning');
+      return;
+    }
+
+    setEditingLine(null);
+    if (wedge.settings.autoSubmit) {
+      const pending = prepareCount(code, getScannedQuantity(code) || '1', { partial: true });
+      if (pending) {
+        handleConfirmCount(pending);
+        autoCountRef.current = { sku: pending.item.sku, sessionId: liveSession.id };
+        setAutoCountSku(pending.item.sku);
+      }
+      return;
+    }
+
+    setCurrentSku(code);
+    setCurrentQuantity(getScannedQuantity(code));
+    setStatus(`Barcode scanned: ${code}`);
+    setStatusType('success');
+    setTimeout(() => {
+      if (quantityInputRef.current) {
+        quantityInputRef.current.focus();
+      }
+    }, 100);
+  }, { enabled: !paperMode && !showBatchScan });
+
+  // Batch scanning: queued tallies are saved as ordinary count lines, one per SKU
+  // GS1 scans keep their lot, expiry and serial: each distinct lot/serial is its
+  // own entry and becomes its own count line.
+  const batchPartialSkus = useRef(new Set()); // SKUs with lines saved but not yet finished
+
+  const resolveBatchScan = (code) => {
+    const { session, skuIndex } = localStorageManager.locateSku(code, liveSession.id);
+    const sku = session.skus[skuIndex];
+    const { count, variableCount, ...gs1 } = getGS1LineData(parseGS1(code)) || {};
+    const hasGS1 = Object.keys(gs1).length > 0;
+
+    return {
+      key: [sku.sku, gs1.lot, gs1.expiryDate, gs1.serial].filter(Boolean).join(' | '),
+      label: sku.sku,
+      detail: [sku.description, hasGS1 && describeGS1(gs1)].filter(Boolean).join(' • '),
+      quantity: parseInt(getScannedQuantity(code), 10) || 1,
+      once: !!gs1.serial,
+      item: sku,
+      gs1: hasGS1 ? gs1 : null
+    };
+  };
+
+  // Lines of one SKU are partial until its last entry, so the tolerance check
+  // sees the batch total rather than the first lot
+  const commitBatchEntry = (entry, quantity, { bin, pending }) => {
+    const partial = pending.some(other => other.item.sku === entry.item.sku);
+    const result = localStorageManager.countSku(entry.item.sku, quantity, '', liveSession.id, {
+      bin,
+      partial,
+      gs1: entry.gs1
+    });
+
+    if (partial) {
+      batchPartialSkus.current.add(entry.item.sku);
+      return { type: 'success', message: `Line saved (running total ${result.skuData.countedQuantity})` };
+    }
+    batchPartialSkus.current.delete(entry.item.sku);
+    return result.recountRequired
+      ? { type: 'warning', message: 'outside tolerance, count it again' }
+      : { type: 'success', message: `Total ${result.skuData.countedQuantity}` };
+  };
+
+  const handleBatchCommitted = (savedCount) => {
+    // The last line of a SKU failed to save: check the lines that did
+    const recounts = [];
+    batchPartialSkus.current.forEach(sku => {
+      try {
+        if (localStorageManager.finishSkuCount(sku, liveSession.id).recountRequired) {
+          recounts.push(sku);
+        }
+      } catch (error) {
+        console.warn('Could not finish batch count:', sku, error);
+      }
+    });
+    batchPartialSkus.current.clear();
+
+    refreshSession();
+    if (recounts.length > 0) {
+      setStatus(`Recount required: ${recounts.join(', ')} outside the variance tolerance. Please count again.`);
+      setStatusType('warning');
+    } else {
+      setStatus(`✓ Saved ${savedCount} batch count${savedCount === 1 ? '' : 's'}`);
+      setStatusType('success');
+    }
+  };
+
   // NEW: Reject the count and allow user to re-enter
   const handleRejectCount = () => {
     console.log('=== COUNT REJECTED ===');
@@ -429,6 +477,116 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
     }, 100);
   };
 
+  // Edit or delete an individual bin line of the selected SKU
+  const handleSaveLineEdit = (sku) => {
+    if (!editingLine) return;
+
+    const quantity = parseInt(editingLine.quantity);
+    if (isNaN(quantity) || quantity < 0) {
+      setStatus('Please enter a valid quantity (0 or greater)');
+      setStatusType('error');
+      return;
+    }
+
+    try {
+      const result = localStorageManager.updateCountLine(sku.sku, editingLine.id, {
+        quantity,
+        bin: editingLine.bin
+      }, liveSession.id);
+      setSelectedSkuData(result.skuData);
+      setEditingLine(null);
+      refreshSession();
+      setStatus(`✓ Updated line for ${sku.sku} (total ${result.skuData.countedQuantity})`);
+      setStatusType('success');
+    } catch (error) {
+      console.error('Count line update error:', error);
+      setStatus(`Error: ${error.message}`);
+      setStatusType('error');
+    }
+  };
+
+  const handleDeleteLine = (sku, line) => {
+    if (!window.confirm(`Delete the count of ${line.quantity}${line.bin ? ` in ${line.bin}` : ''} for ${sku.sku}?`)) {
+      return;
+    }
+
+    try {
+      const result = localStorageManager.deleteCountLine(sku.sku, line.id, liveSession.id);
+      setSelectedSkuData(result.skuData);
+      setEditingLine(null);
+      refreshSession();
+      setStatus(result.skuData.counted
+        ? `✓ Deleted line for ${sku.sku} (total ${result.skuData.countedQuantity})`
+        : `✓ Deleted last line for ${sku.sku} - item is uncounted again`);
+      setStatusType('success');
+    } catch (error) {
+      console.error('Count line delete error:', error);
+      setStatus(`Error: ${error.message}`);
+      setStatusType('error');
+    }
+  };
+
+  // Revert the most recent count change in this session
+  const handleUndoLastCount = () => {
+    const lastChange = localStorageManager.getLastUndoableEvent(liveSession.id);
+    if (!lastChange) return;
+
+    if (!window.confirm(`Undo "${describeCountEvent(lastChange.event)}" for ${lastChange.sku.sku}?`)) {
+      return;
+    }
+
+    try {
+      const result = localStorageManager.undoLastCount(liveSession.id);
+      if (!result.success) {
+        setStatus(result.error);
+        setStatusType('error');
+        return;
+      }
+
+      if (selectedSkuData && selectedSkuData.id === result.skuData.id) {
+        setSelectedSkuData(result.skuData);
+      }
+      setEditingLine(null);
+      refreshSession();
+      setStatus(`↶ Undid "${describeCountEvent(result.undoneEvent)}" for ${result.skuData.sku}`);
+      setStatusType('success');
+    } catch (error) {
+      console.error('Undo error:', error);
+      setStatus(`Error: ${error.message}`);
+      setStatusType('error');
+    }
+  };
+
+  const clearFoundItemPrefill = useCallback(() => setFoundItemPrefill(null), []);
+
+  const handleFoundItemRecorded = (message) => {
+    setStatus(message);
+    setStatusType('success');
+    setCurrentSku('');
+    setCurrentQuantity('');
+    refreshSession();
+  };
+
+  const handleFoundItemError = (message) => {
+    setStatus(`Error: ${message}`);
+    setStatusType('error');
+  };
+
+  // Switch to another active session, discarding any half-entered count
+  const handleSessionSwitch = (sessionId) => {
+    if (!onSwitchSession || sessionId === liveSession?.id) return;
+
+    setCurrentSku('');
+    setCurrentQuantity('');
+    setCurrentBin('');
+    setMoreBinsToCount(false);
+    setEditingLine(null);
+    setSelectedSkuData(null);
+    setPendingCount(null);
+    setShowConfirmation(false);
+    onSwitchSession(sessionId);
+  };
+
   const handleKeyPress = (e, nextAction) => {
     if (e.key === 'Enter') {
       e.preventDefault();
@@ -437,11 +595,23 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
   };
 
   // FIXED: Calculate progress from live session data
-  const remainingItems = liveSession ? liveSession.skus.filter(sku => !sku.counted).slice(0, 10) : [];
+  // Items waiting on a recount are listed first
+  const remainingItems = liveSession
+    ? liveSession.skus
+        .filter(sku => !sku.counted)
+        .sort((a, b) => (b.recountRequired ? 1 : 0) - (a.recountRequired ? 1 : 0))
+        .slice(0, 10)
+    : [];
   const totalItems = liveSession ? liveSession.skus.length : 0;
   const countedItems = liveSession ? liveSession.skus.filter(sku => sku.counted).length : 0;
   const remainingCount = totalItems - countedItems;
   const progressPercentage = totalItems > 0 ? Math.round((countedItems / totalItems) * 100) : 0;
+  const foundItemCount = liveSession?.foundItems ? liveSession.foundItems.length : 0;
+  const lastUndoable = liveSession ? localStorageManager.getLastUndoableEvent(liveSession.id) : null;
+  const historySku = historySkuId && liveSession ? liveSession.skus.find(sku => sku.id === historySkuId) : null;
+
+  // Blind counts never show expected quantities or variance to the counter
+  const isBlindCount = !!liveSession?.blindCount;
 
   // Add debug logging for progress
   console.log('📊 Progress Debug:', {
@@ -468,16 +638,88 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
       <div className="flex items-center justify-between">
         <div>
           <h2 className="text-xl font-bold" style={{ color: '#FAFCFB' }}>
-            Count Session
+            {liveSession.name || 'Count Session'}
           </h2>
           <p className="text-sm" style={{ color: '#9FA3AC' }}>
             {liveSession.uploadData?.filename || 'Unknown file'}
+            {isBlindCount && (
+              <span className="ml-2 px-2 py-0.5 rounded text-xs font-medium" style={{ 
+                backgroundColor: '#374051', 
+                color: '#FAFCFB' 
+              }}>
+                BLIND COUNT
+              </span>
+            )}
           </p>
+          {activeSessions.length > 1 && (
+            <select
+              value={liveSession.id}
+              onChange={(e) => handleSessionSwitch(e.target.value)}
+              disabled={showConfirmation}
+              className="mt-2 px-3 py-2 rounded-lg border text-sm"
+              style={{ 
+                backgroundColor: '#15161B', 
+                borderColor: '#39414E',
+                color: '#FAFCFB'
+              }}
+            >
+              {activeSessions.map(session => (
+                <option key={session.id} value={session.id}>
+                  {session.name} ({session.progress?.counted || 0}/{session.progress?.total || 0})
+                </option>
+              ))}
+            </select>
+          )}
         </div>
         
         <div className="flex space-x-2">
           <button
-            onClick={() => storageHelpers.exportSessionAsCSV()}
+            onClick={() => setPaperMode('sheet')}
+            disabled={showConfirmation}
+            className="px-3 py-2 rounded-lg text-sm font-medium"
+            style={{ 
+              backgroundColor: '#374051', 
+              color: '#FAFCFB'
+            }}
+          >
+            Count Sheet
+          </button>
+          <button
+            onClick={() => setPaperMode('grid')}
+            disabled={showConfirmation}
+            className="px-3 py-2 rounded-lg text-sm font-medium"
+            style={{ 
+              backgroundColor: '#374051', 
+              color: '#FAFCFB'
+            }}
+          >
+            Key In
+          </button>
+          <button
+            onClick={() => setShowBatchScan(true)}
+            disabled={showConfirmation}
+            className="px-3 py-2 rounded-lg text-sm font-medium"
+            style={{ 
+              backgroundColor: '#374051', 
+              color: '#FAFCFB'
+            }}
+            title="Scan single units continuously and save the tallies at once"
+          >
+            Batch Scan
+          </button>
+          <button
+            onClick={() => setShowWedgeSettings(true)}
+            className="px-3 py-2 rounded-lg text-sm font-medium"
+            style={{ 
+              backgroundColor: '#374051', 
+              color: '#FAFCFB'
+            }}
+            title="Hardware scanner settings"
+          >
+            Scanner
+          </button>
+          <button
+            onClick={() => storageHelpers.exportSessionAsCSV(liveSession.id)}
             className="px-3 py-2 rounded-lg text-sm font-medium"
             style={{ 
               backgroundColor: '#374051', 
@@ -503,17 +745,37 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
       {status && (
         <div className={`p-4 rounded-lg border ${
           statusType === 'success' ? 'bg-emerald-900/20 border-emerald-400 text-emerald-300' :
+          statusType === 'warning' ? 'bg-amber-900/20 border-amber-400 text-amber-300' :
           'bg-red-900/20 border-red-400 text-red-300'
         }`}>
           <div className="flex items-center">
             <span className="mr-2">
-              {statusType === 'success' ? '✓' : '✗'}
+              {statusType === 'success' ? '✓' : statusType === 'warning' ? '↻' : '✗'}
             </span>
             <span className="text-sm font-medium">{status}</span>
           </div>
         </div>
       )}
 
+      {/* Auto-submitted scans of one SKU wait here for the tolerance check */}
+      {autoCountSku && (
+        <div
+          className="flex items-center justify-between p-3 rounded-lg border text-sm"
+          style={{ backgroundColor: '#181B22', borderColor: '#39414E', color: '#9FA3AC' }}
+        >
+          <span>
+            Scanning <span className="font-mono" style={{ color: '#FAFCFB' }}>{autoCountSku}</span> - finish it to check the total
+          </span>
+          <button
+            onClick={() => finishAutoCount(autoCountRef.current)}
+            className="px-3 py-1 rounded-lg text-sm font-medium"
+            style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+          >
+            Finish {autoCountSku}
+          </button>
+        </div>
+      )}
+
       {/* FIXED: Live Progress Section */}
       <div 
         className="rounded-xl p-4 shadow-sm border"
@@ -530,6 +792,19 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
             <span className="text-sm" style={{ color: '#9FA3AC' }}>
               {countedItems}/{totalItems} ({progressPercentage}%)
             </span>
+            <button
+              onClick={handleUndoLastCount}
+              disabled={!lastUndoable || showConfirmation}
+              title={lastUndoable ? `Undo: ${describeCountEvent(lastUndoable.event)} (${lastUndoable.sku.sku})` : 'Nothing to undo'}
+              className="text-xs px-2 py-1 rounded border"
+              style={{
+                backgroundColor: 'transparent',
+                borderColor: '#39414E',
+                color: lastUndoable ? '#FAFCFB' : '#39414E'
+              }}
+            >
+              ↶ Undo Last Count
+            </button>
             <button
               onClick={refreshSession}
               className="text-xs px-2 py-1 rounded"
@@ -553,6 +828,11 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
             🎉 All items counted! Ready to complete.
           </div>
         )}
+        {foundItemCount > 0 && (
+          <div className="text-xs mt-2" style={{ color: '#9FA3AC' }}>
+            + {foundItemCount} found item{foundItemCount === 1 ? '' : 's'} not in the uploaded list
+          </div>
+        )}
       </div>
 
       {/* Enhanced Count Input Section */}
@@ -589,25 +869,25 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
               disabled={showConfirmation}
             />
             
-            {cameraSupported && (
+            {scanner.isSupported && (
               <button
-                onClick={startCamera}
-                disabled={showCamera || !cameraSupported || showConfirmation}
+                onClick={scanner.open}
+                disabled={scanner.isOpen || showConfirmation}
                 className="absolute right-3 p-2 rounded-lg transition-all"
                 style={{ 
                   backgroundColor: 'transparent',
                   border: 'none',
-                  cursor: (showCamera || !cameraSupported || showConfirmation) ? 'not-allowed' : 'pointer',
-                  opacity: (showCamera || !cameraSupported || showConfirmation) ? '0.5' : '1'
+                  cursor: (scanner.isOpen || showConfirmation) ? 'not-allowed' : 'pointer',
+                  opacity: (scanner.isOpen || showConfirmation) ? '0.5' : '1'
                 }}
-                title={cameraSupported ? "Scan barcode with camera" : "Camera not supported"}
+                title="Scan barcode with camera"
               >
                 <svg
                   width="20"
                   height="20"
                   viewBox="0 0 24 24"
                   fill="none"
-                  stroke={cameraSupported ? "#86EFAC" : "#9FA3AC"}
+                  stroke="#86EFAC"
                   strokeWidth="2"
                 >
                   <path d="M23 19a2 2 0 0 1-2 2H3a2 2 0 0 1-2-2V8a2 2 0 0 1 2-2h4l2-3h6l2 3h4a2 2 0 0 1 2 2z"/>
@@ -648,7 +928,9 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
                       </div>
                     )}
                     <div className="text-xs" style={{ color: '#00001C' }}>
-                      Expected: {sku.expectedQuantity} • {sku.counted ? '✓ Counted' : 'Not Counted'}
+                      {!isBlindCount && `Expected: ${sku.expectedQuantity} • `}
+                      {sku.counted ? '✓ Counted' : sku.recountRequired ? '↻ Recount Required' : 'Not Counted'}
+                      {sku.missingFromUpload && ' • Not in latest file'}
                     </div>
                   </div>
                 </div>
@@ -675,13 +957,113 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
                 {selectedSkuData.description}
               </div>
             )}
-            <div className="text-xs" style={{ color: '#9FA3AC' }}>
-              Expected Quantity: {selectedSkuData.expectedQuantity}
-            </div>
+            {!isBlindCount && (
+              <div className="text-xs" style={{ color: '#9FA3AC' }}>
+                Expected Quantity: {selectedSkuData.expectedQuantity}
+              </div>
+            )}
+            {selectedSkuData.recountRequired && (
+              <div className="text-xs font-medium mt-1" style={{ color: '#F59E0B' }}>
+                ↻ Recount required - count this item again from scratch
+              </div>
+            )}
+            {selectedSkuData.events && selectedSkuData.events.length > 0 && (
+              <button
+                onClick={() => setHistorySkuId(selectedSkuData.id)}
+                className="text-xs mt-1 underline"
+                style={{ color: '#86EFAC' }}
+              >
+                View history ({selectedSkuData.events.length})
+              </button>
+            )}
+
+            {/* Bin lines counted so far */}
+            {selectedSkuData.countLines && selectedSkuData.countLines.length > 0 && (
+              <div className="mt-3 pt-3 border-t" style={{ borderColor: '#39414E' }}>
+                <div className="flex justify-between text-xs font-medium mb-2" style={{ color: '#FAFCFB' }}>
+                  <span>Counted so far</span>
+                  <span>Total: {selectedSkuData.countedQuantity}</span>
+                </div>
+                <div className="space-y-1">
+                  {selectedSkuData.countLines.map(line => (
+                    editingLine && editingLine.id === line.id ? (
+                      <div key={line.id} className="flex items-center space-x-2">
+                        <input
+                          type="text"
+                          value={editingLine.bin}
+                          onChange={(e) => setEditingLine({ ...editingLine, bin: e.target.value })}
+                          placeholder="Bin"
+                          className="w-24 px-2 py-1 rounded border text-xs"
+                          style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+                        />
+                        <input
+                          type="number"
+                          min="0"
+                          value={editingLine.quantity}
+                          onChange={(e) => setEditingLine({ ...editingLine, quantity: e.target.value })}
+                          className="w-20 px-2 py-1 rounded border text-xs"
+                          style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+                        />
+                        <button
+                          onClick={() => handleSaveLineEdit(selectedSkuData)}
+                          className="text-xs px-2 py-1 rounded"
+                          style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+                        >
+                          Save
+                        </button>
+                        <button
+                          onClick={() => setEditingLine(null)}
+                          className="text-xs px-2 py-1"
+                          style={{ color: '#9FA3AC' }}
+                        >
+                          Cancel
+                        </button>
+                      </div>
+                    ) : (
+                      <div key={line.id} className="flex items-center justify-between text-xs" style={{ color: '#9FA3AC' }}>
+                        <span className="font-mono">
+                          {line.bin || 'No bin'}: <span style={{ color: '#FAFCFB' }}>{line.quantity}</span>
+                          {line.gs1 && describeGS1(line.gs1) && ` (${describeGS1(line.gs1)})`}
+                        </span>
+                        <span className="space-x-2">
+                          <button
+                            onClick={() => setEditingLine({ id: line.id, quantity: String(line.quantity), bin: line.bin || '' })}
+                            disabled={showConfirmation}
+                            style={{ color: '#86EFAC' }}
+                          >
+                            Edit
+                          </button>
+                          <button
+                            onClick={() => handleDeleteLine(selectedSkuData, line)}
+                            disabled={showConfirmation}
+                            style={{ color: '#F87171' }}
+                          >
+                            Delete
+                          </button>
+                        </span>
+                      </div>
+                    )
+                  ))}
+                </div>
+              </div>
+            )}
           </div>
         )}
 
         <div className="mb-4">
+          <input
+            type="text"
+            value={currentBin}
+            onChange={(e) => setCurrentBin(e.target.value)}
+            placeholder="Bin / location (optional)"
+            className="w-full px-4 py-3 rounded-lg border text-base mb-2"
+            style={{ 
+              backgroundColor: '#15161B', 
+              borderColor: '#39414E',
+              color: '#FAFCFB'
+            }}
+            disabled={showConfirmation}
+          />
           <input
             ref={quantityInputRef}
             type="number"
@@ -701,6 +1083,18 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
           />
         </div>
 
+        <label className="flex items-center mb-4 text-sm" style={{ color: '#9FA3AC' }}>
+          <input
+            type="checkbox"
+            checked={moreBinsToCount}
+            onChange={(e) => setMoreBinsToCount(e.target.checked)}
+            className="mr-2"
+            style={{ accentColor: '#86EFAC' }}
+            disabled={showConfirmation}
+          />
+          More bins of this item still to count
+        </label>
+
         {!showConfirmation ? (
           <button
             onClick={handleSubmitCount}
@@ -753,48 +1147,72 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
                     {pendingCount.item.description}
                   </div>
                 )}
-                <div className="text-xs" style={{ color: '#9FA3AC' }}>
-                  Expected: {pendingCount.item.expectedQuantity}
-                </div>
+                {!isBlindCount && (
+                  <div className="text-xs" style={{ color: '#9FA3AC' }}>
+                    Expected: {pendingCount.item.expectedQuantity}
+                  </div>
+                )}
               </div>
 
               {/* Count Details */}
-              <div className="grid grid-cols-2 gap-4">
-                <div 
-                  className="p-3 rounded-lg text-center"
-                  style={{ backgroundColor: '#15161B' }}
-                >
-                  <div className="text-xs mb-1" style={{ color: '#9FA3AC' }}>Expected</div>
-                  <div className="text-xl font-bold" style={{ color: '#FAFCFB' }}>
-                    {pendingCount.item.expectedQuantity}
+              <div className={`grid gap-4 ${isBlindCount ? 'grid-cols-1' : 'grid-cols-2'}`}>
+                {!isBlindCount && (
+                  <div 
+                    className="p-3 rounded-lg text-center"
+                    style={{ backgroundColor: '#15161B' }}
+                  >
+                    <div className="text-xs mb-1" style={{ color: '#9FA3AC' }}>Expected</div>
+                    <div className="text-xl font-bold" style={{ color: '#FAFCFB' }}>
+                      {pendingCount.item.expectedQuantity}
+                    </div>
                   </div>
-                </div>
+                )}
                 <div 
                   className="p-3 rounded-lg text-center"
                   style={{ backgroundColor: '#86EFAC20', border: '1px solid #86EFAC' }}
                 >
-                  <div className="text-xs mb-1" style={{ color: '#86EFAC' }}>Your Count</div>
+                  <div className="text-xs mb-1" style={{ color: '#86EFAC' }}>
+                    Your Count{pendingCount.bin && ` (${pendingCount.bin})`}
+                  </div>
                   <div className="text-xl font-bold" style={{ color: '#86EFAC' }}>
                     {pendingCount.quantity}
                   </div>
                 </div>
               </div>
 
+              {/* Running total across bins */}
+              {pendingCount.existingTotal > 0 && (
+                <div className="text-sm text-center" style={{ color: '#9FA3AC' }}>
+                  Adds to {pendingCount.existingTotal} already counted - new total{' '}
+                  <span className="font-bold" style={{ color: '#FAFCFB' }}>{pendingCount.runningTotal}</span>
+                </div>
+              )}
+              {pendingCount.gs1 && describeGS1(pendingCount.gs1) && (
+                <div className="text-xs text-center font-mono" style={{ color: '#9FA3AC' }}>
+                  GS1: {describeGS1(pendingCount.gs1)}
+                </div>
+              )}
+              {pendingCount.partial && (
+                <div className="text-xs text-center" style={{ color: '#9FA3AC' }}>
+                  More bins to follow - the item stays open for another line
+                </div>
+              )}
+
               {/* Variance Indicator */}
-              {pendingCount.quantity !== pendingCount.item.expectedQuantity && (
+              {!isBlindCount && !pendingCount.partial && pendingCount.runningTotal !== pendingCount.item.expectedQuantity && (
                 <div 
                   className="p-3 rounded-lg text-center"
                   style={{ 
-                    backgroundColor: Math.abs(pendingCount.quantity - pendingCount.item.expectedQuantity) > 5 ? '#FEE2E2' : '#FEF3C7',
-                    border: `1px solid ${Math.abs(pendingCount.quantity - pendingCount.item.expectedQuantity) > 5 ? '#F87171' : '#F59E0B'}`,
-                    color: Math.abs(pendingCount.quantity - pendingCount.item.expectedQuantity) > 5 ? '#B91C1C' : '#B45309'
+                    backgroundColor: Math.abs(pendingCount.runningTotal - pendingCount.item.expectedQuantity) > 5 ? '#FEE2E2' : '#FEF3C7',
+                    border: `1px solid ${Math.abs(pendingCount.runningTotal - pendingCount.item.expectedQuantity) > 5 ? '#F87171' : '#F59E0B'}`,
+                    color: Math.abs(pendingCount.runningTotal - pendingCount.item.expectedQuantity) > 5 ? '#B91C1C' : '#B45309'
                   }}
                 >
                   <div className="text-sm font-medium">
-                    Variance: {pendingCount.quantity > pendingCount.item.expectedQuantity ? '+' : ''}
-                    {pendingCount.quantity - pendingCount.item.expectedQuantity}
+                    Variance: {pendingCount.runningTotal > pendingCount.item.expectedQuantity ? '+' : ''}
+                    {pendingCount.runningTotal - pendingCount.item.expectedQuantity}
                   </div>
-                  {Math.abs(pendingCount.quantity - pendingCount.item.expectedQuantity) > 5 && (
+                  {Math.abs(pendingCount.runningTotal - pendingCount.item.expectedQuantity) > 5 && (
                     <div className="text-xs mt-1">
                       Large variance detected - please double-check your count
                     </div>
@@ -817,7 +1235,7 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
                 Reject & Re-enter
               </button>
               <button
-                onClick={handleConfirmCount}
+                onClick={() => handleConfirmCount()}
                 className="flex-1 py-3 px-4 rounded-lg font-medium transition-colors"
                 style={{ 
                   backgroundColor: '#86EFAC', 
@@ -832,112 +1250,10 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
       )}
 
       {/* Camera Scanner Modal */}
-      {showCamera && (
-        <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
-          <div 
-            className="rounded-xl p-6 max-w-md w-full mx-4"
-            style={{ backgroundColor: '#181B22' }}
-          >
-            <div className="flex items-center justify-between mb-4">
-              <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
-                Scan Barcode
-              </h3>
-              <button
-                onClick={stopCamera}
-                className="p-2 rounded-lg"
-                style={{ 
-                  backgroundColor: '#86EFAC', 
-                  color: '#00001C'
-                }}
-              >
-                ✕
-              </button>
-            </div>
-            
-            {cameraError ? (
-              <div className="text-center py-8">
-                <div className="text-red-400 mb-4">{cameraError}</div>
-                <div className="text-sm text-gray-400 mb-4">
-                  {cameraError.includes('permission') && (
-                    <div>
-                      <p>To enable camera access:</p>
-                      <p>1. Click the camera icon in your browser's address bar</p>
-                      <p>2. Select "Allow" for camera permissions</p>
-                      <p>3. Refresh the page and try again</p>
-                    </div>
-                  )}
-                </div>
-                <button
-                  onClick={stopCamera}
-                  className="px-4 py-2 rounded-lg font-medium"
-                  style={{ 
-                    backgroundColor: '#86EFAC', 
-                    color: '#00001C'
-                  }}
-                >
-                  Close
-                </button>
-              </div>
-            ) : (
-              <div className="text-center">
-                <div 
-                  className="relative mb-4 rounded-lg overflow-hidden"
-                  style={{ backgroundColor: '#15161B' }}
-                >
-                  <video
-                    ref={videoRef}
-                    autoPlay
-                    playsInline
-                    muted
-                    style={{
-                      width: '100%',
-                      height: '240px',
-                      objectFit: 'cover'
-                    }}
-                  />
-                  {isScanning && (
-                    <div className="absolute inset-0 flex items-center justify-center">
-                      <div className="border-2 border-red-500 bg-transparent" 
-                           style={{
-                             width: '200px',
-                             height: '60px',
-                             opacity: 0.7
-                           }}>
-                      </div>
-                    </div>
-                  )}
-                </div>
-                
-                <div className="text-sm mb-4" style={{ color: '#9FA3AC' }}>
-                  {isScanning ? (
-                    <div className="space-y-2">
-                      <div className="flex items-center justify-center">
-                        <div className="animate-pulse mr-2">📷</div>
-                        Position barcode in the red box
-                      </div>
-                      <div className="text-xs">
-                        Scanning for UPC, EAN, Code 128, and other formats...
-                      </div>
-                    </div>
-                  ) : (
-                    'Initializing camera scanner...'
-                  )}
-                </div>
-                
-                <button
-                  onClick={stopCamera}
-                  className="px-4 py-2 rounded-lg font-medium"
-                  style={{ 
-                    backgroundColor: '#86EFAC', 
-                    color: '#00001C'
-                  }}
-                >
-                  Cancel
-                </button>
-              </div>
-            )}
-          </div>
-        </div>
+      <BarcodeScannerModal scanner={scanner} />
+
+      {showWedgeSettings && (
+        <WedgeScannerSettings scanner={wedge} onClose={() => setShowWedgeSettings(false)} />
       )}
 
       {/* FIXED: Remaining Items with live data */}
@@ -1000,16 +1316,23 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
                       {sku.description}
                     </div>
                   )}
-                  <div className="text-xs" style={{ color: '#9FA3AC' }}>
-                    Expected: {sku.expectedQuantity}
-                  </div>
+                  {!isBlindCount && (
+                    <div className="text-xs" style={{ color: '#9FA3AC' }}>
+                      Expected: {sku.expectedQuantity}
+                    </div>
+                  )}
+                  {sku.missingFromUpload && (
+                    <div className="text-xs" style={{ color: '#F59E0B' }}>
+                      Not in latest file
+                    </div>
+                  )}
                 </div>
                 
                 <div className="px-3 py-1 rounded-lg text-sm" style={{ 
-                  backgroundColor: '#374051', 
-                  color: '#9FA3AC' 
+                  backgroundColor: sku.recountRequired ? '#F59E0B30' : '#374051', 
+                  color: sku.recountRequired ? '#F59E0B' : '#9FA3AC' 
                 }}>
-                  Count
+                  {sku.recountRequired ? 'Recount' : 'Count'}
                 </div>
               </div>
             ))}
@@ -1017,10 +1340,54 @@ const CountSession = ({ session: initialSession, onCountComplete, onCancelSessio
         )}
       </div>
 
+      {/* Per-SKU count history */}
+      {historySku && (
+        <SkuHistoryDrawer sku={historySku} onClose={() => setHistorySkuId(null)} />
+      )}
+
+      {/* Paper counts */}
+      {paperMode === 'sheet' && (
+        <CountSheetDialog
+          session={liveSession}
+          sheetOptions={sheetOptions}
+          onSheetOptionsChange={setSheetOptions}
+          onClose={() => setPaperMode(null)}
+        />
+      )}
+      {paperMode === 'grid' && (
+        <KeyInGrid
+          session={liveSession}
+          sheetOptions={sheetOptions}
+          onSaved={refreshSession}
+          onClose={() => setPaperMode(null)}
+        />
+      )}
+
+      {/* Continuous scanning into a tally queue */}
+      {showBatchScan && (
+        <BatchScanDialog
+          resolveScan={resolveBatchScan}
+          commitEntry={commitBatchEntry}
+          onCommitted={handleBatchCommitted}
+          onClose={() => setShowBatchScan(false)}
+          withBin
+        />
+      )}
+
+      {/* Found items (not in the uploaded list) */}
+      <FoundItems
+        session={liveSession}
+        prefill={foundItemPrefill}
+        onPrefillUsed={clearFoundItemPrefill}
+        onRecorded={handleFoundItemRecorded}
+        onError={handleFoundItemError}
+        disabled={showConfirmation}
+      />
+
       {/* Session Actions */}
       <div className="flex space-x-3">
         <button
-          onClick={() => storageHelpers.exportSessionAsCSV()}
+          onClick={() => storageHelpers.exportSessionAsCSV(liveSession.id)}
           className="flex-1 py-3 px-4 rounded-lg font-medium border"
           style={{ 
             backgroundColor: 'transparent', 
@@ -0,0 +1,132 @@
+// CountSheetDialog.js - Options and download for the printable PDF count sheet
+import React, { useState } from 'react';
+import { storageHelpers } from '../utils/LocalStorageManager';
+import {
+  COUNT_SHEET_GROUPINGS,
+  COUNT_SHEET_SORTS,
+  buildCountSheetSections,
+  exportCountSheetPDF
+} from '../utils/countSheet';
+
+const CountSheetDialog = ({ session, sheetOptions, onSheetOptionsChange, onClose }) => {
+  const [includeBarcodes, setIncludeBarcodes] = useState(false);
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState('');
+
+  const itemCount = buildCountSheetSections(session.skus, sheetOptions)
+    .reduce((total, section) => total + section.skus.length, 0);
+
+  const updateOption = (field, value) => {
+    onSheetOptionsChange({ ...sheetOptions, [field]: value });
+  };
+
+  const handleDownload = async () => {
+    setIsGenerating(true);
+    setError('');
+    try {
+      const blob = await exportCountSheetPDF(session, { ...sheetOptions, includeBarcodes });
+      const safeName = (session.name || session.id).replace(/[^a-z0-9_-]+/gi, '_');
+      storageHelpers.downloadBlob(blob, `count_sheet_${safeName}_${new Date().toISOString().split('T')[0]}.pdf`);
+      onClose();
+    } catch (err) {
+      console.error('Error generating count sheet:', err);
+      setError(`Could not generate count sheet: ${err.message}`);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  const selectStyle = { backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md rounded-xl p-6 border"
+        style={{ backgroundColor: '#181B22', borderColor: '#39414E' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-4">
+          <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+            Print Count Sheet
+          </h3>
+          <button onClick={onClose} className="text-sm" style={{ color: '#9FA3AC' }}>
+            ✕ Close
+          </button>
+        </div>
+
+        <div className="space-y-3">
+          <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+            Group by
+            <select
+              value={sheetOptions.groupBy}
+              onChange={(e) => updateOption('groupBy', e.target.value)}
+              className="mt-1 w-full px-3 py-2 rounded-lg border text-sm"
+              style={selectStyle}
+            >
+              {COUNT_SHEET_GROUPINGS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+            Sort by
+            <select
+              value={sheetOptions.sortBy}
+              onChange={(e) => updateOption('sortBy', e.target.value)}
+              className="mt-1 w-full px-3 py-2 rounded-lg border text-sm"
+              style={selectStyle}
+            >
+              {COUNT_SHEET_SORTS.map(option => (
+                <option key={option.value} value={option.value}>{option.label}</option>
+              ))}
+            </select>
+          </label>
+          <label className="flex items-center space-x-2 text-sm" style={{ color: '#FAFCFB' }}>
+            <input
+              type="checkbox"
+              checked={sheetOptions.onlyUncounted}
+              onChange={(e) => updateOption('onlyUncounted', e.target.checked)}
+            />
+            <span>Only items still to count</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm" style={{ color: '#FAFCFB' }}>
+            <input
+              type="checkbox"
+              checked={includeBarcodes}
+              onChange={(e) => setIncludeBarcodes(e.target.checked)}
+            />
+            <span>Print barcodes (Code 128)</span>
+          </label>
+          <p className="text-xs" style={{ color: '#9FA3AC' }}>
+            {itemCount} items • The Key In grid uses the same order, so results can be typed straight from the sheet.
+            {session.blindCount && ' Expected quantities are left off for blind counts.'}
+          </p>
+        </div>
+
+        {error && (
+          <div className="text-sm mt-3" style={{ color: '#F87171' }}>{error}</div>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-5">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-sm font-medium"
+            style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleDownload}
+            disabled={isGenerating || itemCount === 0}
+            className="px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+            style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+          >
+            {isGenerating ? 'Generating...' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default CountSheetDialog;
@@ -1,11 +1,15 @@
 // Updated Dashboard.js - Enhanced with barcode support indicators
-import React from 'react';
+import React, { useState } from 'react';
 import { DateTime } from 'luxon';
 import { localStorageManager, storageHelpers } from '../utils/LocalStorageManager';
+import ValuationSummary from './ValuationSummary';
+import RecountBuilder from './RecountBuilder';
+import TrendAnalysis from './TrendAnalysis';
 
 const Dashboard = ({ currentSession, appStats, onStartNewSession, onContinueCounting, onRefresh }) => {
   // Get current statistics
   const sessionStats = currentSession ? localStorageManager.getCountStatistics() : null;
+  const [showTrends, setShowTrends] = useState(false);
   
   // Format time helper
   const getCurrentTimeEST = () => {
@@ -26,7 +30,7 @@ const Dashboard = ({ currentSession, appStats, onStartNewSession, onContinueCoun
           <div className="flex items-center justify-between mb-4">
             <div className="flex items-center space-x-3">
               <h2 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
-                Active Count Session
+                {currentSession.name || 'Active Count Session'}
               </h2>
               {sessionStats?.hasBarcode && (
                 <span className="px-2 py-1 rounded-full text-xs font-medium" style={{ 
@@ -98,12 +102,19 @@ const Dashboard = ({ currentSession, appStats, onStartNewSession, onContinueCoun
                   }}
                 />
               </div>
+              {sessionStats && (sessionStats.recountRequired > 0 || sessionStats.foundItems > 0) && (
+                <div className="text-xs mt-2" style={{ color: '#9FA3AC' }}>
+                  {sessionStats.recountRequired > 0 && `${sessionStats.recountRequired} awaiting recount`}
+                  {sessionStats.recountRequired > 0 && sessionStats.foundItems > 0 && ' • '}
+                  {sessionStats.foundItems > 0 && `${sessionStats.foundItems} found items (${sessionStats.foundQuantity} units) not in list`}
+                </div>
+              )}
             </div>
 
             {/* Action Buttons */}
             <div className="flex space-x-3">
               <button
-                onClick={onContinueCounting}
+                onClick={() => onContinueCounting()}
                 className="flex-1 py-3 px-4 rounded-lg font-medium transition-colors"
                 style={{ 
                   backgroundColor: '#86EFAC', 
@@ -163,6 +174,14 @@ const Dashboard = ({ currentSession, appStats, onStartNewSession, onContinueCoun
         </div>
       )}
 
+      {/* Other Active Sessions */}
+      {appStats?.activeSessions?.length > 1 && (
+        <ActiveSessionsList
+          activeSessions={appStats.activeSessions}
+          onContinueCounting={onContinueCounting}
+        />
+      )}
+
       {/* Summary Statistics */}
       <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
         <div 
@@ -226,6 +245,19 @@ const Dashboard = ({ currentSession, appStats, onStartNewSession, onContinueCoun
         </div>
       </div>
 
+      {/* Valuation - hidden while a blind count is in progress so expected values stay private */}
+      {currentSession?.uploadData?.hasCost && !currentSession.blindCount && (
+        <div 
+          className="rounded-xl p-6 shadow-sm border"
+          style={{ 
+            backgroundColor: '#181B22', 
+            borderColor: '#39414E' 
+          }}
+        >
+          <ValuationSummary sessionId={currentSession.id} topN={5} />
+        </div>
+      )}
+
       {/* Session History */}
       <div 
         className="rounded-xl p-6 shadow-sm border"
@@ -285,9 +317,37 @@ const Dashboard = ({ currentSession, appStats, onStartNewSession, onContinueCoun
         </div>
 
         {/* Recent Sessions List */}
-        <RecentSessionsList />
+        <RecentSessionsList onContinueCounting={onContinueCounting} />
       </div>
 
+      {/* Trends across completed sessions - built only when opened */}
+      {localStorageManager.getSessionHistory().length > 0 && (
+        <div 
+          className="rounded-xl p-6 shadow-sm border"
+          style={{ 
+            backgroundColor: '#181B22', 
+            borderColor: '#39414E' 
+          }}
+        >
+          <div className={`flex items-center justify-between ${showTrends ? 'mb-4' : ''}`}>
+            <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+              Trends
+            </h3>
+            <button
+              onClick={() => setShowTrends(!showTrends)}
+              className="px-3 py-1 rounded-lg text-sm font-medium transition-colors"
+              style={{ 
+                backgroundColor: '#374051', 
+                color: '#FAFCFB'
+              }}
+            >
+              {showTrends ? 'Hide' : 'Show'}
+            </button>
+          </div>
+          {showTrends && <TrendAnalysis />}
+        </div>
+      )}
+
       {/* Quick Actions */}
       <div 
         className="rounded-xl p-6 shadow-sm border"
@@ -302,7 +362,7 @@ const Dashboard = ({ currentSession, appStats, onStartNewSession, onContinueCoun
         
         <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
           <button
-            onClick={() => storageHelpers.exportSessionAsCSV()}
+            onClick={() => storageHelpers.exportSessionAsCSV(currentSession?.id)}
             disabled={!currentSession}
             className="p-4 rounded-lg text-left transition-colors disabled:opacity-50"
             style={{ 
@@ -318,23 +378,26 @@ const Dashboard = ({ currentSession, appStats, onStartNewSession, onContinueCoun
           </button>
           
           <button
-            onClick={() => localStorageManager.cleanupOldData()}
+            onClick={async () => {
+              const result = await localStorageManager.applyRetentionPolicy();
+              if (result.success && onRefresh) onRefresh();
+            }}
             className="p-4 rounded-lg text-left transition-colors hover:bg-gray-700"
             style={{ 
               backgroundColor: '#15161B',
               color: '#FAFCFB'
             }}
           >
-            <div className="text-sm font-medium mb-1">Clean Old Data</div>
+            <div className="text-sm font-medium mb-1">Archive Old Sessions</div>
             <div className="text-xs" style={{ color: '#9FA3AC' }}>
-              Remove sessions older than 30 days
+              Compress history past the retention policy
             </div>
           </button>
           
           <button
-            onClick={() => {
+            onClick={async () => {
               if (window.confirm('This will clear all data including current session. Continue?')) {
-                localStorageManager.clearAllData();
+                await localStorageManager.clearAllData();
                 window.location.reload();
               }
             }}
@@ -368,7 +431,7 @@ const Dashboard = ({ currentSession, appStats, onStartNewSession, onContinueCoun
                 className="w-2 h-2 rounded-full"
                 style={{ backgroundColor: '#86EFAC' }}
               ></span>
-              <span>LocalStorage Active</span>
+              <span>{localStorageManager.storageBackend === 'indexeddb' ? 'IndexedDB Active' : 'Storage Unavailable'}</span>
             </div>
             {currentSession && (
               <div className="flex items-center space-x-1">
@@ -402,11 +465,76 @@ const Dashboard = ({ currentSession, appStats, onStartNewSession, onContinueCoun
   );
 };
 
+// Active Sessions Component - every session that can still be counted
+const ActiveSessionsList = ({ activeSessions, onContinueCounting }) => {
+  return (
+    <div 
+      className="rounded-xl p-6 shadow-sm border"
+      style={{ 
+        backgroundColor: '#181B22', 
+        borderColor: '#39414E' 
+      }}
+    >
+      <h3 className="text-lg font-semibold mb-4" style={{ color: '#FAFCFB' }}>
+        Active Sessions ({activeSessions.length})
+      </h3>
+      <div className="space-y-2">
+        {activeSessions.map(session => (
+          <div
+            key={session.id}
+            className="flex items-center justify-between p-3 rounded-lg border"
+            style={{ 
+              backgroundColor: '#15161B',
+              borderColor: session.isCurrent ? '#86EFAC' : '#39414E'
+            }}
+          >
+            <div className="flex-1 min-w-0">
+              <div className="font-medium text-sm truncate" style={{ color: '#FAFCFB' }}>
+                {session.name}
+                {session.parentSessionName && (
+                  <span className="ml-2 text-xs" style={{ color: '#F59E0B' }}>• Recount of {session.parentSessionName}</span>
+                )}
+                {session.blindCount && (
+                  <span className="ml-2 text-xs" style={{ color: '#9FA3AC' }}>• Blind</span>
+                )}
+              </div>
+              <div className="text-xs" style={{ color: '#9FA3AC' }}>
+                {session.filename && `${session.filename} • `}
+                {session.progress?.counted || 0}/{session.progress?.total || 0} items • 
+                {session.progress?.percentage || 0}%
+                {session.foundItems > 0 && ` • ${session.foundItems} found`}
+              </div>
+            </div>
+            
+            <button
+              onClick={() => onContinueCounting(session.id)}
+              className="ml-3 px-3 py-2 rounded-lg text-sm font-medium"
+              style={{ 
+                backgroundColor: session.isCurrent ? '#86EFAC' : '#374051', 
+                color: session.isCurrent ? '#00001C' : '#FAFCFB'
+              }}
+            >
+              {session.isCurrent ? 'Continue' : 'Switch'}
+            </button>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+};
+
 // Enhanced Recent Sessions Component
-const RecentSessionsList = () => {
+const RecentSessionsList = ({ onContinueCounting }) => {
+  const [recountSession, setRecountSession] = useState(null);
   const sessionHistory = localStorageManager.getSessionHistory();
   const recentSessions = sessionHistory.slice(0, 5);
 
+  // Open the new recount straight away
+  const handleRecountCreated = (recount) => {
+    setRecountSession(null);
+    onContinueCounting(recount.id);
+  };
+
   if (recentSessions.length === 0) {
     return (
       <div className="text-center py-8" style={{ color: '#9FA3AC' }}>
@@ -430,7 +558,7 @@ const RecentSessionsList = () => {
           <div className="flex-1">
             <div className="flex items-center space-x-2">
               <div className="font-medium text-sm" style={{ color: '#FAFCFB' }}>
-                {session.uploadData?.filename || 'Unknown'}
+                {session.name || session.uploadData?.filename || 'Unknown'}
               </div>
               {session.barcodeSupport && (
                 <span className="px-2 py-1 rounded text-xs font-medium" style={{ 
@@ -458,6 +586,14 @@ const RecentSessionsList = () => {
               {session.status === 'completed' ? 'Complete' : 'Partial'}
             </div>
           </div>
+
+          <button
+            onClick={() => setRecountSession(session)}
+            className="ml-3 px-3 py-2 rounded-lg text-xs font-medium"
+            style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+          >
+            Recount
+          </button>
         </div>
       ))}
       
@@ -468,6 +604,14 @@ const RecentSessionsList = () => {
           </div>
         </div>
       )}
+
+      {recountSession && (
+        <RecountBuilder
+          session={recountSession}
+          onCreated={handleRecountCreated}
+          onClose={() => setRecountSession(null)}
+        />
+      )}
     </div>
   );
 };
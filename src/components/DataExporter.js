@@ -1,15 +1,59 @@
 // ESLint Fixed DataExporter.js - Enhanced with barcode support in exports
 import React, { useState } from 'react';
 import { localStorageManager, storageHelpers } from '../utils/LocalStorageManager';
+import BackupRestore from './BackupRestore';
+import ValuationSummary from './ValuationSummary';
+import RecountBuilder from './RecountBuilder';
+import SessionReportDialog from './SessionReportDialog';
+import ExportColumnPicker from './ExportColumnPicker';
+import ArchiveBrowser from './ArchiveBrowser';
+import { exportSessionsAsXLSX } from '../utils/spreadsheet';
+import { EXPORT_FORMATS, MULTI_SESSION_EXPORT_COLUMNS } from '../utils/exportEngine';
 
-const DataExporter = ({ currentSession }) => {
+// Engine formats plus the Excel workbook, which has its own fixed sheets
+const FORMAT_OPTIONS = [
+  ...EXPORT_FORMATS,
+  { value: 'xlsx', label: 'Excel workbook (.xlsx)' }
+];
+
+const DataExporter = ({ currentSession, onDataRestored, onContinueCounting }) => {
   const [selectedSessions, setSelectedSessions] = useState([]);
   const [exportFormat, setExportFormat] = useState('csv');
-  const [includeDetails, setIncludeDetails] = useState(true);
-  const [includeBarcodes, setIncludeBarcodes] = useState(true);
+  const [exportColumns, setExportColumns] = useState(MULTI_SESSION_EXPORT_COLUMNS);
+  const [includeFoundItems, setIncludeFoundItems] = useState(true);
+  const [exportTemplates, setExportTemplates] = useState(() => localStorageManager.getExportTemplates());
+  const [templateName, setTemplateName] = useState('');
+  const [exportError, setExportError] = useState('');
+  const [valuationSessionId, setValuationSessionId] = useState(currentSession?.id || '');
+  const [recountSession, setRecountSession] = useState(null);
+  const [reportSession, setReportSession] = useState(null);
+  const [reconciliationId, setReconciliationId] = useState('');
+  const [retentionForm, setRetentionForm] = useState(() => {
+    const policy = localStorageManager.getRetentionPolicy();
+    return { maxAgeDays: policy.maxAgeDays ?? '', maxSessions: policy.maxSessions ?? '' };
+  });
+  const [retentionMessage, setRetentionMessage] = useState(null);
+  const [showArchive, setShowArchive] = useState(false);
+  const [, setHistoryVersion] = useState(0);
   
-  // Get session history
+  // Get session history and every session still being counted
   const sessionHistory = localStorageManager.getSessionHistory();
+  const activeSessions = localStorageManager.getActiveSessions();
+
+  // Sessions imported with a unit cost column can be valued
+  const valuedSessions = [...activeSessions, ...sessionHistory].filter(session => session.uploadData?.hasCost);
+  const selectedValuationId = valuedSessions.some(session => session.id === valuationSessionId)
+    ? valuationSessionId
+    : valuedSessions[0]?.id;
+
+  // Original sessions that have been recounted, reconciled into one final report
+  const reconcilableSessions = localStorageManager.getReconcilableSessions();
+  const selectedReconciliationId = reconcilableSessions.some(session => session.id === reconciliationId)
+    ? reconciliationId
+    : reconcilableSessions[0]?.id;
+  const reconciliation = selectedReconciliationId
+    ? localStorageManager.getReconciliationReport(selectedReconciliationId)
+    : null;
 
   // Handle session selection
   const handleSessionToggle = (sessionId) => {
@@ -31,126 +75,149 @@ const DataExporter = ({ currentSession }) => {
     }
   };
 
-  // Export current session
-  const handleExportCurrent = () => {
-    if (!currentSession) return;
-    
+  // Export one active session
+  const handleExportActive = (sessionId) => {
     try {
-      const success = storageHelpers.exportSessionAsCSV();
+      const success = storageHelpers.exportSessionAsCSV(sessionId);
       if (success) {
-        console.log('Current session exported successfully with barcode support');
+        console.log('Active session exported successfully with barcode support:', sessionId);
       }
     } catch (error) {
       console.error('Export error:', error);
     }
   };
 
-  // Enhanced export with barcode support
-  const handleExportSelected = () => {
-    if (selectedSessions.length === 0) return;
-    
+  // NEW: Recount sessions open straight away so counting can start
+  const handleRecountCreated = (recount) => {
+    setRecountSession(null);
+    setReconciliationId(recount.rootSessionId);
+    if (onContinueCounting) {
+      onContinueCounting(recount.id);
+    } else if (onDataRestored) {
+      onDataRestored();
+    }
+  };
+
+  const handleExportReconciliation = () => {
     try {
-      // Create combined export data
-      const combinedData = {
-        exportDate: new Date().toISOString(),
-        sessionsCount: selectedSessions.length,
-        format: exportFormat,
-        includeDetails,
-        includeBarcodes,
-        sessions: []
-      };
+      storageHelpers.exportReconciliationAsCSV(selectedReconciliationId);
+    } catch (error) {
+      console.error('Reconciliation export error:', error);
+    }
+  };
 
-      selectedSessions.forEach(sessionId => {
-        const sessionData = localStorageManager.exportSessionData(sessionId);
-        if (sessionData) {
-          combinedData.sessions.push(sessionData);
-        }
-      });
+  // One export path for the selection and "Export All"
+  const exportSessionIds = async (sessionIds) => {
+    if (sessionIds.length === 0) return;
+    setExportError('');
 
-      // Generate enhanced CSV content with barcode support
-      let csvContent = '';
-      
-      if (exportFormat === 'csv') {
-        // Enhanced CSV headers with barcode support
-        const headers = [
-          'Session ID',
-          'Filename', 
-          'Upload Date',
-          'Status',
-          'Total Items',
-          'Counted Items',
-          'Progress %',
-          'SKU/Primary ID',
-          ...(includeBarcodes ? ['Barcode', 'Alternate ID'] : []),
-          'Description',
-          'Expected Qty',
-          'Counted Qty',
-          'Variance',
-          'Count Status',
-          'Count Time',
-          'Notes'
-        ];
-
-        csvContent = headers.join(',') + '\n';
-
-        combinedData.sessions.forEach(session => {
-          const sessionInfo = session.sessionInfo;
-          
-          session.results.forEach(result => {
-            const row = [
-              `"${sessionInfo.id}"`,
-              `"${sessionInfo.filename || ''}"`,
-              new Date(sessionInfo.uploadDate).toLocaleDateString(),
-              sessionInfo.status,
-              sessionInfo.countProgress?.total || 0,
-              sessionInfo.countProgress?.counted || 0,
-              sessionInfo.countProgress?.percentage || 0,
-              `"${result.sku}"`,
-              ...(includeBarcodes ? [
-                `"${result.barcode || result.sku}"`,
-                `"${result.alternateId || ''}"`
-              ] : []),
-              `"${result.description || ''}"`,
-              result.expectedQuantity || 0,
-              result.countedQuantity || '',
-              result.variance || '',
-              result.counted ? 'Counted' : 'Not Counted',
-              result.countedTime ? new Date(result.countedTime).toLocaleString() : '',
-              `"${result.notes || ''}"`
-            ];
-            
-            csvContent += row.join(',') + '\n';
-          });
-        });
+    try {
+      // NEW: Excel workbook with Summary / Counted Lines / Variances sheets
+      if (exportFormat === 'xlsx') {
+        const sessions = sessionIds
+          .map(sessionId => localStorageManager.exportSessionData(sessionId))
+          .filter(Boolean);
+        const blob = await exportSessionsAsXLSX(sessions);
+        const filename = `inventory_export_${sessions.length}_sessions_${new Date().toISOString().split('T')[0]}.xlsx`;
+        storageHelpers.downloadBlob(blob, filename);
+        console.log(`Exported ${sessions.length} sessions as XLSX`);
+        return;
       }
 
-      // Download enhanced file
-      const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-      const barcodeIndicator = includeBarcodes ? '_with_barcodes' : '';
-      const filename = `inventory_export${barcodeIndicator}_${selectedSessions.length}_sessions_${new Date().toISOString().split('T')[0]}.csv`;
-      
-      storageHelpers.downloadBlob(blob, filename);
-      
-      console.log(`Exported ${selectedSessions.length} sessions with barcode support: ${includeBarcodes}`);
-      
+      storageHelpers.exportSessions(sessionIds, {
+        format: exportFormat,
+        columns: exportColumns,
+        includeFoundItems
+      });
+      console.log(`Exported ${sessionIds.length} sessions as ${exportFormat}:`, exportColumns);
     } catch (error) {
       console.error('Export error:', error);
+      setExportError(error.message);
     }
   };
 
+  const handleExportSelected = () => exportSessionIds(selectedSessions);
+
+  const handleExportAll = () => {
+    const allIds = sessionHistory.map(session => session.id);
+    setSelectedSessions(allIds);
+    exportSessionIds(allIds);
+  };
+
+  // Export templates: saved format + column order
+  const handleApplyTemplate = (name) => {
+    const template = exportTemplates.find(candidate => candidate.name === name);
+    if (!template) return;
+
+    setExportFormat(template.format);
+    setExportColumns(template.columns);
+    setTemplateName(template.name);
+  };
+
+  const handleSaveTemplate = () => {
+    try {
+      localStorageManager.saveExportTemplate(templateName, { format: exportFormat, columns: exportColumns });
+      setExportTemplates(localStorageManager.getExportTemplates());
+      setExportError('');
+    } catch (error) {
+      setExportError(error.message);
+    }
+  };
+
+  const handleDeleteTemplate = () => {
+    if (!window.confirm(`Delete export template "${templateName}"?`)) return;
+    localStorageManager.deleteExportTemplate(templateName);
+    setExportTemplates(localStorageManager.getExportTemplates());
+    setTemplateName('');
+  };
+
+  // NEW: Pinned sessions are never archived by the retention policy
+  const handleTogglePin = (session) => {
+    localStorageManager.setSessionPinned(session.id, !session.pinned);
+    setHistoryVersion(version => version + 1);
+  };
+
+  const applyRetention = async () => {
+    const result = await localStorageManager.applyRetentionPolicy();
+    if (!result.success) {
+      setRetentionMessage({ error: true, text: result.error });
+      return;
+    }
+
+    setRetentionMessage({
+      error: false,
+      text: result.archived > 0
+        ? `Archived ${result.archived} session${result.archived === 1 ? '' : 's'}`
+        : 'History is within the retention policy'
+    });
+    setSelectedSessions(prev => prev.filter(id => localStorageManager.getSessionHistory().some(session => session.id === id)));
+    if (onDataRestored) onDataRestored();
+  };
+
+  const handleSaveRetention = async () => {
+    try {
+      localStorageManager.setRetentionPolicy(retentionForm);
+    } catch (error) {
+      setRetentionMessage({ error: true, text: error.message });
+      return;
+    }
+    await applyRetention();
+  };
+
   // Enhanced backup with barcode metadata
   const handleExportBackup = () => {
     try {
       const backupData = {
         exportDate: new Date().toISOString(),
         exportType: 'full_backup_with_barcode_support',
-        version: '2.0',
+        version: '2.1',
         features: {
           barcodeSupport: true,
           cameraScanning: true,
           multipleIdentifiers: true
         },
         currentSession: localStorageManager.getCurrentSession(),
+        activeSessions,
         sessionHistory: localStorageManager.getSessionHistory(),
         appState: localStorageManager.getAppState(),
         userPreferences: localStorageManager.getUserPreferences()
@@ -176,8 +243,8 @@ const DataExporter = ({ currentSession }) => {
 
   return (
     <div className="space-y-6">
-      {/* Current Session Export */}
-      {currentSession && (
+      {/* Active Sessions Export */}
+      {activeSessions.length > 0 && (
         <div 
           className="rounded-xl p-6 shadow-sm border"
           style={{ 
@@ -187,9 +254,9 @@ const DataExporter = ({ currentSession }) => {
         >
           <div className="flex items-center justify-between mb-4">
             <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
-              Current Session
+              Active Sessions ({activeSessions.length})
             </h3>
-            {currentSession.barcodeSupport && (
+            {activeSessions.some(session => session.barcodeSupport) && (
               <span className="px-2 py-1 rounded-full text-xs font-medium" style={{ 
                 backgroundColor: '#86EFAC', 
                 color: '#00001C' 
@@ -199,33 +266,167 @@ const DataExporter = ({ currentSession }) => {
             )}
           </div>
           
-          <div className="flex items-center justify-between p-4 rounded-lg" style={{ backgroundColor: '#15161B' }}>
-            <div>
-              <div className="font-medium" style={{ color: '#FAFCFB' }}>
-                {currentSession.uploadData?.filename || 'Unknown'}
+          <div className="space-y-3">
+            {activeSessions.map(session => (
+              <div
+                key={session.id}
+                className="flex items-center justify-between p-4 rounded-lg border"
+                style={{ 
+                  backgroundColor: '#15161B',
+                  borderColor: session.id === currentSession?.id ? '#86EFAC' : '#15161B'
+                }}
+              >
+                <div>
+                  <div className="font-medium" style={{ color: '#FAFCFB' }}>
+                    {session.name || session.uploadData?.filename || 'Unknown'}
+                  </div>
+                  <div className="text-sm" style={{ color: '#9FA3AC' }}>
+                    {session.countProgress.counted} / {session.countProgress.total} items counted
+                    ({session.countProgress.percentage}%)
+                  </div>
+                  {session.uploadData?.hasBarcode && (
+                    <div className="text-xs mt-1" style={{ color: '#86EFAC' }}>
+                      Barcode data included in export
+                    </div>
+                  )}
+                </div>
+                
+                <div className="flex space-x-2">
+                  <button
+                    onClick={() => setReportSession(session)}
+                    className="px-4 py-2 rounded-lg font-medium"
+                    style={{ 
+                      backgroundColor: '#374051', 
+                      color: '#FAFCFB'
+                    }}
+                  >
+                    PDF Report
+                  </button>
+                  <button
+                    onClick={() => handleExportActive(session.id)}
+                    className="px-4 py-2 rounded-lg font-medium"
+                    style={{ 
+                      backgroundColor: '#86EFAC', 
+                      color: '#00001C'
+                    }}
+                  >
+                    Export CSV
+                  </button>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
+      {/* Valuation & Shrink */}
+      {valuedSessions.length > 0 && (
+        <div 
+          className="rounded-xl p-6 shadow-sm border"
+          style={{ 
+            backgroundColor: '#181B22', 
+            borderColor: '#39414E' 
+          }}
+        >
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+              Valuation & Shrink
+            </h3>
+            <select
+              value={selectedValuationId}
+              onChange={(e) => setValuationSessionId(e.target.value)}
+              className="px-3 py-2 rounded-lg border text-sm"
+              style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+            >
+              {valuedSessions.map(session => (
+                <option key={session.id} value={session.id}>
+                  {session.name || session.uploadData?.filename || 'Unknown'}
+                  {session.status === 'completed' ? ' (completed)' : ''}
+                </option>
+              ))}
+            </select>
+          </div>
+          <ValuationSummary sessionId={selectedValuationId} topN={10} title="Extended Cost" />
+        </div>
+      )}
+
+      {/* Recount Reconciliation */}
+      {reconciliation && (
+        <div 
+          className="rounded-xl p-6 shadow-sm border"
+          style={{ 
+            backgroundColor: '#181B22', 
+            borderColor: '#39414E' 
+          }}
+        >
+          <div className="flex items-center justify-between mb-4">
+            <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+              Recount Reconciliation
+            </h3>
+            <select
+              value={selectedReconciliationId}
+              onChange={(e) => setReconciliationId(e.target.value)}
+              className="px-3 py-2 rounded-lg border text-sm"
+              style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+            >
+              {reconcilableSessions.map(session => (
+                <option key={session.id} value={session.id}>
+                  {session.name || session.uploadData?.filename || 'Unknown'}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          <div className="space-y-1 mb-4">
+            {reconciliation.sessions.map((session, index) => (
+              <div key={session.id} className="flex items-center justify-between text-sm">
+                <span style={{ color: '#FAFCFB' }}>
+                  {index === 0 ? 'Original' : `Recount ${index}`}: {session.name}
+                </span>
+                <span style={{ color: session.status === 'completed' ? '#86EFAC' : '#F59E0B' }}>
+                  {session.counted}/{session.total} counted
+                </span>
               </div>
-              <div className="text-sm" style={{ color: '#9FA3AC' }}>
-                {currentSession.countProgress.counted} / {currentSession.countProgress.total} items counted
-                ({currentSession.countProgress.percentage}%)
+            ))}
+          </div>
+
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-3 mb-4">
+            <div className="p-3 rounded-lg" style={{ backgroundColor: '#15161B' }}>
+              <div className="text-xs" style={{ color: '#9FA3AC' }}>Recounted SKUs</div>
+              <div className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+                {reconciliation.summary.recountedSkus}
+              </div>
+            </div>
+            <div className="p-3 rounded-lg" style={{ backgroundColor: '#15161B' }}>
+              <div className="text-xs" style={{ color: '#9FA3AC' }}>Changed by Recount</div>
+              <div className="text-lg font-semibold" style={{ color: '#F59E0B' }}>
+                {reconciliation.summary.changedSkus}
+              </div>
+            </div>
+            <div className="p-3 rounded-lg" style={{ backgroundColor: '#15161B' }}>
+              <div className="text-xs" style={{ color: '#9FA3AC' }}>Net Variance</div>
+              <div className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+                {reconciliation.summary.originalNetVariance} → {reconciliation.summary.finalNetVariance}
+              </div>
+            </div>
+            <div className="p-3 rounded-lg" style={{ backgroundColor: '#15161B' }}>
+              <div className="text-xs" style={{ color: '#9FA3AC' }}>Uncounted</div>
+              <div className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+                {reconciliation.summary.originalUncounted} → {reconciliation.summary.finalUncounted}
               </div>
-              {currentSession.uploadData?.hasBarcode && (
-                <div className="text-xs mt-1" style={{ color: '#86EFAC' }}>
-                  Barcode data included in export
-                </div>
-              )}
             </div>
-            
-            <button
-              onClick={handleExportCurrent}
-              className="px-4 py-2 rounded-lg font-medium"
-              style={{ 
-                backgroundColor: '#86EFAC', 
-                color: '#00001C'
-              }}
-            >
-              Export CSV
-            </button>
           </div>
+
+          <button
+            onClick={handleExportReconciliation}
+            className="px-4 py-2 rounded-lg font-medium"
+            style={{ 
+              backgroundColor: '#86EFAC', 
+              color: '#00001C'
+            }}
+          >
+            Export Final Report CSV
+          </button>
         </div>
       )}
 
@@ -296,7 +497,7 @@ const DataExporter = ({ currentSession }) => {
                   <div>
                     <div className="flex items-center space-x-2">
                       <div className="font-medium" style={{ color: '#FAFCFB' }}>
-                        {session.uploadData?.filename || 'Unknown'}
+                        {session.name || session.uploadData?.filename || 'Unknown'}
                       </div>
                       {session.barcodeSupport && (
                         <span className="px-2 py-1 rounded text-xs font-medium" style={{ 
@@ -315,10 +516,45 @@ const DataExporter = ({ currentSession }) => {
                   </div>
                 </div>
                 
-                <div className="text-sm" style={{ 
-                  color: session.status === 'completed' ? '#86EFAC' : '#F59E0B' 
-                }}>
-                  {session.countProgress.percentage}%
+                <div className="flex items-center space-x-3">
+                  <div className="text-sm" style={{ 
+                    color: session.status === 'completed' ? '#86EFAC' : '#F59E0B' 
+                  }}>
+                    {session.countProgress.percentage}%
+                  </div>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      handleTogglePin(session);
+                    }}
+                    className="px-3 py-1 rounded-lg text-xs font-medium"
+                    style={session.pinned
+                      ? { backgroundColor: '#F59E0B', color: '#00001C' }
+                      : { backgroundColor: '#374051', color: '#FAFCFB' }}
+                    title={session.pinned ? 'Kept regardless of the retention policy' : 'Keep this session out of the archive'}
+                  >
+                    {session.pinned ? 'Pinned' : 'Pin'}
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setReportSession(session);
+                    }}
+                    className="px-3 py-1 rounded-lg text-xs font-medium"
+                    style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+                  >
+                    PDF Report
+                  </button>
+                  <button
+                    onClick={(e) => {
+                      e.stopPropagation();
+                      setRecountSession(session);
+                    }}
+                    className="px-3 py-1 rounded-lg text-xs font-medium"
+                    style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+                  >
+                    Recount
+                  </button>
                 </div>
               </div>
             ))}
@@ -326,6 +562,74 @@ const DataExporter = ({ currentSession }) => {
         )}
       </div>
 
+      {/* Retention & Archive */}
+      <div 
+        className="rounded-xl p-6 shadow-sm border"
+        style={{ 
+          backgroundColor: '#181B22', 
+          borderColor: '#39414E' 
+        }}
+      >
+        <div className="flex items-center justify-between mb-2">
+          <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+            Retention & Archive
+          </h3>
+          <button
+            onClick={() => setShowArchive(true)}
+            className="px-3 py-1 rounded-lg text-sm font-medium"
+            style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+          >
+            Browse Archive
+          </button>
+        </div>
+        <p className="text-sm mb-4" style={{ color: '#9FA3AC' }}>
+          Completed sessions past these limits are compressed into the archive, never deleted.
+          Pinned sessions always stay in history. Leave a limit blank for none.
+        </p>
+
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+          <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+            Archive sessions older than (days)
+            <input
+              type="number"
+              min="1"
+              value={retentionForm.maxAgeDays}
+              onChange={(e) => setRetentionForm(prev => ({ ...prev, maxAgeDays: e.target.value }))}
+              placeholder="No age limit"
+              className="mt-1 w-full px-3 py-2 rounded-lg border text-sm"
+              style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+            />
+          </label>
+          <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+            Keep at most (sessions in history)
+            <input
+              type="number"
+              min="1"
+              value={retentionForm.maxSessions}
+              onChange={(e) => setRetentionForm(prev => ({ ...prev, maxSessions: e.target.value }))}
+              placeholder="No count limit"
+              className="mt-1 w-full px-3 py-2 rounded-lg border text-sm"
+              style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+            />
+          </label>
+        </div>
+
+        <div className="flex items-center space-x-3">
+          <button
+            onClick={handleSaveRetention}
+            className="px-4 py-2 rounded-lg font-medium"
+            style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+          >
+            Save & Apply
+          </button>
+          {retentionMessage && (
+            <span className="text-sm" style={{ color: retentionMessage.error ? '#F87171' : '#9FA3AC' }}>
+              {retentionMessage.text}
+            </span>
+          )}
+        </div>
+      </div>
+
       {/* Enhanced Export Options */}
       {(selectedSessions.length > 0 || sessionHistory.length > 0) && (
         <div 
@@ -345,59 +649,93 @@ const DataExporter = ({ currentSession }) => {
               <label className="block text-sm font-medium mb-2" style={{ color: '#FAFCFB' }}>
                 Export Format
               </label>
-              <div className="flex space-x-4">
+              <div className="flex flex-wrap gap-x-4 gap-y-2">
+                {FORMAT_OPTIONS.map(option => (
+                  <label key={option.value} className="flex items-center">
+                    <input
+                      type="radio"
+                      value={option.value}
+                      checked={exportFormat === option.value}
+                      onChange={(e) => setExportFormat(e.target.value)}
+                      className="mr-2"
+                      style={{ accentColor: '#86EFAC' }}
+                    />
+                    <span style={{ color: '#9FA3AC' }}>{option.label}</span>
+                  </label>
+                ))}
+              </div>
+            </div>
+
+            {exportFormat === 'xlsx' ? (
+              <p className="text-xs" style={{ color: '#9FA3AC' }}>
+                The workbook always has Summary, Counted Lines, Variances and Found Items sheets; column selection applies to CSV, JSON and NDJSON.
+              </p>
+            ) : (
+              <>
+                {/* Templates */}
+                <div className="flex flex-wrap items-center gap-2">
+                  <select
+                    value={exportTemplates.some(template => template.name === templateName) ? templateName : ''}
+                    onChange={(e) => handleApplyTemplate(e.target.value)}
+                    className="px-3 py-2 rounded-lg border text-sm"
+                    style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+                  >
+                    <option value="">{exportTemplates.length > 0 ? 'Load template...' : 'No saved templates'}</option>
+                    {exportTemplates.map(template => (
+                      <option key={template.name} value={template.name}>{template.name}</option>
+                    ))}
+                  </select>
+                  <input
+                    type="text"
+                    value={templateName}
+                    onChange={(e) => setTemplateName(e.target.value)}
+                    placeholder="Template name"
+                    className="flex-1 min-w-0 px-3 py-2 rounded-lg border text-sm"
+                    style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+                  />
+                  <button
+                    onClick={handleSaveTemplate}
+                    disabled={!templateName.trim() || exportColumns.length === 0}
+                    className="px-3 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+                    style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+                  >
+                    Save Template
+                  </button>
+                  {exportTemplates.some(template => template.name === templateName) && (
+                    <button
+                      onClick={handleDeleteTemplate}
+                      className="px-3 py-2 rounded-lg text-sm font-medium"
+                      style={{ color: '#F87171' }}
+                    >
+                      Delete
+                    </button>
+                  )}
+                </div>
+
+                <ExportColumnPicker
+                  columns={exportColumns}
+                  onColumnsChange={setExportColumns}
+                  defaultColumns={MULTI_SESSION_EXPORT_COLUMNS}
+                />
+
                 <label className="flex items-center">
                   <input
-                    type="radio"
-                    value="csv"
-                    checked={exportFormat === 'csv'}
-                    onChange={(e) => setExportFormat(e.target.value)}
+                    type="checkbox"
+                    checked={includeFoundItems}
+                    onChange={(e) => setIncludeFoundItems(e.target.checked)}
                     className="mr-2"
                     style={{ accentColor: '#86EFAC' }}
                   />
-                  <span style={{ color: '#9FA3AC' }}>Enhanced CSV (Excel compatible)</span>
+                  <span className="text-sm font-medium" style={{ color: '#FAFCFB' }}>
+                    Include found items (not in the uploaded list)
+                  </span>
                 </label>
-              </div>
-            </div>
-
-            {/* Enhanced Options */}
-            <div className="space-y-3">
-              <label className="flex items-center">
-                <input
-                  type="checkbox"
-                  checked={includeDetails}
-                  onChange={(e) => setIncludeDetails(e.target.checked)}
-                  className="mr-2"
-                  style={{ accentColor: '#86EFAC' }}
-                />
-                <span className="text-sm font-medium" style={{ color: '#FAFCFB' }}>
-                  Include detailed item information
-                </span>
-              </label>
-              <p className="text-xs ml-6" style={{ color: '#9FA3AC' }}>
-                Includes descriptions, expected quantities, and variance calculations
-              </p>
+              </>
+            )}
 
-              {hasBarcodeSessions && (
-                <>
-                  <label className="flex items-center">
-                    <input
-                      type="checkbox"
-                      checked={includeBarcodes}
-                      onChange={(e) => setIncludeBarcodes(e.target.checked)}
-                      className="mr-2"
-                      style={{ accentColor: '#86EFAC' }}
-                    />
-                    <span className="text-sm font-medium" style={{ color: '#FAFCFB' }}>
-                      Include barcode and alternate ID columns
-                    </span>
-                  </label>
-                  <p className="text-xs ml-6" style={{ color: '#9FA3AC' }}>
-                    Exports barcode data, alternate IDs, and scanning metadata
-                  </p>
-                </>
-              )}
-            </div>
+            {exportError && (
+              <div className="text-sm" style={{ color: '#F87171' }}>{exportError}</div>
+            )}
           </div>
         </div>
       )}
@@ -415,17 +753,14 @@ const DataExporter = ({ currentSession }) => {
           }}
         >
           Export Selected ({selectedSessions.length})
-          {selectedSessions.length > 0 && includeBarcodes && hasBarcodeSessions && (
-            <div className="text-xs opacity-80">with barcodes</div>
+          {selectedSessions.length > 0 && (
+            <div className="text-xs opacity-80">{FORMAT_OPTIONS.find(option => option.value === exportFormat)?.label}</div>
           )}
         </button>
 
         {/* Export All */}
         <button
-          onClick={() => {
-            setSelectedSessions(sessionHistory.map(s => s.id));
-            setTimeout(handleExportSelected, 100);
-          }}
+          onClick={handleExportAll}
           disabled={sessionHistory.length === 0}
           className="py-3 px-4 rounded-lg font-medium border transition-colors disabled:opacity-50"
           style={{ 
@@ -455,6 +790,28 @@ const DataExporter = ({ currentSession }) => {
         </button>
       </div>
 
+      {recountSession && (
+        <RecountBuilder
+          session={recountSession}
+          onCreated={handleRecountCreated}
+          onClose={() => setRecountSession(null)}
+        />
+      )}
+
+      {showArchive && (
+        <ArchiveBrowser onClose={() => setShowArchive(false)} />
+      )}
+
+      {reportSession && (
+        <SessionReportDialog
+          session={reportSession}
+          onClose={() => setReportSession(null)}
+        />
+      )}
+
+      {/* Restore */}
+      <BackupRestore onRestoreComplete={onDataRestored} />
+
       {/* Enhanced Export Info */}
       <div 
         className="rounded-lg p-4"
@@ -465,11 +822,13 @@ const DataExporter = ({ currentSession }) => {
       >
         <h4 className="font-medium mb-2">Enhanced Export Information</h4>
         <ul className="text-sm space-y-1">
-          <li>• <strong>Enhanced CSV Export:</strong> Excel-compatible format with barcode support and variance analysis</li>
-          <li>• <strong>Current Session:</strong> Exports your active counting session with all barcode data</li>
+          <li>• <strong>CSV / JSON / NDJSON:</strong> Pick and order the columns, save the setup as a template; CSV values are quoted so commas and quotes in descriptions stay intact</li>
+          <li>• <strong>Active Sessions:</strong> Export any session that is still being counted, with all barcode data</li>
           <li>• <strong>Barcode Columns:</strong> Includes SKU, barcode, and alternate ID fields when available</li>
           <li>• <strong>Selected Sessions:</strong> Combines multiple sessions with consistent barcode formatting</li>
-          <li>• <strong>Full Backup:</strong> JSON format with complete barcode metadata for backup/restore</li>
+          <li>• <strong>PDF Report:</strong> Auditor-ready reconciliation report with accuracy, variance totals and sign-off lines, generated offline</li>
+          <li>• <strong>Recounts:</strong> Start a recount from any finished session; the final report takes each SKU's latest recounted quantity</li>
+          <li>• <strong>Full Backup:</strong> JSON format with complete barcode metadata; restore it below to merge or replace data on any device</li>
         </ul>
       </div>
     </div>
@@ -0,0 +1,109 @@
+// ExportColumnPicker.js - Choose and order the columns of a CSV / JSON / NDJSON export
+import React from 'react';
+import { EXPORT_COLUMNS } from '../utils/exportEngine';
+
+const ExportColumnPicker = ({ columns, onColumnsChange, defaultColumns }) => {
+  // Selected columns first in export order, then the rest in their usual order
+  const unselected = EXPORT_COLUMNS.filter(column => !columns.includes(column.id));
+  const ordered = [
+    ...columns.map(id => EXPORT_COLUMNS.find(column => column.id === id)).filter(Boolean),
+    ...unselected
+  ];
+
+  const toggleColumn = (id) => {
+    onColumnsChange(columns.includes(id)
+      ? columns.filter(columnId => columnId !== id)
+      : [...columns, id]);
+  };
+
+  const moveColumn = (id, offset) => {
+    const index = columns.indexOf(id);
+    const target = index + offset;
+    if (index === -1 || target < 0 || target >= columns.length) return;
+
+    const next = [...columns];
+    [next[index], next[target]] = [next[target], next[index]];
+    onColumnsChange(next);
+  };
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-sm font-medium" style={{ color: '#FAFCFB' }}>
+          Columns ({columns.length} of {EXPORT_COLUMNS.length})
+        </span>
+        <div className="flex space-x-3">
+          <button
+            onClick={() => onColumnsChange(EXPORT_COLUMNS.map(column => column.id))}
+            className="text-xs font-medium"
+            style={{ color: '#86EFAC' }}
+          >
+            All
+          </button>
+          <button
+            onClick={() => onColumnsChange(defaultColumns)}
+            className="text-xs font-medium"
+            style={{ color: '#86EFAC' }}
+          >
+            Reset
+          </button>
+        </div>
+      </div>
+
+      <div className="max-h-72 overflow-y-auto space-y-1">
+        {ordered.map(column => {
+          const selected = columns.includes(column.id);
+          const position = columns.indexOf(column.id);
+
+          return (
+            <div
+              key={column.id}
+              className="flex items-center justify-between px-3 py-1.5 rounded-lg border"
+              style={{ backgroundColor: '#15161B', borderColor: selected ? '#39414E' : '#15161B' }}
+            >
+              <label className="flex items-center flex-1 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={selected}
+                  onChange={() => toggleColumn(column.id)}
+                  className="mr-2"
+                  style={{ accentColor: '#86EFAC' }}
+                />
+                <span className="text-sm" style={{ color: selected ? '#FAFCFB' : '#9FA3AC' }}>
+                  {column.label}
+                </span>
+                {column.scope === 'session' && (
+                  <span className="ml-2 text-xs" style={{ color: '#9FA3AC' }}>• session</span>
+                )}
+              </label>
+              {selected && (
+                <div className="flex space-x-1">
+                  <button
+                    onClick={() => moveColumn(column.id, -1)}
+                    disabled={position === 0}
+                    className="px-2 text-xs rounded disabled:opacity-30"
+                    style={{ color: '#FAFCFB' }}
+                    title="Move up"
+                  >
+                    ↑
+                  </button>
+                  <button
+                    onClick={() => moveColumn(column.id, 1)}
+                    disabled={position === columns.length - 1}
+                    className="px-2 text-xs rounded disabled:opacity-30"
+                    style={{ color: '#FAFCFB' }}
+                    title="Move down"
+                  >
+                    ↓
+                  </button>
+                </div>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </div>
+  );
+};
+
+export default ExportColumnPicker;
@@ -0,0 +1,263 @@
+// FoundItems.js - Record items found on the floor that are not in the uploaded list
+import React, { useState, useEffect, useRef } from 'react';
+import { localStorageManager } from '../utils/LocalStorageManager';
+
+const MAX_PHOTO_SIZE = 640; // px on the longest side
+
+// Shrink a photo to a small JPEG data URL so it can live in the session record
+const readPhotoAsDataUrl = (file) => new Promise((resolve, reject) => {
+  const reader = new FileReader();
+  reader.onerror = () => reject(reader.error);
+  reader.onload = () => {
+    const image = new Image();
+    image.onerror = () => reject(new Error('Could not read photo'));
+    image.onload = () => {
+      const scale = Math.min(1, MAX_PHOTO_SIZE / Math.max(image.width, image.height));
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+      resolve(canvas.toDataURL('image/jpeg', 0.7));
+    };
+    image.src = reader.result;
+  };
+  reader.readAsDataURL(file);
+});
+
+const emptyDraft = { identifier: '', quantity: '', description: '', notes: '', photo: null };
+
+const FoundItems = ({ session, prefill = null, onPrefillUsed, onRecorded, onError, disabled = false }) => {
+  const [showForm, setShowForm] = useState(false);
+  const [draft, setDraft] = useState(emptyDraft);
+  const [photoLoading, setPhotoLoading] = useState(false);
+
+  const photoInputRef = useRef(null);
+
+  const foundItems = session?.foundItems || [];
+
+  // Open the form pre-filled when CountSession could not match a scan
+  useEffect(() => {
+    if (prefill) {
+      setDraft({
+        ...emptyDraft,
+        identifier: prefill.identifier || '',
+        quantity: prefill.quantity !== undefined && prefill.quantity !== null ? String(prefill.quantity) : ''
+      });
+      setShowForm(true);
+      if (onPrefillUsed) {
+        onPrefillUsed();
+      }
+    }
+  }, [prefill, onPrefillUsed]);
+
+  const resetForm = () => {
+    setDraft(emptyDraft);
+    setShowForm(false);
+    if (photoInputRef.current) {
+      photoInputRef.current.value = '';
+    }
+  };
+
+  const handlePhotoSelect = async (e) => {
+    const file = e.target.files && e.target.files[0];
+    if (!file) return;
+
+    setPhotoLoading(true);
+    try {
+      const photo = await readPhotoAsDataUrl(file);
+      setDraft(prev => ({ ...prev, photo }));
+    } catch (error) {
+      console.error('Photo read error:', error);
+      if (onError) onError('Could not read photo');
+    } finally {
+      setPhotoLoading(false);
+    }
+  };
+
+  const handleSave = () => {
+    try {
+      const result = localStorageManager.addFoundItem(draft.identifier, draft.quantity, {
+        description: draft.description.trim(),
+        notes: draft.notes.trim(),
+        photo: draft.photo
+      }, session.id);
+
+      resetForm();
+      if (onRecorded) {
+        onRecorded(`✓ Found item recorded: ${result.foundItem.identifier} - Qty: ${result.foundItem.quantity}`);
+      }
+    } catch (error) {
+      console.error('Found item error:', error);
+      if (onError) onError(error.message);
+    }
+  };
+
+  const handleRemove = (item) => {
+    if (!window.confirm(`Remove found item ${item.identifier}?`)) return;
+
+    try {
+      localStorageManager.removeFoundItem(item.id, session.id);
+      if (onRecorded) {
+        onRecorded(`Removed found item ${item.identifier}`);
+      }
+    } catch (error) {
+      console.error('Found item remove error:', error);
+      if (onError) onError(error.message);
+    }
+  };
+
+  const canSave = draft.identifier.trim() && draft.quantity !== '' && !photoLoading;
+
+  const inputStyle = {
+    backgroundColor: '#15161B',
+    borderColor: '#39414E',
+    color: '#FAFCFB'
+  };
+
+  return (
+    <div
+      className="rounded-xl p-4 shadow-sm border"
+      style={{
+        backgroundColor: '#181B22',
+        borderColor: '#39414E'
+      }}
+    >
+      <div className="flex items-center justify-between mb-3">
+        <h3 className="font-semibold" style={{ color: '#FAFCFB' }}>
+          Found Items ({foundItems.length})
+        </h3>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            disabled={disabled}
+            className="px-3 py-1 rounded-lg text-sm font-medium border"
+            style={{
+              backgroundColor: 'transparent',
+              color: '#86EFAC',
+              borderColor: '#86EFAC'
+            }}
+          >
+            + Found Item
+          </button>
+        )}
+      </div>
+
+      <p className="text-xs mb-3" style={{ color: '#9FA3AC' }}>
+        Items on the floor that are not in the uploaded list. Exported separately from counted SKUs.
+      </p>
+
+      {showForm && (
+        <div className="space-y-2 mb-4 p-3 rounded-lg" style={{ backgroundColor: '#15161B', border: '1px solid #39414E' }}>
+          <input
+            type="text"
+            value={draft.identifier}
+            onChange={(e) => setDraft({ ...draft, identifier: e.target.value })}
+            placeholder="SKU / barcode"
+            className="w-full px-3 py-2 rounded-lg border text-sm font-mono"
+            style={inputStyle}
+          />
+          <input
+            type="number"
+            min="0"
+            step="1"
+            value={draft.quantity}
+            onChange={(e) => setDraft({ ...draft, quantity: e.target.value })}
+            placeholder="Quantity"
+            className="w-full px-3 py-2 rounded-lg border text-sm"
+            style={inputStyle}
+          />
+          <input
+            type="text"
+            value={draft.description}
+            onChange={(e) => setDraft({ ...draft, description: e.target.value })}
+            placeholder="Description (optional)"
+            className="w-full px-3 py-2 rounded-lg border text-sm"
+            style={inputStyle}
+          />
+          <textarea
+            value={draft.notes}
+            onChange={(e) => setDraft({ ...draft, notes: e.target.value })}
+            placeholder="Notes - where it was found, condition... (optional)"
+            rows={2}
+            className="w-full px-3 py-2 rounded-lg border text-sm"
+            style={inputStyle}
+          />
+          <div className="flex items-center space-x-3">
+            <input
+              ref={photoInputRef}
+              type="file"
+              accept="image/*"
+              capture="environment"
+              onChange={handlePhotoSelect}
+              className="flex-1 text-xs"
+              style={{ color: '#9FA3AC' }}
+            />
+            {draft.photo && (
+              <img src={draft.photo} alt="Found item" className="h-12 w-12 object-cover rounded" />
+            )}
+          </div>
+          <div className="flex space-x-2 pt-1">
+            <button
+              onClick={resetForm}
+              className="flex-1 py-2 rounded-lg text-sm font-medium border"
+              style={{ backgroundColor: 'transparent', color: '#9FA3AC', borderColor: '#39414E' }}
+            >
+              Cancel
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={!canSave}
+              className="flex-1 py-2 rounded-lg text-sm font-medium"
+              style={{
+                backgroundColor: canSave ? '#86EFAC' : '#39414E',
+                color: canSave ? '#00001C' : '#9FA3AC',
+                cursor: canSave ? 'pointer' : 'not-allowed'
+              }}
+            >
+              {photoLoading ? 'Reading photo...' : 'Save Found Item'}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {foundItems.length > 0 && (
+        <div className="space-y-2 max-h-64 overflow-y-auto">
+          {foundItems.map(item => (
+            <div
+              key={item.id}
+              className="flex items-center justify-between p-3 rounded-lg border"
+              style={{ backgroundColor: '#15161B', borderColor: '#39414E' }}
+            >
+              <div className="flex items-center min-w-0 flex-1">
+                {item.photo && (
+                  <img src={item.photo} alt={item.identifier} className="h-10 w-10 object-cover rounded mr-3" />
+                )}
+                <div className="min-w-0">
+                  <div className="font-medium font-mono" style={{ color: '#FAFCFB' }}>
+                    {item.identifier} <span style={{ color: '#86EFAC' }}>× {item.quantity}</span>
+                  </div>
+                  {item.description && (
+                    <div className="text-sm truncate" style={{ color: '#9FA3AC' }}>{item.description}</div>
+                  )}
+                  {item.notes && (
+                    <div className="text-xs truncate" style={{ color: '#9FA3AC' }}>{item.notes}</div>
+                  )}
+                </div>
+              </div>
+              <button
+                onClick={() => handleRemove(item)}
+                disabled={disabled}
+                className="text-xs ml-3"
+                style={{ color: '#F87171' }}
+              >
+                Remove
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default FoundItems;
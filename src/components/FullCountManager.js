@@ -1,5 +1,8 @@
 import React, { useState, useEffect, useCallback, useRef, useMemo } from 'react';
 import { supabaseReplacementAPI, priorityAPI } from '../utils/api';
+import { describeMisread, matchComponent } from '../utils/gtin';
+import BarcodeScannerModal, { useBarcodeScanner } from './BarcodeScanner';
+import BatchScanDialog from './BatchScan';
 
 // =====================================================
 // FULL COUNT MANAGER COMPONENT - CLEAN UI VERSION
@@ -25,182 +28,28 @@ const FullCountManager = ({ user, selectedLocation, onBack, onStatsUpdate, isAdm
   
   // Reset functionality
   const [showResetModal, setShowResetModal] = useState(false);
+  const [showBatchScan, setShowBatchScan] = useState(false);
   
-  // Camera/Scanner state
-  const [showCamera, setShowCamera] = useState(false);
-  const [cameraStream, setCameraStream] = useState(null);
-  const [isScanning, setIsScanning] = useState(false);
-  const [cameraError, setCameraError] = useState('');
-  const [cameraSupported, setCameraSupported] = useState(true);
-
   // Refs
   const skuInputRef = useRef(null);
   const quantityInputRef = useRef(null);
   const dropdownRef = useRef(null);
-  const videoRef = useRef(null);
-  const canvasRef = useRef(null);
-  const scannerRef = useRef(null);
 
   // Count session (stable across renders)
   const countSession = useMemo(() => `full_count_${Date.now()}`, []);
 
-  // Stop camera function
-  const stopCamera = useCallback(() => {
-    if (cameraStream) {
-      cameraStream.getTracks().forEach(track => track.stop());
-      setCameraStream(null);
-    }
-    
-    if (scannerRef.current) {
-      try {
-        scannerRef.current.stop();
-        scannerRef.current = null;
-      } catch (error) {
-        console.error('Error stopping scanner:', error);
-      }
-    }
-    
-    setShowCamera(false);
-    setIsScanning(false);
-    setCameraError('');
-  }, [cameraStream]);
-
-  // Check camera support on component mount
-  useEffect(() => {
-    const checkCameraSupport = () => {
-      if (!navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
-        setCameraSupported(false);
-        return;
-      }
-      setCameraSupported(true);
-    };
-    
-    checkCameraSupport();
-  }, []);
-
-  // Initialize barcode scanner when camera is shown
-  useEffect(() => {
-    const initializeScanner = async () => {
-      if (showCamera && videoRef.current && !scannerRef.current) {
-        try {
-          const Quagga = await import('quagga');
-          
-          const config = {
-            inputStream: {
-              name: "Live",
-              type: "LiveStream",
-              target: videoRef.current,
-              constraints: {
-                width: 320,
-                height: 240,
-                facingMode: "environment"
-              }
-            },
-            decoder: {
-              readers: [
-                "code_128_reader",
-                "ean_reader",
-                "ean_8_reader",
-                "code_39_reader",
-                "code_39_vin_reader",
-                "codabar_reader",
-                "upc_reader",
-                "upc_e_reader"
-              ]
-            },
-            locate: true,
-            locator: {
-              halfSample: true,
-              patchSize: "medium"
-            }
-          };
-
-          Quagga.init(config, (err) => {
-            if (err) {
-              console.error('Quagga initialization error:', err);
-              setCameraError('Failed to initialize barcode scanner');
-              return;
-            }
-            
-            Quagga.start();
-            setIsScanning(true);
-            
-            Quagga.onDetected((result) => {
-              if (result && result.codeResult && result.codeResult.code) {
-                const barcode = result.codeResult.code;
-                setCurrentSku(barcode);
-                stopCamera();
-                setStatus(`Barcode scanned: ${barcode}`);
-                setStatusType('success');
-                
-                if (skuInputRef.current) {
-                  skuInputRef.current.focus();
-                }
-              }
-            });
-          });
-
-          scannerRef.current = Quagga;
-        } catch (error) {
-          console.error('Error loading barcode scanner:', error);
-          setCameraError('Barcode scanner not available');
-        }
-      }
-    };
-
-    if (showCamera) {
-      initializeScanner();
-    }
-
-    return () => {
-      if (scannerRef.current) {
-        try {
-          scannerRef.current.stop();
-          scannerRef.current = null;
-        } catch (error) {
-          console.error('Error stopping scanner:', error);
-        }
-      }
-    };
-  }, [showCamera, stopCamera]);
-
-  // Start camera function
-  const startCamera = async () => {
-    if (!cameraSupported) {
-      setCameraError('Camera not supported on this device');
-      return;
-    }
+  // Camera scanning: a scanned code fills the SKU field
+  const scanner = useBarcodeScanner({
+    onDetected: ({ code }) => {
+      setCurrentSku(code);
+      setStatus(`Barcode scanned: ${code}`);
+      setStatusType('success');
 
-    try {
-      setCameraError('');
-      setShowCamera(true);
-      
-      const stream = await navigator.mediaDevices.getUserMedia({
-        video: { 
-          facingMode: "environment",
-          width: { ideal: 320 },
-          height: { ideal: 240 }
-        }
-      });
-      
-      setCameraStream(stream);
-      
-      if (videoRef.current) {
-        videoRef.current.srcObject = stream;
+      if (skuInputRef.current) {
+        skuInputRef.current.focus();
       }
-    } catch (error) {
-      console.error('Camera access error:', error);
-      setCameraError('Camera access denied or not available');
-      setShowCamera(false);
     }
-  };
-
-  // Cleanup camera on unmount
-  useEffect(() => {
-    return () => {
-      stopCamera();
-    };
-  }, [stopCamera]);
+  });
 
   // Auto-dismiss success messages
   useEffect(() => {
@@ -414,6 +263,23 @@ const FullCountManager = ({ user, selectedLocation, onBack, onStatsUpdate, isAdm
     }, 100);
   };
 
+  // Save a count with monthly source tracking and mark the component counted
+  const saveCount = async (component, quantity) => {
+    // Submit with 'full' source - server maps to 'monthly'
+    await supabaseReplacementAPI.updateComponentWithCountTracking(
+      component.barcode,
+      quantity,
+      selectedLocation,
+      'full', // Server maps to 'monthly' for database
+      countSession,
+      user.id,
+      new Date().toISOString()
+    );
+
+    // Mark as counted
+    setCountedComponents(prev => new Set([...prev, component.barcode]));
+  };
+
   // Submit count with monthly source tracking
   const handleSubmitCount = async () => {
     if (!currentSku || !currentQuantity) {
@@ -423,9 +289,13 @@ const FullCountManager = ({ user, selectedLocation, onBack, onStatsUpdate, isAdm
     }
 
     // Verify SKU exists in component list
-    const component = components.find(comp => 
-      comp.barcode === currentSku || comp.id === currentSku
-    );
+    const { component, misread } = matchComponent(components, currentSku);
+
+    if (misread) {
+      setStatus(describeMisread(currentSku));
+      setStatusType('error');
+      return;
+    }
 
     if (!component) {
       setStatus('SKU not found in component list');
@@ -436,19 +306,7 @@ const FullCountManager = ({ user, selectedLocation, onBack, onStatsUpdate, isAdm
     try {
       setIsLoading(true);
       
-      // Submit with 'full' source - server maps to 'monthly'
-      await supabaseReplacementAPI.updateComponentWithCountTracking(
-        component.barcode,
-        parseInt(currentQuantity),
-        selectedLocation,
-        'full', // Server maps to 'monthly' for database
-        countSession,
-        user.id,
-        new Date().toISOString()
-      );
-
-      // Mark as counted
-      setCountedComponents(prev => new Set([...prev, component.barcode]));
+      await saveCount(component, parseInt(currentQuantity));
       
       // Clear inputs and focus back on SKU input
       setCurrentSku('');
@@ -476,6 +334,33 @@ const FullCountManager = ({ user, selectedLocation, onBack, onStatsUpdate, isAdm
     }
   };
 
+  // Batch scanning: each queued tally is saved like a submitted count
+  const resolveBatchScan = (code) => {
+    const { component, misread } = matchComponent(components, code);
+    if (misread) throw new Error(describeMisread(code));
+    if (!component) throw new Error(`SKU not found in component list: ${code}`);
+
+    return {
+      key: component.barcode,
+      label: component.barcode,
+      detail: component.description,
+      item: component
+    };
+  };
+
+  const commitBatchEntry = async (entry, quantity) => {
+    await saveCount(entry.item, quantity);
+    return { type: 'success', message: `Qty ${quantity}` };
+  };
+
+  const handleBatchCommitted = (savedCount) => {
+    setStatus(`Counted ${savedCount} component${savedCount === 1 ? '' : 's'} from the batch`);
+    setStatusType('success');
+    if (onStatsUpdate) {
+      onStatsUpdate();
+    }
+  };
+
   // ✅ FIX: Reset monthly counts function with proper error handling
   const handleResetMonthlyCount = async () => {
     try {
@@ -664,16 +549,16 @@ const FullCountManager = ({ user, selectedLocation, onBack, onStatsUpdate, isAdm
               />
               
               {/* Camera Scanner Button */}
-              {cameraSupported && (
+              {scanner.isSupported && (
                 <button
-                  onClick={startCamera}
-                  disabled={showCamera}
+                  onClick={scanner.open}
+                  disabled={scanner.isOpen}
                   className="absolute right-3 p-2 rounded-lg"
                   style={{ 
                     backgroundColor: 'transparent',
                     border: 'none',
-                    cursor: showCamera ? 'not-allowed' : 'pointer',
-                    opacity: showCamera ? '0.5' : '1'
+                    cursor: scanner.isOpen ? 'not-allowed' : 'pointer',
+                    opacity: scanner.isOpen ? '0.5' : '1'
                   }}
                   title="Scan barcode with camera"
                 >
@@ -788,102 +673,35 @@ const FullCountManager = ({ user, selectedLocation, onBack, onStatsUpdate, isAdm
           >
             {isLoading ? 'Saving...' : 'Submit Count'}
           </button>
+
+          {/* Batch Scan Button */}
+          <button
+            onClick={() => setShowBatchScan(true)}
+            disabled={isLoading}
+            className="w-full mt-2 py-3 rounded-lg font-medium text-base"
+            style={{ 
+              backgroundColor: '#374051',
+              color: '#FAFCFB',
+              border: 'none'
+            }}
+            title="Scan single units continuously and save the tallies at once"
+          >
+            Batch Scan
+          </button>
         </div>
 
         {/* Camera Scanner Modal */}
-        {showCamera && (
-          <div className="fixed inset-0 bg-black bg-opacity-75 flex items-center justify-center z-50">
-            <div 
-              className="rounded-xl p-6 max-w-md w-full mx-4"
-              style={{ 
-                backgroundColor: '#181B22', 
-                borderColor: '#39414E' 
-              }}
-            >
-              <div className="flex items-center justify-between mb-4">
-                <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
-                  Scan Barcode
-                </h3>
-                <button
-                  onClick={stopCamera}
-                  className="p-2 rounded-lg"
-                  style={{ 
-                    backgroundColor: '#86EFAC', 
-                    color: '#00001C',
-                    border: 'none',
-                    cursor: 'pointer'
-                  }}
-                >
-                  ✕
-                </button>
-              </div>
-              
-              {cameraError ? (
-                <div className="text-center py-8">
-                  <div className="text-red-400 mb-4">{cameraError}</div>
-                  <button
-                    onClick={stopCamera}
-                    className="px-4 py-2 rounded-lg font-medium"
-                    style={{ 
-                      backgroundColor: '#86EFAC', 
-                      color: '#00001C',
-                      border: 'none',
-                      cursor: 'pointer'
-                    }}
-                  >
-                    Close
-                  </button>
-                </div>
-              ) : (
-                <div className="text-center">
-                  <div 
-                    className="relative mb-4 rounded-lg overflow-hidden"
-                    style={{ backgroundColor: '#15161B' }}
-                  >
-                    <video
-                      ref={videoRef}
-                      autoPlay
-                      playsInline
-                      muted
-                      style={{
-                        width: '100%',
-                        height: '240px',
-                        objectFit: 'cover'
-                      }}
-                    />
-                    <canvas
-                      ref={canvasRef}
-                      style={{ display: 'none' }}
-                    />
-                  </div>
-                  
-                  <div className="text-sm mb-4" style={{ color: '#9FA3AC' }}>
-                    {isScanning ? (
-                      <div className="flex items-center justify-center">
-                        <div className="animate-pulse mr-2">📷</div>
-                        Position barcode in camera view
-                      </div>
-                    ) : (
-                      'Initializing camera...'
-                    )}
-                  </div>
-                  
-                  <button
-                    onClick={stopCamera}
-                    className="px-4 py-2 rounded-lg font-medium"
-                    style={{ 
-                      backgroundColor: '#86EFAC', 
-                      color: '#00001C',
-                      border: 'none',
-                      cursor: 'pointer'
-                    }}
-                  >
-                    Cancel
-                  </button>
-                </div>
-              )}
-            </div>
-          </div>
+        <BarcodeScannerModal scanner={scanner} />
+
+        {/* Continuous scanning into a tally queue */}
+        {showBatchScan && (
+          <BatchScanDialog
+            title="Batch Scan - Monthly Count"
+            resolveScan={resolveBatchScan}
+            commitEntry={commitBatchEntry}
+            onCommitted={handleBatchCommitted}
+            onClose={() => setShowBatchScan(false)}
+          />
         )}
 
         {/* ✅ FIXED: Clean Scan History Modal - Removed unnecessary dual tracking text */}
@@ -0,0 +1,338 @@
+// KeyInGrid.js - Spreadsheet-style entry of paper count results
+import React, { useMemo, useRef, useState } from 'react';
+import { localStorageManager } from '../utils/LocalStorageManager';
+import { buildCountSheetSections } from '../utils/countSheet';
+
+const isWholeNumber = (value) => /^\d+$/.test(value.trim());
+
+const matchesIdentifier = (sku, identifier) => {
+  const value = identifier.trim().toLowerCase();
+  return [sku.sku, sku.barcode, sku.alternateId]
+    .some(candidate => candidate && candidate.toString().toLowerCase() === value);
+};
+
+const KeyInGrid = ({ session, sheetOptions, onSaved, onClose }) => {
+  const [quantities, setQuantities] = useState({}); // skuId -> typed text
+  const [rowStatus, setRowStatus] = useState({}); // skuId -> { type, message }
+  const [bin, setBin] = useState('');
+  const [search, setSearch] = useState('');
+  const [message, setMessage] = useState(null); // { type, text }
+  const [isSaving, setIsSaving] = useState(false);
+  const inputRefs = useRef([]);
+
+  const isBlindCount = !!session.blindCount;
+
+  // Same order as the printed sheet, so the typist can follow the paper
+  const sections = useMemo(() => {
+    const query = search.trim().toLowerCase();
+    return buildCountSheetSections(session.skus, sheetOptions)
+      .map(section => ({
+        ...section,
+        skus: query
+          ? section.skus.filter(sku => [sku.sku, sku.barcode, sku.description]
+            .some(value => value && value.toString().toLowerCase().includes(query)))
+          : section.skus
+      }))
+      .filter(section => section.skus.length > 0);
+  }, [session.skus, sheetOptions, search]);
+
+  const rows = useMemo(() => sections.flatMap(section => section.skus), [sections]);
+
+  const enteredIds = Object.keys(quantities).filter(id => quantities[id].trim() !== '');
+  const invalidIds = enteredIds.filter(id => !isWholeNumber(quantities[id]));
+
+  const focusRow = (index) => {
+    const input = inputRefs.current[Math.max(0, Math.min(index, rows.length - 1))];
+    if (input) {
+      input.focus();
+      input.select();
+    }
+  };
+
+  const setQuantity = (skuId, value) => {
+    setQuantities(prev => ({ ...prev, [skuId]: value }));
+  };
+
+  const handleKeyDown = (e, index) => {
+    if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+      e.preventDefault();
+      handleSave();
+    } else if (e.key === 'Enter' || e.key === 'ArrowDown') {
+      e.preventDefault();
+      focusRow(e.shiftKey ? index - 1 : index + 1);
+    } else if (e.key === 'ArrowUp') {
+      e.preventDefault();
+      focusRow(index - 1);
+    }
+  };
+
+  // Multi-line paste: a single column fills downward from this row; "SKU <tab> qty"
+  // pairs are matched by identifier wherever the SKU sits in the list
+  const handlePaste = (e, index) => {
+    const text = e.clipboardData.getData('text');
+    if (!/[\r\n\t]/.test(text)) return;
+
+    e.preventDefault();
+    const lines = text.split(/\r?\n/);
+    while (lines.length > 0 && lines[lines.length - 1].trim() === '') {
+      lines.pop();
+    }
+
+    const cells = lines.map(line => line.split('\t').map(cell => cell.trim()));
+    const isPairs = cells.every(lineCells => lineCells.length >= 2 || lineCells.join('') === '') &&
+      cells.some(([identifier]) => session.skus.some(sku => matchesIdentifier(sku, identifier)));
+
+    const updates = {};
+    const unknown = [];
+
+    if (isPairs) {
+      cells.forEach(([identifier, quantity]) => {
+        if (!identifier) return;
+        const sku = session.skus.find(candidate => matchesIdentifier(candidate, identifier));
+        if (sku) {
+          updates[sku.id] = quantity || '';
+        } else {
+          unknown.push(identifier);
+        }
+      });
+    } else {
+      cells.forEach(([quantity], offset) => {
+        const row = rows[index + offset];
+        if (row) {
+          updates[row.id] = quantity || '';
+        }
+      });
+    }
+
+    setQuantities(prev => ({ ...prev, ...updates }));
+
+    const filled = Object.keys(updates).length;
+    const overflow = isPairs ? 0 : Math.max(0, cells.length - (rows.length - index));
+    if (unknown.length > 0 || overflow > 0) {
+      setMessage({
+        type: 'warning',
+        text: unknown.length > 0
+          ? `Pasted ${filled} values; ${unknown.length} not in this session: ${unknown.slice(0, 5).join(', ')}${unknown.length > 5 ? '…' : ''}`
+          : `Pasted ${filled} values; ${overflow} ran past the end of the list and were ignored`
+      });
+    } else {
+      setMessage({ type: 'success', text: `Pasted ${filled} values` });
+    }
+
+    if (!isPairs) {
+      focusRow(index + filled);
+    }
+  };
+
+  // Every entry goes through countSku, so each one adds a count line and runs the
+  // same tolerance/recount check as a scanned count
+  function handleSave() {
+    if (enteredIds.length === 0 || isSaving) return;
+    if (invalidIds.length > 0) {
+      setMessage({ type: 'error', text: `Fix ${invalidIds.length} invalid quantit${invalidIds.length === 1 ? 'y' : 'ies'} before saving` });
+      return;
+    }
+
+    setIsSaving(true);
+    const statuses = {};
+    const remaining = {};
+    let saved = 0;
+    let recounts = 0;
+
+    enteredIds.forEach(skuId => {
+      const sku = session.skus.find(candidate => candidate.id === skuId);
+      if (!sku) return;
+
+      try {
+        const result = localStorageManager.countSku(sku.sku, parseInt(quantities[skuId]), '', session.id, { bin });
+        saved++;
+        if (result.recountRequired) {
+          recounts++;
+          statuses[skuId] = { type: 'warning', message: 'Outside tolerance - enter a recount' };
+        } else {
+          statuses[skuId] = { type: 'success', message: `Total ${result.skuData.countedQuantity}` };
+        }
+      } catch (error) {
+        console.error('Error saving keyed count:', sku.sku, error);
+        statuses[skuId] = { type: 'error', message: error.message };
+        remaining[skuId] = quantities[skuId];
+      }
+    });
+
+    const failed = Object.keys(remaining).length;
+    setQuantities(remaining);
+    setRowStatus(prev => ({ ...prev, ...statuses }));
+    setMessage({
+      type: failed > 0 ? 'error' : recounts > 0 ? 'warning' : 'success',
+      text: `Saved ${saved} count${saved === 1 ? '' : 's'}` +
+        (recounts > 0 ? ` • ${recounts} need a recount` : '') +
+        (failed > 0 ? ` • ${failed} failed` : '')
+    });
+    setIsSaving(false);
+
+    if (saved > 0) {
+      onSaved();
+    }
+  }
+
+  const handleClose = () => {
+    if (enteredIds.length > 0 && !window.confirm(`Discard ${enteredIds.length} unsaved entr${enteredIds.length === 1 ? 'y' : 'ies'}?`)) {
+      return;
+    }
+    onClose();
+  };
+
+  const statusColors = { success: '#86EFAC', warning: '#F59E0B', error: '#F87171' };
+  let rowNumber = 0;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4">
+      <div
+        className="w-full max-w-4xl h-full flex flex-col rounded-xl p-4 border"
+        style={{ backgroundColor: '#181B22', borderColor: '#39414E' }}
+      >
+        <div className="flex items-center justify-between mb-3">
+          <div>
+            <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+              Key In Counts
+            </h3>
+            <div className="text-xs" style={{ color: '#9FA3AC' }}>
+              Enter/↓ next row • ↑ previous • Ctrl+Enter save • Paste a column of quantities, or SKU and quantity pairs
+            </div>
+          </div>
+          <button onClick={handleClose} className="text-sm" style={{ color: '#9FA3AC' }}>
+            ✕ Close
+          </button>
+        </div>
+
+        <div className="flex flex-wrap gap-3 mb-3">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => setSearch(e.target.value)}
+            placeholder="Filter by SKU, barcode or description"
+            className="flex-1 min-w-0 px-3 py-2 rounded-lg border text-sm"
+            style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+          />
+          <input
+            type="text"
+            value={bin}
+            onChange={(e) => setBin(e.target.value)}
+            placeholder="Bin for these counts (optional)"
+            className="w-56 px-3 py-2 rounded-lg border text-sm"
+            style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+          />
+        </div>
+
+        {message && (
+          <div className="text-sm mb-2" style={{ color: statusColors[message.type] }}>
+            {message.text}
+          </div>
+        )}
+
+        <div className="flex-1 overflow-y-auto rounded-lg border" style={{ borderColor: '#39414E' }}>
+          <table className="w-full text-sm">
+            <thead className="sticky top-0" style={{ backgroundColor: '#15161B' }}>
+              <tr style={{ color: '#9FA3AC' }}>
+                <th className="px-2 py-2 text-left font-medium w-10">#</th>
+                <th className="px-2 py-2 text-left font-medium">SKU</th>
+                <th className="px-2 py-2 text-left font-medium">Description</th>
+                {!isBlindCount && <th className="px-2 py-2 text-right font-medium">Expected</th>}
+                <th className="px-2 py-2 text-right font-medium">Counted</th>
+                <th className="px-2 py-2 text-left font-medium w-28">Add Qty</th>
+                <th className="px-2 py-2 text-left font-medium">Status</th>
+              </tr>
+            </thead>
+            <tbody>
+              {sections.map(section => (
+                <React.Fragment key={section.title || 'all'}>
+                  {section.title && (
+                    <tr style={{ backgroundColor: '#374051' }}>
+                      <td colSpan={isBlindCount ? 6 : 7} className="px-2 py-1 text-xs font-medium" style={{ color: '#FAFCFB' }}>
+                        {section.title} ({section.skus.length})
+                      </td>
+                    </tr>
+                  )}
+                  {section.skus.map(sku => {
+                    const index = rowNumber++;
+                    const value = quantities[sku.id] || '';
+                    const invalid = value.trim() !== '' && !isWholeNumber(value);
+                    const status = rowStatus[sku.id];
+
+                    return (
+                      <tr key={sku.id} className="border-t" style={{ borderColor: '#39414E' }}>
+                        <td className="px-2 py-1" style={{ color: '#9FA3AC' }}>{index + 1}</td>
+                        <td className="px-2 py-1 font-mono" style={{ color: '#FAFCFB' }}>{sku.sku}</td>
+                        <td className="px-2 py-1 truncate max-w-xs" style={{ color: '#9FA3AC' }}>{sku.description}</td>
+                        {!isBlindCount && (
+                          <td className="px-2 py-1 text-right" style={{ color: '#9FA3AC' }}>{sku.expectedQuantity}</td>
+                        )}
+                        <td className="px-2 py-1 text-right" style={{ color: sku.counted ? '#FAFCFB' : '#39414E' }}>
+                          {sku.counted ? sku.countedQuantity : '—'}
+                        </td>
+                        <td className="px-2 py-1">
+                          <input
+                            ref={(element) => { inputRefs.current[index] = element; }}
+                            type="text"
+                            inputMode="numeric"
+                            value={value}
+                            onChange={(e) => setQuantity(sku.id, e.target.value)}
+                            onKeyDown={(e) => handleKeyDown(e, index)}
+                            onPaste={(e) => handlePaste(e, index)}
+                            onFocus={(e) => e.target.select()}
+                            className="w-full px-2 py-1 rounded border text-sm text-right"
+                            style={{
+                              backgroundColor: '#15161B',
+                              borderColor: invalid ? '#F87171' : '#39414E',
+                              color: '#FAFCFB'
+                            }}
+                          />
+                        </td>
+                        <td className="px-2 py-1 text-xs" style={{ color: status ? statusColors[status.type] : '#9FA3AC' }}>
+                          {status ? status.message : sku.recountRequired ? 'Recount required' : ''}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </React.Fragment>
+              ))}
+            </tbody>
+          </table>
+          {rows.length === 0 && (
+            <div className="text-sm py-8 text-center" style={{ color: '#9FA3AC' }}>
+              No items to show
+            </div>
+          )}
+        </div>
+
+        <div className="flex items-center justify-between mt-3">
+          <div className="text-sm" style={{ color: '#9FA3AC' }}>
+            {enteredIds.length} entered
+            {invalidIds.length > 0 && (
+              <span style={{ color: '#F87171' }}> • {invalidIds.length} invalid</span>
+            )}
+          </div>
+          <div className="flex space-x-3">
+            <button
+              onClick={handleClose}
+              className="px-4 py-2 rounded-lg text-sm font-medium"
+              style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+            >
+              Done
+            </button>
+            <button
+              onClick={handleSave}
+              disabled={enteredIds.length === 0 || isSaving}
+              className="px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+              style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+            >
+              Save {enteredIds.length} Count{enteredIds.length === 1 ? '' : 's'}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default KeyInGrid;
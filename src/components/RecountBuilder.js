@@ -0,0 +1,245 @@
+// RecountBuilder.js - Pick SKUs from a finished session and start a recount session for them
+import React, { useMemo, useState } from 'react';
+import { localStorageManager } from '../utils/LocalStorageManager';
+
+const REASON_LABELS = {
+  variance: 'Variance',
+  uncounted: 'Uncounted',
+  recount: 'Flagged',
+  notes: 'Notes'
+};
+
+const DEFAULT_CRITERIA = {
+  varianceUnits: '0',
+  variancePercent: '',
+  uncounted: true,
+  recountRequired: true,
+  withNotes: false,
+  notesContain: ''
+};
+
+const RecountBuilder = ({ session, onCreated, onClose }) => {
+  const [criteria, setCriteria] = useState(DEFAULT_CRITERIA);
+  const [excludedIds, setExcludedIds] = useState(() => new Set());
+  const [name, setName] = useState('');
+  const [blindCount, setBlindCount] = useState(!!session.blindCount);
+  const [error, setError] = useState('');
+
+  const candidates = useMemo(
+    () => localStorageManager.getRecountCandidates(session.id, criteria),
+    [session.id, criteria]
+  );
+
+  const selectedIds = candidates.filter(candidate => !excludedIds.has(candidate.id)).map(candidate => candidate.id);
+
+  const updateCriteria = (field, value) => {
+    setCriteria(prev => ({ ...prev, [field]: value }));
+  };
+
+  const toggleCandidate = (id) => {
+    setExcludedIds(prev => {
+      const next = new Set(prev);
+      if (next.has(id)) {
+        next.delete(id);
+      } else {
+        next.add(id);
+      }
+      return next;
+    });
+  };
+
+  const handleCreate = () => {
+    try {
+      const recount = localStorageManager.createRecountSession(session.id, selectedIds, {
+        name: name.trim() || undefined,
+        blindCount
+      });
+      onCreated(recount);
+    } catch (err) {
+      console.error('Error creating recount session:', err);
+      setError(err.message);
+    }
+  };
+
+  const inputStyle = { backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-2xl max-h-full overflow-y-auto rounded-xl p-6 border"
+        style={{ backgroundColor: '#181B22', borderColor: '#39414E' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+            Create Recount
+          </h3>
+          <button onClick={onClose} className="text-sm" style={{ color: '#9FA3AC' }}>
+            ✕ Close
+          </button>
+        </div>
+        <div className="text-sm mb-4" style={{ color: '#9FA3AC' }}>
+          From {session.name || session.uploadData?.filename || session.id} • {session.skus.length} SKUs
+        </div>
+
+        {/* Selection criteria - a SKU is included when any of them matches */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+          <label className="text-sm" style={{ color: '#9FA3AC' }}>
+            Variance over (units)
+            <input
+              type="number"
+              min="0"
+              value={criteria.varianceUnits}
+              onChange={(e) => updateCriteria('varianceUnits', e.target.value)}
+              placeholder="Off"
+              className="mt-1 w-full px-3 py-2 rounded-lg border text-sm"
+              style={inputStyle}
+            />
+          </label>
+          <label className="text-sm" style={{ color: '#9FA3AC' }}>
+            Variance over (%)
+            <input
+              type="number"
+              min="0"
+              value={criteria.variancePercent}
+              onChange={(e) => updateCriteria('variancePercent', e.target.value)}
+              placeholder="Off"
+              className="mt-1 w-full px-3 py-2 rounded-lg border text-sm"
+              style={inputStyle}
+            />
+          </label>
+          <label className="flex items-center space-x-2 text-sm" style={{ color: '#FAFCFB' }}>
+            <input
+              type="checkbox"
+              checked={criteria.uncounted}
+              onChange={(e) => updateCriteria('uncounted', e.target.checked)}
+            />
+            <span>Uncounted items</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm" style={{ color: '#FAFCFB' }}>
+            <input
+              type="checkbox"
+              checked={criteria.recountRequired}
+              onChange={(e) => updateCriteria('recountRequired', e.target.checked)}
+            />
+            <span>Flagged for recount</span>
+          </label>
+          <label className="flex items-center space-x-2 text-sm" style={{ color: '#FAFCFB' }}>
+            <input
+              type="checkbox"
+              checked={criteria.withNotes}
+              onChange={(e) => updateCriteria('withNotes', e.target.checked)}
+            />
+            <span>Items with notes</span>
+          </label>
+          <input
+            type="text"
+            value={criteria.notesContain}
+            onChange={(e) => updateCriteria('notesContain', e.target.value)}
+            placeholder="Notes containing..."
+            className="px-3 py-2 rounded-lg border text-sm"
+            style={inputStyle}
+          />
+        </div>
+
+        {/* Matching SKUs */}
+        <div className="flex items-center justify-between mb-2">
+          <div className="text-sm font-medium" style={{ color: '#FAFCFB' }}>
+            {selectedIds.length} of {candidates.length} matching SKUs selected
+          </div>
+          {excludedIds.size > 0 && (
+            <button onClick={() => setExcludedIds(new Set())} className="text-xs" style={{ color: '#86EFAC' }}>
+              Select all
+            </button>
+          )}
+        </div>
+        <div className="max-h-64 overflow-y-auto space-y-1 mb-4">
+          {candidates.length === 0 ? (
+            <div className="text-sm py-6 text-center" style={{ color: '#9FA3AC' }}>
+              No SKUs match these criteria
+            </div>
+          ) : (
+            candidates.map(candidate => (
+              <label
+                key={candidate.id}
+                className="flex items-center p-2 rounded-lg border cursor-pointer"
+                style={{ backgroundColor: '#15161B', borderColor: '#39414E' }}
+              >
+                <input
+                  type="checkbox"
+                  checked={!excludedIds.has(candidate.id)}
+                  onChange={() => toggleCandidate(candidate.id)}
+                  className="mr-3"
+                />
+                <div className="flex-1 min-w-0">
+                  <div className="font-mono text-sm truncate" style={{ color: '#FAFCFB' }}>{candidate.sku}</div>
+                  <div className="text-xs truncate" style={{ color: '#9FA3AC' }}>
+                    Expected {candidate.expectedQuantity} • Counted {candidate.countedQuantity ?? '—'}
+                    {candidate.variance !== null && candidate.variance !== 0 &&
+                      ` (${candidate.variance > 0 ? '+' : ''}${candidate.variance})`}
+                    {candidate.notes && ` • ${candidate.notes}`}
+                  </div>
+                </div>
+                <div className="ml-2 flex flex-wrap justify-end gap-1">
+                  {candidate.reasons.map(reason => (
+                    <span
+                      key={reason}
+                      className="px-2 py-0.5 rounded text-xs"
+                      style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+                    >
+                      {REASON_LABELS[reason]}
+                    </span>
+                  ))}
+                </div>
+              </label>
+            ))
+          )}
+        </div>
+
+        {/* New session settings */}
+        <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-4">
+          <input
+            type="text"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            placeholder="Session name (default: Recount N - original name)"
+            className="px-3 py-2 rounded-lg border text-sm"
+            style={inputStyle}
+          />
+          <label className="flex items-center space-x-2 text-sm" style={{ color: '#FAFCFB' }}>
+            <input
+              type="checkbox"
+              checked={blindCount}
+              onChange={(e) => setBlindCount(e.target.checked)}
+            />
+            <span>Blind count (hide expected quantities)</span>
+          </label>
+        </div>
+
+        {error && (
+          <div className="text-sm mb-3" style={{ color: '#F87171' }}>{error}</div>
+        )}
+
+        <div className="flex justify-end space-x-3">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-sm font-medium"
+            style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleCreate}
+            disabled={selectedIds.length === 0}
+            className="px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+            style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+          >
+            Create Recount Session ({selectedIds.length})
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default RecountBuilder;
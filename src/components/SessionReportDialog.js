@@ -0,0 +1,96 @@
+// SessionReportDialog.js - Record counters and download the PDF reconciliation report
+import React, { useState } from 'react';
+import { localStorageManager, storageHelpers } from '../utils/LocalStorageManager';
+import { exportSessionReportPDF } from '../utils/sessionReport';
+
+const SessionReportDialog = ({ session, onClose }) => {
+  const [counters, setCounters] = useState((session.counters || []).join(', '));
+  const [isGenerating, setIsGenerating] = useState(false);
+  const [error, setError] = useState('');
+
+  const handleDownload = async () => {
+    setIsGenerating(true);
+    setError('');
+    try {
+      // Saved on the session so the next report (and backups) keep the names
+      localStorageManager.setSessionCounters(session.id, counters.split(','));
+
+      const exportData = localStorageManager.exportSessionData(session.id);
+      if (!exportData) {
+        throw new Error('Session not found');
+      }
+
+      const blob = await exportSessionReportPDF(exportData);
+      const safeName = (session.name || session.id).replace(/[^a-z0-9_-]+/gi, '_');
+      storageHelpers.downloadBlob(blob, `count_report_${safeName}_${new Date().toISOString().split('T')[0]}.pdf`);
+      onClose();
+    } catch (err) {
+      console.error('Error generating session report:', err);
+      setError(`Could not generate report: ${err.message}`);
+    } finally {
+      setIsGenerating(false);
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md rounded-xl p-6 border"
+        style={{ backgroundColor: '#181B22', borderColor: '#39414E' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+            Reconciliation Report
+          </h3>
+          <button onClick={onClose} className="text-sm" style={{ color: '#9FA3AC' }}>
+            ✕ Close
+          </button>
+        </div>
+        <div className="text-sm mb-4" style={{ color: '#9FA3AC' }}>
+          {session.name || session.uploadData?.filename || session.id} • {session.countProgress?.counted || 0}/{session.countProgress?.total || 0} counted
+        </div>
+
+        <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+          Counted by
+          <input
+            type="text"
+            value={counters}
+            onChange={(e) => setCounters(e.target.value)}
+            placeholder="Names, separated by commas"
+            className="mt-1 w-full px-3 py-2 rounded-lg border text-sm"
+            style={{ backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' }}
+          />
+        </label>
+        <p className="text-xs mt-2" style={{ color: '#9FA3AC' }}>
+          The PDF covers session details, accuracy and variance totals, the top and full variance tables,
+          uncounted items and sign-off lines. It is built on this device from the stored session.
+        </p>
+
+        {error && (
+          <div className="text-sm mt-3" style={{ color: '#F87171' }}>{error}</div>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-5">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-sm font-medium"
+            style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleDownload}
+            disabled={isGenerating}
+            className="px-4 py-2 rounded-lg text-sm font-medium disabled:opacity-50"
+            style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+          >
+            {isGenerating ? 'Generating...' : 'Download PDF'}
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default SessionReportDialog;
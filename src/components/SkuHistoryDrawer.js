@@ -0,0 +1,101 @@
+// SkuHistoryDrawer.js - Per-SKU count history (counts, recounts, edits, un-counts, undos)
+import React from 'react';
+
+const EVENT_LABELS = {
+  count: 'Counted',
+  recount: 'Recounted',
+  edit: 'Edited line',
+  delete_line: 'Deleted line',
+  uncount: 'Un-counted',
+  finish: 'Finished count at',
+  undo: 'Undo'
+};
+
+// One-line description of an event, shared with CountSession's undo prompt
+export const describeCountEvent = (event) => {
+  const label = EVENT_LABELS[event.type] || event.type;
+  const bin = event.bin ? ` in ${event.bin}` : '';
+
+  switch (event.type) {
+    case 'count':
+    case 'recount':
+      return `${label} ${event.quantity}${bin}`;
+    case 'finish':
+      return `${label} ${event.quantity}`;
+    case 'edit':
+      return `${label}${bin} to ${event.quantity}`;
+    case 'delete_line':
+    case 'uncount':
+      return `${label} (${event.quantity}${bin})`;
+    case 'undo':
+      return `${label} ${(EVENT_LABELS[event.undoneType] || event.undoneType || '').toLowerCase()}`;
+    default:
+      return label;
+  }
+};
+
+const formatQuantity = (quantity) => (quantity === null || quantity === undefined ? '—' : quantity);
+
+const SkuHistoryDrawer = ({ sku, onClose }) => {
+  if (!sku) return null;
+
+  // Newest first
+  const events = [...(sku.events || [])].reverse();
+
+  return (
+    <div className="fixed inset-0 z-50 flex justify-end bg-black bg-opacity-50" onClick={onClose}>
+      <div
+        className="h-full w-full max-w-sm p-4 overflow-y-auto border-l"
+        style={{ backgroundColor: '#181B22', borderColor: '#39414E' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="font-semibold" style={{ color: '#FAFCFB' }}>
+            Count History
+          </h3>
+          <button onClick={onClose} className="text-sm" style={{ color: '#9FA3AC' }}>
+            ✕ Close
+          </button>
+        </div>
+        <div className="font-mono text-sm mb-1" style={{ color: '#86EFAC' }}>{sku.sku}</div>
+        {sku.description && (
+          <div className="text-xs mb-4" style={{ color: '#9FA3AC' }}>{sku.description}</div>
+        )}
+
+        {events.length === 0 ? (
+          <div className="text-sm py-8 text-center" style={{ color: '#9FA3AC' }}>
+            No counts recorded yet
+          </div>
+        ) : (
+          <ol className="space-y-2">
+            {events.map(event => (
+              <li
+                key={event.id}
+                className="p-3 rounded-lg border"
+                style={{ backgroundColor: '#15161B', borderColor: '#39414E' }}
+              >
+                <div className="flex items-center justify-between">
+                  <span className="text-sm font-medium" style={{ color: event.type === 'undo' ? '#F59E0B' : '#FAFCFB' }}>
+                    {describeCountEvent(event)}
+                  </span>
+                  <span className="text-xs" style={{ color: '#9FA3AC' }}>
+                    {new Date(event.time).toLocaleTimeString()}
+                  </span>
+                </div>
+                <div className="text-xs mt-1" style={{ color: '#9FA3AC' }}>
+                  Total {formatQuantity(event.fromQuantity)} → {formatQuantity(event.toQuantity)}
+                  {event.recountRequired && ' • recount required'}
+                </div>
+                {event.notes && (
+                  <div className="text-xs mt-1" style={{ color: '#9FA3AC' }}>{event.notes}</div>
+                )}
+              </li>
+            ))}
+          </ol>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default SkuHistoryDrawer;
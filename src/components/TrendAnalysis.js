@@ -0,0 +1,276 @@
+// TrendAnalysis.js - Record accuracy over time, chronically inaccurate SKUs and per-SKU history
+import React, { useMemo, useState } from 'react';
+import {
+  Chart as ChartJS,
+  LinearScale,
+  TimeScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  LineController,
+  BarController,
+  Tooltip,
+  Legend
+} from 'chart.js';
+import { Chart, Line } from 'react-chartjs-2';
+import 'chartjs-adapter-luxon';
+import { localStorageManager } from '../utils/LocalStorageManager';
+
+ChartJS.register(
+  LinearScale,
+  TimeScale,
+  PointElement,
+  LineElement,
+  BarElement,
+  LineController,
+  BarController,
+  Tooltip,
+  Legend
+);
+
+const GRID_COLOR = '#39414E';
+const TICK_COLOR = '#9FA3AC';
+
+const timeAxis = {
+  type: 'time',
+  time: { tooltipFormat: 'DD' },
+  grid: { color: GRID_COLOR },
+  ticks: { color: TICK_COLOR, maxRotation: 0 }
+};
+
+const valueAxis = (extra = {}) => ({
+  grid: { color: GRID_COLOR },
+  ticks: { color: TICK_COLOR },
+  ...extra
+});
+
+const baseOptions = {
+  responsive: true,
+  maintainAspectRatio: false,
+  plugins: {
+    legend: { labels: { color: '#FAFCFB' } },
+    // Points carry their session name so tooltips say which count they came from
+    tooltip: { callbacks: { title: items => items[0]?.raw?.name || '' } }
+  }
+};
+
+const signed = (value) => `${value > 0 ? '+' : ''}${value}`;
+
+const varianceColor = (value) => {
+  if (value < 0) return '#F87171';
+  if (value > 0) return '#86EFAC';
+  return '#9FA3AC';
+};
+
+const TrendAnalysis = () => {
+  const [selectedSku, setSelectedSku] = useState('');
+  const [search, setSearch] = useState('');
+  const [searchError, setSearchError] = useState('');
+
+  const accuracyTrend = useMemo(() => localStorageManager.getAccuracyTrend(), []);
+  const chronicSkus = useMemo(() => localStorageManager.getChronicVarianceSkus({ limit: 20 }), []);
+  const skuTrend = useMemo(
+    () => (selectedSku ? localStorageManager.getSkuTrend(selectedSku) : null),
+    [selectedSku]
+  );
+
+  if (accuracyTrend.length === 0) {
+    return (
+      <div className="text-sm" style={{ color: '#9FA3AC' }}>
+        Complete a count session to start tracking accuracy over time.
+      </div>
+    );
+  }
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    const query = search.trim();
+    if (!query) return;
+
+    if (localStorageManager.getSkuTrend(query)) {
+      setSelectedSku(query);
+      setSearchError('');
+    } else {
+      setSearchError(`"${query}" is not in any completed session`);
+    }
+  };
+
+  const accuracyData = {
+    datasets: [{
+      label: 'Record accuracy %',
+      data: accuracyTrend
+        .filter(point => point.accuracy !== null)
+        .map(point => ({ x: point.date, y: point.accuracy, name: point.name })),
+      borderColor: '#86EFAC',
+      backgroundColor: '#86EFAC',
+      tension: 0.2
+    }]
+  };
+
+  const skuData = skuTrend && {
+    datasets: [
+      {
+        type: 'line',
+        label: 'Expected',
+        data: skuTrend.points.map(point => ({ x: point.date, y: point.expected, name: point.sessionName })),
+        borderColor: '#9FA3AC',
+        backgroundColor: '#9FA3AC',
+        borderDash: [6, 4],
+        yAxisID: 'y'
+      },
+      {
+        type: 'line',
+        label: 'Counted',
+        data: skuTrend.points.map(point => ({ x: point.date, y: point.counted, name: point.sessionName })),
+        borderColor: '#86EFAC',
+        backgroundColor: '#86EFAC',
+        spanGaps: true,
+        yAxisID: 'y'
+      },
+      {
+        type: 'bar',
+        label: 'Variance',
+        data: skuTrend.points.map(point => ({ x: point.date, y: point.variance, name: point.sessionName })),
+        backgroundColor: skuTrend.points.map(point => varianceColor(point.variance)),
+        maxBarThickness: 16,
+        yAxisID: 'variance'
+      }
+    ]
+  };
+
+  const latest = accuracyTrend[accuracyTrend.length - 1];
+
+  return (
+    <div className="space-y-6">
+      {/* Record accuracy per session */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="font-medium" style={{ color: '#FAFCFB' }}>Inventory Record Accuracy</h4>
+          {latest.accuracy !== null && (
+            <span className="text-sm" style={{ color: '#9FA3AC' }}>
+              Latest: <span style={{ color: '#FAFCFB' }}>{latest.accuracy}%</span> ({latest.exactMatches}/{latest.countedSkus} exact)
+            </span>
+          )}
+        </div>
+        <div style={{ height: 220 }}>
+          <Line
+            data={accuracyData}
+            options={{
+              ...baseOptions,
+              scales: { x: timeAxis, y: valueAxis({ min: 0, max: 100 }) }
+            }}
+          />
+        </div>
+        <div className="text-xs mt-1" style={{ color: '#9FA3AC' }}>
+          Share of counted SKUs that matched the record exactly, across {accuracyTrend.length} completed session{accuracyTrend.length === 1 ? '' : 's'}. Recounts are not included.
+        </div>
+      </div>
+
+      {/* Chronically inaccurate SKUs */}
+      <div>
+        <h4 className="font-medium mb-2" style={{ color: '#FAFCFB' }}>Chronically Inaccurate SKUs</h4>
+        {chronicSkus.length === 0 ? (
+          <div className="text-sm" style={{ color: '#9FA3AC' }}>
+            No SKU has been off in more than one completed session yet.
+          </div>
+        ) : (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr style={{ color: '#9FA3AC' }}>
+                  <th className="text-left py-1 pr-3 font-medium">SKU</th>
+                  <th className="text-left py-1 pr-3 font-medium">Description</th>
+                  <th className="text-right py-1 pr-3 font-medium">Missed</th>
+                  <th className="text-right py-1 pr-3 font-medium">Miss rate</th>
+                  <th className="text-right py-1 pr-3 font-medium">Avg |var|</th>
+                  <th className="text-right py-1 pr-3 font-medium">Net</th>
+                  <th className="text-right py-1 font-medium">Last</th>
+                </tr>
+              </thead>
+              <tbody>
+                {chronicSkus.map(entry => (
+                  <tr
+                    key={entry.sku}
+                    onClick={() => setSelectedSku(entry.sku)}
+                    className="cursor-pointer border-t"
+                    style={{
+                      borderColor: GRID_COLOR,
+                      backgroundColor: skuTrend?.sku === entry.sku ? '#15161B' : 'transparent'
+                    }}
+                  >
+                    <td className="py-1 pr-3 font-mono" style={{ color: '#FAFCFB' }}>{entry.sku}</td>
+                    <td className="py-1 pr-3 truncate max-w-xs" style={{ color: '#9FA3AC' }}>{entry.description}</td>
+                    <td className="py-1 pr-3 text-right" style={{ color: '#FAFCFB' }}>{entry.misses}/{entry.sessions}</td>
+                    <td className="py-1 pr-3 text-right" style={{ color: entry.missRate >= 50 ? '#F87171' : '#F59E0B' }}>{entry.missRate}%</td>
+                    <td className="py-1 pr-3 text-right" style={{ color: '#FAFCFB' }}>{entry.averageVariance}</td>
+                    <td className="py-1 pr-3 text-right" style={{ color: varianceColor(entry.netVariance) }}>{signed(entry.netVariance)}</td>
+                    <td className="py-1 text-right" style={{ color: varianceColor(entry.lastVariance) }}>{signed(entry.lastVariance)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      {/* One SKU across sessions */}
+      <div>
+        <div className="flex items-center justify-between mb-2">
+          <h4 className="font-medium" style={{ color: '#FAFCFB' }}>SKU History</h4>
+          <form onSubmit={handleSearch} className="flex space-x-2">
+            <input
+              type="text"
+              value={search}
+              onChange={(e) => setSearch(e.target.value)}
+              placeholder="SKU or barcode"
+              className="px-3 py-1 rounded-lg border text-sm"
+              style={{ backgroundColor: '#15161B', borderColor: GRID_COLOR, color: '#FAFCFB' }}
+            />
+            <button
+              type="submit"
+              className="px-3 py-1 rounded-lg text-sm font-medium"
+              style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+            >
+              Show
+            </button>
+          </form>
+        </div>
+        {searchError && (
+          <div className="text-sm mb-2" style={{ color: '#F87171' }}>{searchError}</div>
+        )}
+        {skuTrend ? (
+          <>
+            <div className="text-sm mb-2" style={{ color: '#9FA3AC' }}>
+              <span className="font-mono" style={{ color: '#FAFCFB' }}>{skuTrend.sku}</span>
+              {skuTrend.description && ` • ${skuTrend.description}`} • in {skuTrend.points.length} session{skuTrend.points.length === 1 ? '' : 's'}
+            </div>
+            <div style={{ height: 240 }}>
+              <Chart
+                type="bar"
+                data={skuData}
+                options={{
+                  ...baseOptions,
+                  scales: {
+                    x: { ...timeAxis, offset: true },
+                    y: valueAxis({ position: 'left', beginAtZero: true, title: { display: true, text: 'Quantity', color: TICK_COLOR } }),
+                    variance: valueAxis({
+                      position: 'right',
+                      grid: { drawOnChartArea: false },
+                      title: { display: true, text: 'Variance', color: TICK_COLOR }
+                    })
+                  }
+                }}
+              />
+            </div>
+          </>
+        ) : (
+          <div className="text-sm" style={{ color: '#9FA3AC' }}>
+            Pick a SKU from the table or search to chart expected vs counted over time.
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default TrendAnalysis;
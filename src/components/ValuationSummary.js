@@ -0,0 +1,99 @@
+// ValuationSummary.js - Extended value, shrink/overage and top value variances for one session
+import React from 'react';
+import { localStorageManager, formatCurrency } from '../utils/LocalStorageManager';
+
+const varianceColor = (amount) => {
+  if (amount < 0) return '#F87171';
+  if (amount > 0) return '#86EFAC';
+  return '#9FA3AC';
+};
+
+const signedCurrency = (amount) => `${amount > 0 ? '+' : ''}${formatCurrency(amount)}`;
+
+const ValuationSummary = ({ sessionId, topN = 5, title = 'Inventory Valuation' }) => {
+  const report = sessionId ? localStorageManager.getValuationReport(sessionId, topN) : null;
+
+  if (!report || !report.hasCost) {
+    return (
+      <div className="text-sm" style={{ color: '#9FA3AC' }}>
+        No unit cost data for this session. Add a "unit_cost" (or "cost") column to the CSV to see valuation and shrink.
+      </div>
+    );
+  }
+
+  const cards = [
+    { label: 'Expected Value', value: formatCurrency(report.expectedValue), color: '#FAFCFB' },
+    { label: 'Counted Value', value: formatCurrency(report.countedValue), color: '#FAFCFB' },
+    { label: 'Shrink', value: formatCurrency(-report.shrinkValue), color: report.shrinkValue > 0 ? '#F87171' : '#9FA3AC' },
+    { label: 'Overage', value: formatCurrency(report.overageValue), color: report.overageValue > 0 ? '#86EFAC' : '#9FA3AC' }
+  ];
+
+  return (
+    <div>
+      <div className="flex items-center justify-between mb-3">
+        <h4 className="font-medium" style={{ color: '#FAFCFB' }}>{title}</h4>
+        <span className="text-sm font-medium" style={{ color: varianceColor(report.netVarianceValue) }}>
+          Net {signedCurrency(report.netVarianceValue)}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-2 gap-3 mb-3">
+        {cards.map(card => (
+          <div key={card.label} className="p-3 rounded-lg" style={{ backgroundColor: '#15161B' }}>
+            <div className="text-xs" style={{ color: '#9FA3AC' }}>{card.label}</div>
+            <div className="text-lg font-bold" style={{ color: card.color }}>{card.value}</div>
+          </div>
+        ))}
+      </div>
+
+      <div className="text-xs mb-3 space-y-1" style={{ color: '#9FA3AC' }}>
+        {report.uncountedExpectedValue > 0 && (
+          <div>{formatCurrency(report.uncountedExpectedValue)} of expected stock not counted yet</div>
+        )}
+        {report.hasPrice && (
+          <div>
+            Retail: {formatCurrency(report.countedRetail)} counted of {formatCurrency(report.expectedRetail)} expected
+            ({signedCurrency(report.netVarianceRetail)})
+          </div>
+        )}
+        {report.missingCost > 0 && (
+          <div>{report.missingCost} SKUs have no unit cost and are left out</div>
+        )}
+      </div>
+
+      {report.topVariances.length > 0 && (
+        <div>
+          <div className="text-xs font-medium mb-2" style={{ color: '#FAFCFB' }}>
+            Top {report.topVariances.length} value variances
+          </div>
+          <div className="space-y-1">
+            {report.topVariances.map(item => (
+              <div
+                key={item.sku}
+                className="flex items-center justify-between p-2 rounded text-sm"
+                style={{ backgroundColor: '#15161B' }}
+              >
+                <div className="min-w-0 flex-1">
+                  <span className="font-mono" style={{ color: '#FAFCFB' }}>{item.sku}</span>
+                  {item.description && (
+                    <span className="ml-2 text-xs truncate" style={{ color: '#9FA3AC' }}>{item.description}</span>
+                  )}
+                </div>
+                <div className="text-right ml-3">
+                  <div className="font-medium" style={{ color: varianceColor(item.valueVariance) }}>
+                    {signedCurrency(item.valueVariance)}
+                  </div>
+                  <div className="text-xs" style={{ color: '#9FA3AC' }}>
+                    {item.variance > 0 ? '+' : ''}{item.variance} × {formatCurrency(item.unitCost)}
+                  </div>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+};
+
+export default ValuationSummary;
@@ -0,0 +1,238 @@
+// WedgeScanner.js - Keyboard-wedge scanner hook and its settings dialog
+import React, { useCallback, useEffect, useRef, useState } from 'react';
+import { localStorageManager } from '../utils/LocalStorageManager';
+import { DEFAULT_WEDGE_SETTINGS, GROUP_SEPARATOR, subscribeToWedgeScans } from '../utils/scanWedge';
+
+const SUFFIX_OPTIONS = [
+  { value: 'Enter', label: 'Enter' },
+  { value: 'Tab', label: 'Tab' },
+  { value: 'custom', label: 'Other characters' }
+];
+
+/**
+ * Sends hardware scans to onScan(code) while the screen is mounted and `enabled`,
+ * wherever focus is. The screen decides what to do with settings.autoSubmit.
+ */
+export const useWedgeScanner = (onScan, { enabled = true } = {}) => {
+  const [settings, setSettings] = useState(() => localStorageManager.getWedgeScannerSettings());
+
+  // Latest callback without resubscribing on every render
+  const onScanRef = useRef(onScan);
+  onScanRef.current = onScan;
+
+  useEffect(() => {
+    if (!enabled || !settings.enabled) return undefined;
+
+    return subscribeToWedgeScans((code) => {
+      console.log('Wedge scanner scan:', code);
+      onScanRef.current(code);
+    }, settings);
+  }, [enabled, settings]);
+
+  // Throws the manager's validation error for the dialog to show
+  const saveSettings = useCallback((updates) => {
+    const saved = localStorageManager.saveWedgeScannerSettings(updates);
+    setSettings(saved);
+    return saved;
+  }, []);
+
+  return { settings, saveSettings };
+};
+
+// Settings for a useWedgeScanner() result, with a live test of the unsaved values
+const WedgeScannerSettings = ({ scanner, onClose }) => {
+  const [form, setForm] = useState(() => ({
+    ...scanner.settings,
+    suffixChoice: ['Enter', 'Tab'].includes(scanner.settings.suffix) ? scanner.settings.suffix : 'custom',
+    customSuffix: ['Enter', 'Tab'].includes(scanner.settings.suffix) ? '' : scanner.settings.suffix
+  }));
+  const [lastScan, setLastScan] = useState('');
+  const [error, setError] = useState('');
+
+  const suffix = form.suffixChoice === 'custom' ? form.customSuffix : form.suffixChoice;
+
+  // While open, scans land here instead of the screen behind the dialog
+  useEffect(() => {
+    const toNumber = (value, fallback) => (Number.isInteger(Number(value)) && Number(value) > 0 ? Number(value) : fallback);
+    return subscribeToWedgeScans(code => setLastScan(code), {
+      prefix: form.prefix,
+      suffix: suffix || DEFAULT_WEDGE_SETTINGS.suffix,
+      maxKeyInterval: toNumber(form.maxKeyInterval, DEFAULT_WEDGE_SETTINGS.maxKeyInterval),
+      minLength: toNumber(form.minLength, DEFAULT_WEDGE_SETTINGS.minLength),
+      groupSeparator: form.groupSeparator
+    });
+  }, [form.prefix, suffix, form.maxKeyInterval, form.minLength, form.groupSeparator]);
+
+  const updateForm = (updates) => setForm(current => ({ ...current, ...updates }));
+
+  const handleSave = () => {
+    try {
+      scanner.saveSettings({
+        enabled: form.enabled,
+        prefix: form.prefix,
+        suffix,
+        maxKeyInterval: form.maxKeyInterval,
+        minLength: form.minLength,
+        groupSeparator: form.groupSeparator,
+        autoSubmit: form.autoSubmit
+      });
+      onClose();
+    } catch (err) {
+      setError(err.message);
+    }
+  };
+
+  const inputStyle = { backgroundColor: '#15161B', borderColor: '#39414E', color: '#FAFCFB' };
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black bg-opacity-50 p-4" onClick={onClose}>
+      <div
+        className="w-full max-w-md rounded-xl p-6 border"
+        style={{ backgroundColor: '#181B22', borderColor: '#39414E' }}
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex items-center justify-between mb-1">
+          <h3 className="text-lg font-semibold" style={{ color: '#FAFCFB' }}>
+            Hardware Scanner
+          </h3>
+          <button onClick={onClose} className="text-sm" style={{ color: '#9FA3AC' }}>
+            ✕ Close
+          </button>
+        </div>
+        <p className="text-sm mb-4" style={{ color: '#9FA3AC' }}>
+          USB and Bluetooth scanners in keyboard mode. Keys arriving faster than the interval below
+          and ending with the suffix are a scan; they go to the SKU field wherever the cursor is.
+        </p>
+
+        <div className="space-y-3">
+          <label className="flex items-center space-x-2 text-sm" style={{ color: '#FAFCFB' }}>
+            <input
+              type="checkbox"
+              checked={form.enabled}
+              onChange={(e) => updateForm({ enabled: e.target.checked })}
+            />
+            <span>Listen for hardware scans</span>
+          </label>
+
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+              Prefix
+              <input
+                type="text"
+                value={form.prefix}
+                onChange={(e) => updateForm({ prefix: e.target.value })}
+                placeholder="None"
+                className="mt-1 w-full px-3 py-2 rounded-lg border text-sm font-mono"
+                style={inputStyle}
+              />
+            </label>
+            <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+              Suffix
+              <select
+                value={form.suffixChoice}
+                onChange={(e) => updateForm({ suffixChoice: e.target.value })}
+                className="mt-1 w-full px-3 py-2 rounded-lg border text-sm"
+                style={inputStyle}
+              >
+                {SUFFIX_OPTIONS.map(option => (
+                  <option key={option.value} value={option.value}>{option.label}</option>
+                ))}
+              </select>
+            </label>
+          </div>
+
+          {form.suffixChoice === 'custom' && (
+            <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+              Suffix characters
+              <input
+                type="text"
+                value={form.customSuffix}
+                onChange={(e) => updateForm({ customSuffix: e.target.value })}
+                className="mt-1 w-full px-3 py-2 rounded-lg border text-sm font-mono"
+                style={inputStyle}
+              />
+            </label>
+          )}
+
+          <div className="grid grid-cols-2 gap-3">
+            <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+              Max key interval (ms)
+              <input
+                type="number"
+                min="5"
+                max="500"
+                value={form.maxKeyInterval}
+                onChange={(e) => updateForm({ maxKeyInterval: e.target.value })}
+                className="mt-1 w-full px-3 py-2 rounded-lg border text-sm"
+                style={inputStyle}
+              />
+            </label>
+            <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+              Min barcode length
+              <input
+                type="number"
+                min="1"
+                value={form.minLength}
+                onChange={(e) => updateForm({ minLength: e.target.value })}
+                className="mt-1 w-full px-3 py-2 rounded-lg border text-sm"
+                style={inputStyle}
+              />
+            </label>
+          </div>
+
+          <label className="block text-sm" style={{ color: '#9FA3AC' }}>
+            GS1 group separator key
+            <input
+              type="text"
+              value={form.groupSeparator}
+              onChange={(e) => updateForm({ groupSeparator: e.target.value })}
+              placeholder="Ctrl+] only"
+              className="mt-1 w-full px-3 py-2 rounded-lg border text-sm font-mono"
+              style={inputStyle}
+            />
+          </label>
+
+          <label className="flex items-center space-x-2 text-sm" style={{ color: '#FAFCFB' }}>
+            <input
+              type="checkbox"
+              checked={form.autoSubmit}
+              onChange={(e) => updateForm({ autoSubmit: e.target.checked })}
+            />
+            <span>Count a quantity of 1 for each scan</span>
+          </label>
+        </div>
+
+        <div className="mt-4 p-3 rounded-lg text-sm" style={{ backgroundColor: '#15161B', color: '#9FA3AC' }}>
+          {lastScan ? (
+            <>Test scan recognised: <span className="font-mono" style={{ color: '#86EFAC' }}>{lastScan.split(GROUP_SEPARATOR).join('<GS>')}</span></>
+          ) : (
+            'Scan a label to test these settings.'
+          )}
+        </div>
+
+        {error && (
+          <div className="text-sm mt-3" style={{ color: '#F87171' }}>{error}</div>
+        )}
+
+        <div className="flex justify-end space-x-3 mt-5">
+          <button
+            onClick={onClose}
+            className="px-4 py-2 rounded-lg text-sm font-medium"
+            style={{ backgroundColor: '#374051', color: '#FAFCFB' }}
+          >
+            Cancel
+          </button>
+          <button
+            onClick={handleSave}
+            className="px-4 py-2 rounded-lg text-sm font-medium"
+            style={{ backgroundColor: '#86EFAC', color: '#00001C' }}
+          >
+            Save
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+};
+
+export default WedgeScannerSettings;
@@ -8,6 +8,8 @@ import {
   utils
 } from '../utils/api';
 import auditLogger from '../utils/auditLogger';
+import WedgeScannerSettings, { useWedgeScanner } from './WedgeScanner';
+import { describeMisread, matchComponent } from '../utils/gtin';
 
 const WeeklyCount = ({ userType, selectedLocation, user }) => {
   // Simplified state - unified schema integration
@@ -23,10 +25,14 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
   const [loading, setLoading] = useState(false);
   const [currentSession, setCurrentSession] = useState('');
   
+  // Blind count: expected quantities are hidden and never used to accept/reject a scan
+  const [blindCount, setBlindCount] = useState(false);
+  
   // Enhanced state for scanner optimization
   const [scanHistory, setScanHistory] = useState([]);
   const [autoFocusEnabled, setAutoFocusEnabled] = useState(true);
   const [totalScans, setTotalScans] = useState(0);
+  const [showWedgeSettings, setShowWedgeSettings] = useState(false);
   
   // New state for high volume management
   const [showHighVolumeManager, setShowHighVolumeManager] = useState(false);
@@ -279,6 +285,7 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
       );
 
       setIsCounting(false);
+      setBlindCount(false);
       setScanHistory([]);
       setTotalScans(0);
       setCurrentSession('');
@@ -291,17 +298,92 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
     }
   };
 
+  // Ask before overwriting a SKU already counted today; returns false if the user declines
+  const confirmRecountIfNeeded = (scannedBarcode, enteredQuantity) => {
+    const component_data = highVolumeComponents.find(comp => comp.barcode === scannedBarcode);
+    const countedToday = component_data?.last_counted_date && 
+      DateTime.fromISO(component_data.last_counted_date) >= DateTime.now().startOf('day') &&
+      component_data.last_counted_location === selectedLocation &&
+      component_data.last_counted_source === 'weekly';
+
+    if (countedToday) {
+      if (!window.confirm(`This SKU was already counted today with weekly count. Do you want to update the count to ${enteredQuantity}?`)) {
+        setStatus('Count not updated. Please recount if necessary.');
+        setStatusColor('red');
+        setShowNextButton(true);
+        return false;
+      }
+    }
+
+    return true;
+  };
+
+  // ✅ BLIND COUNT: Save the entered quantity as-is; variance is only worked out after the save
+  const handleBlindScan = async (scannedBarcode, component, enteredQuantity) => {
+    if (!confirmRecountIfNeeded(scannedBarcode, enteredQuantity)) {
+      return;
+    }
+
+    const now = DateTime.now().setZone('UTC').toISO();
+    
+    await supabaseReplacementAPI.updateComponentWithCountTracking(
+      scannedBarcode,
+      enteredQuantity,
+      selectedLocation,
+      'weekly',
+      currentSession,
+      user?.id || user?.user_id,
+      now
+    );
+
+    const systemQuantity = quantityHelpers.getLocationQuantity(component, selectedLocation);
+    const description = component.description || `SKU ${scannedBarcode}`;
+
+    await auditLogger.logInventoryScan(
+      scannedBarcode,
+      enteredQuantity,
+      selectedLocation,
+      'weekly_count_scan',
+      {
+        day: selectedDay,
+        description,
+        scan_status: 'successful',
+        blind_count: true,
+        expected_quantity: systemQuantity,
+        variance: enteredQuantity - systemQuantity,
+        session_id: currentSession,
+        high_volume_config: component.high_volume_config
+      }
+    );
+
+    setStatus(`✓ ${description} - Count of ${enteredQuantity} recorded`);
+    setStatusColor('green');
+    setShowNextButton(true);
+
+    // Blind entries carry no expected quantity or correctness flag on screen
+    setScanHistory(prev => [{
+      barcode: scannedBarcode,
+      description,
+      quantity: enteredQuantity,
+      timestamp: new Date().toLocaleTimeString(),
+      isBlind: true,
+      highVolumeDay: selectedDay
+    }, ...prev.slice(0, 9)]);
+    setTotalScans(prev => prev + 1);
+
+    await loadHighVolumeComponents(selectedDay);
+  };
+
   // ✅ INTEGRATED: Handle scan with unified schema
-  const handleScan = async (e) => {
-    e.preventDefault();
-    if (!barcode) {
+  const submitScan = async (scannedBarcode, quantityInput) => {
+    if (!scannedBarcode) {
       setStatus('Please enter a barcode.');
       setStatusColor('red');
       setShowNextButton(true);
       return;
     }
 
-    if (quantity === '') {
+    if (quantityInput === '') {
       setStatus('Please enter a quantity.');
       setStatusColor('red');
       setShowNextButton(true);
@@ -309,13 +391,22 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
     }
 
     // ✅ INTEGRATED: Check if this barcode is in today's high volume list using new schema
-    const isHighVolumeToday = highVolumeComponents.some(comp => comp.barcode === barcode);
-    if (!isHighVolumeToday) {
-      setStatus(`Barcode ${barcode} is not part of the ${selectedDay} high-volume count at ${locationName}.`);
+    const { component: listedComponent, misread } = matchComponent(highVolumeComponents, scannedBarcode);
+    if (misread) {
+      setStatus(describeMisread(scannedBarcode));
       setStatusColor('red');
       setShowNextButton(true);
       return;
     }
+    if (!listedComponent) {
+      setStatus(`Barcode ${scannedBarcode} is not part of the ${selectedDay} high-volume count at ${locationName}.`);
+      setStatusColor('red');
+      setShowNextButton(true);
+      return;
+    }
+
+    // The list's own form of the barcode, e.g. UPC-A when an EAN-13 was scanned
+    const listedBarcode = listedComponent.barcode;
 
     const tenantId = getTenantId();
     
@@ -328,22 +419,28 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
 
     try {
       // Get current component data with integrated high volume info
-      const component = await supabaseReplacementAPI.getComponentByBarcode(barcode);
+      const component = await supabaseReplacementAPI.getComponentByBarcode(listedBarcode);
       
       if (!component) {
-        setStatus(`Component with barcode ${barcode} not found.`);
+        setStatus(`Component with barcode ${listedBarcode} not found.`);
         setStatusColor('red');
         setShowNextButton(true);
         return;
       }
 
-      const enteredQuantity = parseInt(quantity, 10);
+      const enteredQuantity = parseInt(quantityInput, 10);
+
+      if (blindCount) {
+        await handleBlindScan(listedBarcode, component, enteredQuantity);
+        return;
+      }
+
       const actualQuantity = quantityHelpers.getLocationQuantity(component, selectedLocation);
 
       // Create scan history entry
       const newScan = {
-        barcode,
-        description: component.description || `SKU ${barcode}`,
+        barcode: listedBarcode,
+        description: component.description || `SKU ${listedBarcode}`,
         quantity: enteredQuantity,
         correctQuantity: actualQuantity,
         timestamp: new Date().toLocaleTimeString(),
@@ -368,7 +465,7 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
         setTotalScans(prev => prev + 1);
 
         await auditLogger.logInventoryScan(
-          barcode,
+          listedBarcode,
           enteredQuantity,
           selectedLocation,
           'weekly_count_mismatch',
@@ -386,26 +483,15 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
       }
 
       // Check for conflicts with previous counts today
-      const component_data = highVolumeComponents.find(comp => comp.barcode === barcode);
-      const countedToday = component_data?.last_counted_date && 
-        DateTime.fromISO(component_data.last_counted_date) >= DateTime.now().startOf('day') &&
-        component_data.last_counted_location === selectedLocation &&
-        component_data.last_counted_source === 'weekly';
-
-      if (countedToday) {
-        if (!window.confirm(`This SKU was already counted today with weekly count. Do you want to update the count to ${enteredQuantity}?`)) {
-          setStatus('Count not updated. Please recount if necessary.');
-          setStatusColor('red');
-          setShowNextButton(true);
-          return;
-        }
+      if (!confirmRecountIfNeeded(listedBarcode, enteredQuantity)) {
+        return;
       }
 
       // ✅ INTEGRATED: Update component with weekly count tracking using unified schema
       const now = DateTime.now().setZone('UTC').toISO();
       
       await supabaseReplacementAPI.updateComponentWithCountTracking(
-        barcode,
+        listedBarcode,
         enteredQuantity,
         selectedLocation,
         'weekly',
@@ -415,7 +501,7 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
       );
 
       await auditLogger.logInventoryScan(
-        barcode,
+        listedBarcode,
         enteredQuantity,
         selectedLocation,
         'weekly_count_scan',
@@ -445,8 +531,8 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
       setShowNextButton(true);
 
       await auditLogger.logInventoryScan(
-        barcode,
-        quantity,
+        listedBarcode,
+        quantityInput,
         selectedLocation,
         'weekly_count_error',
         {
@@ -459,6 +545,24 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
     }
   };
 
+  const handleScan = (e) => {
+    e.preventDefault();
+    submitScan(barcode, quantity);
+  };
+
+  // Hardware scanner: a scan starts the next item wherever focus is; auto-submit counts 1
+  const wedge = useWedgeScanner((code) => {
+    const autoQuantity = wedge.settings.autoSubmit ? '1' : '';
+    setBarcode(code);
+    setQuantity(autoQuantity);
+    setStatus('');
+    setStatusColor('');
+    setShowNextButton(false);
+    if (autoQuantity) {
+      submitScan(code, autoQuantity);
+    }
+  }, { enabled: isCounting });
+
   // Enhanced keyboard handlers
   const handleBarcodeKeyPress = (e) => {
     if (e.key === 'Enter' && barcode) {
@@ -668,6 +772,23 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
                   </select>
                 </div>
 
+                {(userType === 'admin' || user?.role === 'admin') && (
+                  <label className="flex items-start">
+                    <input
+                      type="checkbox"
+                      checked={blindCount}
+                      onChange={(e) => setBlindCount(e.target.checked)}
+                      className="mt-1 mr-2"
+                    />
+                    <span>
+                      <span className="block text-sm font-medium text-gray-700">Blind count</span>
+                      <span className="block text-xs text-gray-500">
+                        Hide system quantities and accept every entered count
+                      </span>
+                    </span>
+                  </label>
+                )}
+
                 {loading && (
                   <div className="text-center">
                     <div className="inline-block animate-spin rounded-full h-6 w-6 border-b-2 border-blue-600"></div>
@@ -704,15 +825,30 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
             ) : (
               <div className="space-y-4">
                 <div className="flex items-center justify-between">
-                  <h2 className="text-xl font-semibold text-gray-900">Scanning</h2>
-                  <button
-                    onClick={() => setAutoFocusEnabled(!autoFocusEnabled)}
-                    className={`text-xs px-2 py-1 rounded ${
-                      autoFocusEnabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'
-                    }`}
-                  >
-                    Auto-focus {autoFocusEnabled ? 'ON' : 'OFF'}
-                  </button>
+                  <h2 className="text-xl font-semibold text-gray-900">
+                    Scanning
+                    {blindCount && (
+                      <span className="ml-2 text-xs bg-gray-800 text-white px-2 py-1 rounded font-medium align-middle">
+                        BLIND
+                      </span>
+                    )}
+                  </h2>
+                  <div className="flex items-center space-x-2">
+                    <button
+                      onClick={() => setShowWedgeSettings(true)}
+                      className="text-xs px-2 py-1 rounded bg-gray-100 text-gray-700"
+                    >
+                      Scanner
+                    </button>
+                    <button
+                      onClick={() => setAutoFocusEnabled(!autoFocusEnabled)}
+                      className={`text-xs px-2 py-1 rounded ${
+                        autoFocusEnabled ? 'bg-green-100 text-green-700' : 'bg-gray-100 text-gray-700'
+                      }`}
+                    >
+                      Auto-focus {autoFocusEnabled ? 'ON' : 'OFF'}
+                    </button>
+                  </div>
                 </div>
 
                 {/* Progress */}
@@ -955,14 +1091,16 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
                   <div
                     key={index}
                     className={`p-3 rounded-lg border ${
-                      scan.isCorrect
+                      scan.isBlind
+                        ? 'bg-blue-50 border-blue-200'
+                        : scan.isCorrect
                         ? 'bg-green-50 border-green-200'
                         : 'bg-red-50 border-red-200'
                     }`}
                   >
                     <div className="flex items-center justify-between">
-                      <span className={`text-lg ${scan.isCorrect ? 'text-green-600' : 'text-red-600'}`}>
-                        {scan.isCorrect ? '✓' : '✗'}
+                      <span className={`text-lg ${scan.isBlind ? 'text-blue-600' : scan.isCorrect ? 'text-green-600' : 'text-red-600'}`}>
+                        {scan.isBlind ? '●' : scan.isCorrect ? '✓' : '✗'}
                       </span>
                       <span className="text-xs text-gray-500">{scan.timestamp}</span>
                     </div>
@@ -980,7 +1118,7 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
                         Entered: <span className="font-medium">{scan.quantity}</span>
                       </span>
                       
-                      {!scan.isCorrect && (user?.role === 'admin' || userType === 'admin') && scan.correctQuantity !== undefined && (
+                      {!scan.isBlind && !scan.isCorrect && (user?.role === 'admin' || userType === 'admin') && scan.correctQuantity !== undefined && (
                         <span className="text-sm text-red-600">
                           Correct: <span className="font-medium">{scan.correctQuantity}</span>
                         </span>
@@ -1001,6 +1139,10 @@ const WeeklyCount = ({ userType, selectedLocation, user }) => {
 
         {/* High Volume Manager Modal */}
         {showHighVolumeManager && <HighVolumeManager />}
+
+        {showWedgeSettings && (
+          <WedgeScannerSettings scanner={wedge} onClose={() => setShowWedgeSettings(false)} />
+        )}
       </div>
     </div>
   );
@@ -1,16 +1,43 @@
 // Fixed LocalStorageManager.js - Enhanced barcode support and proper progress tracking
 
 /**
- * Enhanced LocalStorage-based data management with barcode support
+ * Enhanced session data management with barcode support.
+ * Sessions and history live in IndexedDB (see sessionDatabase.js) behind an
+ * in-memory cache; preferences and app state stay in localStorage.
  */
 
+import * as sessionDatabase from './sessionDatabase';
+import { createArchive, readArchive } from './archive';
+import { escapeCSVValue, getExportFormat, serializeExport, SESSION_EXPORT_COLUMNS, withoutExpectedColumns } from './exportEngine';
+import { DEFAULT_WEDGE_SETTINGS } from './scanWedge';
+import { getGS1LineData, parseGS1 } from './gs1';
+import { describeMisread, getGtinKeys, isBarcodeMisread } from './gtin';
+
+// Display formatters now live with the export engine; re-exported for existing imports
+export { formatTolerance, formatCountLines } from './exportEngine';
+
 const STORAGE_KEYS = {
-  CURRENT_SESSION: 'inventory_current_session',
-  SESSION_HISTORY: 'inventory_session_history',
   USER_PREFERENCES: 'inventory_user_preferences',
   APP_STATE: 'inventory_app_state'
 };
 
+// Pre-IndexedDB keys, migrated into the session database on first load
+const LEGACY_STORAGE_KEYS = {
+  CURRENT_SESSION: 'inventory_current_session',
+  SESSION_HISTORY: 'inventory_session_history'
+};
+
+// History kept before sessions move to the compressed archive; null means no limit.
+// Users can change both in preferences - archived sessions are never deleted.
+const DEFAULT_RETENTION_POLICY = {
+  maxAgeDays: null,
+  maxSessions: 100
+};
+const MAX_UNDO_EVENTS = 50;
+
+// Backup versions written by DataExporter.handleExportBackup that can be restored
+const SUPPORTED_BACKUP_VERSIONS = ['2.0', '2.1'];
+
 // Enhanced validation helpers
 const validateSku = (sku) => {
   return sku && typeof sku === 'string' && sku.trim().length > 0;
@@ -27,21 +54,207 @@ const normalizeIdentifier = (identifier) => {
   return identifier.toString().trim().toLowerCase();
 };
 
+// Index keys for the GTIN forms of an identifier, kept apart from the plain ones
+const getGtinIndexKeys = (identifier) => getGtinKeys(identifier).map(gtin => `gtin:${gtin}`);
+
+// Variance tolerance: { type: 'absolute' | 'percent', value }.
+// Accepts an existing tolerance object or CSV text such as "5" or "10%".
+export const parseTolerance = (tolerance) => {
+  if (tolerance === null || tolerance === undefined || tolerance === '') return null;
+
+  if (typeof tolerance === 'object') {
+    const value = parseFloat(tolerance.value);
+    if (isNaN(value) || value < 0) return null;
+    return { type: tolerance.type === 'percent' ? 'percent' : 'absolute', value };
+  }
+
+  const text = tolerance.toString().trim();
+  const value = parseFloat(text);
+  if (isNaN(value) || value < 0) return null;
+  return { type: text.endsWith('%') ? 'percent' : 'absolute', value };
+};
+
+// Unit cost/price from CSV text such as "$1,234.50"; null when blank or not a number
+export const parseMoney = (value) => {
+  if (value === null || value === undefined || value === '') return null;
+  if (typeof value === 'number') return isNaN(value) ? null : value;
+  const amount = parseFloat(value.toString().replace(/[$,\s]/g, ''));
+  return isNaN(amount) ? null : amount;
+};
+
+export const formatCurrency = (amount) => {
+  if (amount === null || amount === undefined) return '—';
+  return amount.toLocaleString('en-US', { style: 'currency', currency: 'USD' });
+};
+
+// Round to cents so summed float values stay clean in exports
+const roundMoney = (amount) => Math.round(amount * 100) / 100;
+
+const hasValue = (amount) => amount !== null && amount !== undefined;
+
+const isWithinTolerance = (tolerance, expectedQuantity, countedQuantity) => {
+  const variance = Math.abs(countedQuantity - expectedQuantity);
+  if (tolerance.type === 'percent') {
+    // Nothing expected: any counted stock is outside a percentage tolerance
+    if (expectedQuantity === 0) return variance === 0;
+    return (variance / Math.abs(expectedQuantity)) * 100 <= tolerance.value;
+  }
+  return variance <= tolerance.value;
+};
+
+// SKUs counted before count lines existed carry their count as one implicit line
+const getCountLines = (sku) => {
+  if (Array.isArray(sku.countLines)) return sku.countLines;
+  if (sku.counted && sku.countedQuantity !== null && sku.countedQuantity !== undefined) {
+    return [{
+      id: `${sku.id}_line_0`,
+      quantity: sku.countedQuantity,
+      bin: null,
+      countedTime: sku.countedTime,
+      notes: sku.notes || ''
+    }];
+  }
+  return [];
+};
+
+const sumCountLines = (lines) => lines.reduce((total, line) => total + line.quantity, 0);
+
+// Derive the SKU total and counted flag from its count lines
+const buildSkuFromLines = (sku, countLines) => ({
+  ...sku,
+  countLines,
+  counted: countLines.length > 0 && !sku.recountRequired,
+  countedQuantity: countLines.length > 0 ? sumCountLines(countLines) : null,
+  countedTime: countLines.length > 0 ? countLines[countLines.length - 1].countedTime : null
+});
+
+// Variance tolerance: per-SKU setting wins over the session default.
+// An out-of-tolerance count is held until a second, independent count is
+// entered; that second count is accepted as final whatever its variance.
+// A partial count (more bins to come) is only checked once it is finished.
+const evaluateCount = (currentSku, session, countLines, { partial = false, countedTime, notes }) => {
+  const total = sumCountLines(countLines);
+  const tolerance = currentSku.varianceTolerance || session.varianceTolerance || null;
+  const isRecount = !!currentSku.recountRequired;
+  const alreadyRecounted = (currentSku.countAttempts || []).some(attempt => attempt.isRecount);
+  const evaluated = !!tolerance && !partial;
+  const withinTolerance = !tolerance ||
+    isWithinTolerance(tolerance, currentSku.expectedQuantity, total);
+  const recountRequired = evaluated
+    ? (!isRecount && !alreadyRecounted && !withinTolerance)
+    : isRecount;
+
+  const countAttempts = [...(currentSku.countAttempts || [])];
+  if (evaluated) {
+    countAttempts.push({
+      quantity: total,
+      lines: countLines,
+      countedTime,
+      notes,
+      variance: total - currentSku.expectedQuantity,
+      withinTolerance,
+      isRecount
+    });
+  }
+
+  return { tolerance, isRecount, recountRequired, countAttempts, total };
+};
+
+// Count-related fields of a SKU, captured before each change so it can be undone
+const snapshotCountState = (sku) => ({
+  countLines: getCountLines(sku),
+  counted: !!sku.counted,
+  countedQuantity: sku.countedQuantity ?? null,
+  countedTime: sku.countedTime || null,
+  notes: sku.notes || '',
+  recountRequired: !!sku.recountRequired,
+  countAttempts: sku.countAttempts || []
+});
+
+// Append-only per-SKU event log: events are never edited or removed.
+// sequence orders events across SKUs within a session.
+const appendSkuEvent = (updatedSku, previousSku, session, event) => {
+  const events = previousSku.events || [];
+  return {
+    ...updatedSku,
+    events: [...events, {
+      id: `evt_${Date.now()}_${events.length}`,
+      sequence: (session.eventSequence || 0) + 1,
+      time: new Date().toISOString(),
+      fromQuantity: previousSku.countedQuantity ?? null,
+      toQuantity: updatedSku.countedQuantity ?? null,
+      ...event,
+      previous: snapshotCountState(previousSku)
+    }]
+  };
+};
+
+// Identifies an export source by its set of column names, ignoring order and case
+export const getHeaderSignature = (headers) => (
+  (headers || [])
+    .map(header => header.toString().trim().toLowerCase())
+    .filter(header => header.length > 0)
+    .sort()
+    .join('|')
+);
+
+// Uploaded row (CSV/XLSX, already column-mapped) -> session SKU record
+const buildSkuFromRow = (row, index) => ({
+  id: `sku_${index}`,
+  sku: row.sku || '', // Primary identifier
+  barcode: row.barcode || row.sku || '', // Barcode or fallback to SKU
+  alternateId: (row.alternateId && row.alternateId !== row.sku) ? row.alternateId : null,
+  description: row.description || '',
+  expectedQuantity: parseInt(row.expected_quantity || 0),
+  unitCost: parseMoney(row.unit_cost),
+  unitPrice: parseMoney(row.unit_price),
+  counted: false,
+  countedQuantity: null,
+  countedTime: null,
+  notes: '',
+  countLines: [],
+  varianceTolerance: parseTolerance(row.tolerance),
+  recountRequired: false,
+  countAttempts: [],
+  originalRow: row.originalRow || index + 2
+});
+
+// Next free numeric suffix for sku_N ids (merges can append after removals)
+const nextSkuIdNumber = (skus) => skus.reduce((max, sku) => {
+  const match = /^sku_(\d+)$/.exec(sku.id || '');
+  return match ? Math.max(max, Number(match[1]) + 1) : max;
+}, skus.length);
+
+const readLegacyJSON = (key) => {
+  try {
+    const value = localStorage.getItem(key);
+    return value ? JSON.parse(value) : null;
+  } catch (error) {
+    console.error(`Error reading legacy storage key ${key}:`, error);
+    return null;
+  }
+};
+
+// Shown instead of counting into a session that would vanish on reload
+export const STORAGE_UNAVAILABLE_MESSAGE =
+  'Browser storage (IndexedDB) is unavailable, so counts cannot be saved. ' +
+  'Leave private browsing or allow this site to store data, then reload.';
+
 export class LocalStorageManager {
   constructor() {
+    this.activeSessions = new Map(); // sessionId -> session, in creation order
+    this.identifierIndexes = new Map(); // sessionId -> Map(identifier -> position)
+    this.currentSessionId = null;
+    this.sessionHistory = [];
+    this.openedArchives = new Map(); // sessionId -> archived session reopened read-only
+    this.storageBackend = 'memory';
+
     this.initializeStorage();
+    this.ready = this.loadSessions();
   }
 
   // Initialize storage structure
   initializeStorage() {
-    if (!localStorage.getItem(STORAGE_KEYS.CURRENT_SESSION)) {
-      this.createNewSession();
-    }
-    
-    if (!localStorage.getItem(STORAGE_KEYS.SESSION_HISTORY)) {
-      localStorage.setItem(STORAGE_KEYS.SESSION_HISTORY, JSON.stringify([]));
-    }
-    
     if (!localStorage.getItem(STORAGE_KEYS.USER_PREFERENCES)) {
       localStorage.setItem(STORAGE_KEYS.USER_PREFERENCES, JSON.stringify({
         lastUploadDate: null,
@@ -63,10 +276,167 @@ export class LocalStorageManager {
     }
   }
 
-  // Session Management
-  createNewSession(uploadData = null) {
+  // Load sessions from IndexedDB into memory; reads stay synchronous afterwards
+  async loadSessions() {
+    if (sessionDatabase.isIndexedDBAvailable()) {
+      try {
+        await this.migrateLegacyData();
+        const { sessions, history } = await sessionDatabase.loadAll();
+
+        this.sessionHistory = history;
+        sessions.forEach(session => {
+          // Streamed import that was interrupted (tab closed, crash) - discard the partial session
+          if (session.importing) {
+            sessionDatabase.deleteSession(session.id).catch(error => {
+              console.error('Error removing interrupted import:', error);
+            });
+            return;
+          }
+          this.setSessionState(session);
+        });
+        this.storageBackend = 'indexeddb';
+      } catch (error) {
+        console.error('Error loading sessions from IndexedDB:', error);
+      }
+    }
+
+    if (this.storageBackend !== 'indexeddb') {
+      console.warn('IndexedDB unavailable - new sessions and counts are blocked');
+      const legacySession = readLegacyJSON(LEGACY_STORAGE_KEYS.CURRENT_SESSION);
+      this.sessionHistory = readLegacyJSON(LEGACY_STORAGE_KEYS.SESSION_HISTORY) || [];
+      if (this.validateSession(legacySession)) {
+        this.setSessionState(legacySession);
+      }
+    }
+
+    // Reopen the session the user was last working in
+    const { lastActiveSession } = this.getAppState();
+    if (lastActiveSession && this.activeSessions.has(lastActiveSession)) {
+      this.currentSessionId = lastActiveSession;
+    } else {
+      this.selectMostRecentSession();
+    }
+  }
+
+  // Move localStorage blobs written by earlier versions into IndexedDB
+  async migrateLegacyData() {
+    const legacySession = readLegacyJSON(LEGACY_STORAGE_KEYS.CURRENT_SESSION);
+    const legacyHistory = readLegacyJSON(LEGACY_STORAGE_KEYS.SESSION_HISTORY);
+
+    if (!legacySession && !legacyHistory) return;
+
+    console.log('Migrating localStorage sessions to IndexedDB...');
+
+    if (this.validateSession(legacySession)) {
+      await sessionDatabase.saveSession(legacySession);
+    }
+
+    if (Array.isArray(legacyHistory) && legacyHistory.length > 0) {
+      await sessionDatabase.saveHistoryEntries(
+        legacyHistory.filter(session => this.validateSession(session))
+      );
+    }
+
+    localStorage.removeItem(LEGACY_STORAGE_KEYS.CURRENT_SESSION);
+    localStorage.removeItem(LEGACY_STORAGE_KEYS.SESSION_HISTORY);
+
+    console.log('Migration complete:', {
+      currentSession: !!legacySession,
+      historySessions: Array.isArray(legacyHistory) ? legacyHistory.length : 0
+    });
+  }
+
+  // Sessions and counts are refused rather than kept in memory only
+  assertPersistentStorage() {
+    if (this.storageBackend !== 'indexeddb') {
+      throw new Error(STORAGE_UNAVAILABLE_MESSAGE);
+    }
+  }
+
+  // Run a database write in the background when IndexedDB is active
+  persist(operation, description) {
+    if (this.storageBackend !== 'indexeddb') return Promise.resolve();
+
+    return operation().catch(error => {
+      console.error(`Error persisting ${description}:`, error);
+    });
+  }
+
+  // Store an active session in memory and rebuild its identifier lookup
+  setSessionState(session) {
+    const identifierIndex = new Map();
+    this.indexSkus(identifierIndex, session.skus || [], 0);
+
+    this.activeSessions.set(session.id, session);
+    this.identifierIndexes.set(session.id, identifierIndex);
+  }
+
+  // First SKU wins, matching the old linear search order
+  indexSkus(identifierIndex, skus, startPosition) {
+    skus.forEach((sku, offset) => {
+      [sku.sku, sku.barcode, sku.alternateId].forEach(identifier => {
+        [normalizeIdentifier(identifier), ...getGtinIndexKeys(identifier)].forEach(key => {
+          if (key && !identifierIndex.has(key)) {
+            identifierIndex.set(key, startPosition + offset);
+          }
+        });
+      });
+    });
+  }
+
+  removeSessionState(sessionId) {
+    this.activeSessions.delete(sessionId);
+    this.identifierIndexes.delete(sessionId);
+
+    if (this.currentSessionId === sessionId) {
+      this.selectMostRecentSession();
+    }
+  }
+
+  selectMostRecentSession() {
+    const sessions = [...this.activeSessions.values()].sort((a, b) => 
+      new Date(b.lastActivity).getTime() - new Date(a.lastActivity).getTime()
+    );
+    this.currentSessionId = sessions.length > 0 ? sessions[0].id : null;
+    this.updateAppState({ lastActiveSession: this.currentSessionId });
+  }
+
+  getSessionState(sessionId = this.currentSessionId) {
+    return (sessionId && this.activeSessions.get(sessionId)) || null;
+  }
+
+  // An identifier that is not itself known is matched by GTIN: UPC-A scanned as
+  // EAN-13 or GTIN-14, UPC-E, or the GTIN inside a GS1 element string
+  findSkuPosition(identifier, sessionId = this.currentSessionId) {
+    const identifierIndex = this.identifierIndexes.get(sessionId);
+    if (!identifierIndex) return -1;
+
+    const position = identifierIndex.get(normalizeIdentifier(identifier));
+    if (position !== undefined) return position;
+
+    const gtinKey = getGtinIndexKeys(identifier).find(key => identifierIndex.has(key));
+    return gtinKey ? identifierIndex.get(gtinKey) : -1;
+  }
+
+  generateSessionId() {
+    const baseId = `session_${Date.now()}`;
+    let sessionId = baseId;
+    let suffix = 1;
+    while (this.activeSessions.has(sessionId)) {
+      sessionId = `${baseId}_${suffix++}`;
+    }
+    return sessionId;
+  }
+
+  // Session Management - several named sessions can be active at once
+  createNewSession(uploadData = null, options = {}) {
+    this.assertPersistentStorage();
+
     const session = {
-      id: `session_${Date.now()}`,
+      id: this.generateSessionId(),
+      name: options.name || uploadData?.filename || `Count ${new Date().toLocaleDateString()}`,
+      blindCount: !!options.blindCount, // hide expected quantities from counters
+      varianceTolerance: parseTolerance(options.varianceTolerance), // session default, per-SKU overrides
       uploadDate: new Date().toISOString(),
       status: 'active', // active, completed, cancelled
       uploadData: uploadData || {
@@ -85,28 +455,48 @@ export class LocalStorageManager {
         timeSpent: 0
       },
       skus: [], // Array of SKU objects with count data
+      foundItems: [], // Items counted on the floor that were not in the upload
       lastActivity: new Date().toISOString(),
       barcodeSupport: true
     };
 
-    localStorage.setItem(STORAGE_KEYS.CURRENT_SESSION, JSON.stringify(session));
-    this.updateAppState({ lastActiveSession: session.id });
+    this.setSessionState(session);
+    this.persist(() => sessionDatabase.saveSession(session), 'new session');
+    this.setCurrentSession(session.id);
     
     return session;
   }
 
-  getCurrentSession() {
-    try {
-      const session = localStorage.getItem(STORAGE_KEYS.CURRENT_SESSION);
-      return session ? JSON.parse(session) : null;
-    } catch (error) {
-      console.error('Error getting current session:', error);
-      return null;
+  getActiveSessions() {
+    return [...this.activeSessions.values()].map(session => ({ ...session }));
+  }
+
+  // Switch which active session counting operations apply to
+  setCurrentSession(sessionId) {
+    if (!this.activeSessions.has(sessionId)) {
+      throw new Error(`Session not found: ${sessionId}`);
     }
+
+    this.currentSessionId = sessionId;
+    this.updateAppState({ lastActiveSession: sessionId });
+    return this.getCurrentSession();
   }
 
-  updateCurrentSession(updates) {
-    const session = this.getCurrentSession();
+  getCurrentSession() {
+    const session = this.getSessionState();
+    return session ? { ...session } : null;
+  }
+
+  // Look up any session, active, completed or reopened from the archive
+  getSession(sessionId) {
+    const session = this.getSessionState(sessionId) || 
+      this.sessionHistory.find(s => s.id === sessionId) ||
+      this.openedArchives.get(sessionId);
+    return session ? { ...session } : null;
+  }
+
+  updateSession(sessionId, updates) {
+    const session = this.getSessionState(sessionId);
     if (!session) return null;
 
     const updatedSession = {
@@ -115,16 +505,29 @@ export class LocalStorageManager {
       lastActivity: new Date().toISOString()
     };
 
-    localStorage.setItem(STORAGE_KEYS.CURRENT_SESSION, JSON.stringify(updatedSession));
-    return updatedSession;
+    if (updates.skus) {
+      this.setSessionState(updatedSession);
+      this.persist(() => sessionDatabase.saveSession(updatedSession), 'session');
+    } else {
+      this.activeSessions.set(sessionId, updatedSession);
+      this.persist(() => sessionDatabase.saveSessionMeta(updatedSession), 'session details');
+    }
+
+    return { ...updatedSession };
   }
 
-  completeSession() {
-    const session = this.getCurrentSession();
+  updateCurrentSession(updates) {
+    return this.updateSession(this.currentSessionId, updates);
+  }
+
+  // Completing a session is the only path that writes to history
+  completeSession(sessionId = this.currentSessionId) {
+    const session = this.getSessionState(sessionId);
     if (!session) return null;
 
     const completedSession = {
       ...session,
+      skus: [...session.skus],
       status: 'completed',
       countProgress: {
         ...session.countProgress,
@@ -137,21 +540,29 @@ export class LocalStorageManager {
     // Move to history
     this.addToHistory(completedSession);
     
-    // Clear current session
-    localStorage.removeItem(STORAGE_KEYS.CURRENT_SESSION);
+    // Remove from the active sessions
+    this.cancelSession(sessionId);
     
     // Update app state
     const appState = this.getAppState();
     this.updateAppState({ 
-      totalSessionsCompleted: (appState.totalSessionsCompleted || 0) + 1,
-      lastActiveSession: null 
+      totalSessionsCompleted: (appState.totalSessionsCompleted || 0) + 1
     });
 
     return completedSession;
   }
 
-  // Enhanced CSV Upload and Processing with barcode support
-  processCSVUpload(filename, csvData) {
+  // Drop an active session without recording it in history
+  cancelSession(sessionId = this.currentSessionId) {
+    if (!this.activeSessions.has(sessionId)) return;
+
+    this.removeSessionState(sessionId);
+    this.persist(() => sessionDatabase.deleteSession(sessionId), 'session removal');
+  }
+
+  // Enhanced CSV Upload and Processing with barcode support.
+  // Each upload starts an additional session; existing counts are untouched.
+  processCSVUpload(filename, csvData, options = {}) {
     try {
       console.log('Processing CSV upload:', filename, csvData.length, 'items');
       
@@ -161,19 +572,11 @@ export class LocalStorageManager {
         totalSkus: csvData.length,
         hasBarcode: csvData.some(item => item.barcode && item.barcode !== item.sku),
         hasSku: csvData.some(item => item.sku),
-        skusToCount: csvData.map((row, index) => ({
-          id: `sku_${index}`,
-          sku: row.sku || '', // Primary identifier
-          barcode: row.barcode || row.sku || '', // Barcode or fallback to SKU
-          alternateId: (row.alternateId && row.alternateId !== row.sku) ? row.alternateId : null,
-          description: row.description || '',
-          expectedQuantity: parseInt(row.expected_quantity || 0),
-          counted: false,
-          countedQuantity: null,
-          countedTime: null,
-          notes: '',
-          originalRow: row.originalRow || index + 2
-        })).filter(item => validateSku(item.sku)) // Filter out invalid SKUs
+        hasCost: csvData.some(item => parseMoney(item.unit_cost) !== null),
+        hasPrice: csvData.some(item => parseMoney(item.unit_price) !== null),
+        skusToCount: csvData
+          .map((row, index) => buildSkuFromRow(row, index))
+          .filter(item => validateSku(item.sku)) // Filter out invalid SKUs
       };
 
       console.log('Upload data processed:', {
@@ -183,8 +586,12 @@ export class LocalStorageManager {
       });
 
       // Create new session with upload data
-      const session = this.createNewSession();
-      const updatedSession = this.updateCurrentSession({
+      const session = this.createNewSession(null, {
+        name: options.name || filename,
+        blindCount: options.blindCount,
+        varianceTolerance: options.varianceTolerance
+      });
+      const updatedSession = this.updateSession(session.id, {
         uploadData,
         skus: uploadData.skusToCount,
         countProgress: {
@@ -209,27 +616,264 @@ export class LocalStorageManager {
     }
   }
 
-  // Enhanced SKU Counting Operations with barcode support
-  countSku(identifier, quantity, notes = '') {
-    const session = this.getCurrentSession();
-    if (!session) {
-      throw new Error('No active session');
+  // Streamed uploads (large CSVs): the session starts empty and is filled chunk by
+  // chunk. It stays flagged `importing` until finishStreamingUpload; an import that
+  // never finished is dropped on the next load.
+  beginStreamingUpload(filename, options = {}) {
+    const session = this.createNewSession({
+      filename,
+      uploadTime: new Date().toISOString(),
+      totalSkus: 0,
+      hasBarcode: false,
+      hasSku: false,
+      hasCost: false,
+      hasPrice: false
+    }, {
+      name: options.name || filename,
+      blindCount: options.blindCount,
+      varianceTolerance: options.varianceTolerance
+    });
+
+    return this.updateSession(session.id, { importing: true });
+  }
+
+  // Append one parsed chunk; only this chunk's rows are written to IndexedDB
+  appendStreamingRows(sessionId, rows) {
+    const session = this.getSessionState(sessionId);
+    if (!session || !session.importing) {
+      throw new Error(`No import in progress for session: ${sessionId}`);
     }
 
-    if (!validateQuantity(quantity)) {
-      throw new Error('Invalid quantity');
+    const startPosition = session.skus.length;
+    const newSkus = rows
+      .filter(row => validateSku(row.sku || ''))
+      .map((row, offset) => buildSkuFromRow(row, startPosition + offset));
+
+    if (newSkus.length === 0) {
+      return { added: 0, total: startPosition };
+    }
+
+    // Appended in place - copying a 100k+ row list for every chunk is what we are avoiding
+    session.skus.push(...newSkus);
+    this.indexSkus(this.identifierIndexes.get(sessionId), newSkus, startPosition);
+
+    const { uploadData } = session;
+    const updatedSession = {
+      ...session,
+      uploadData: {
+        ...uploadData,
+        totalSkus: session.skus.length,
+        hasBarcode: uploadData.hasBarcode || newSkus.some(item => item.barcode && item.barcode !== item.sku),
+        hasSku: uploadData.hasSku || newSkus.some(item => item.sku),
+        hasCost: uploadData.hasCost || newSkus.some(item => item.unitCost !== null),
+        hasPrice: uploadData.hasPrice || newSkus.some(item => item.unitPrice !== null)
+      },
+      countProgress: {
+        ...session.countProgress,
+        total: session.skus.length
+      },
+      lastActivity: new Date().toISOString()
+    };
+    this.activeSessions.set(sessionId, updatedSession);
+    this.persist(() => sessionDatabase.saveSkus(updatedSession, newSkus, startPosition), 'imported rows');
+
+    return { added: newSkus.length, total: session.skus.length };
+  }
+
+  finishStreamingUpload(sessionId) {
+    const session = this.getSessionState(sessionId);
+    if (!session || !session.importing) {
+      throw new Error(`No import in progress for session: ${sessionId}`);
     }
 
-    console.log('Counting SKU:', identifier, 'Quantity:', quantity);
+    console.log('Streamed upload finished:', session.uploadData.filename, session.skus.length, 'items');
+
+    return this.updateSession(sessionId, {
+      importing: false,
+      barcodeSupport: session.uploadData.hasBarcode
+    });
+  }
+
+  abortStreamingUpload(sessionId) {
+    const session = this.getSessionState(sessionId);
+    if (session && session.importing) {
+      this.cancelSession(sessionId);
+    }
+  }
+
+  // Merge a second file into an active session. Rows are matched to existing SKUs by
+  // any identifier; matches get the new expected quantity and description, counts are kept.
+  planSessionMerge(sessionId, csvData) {
+    const session = this.getSessionState(sessionId);
+    if (!session) {
+      throw new Error(`Session not found: ${sessionId}`);
+    }
+
+    const matchedPositions = new Set();
+    const addedIdentifiers = new Set();
+    const added = [];
+    const updated = [];
+    let unchanged = 0;
+
+    csvData.forEach(row => {
+      const position = [row.sku, row.barcode, row.alternateId]
+        .map(identifier => (identifier ? this.findSkuPosition(identifier, sessionId) : -1))
+        .find(found => found !== -1);
+
+      if (position === undefined) {
+        // A new SKU listed twice: the first row wins here too
+        const keys = [row.sku, row.barcode, row.alternateId]
+          .filter(Boolean)
+          .flatMap(identifier => [normalizeIdentifier(identifier), ...getGtinIndexKeys(identifier)]);
+        if (validateSku(row.sku || '') && !keys.some(key => addedIdentifiers.has(key))) {
+          keys.forEach(key => addedIdentifiers.add(key));
+          added.push(row);
+        }
+        return;
+      }
+
+      // A file listing the same SKU twice: the first row wins
+      if (matchedPositions.has(position)) return;
+      matchedPositions.add(position);
+
+      const existing = session.skus[position];
+      const expectedQuantity = parseInt(row.expected_quantity || 0);
+      const description = row.description || existing.description;
+      const changes = {};
+      if (expectedQuantity !== existing.expectedQuantity) {
+        changes.expectedQuantity = { from: existing.expectedQuantity, to: expectedQuantity };
+      }
+      if (description !== existing.description) {
+        changes.description = { from: existing.description, to: description };
+      }
+
+      if (Object.keys(changes).length > 0) {
+        updated.push({ position, sku: existing.sku, counted: existing.counted, changes });
+      } else {
+        unchanged++;
+      }
+    });
+
+    const missing = session.skus
+      .map((sku, position) => ({ position, sku: sku.sku, description: sku.description, counted: sku.counted }))
+      .filter(item => !matchedPositions.has(item.position));
+
+    return { session, added, updated, unchanged, missing };
+  }
+
+  // Diff summary shown before confirming a merge
+  previewSessionMerge(sessionId, csvData) {
+    const { added, updated, unchanged, missing } = this.planSessionMerge(sessionId, csvData);
+
+    return {
+      added: added.map(row => ({
+        sku: row.sku,
+        description: row.description || '',
+        expectedQuantity: parseInt(row.expected_quantity || 0)
+      })),
+      updated: updated.map(({ position, ...item }) => item),
+      unchanged,
+      missing: missing.map(({ position, ...item }) => item)
+    };
+  }
+
+  // missingAction: 'keep' | 'flag' | 'remove'. Removing only drops SKUs that have not been
+  // counted - counted SKUs missing from the file are flagged instead so no count is lost.
+  mergeIntoSession(sessionId, filename, csvData, options = {}) {
+    this.assertPersistentStorage();
+
+    const missingAction = options.missingAction || 'keep';
+    const { session, added, updated, missing } = this.planSessionMerge(sessionId, csvData);
+
+    const updatesByPosition = new Map(updated.map(item => [item.position, item.changes]));
+    const missingPositions = new Set(missing.map(item => item.position));
+    const mergeTime = new Date().toISOString();
+
+    let removed = 0;
+    let flagged = 0;
+    const keptSkus = [];
+
+    session.skus.forEach((sku, position) => {
+      if (missingPositions.has(position)) {
+        if (missingAction === 'remove' && !sku.counted && getCountLines(sku).length === 0) {
+          removed++;
+          return;
+        }
+        if (missingAction !== 'keep') {
+          flagged++;
+          keptSkus.push({ ...sku, missingFromUpload: true });
+          return;
+        }
+        keptSkus.push(sku);
+        return;
+      }
+
+      const changes = updatesByPosition.get(position);
+      keptSkus.push({
+        ...sku,
+        ...(changes?.expectedQuantity ? { expectedQuantity: changes.expectedQuantity.to } : {}),
+        ...(changes?.description ? { description: changes.description.to } : {}),
+        missingFromUpload: false // listed again
+      });
+    });
+
+    const firstId = nextSkuIdNumber(session.skus);
+    const addedSkus = added.map((row, offset) => ({
+      ...buildSkuFromRow(row, firstId + offset),
+      addedByMerge: mergeTime
+    }));
+    const skus = [...keptSkus, ...addedSkus];
+
+    const counted = skus.filter(sku => sku.counted).length;
+    const summary = {
+      filename,
+      time: mergeTime,
+      added: addedSkus.length,
+      updated: updated.length,
+      missing: missing.length,
+      missingAction,
+      flagged,
+      removed
+    };
 
-    // Enhanced search - look for matches in multiple fields
-    const normalizedIdentifier = normalizeIdentifier(identifier);
-    const skuIndex = session.skus.findIndex(item => {
-      return normalizeIdentifier(item.sku) === normalizedIdentifier ||
-             normalizeIdentifier(item.barcode) === normalizedIdentifier ||
-             (item.alternateId && normalizeIdentifier(item.alternateId) === normalizedIdentifier);
+    console.log('Merged file into session:', session.id, summary);
+
+    const updatedSession = this.updateSession(session.id, {
+      skus,
+      uploadData: {
+        ...session.uploadData,
+        totalSkus: skus.length,
+        hasBarcode: session.uploadData?.hasBarcode || addedSkus.some(item => item.barcode && item.barcode !== item.sku),
+        hasCost: session.uploadData?.hasCost || addedSkus.some(item => item.unitCost !== null),
+        hasPrice: session.uploadData?.hasPrice || addedSkus.some(item => item.unitPrice !== null)
+      },
+      countProgress: {
+        ...session.countProgress,
+        total: skus.length,
+        counted,
+        percentage: skus.length > 0 ? Math.round((counted / skus.length) * 100) : 0
+      },
+      merges: [...(session.merges || []), summary]
     });
 
+    return { success: true, session: updatedSession, summary };
+  }
+
+  // Enhanced SKU Counting Operations with barcode support
+  // Resolve an identifier to its position in a session, or throw
+  locateSku(identifier, sessionId = this.currentSessionId) {
+    const session = this.getSessionState(sessionId);
+    if (!session) {
+      throw new Error('No active session');
+    }
+
+    // Enhanced search - indexed lookup across SKU, barcode and alternate ID
+    const skuIndex = this.findSkuPosition(identifier, session.id);
+
+    if (skuIndex === -1 && isBarcodeMisread(identifier)) {
+      throw new Error(describeMisread(identifier));
+    }
+
     if (skuIndex === -1) {
       console.error('SKU not found:', identifier);
       console.log('Available SKUs:', session.skus.slice(0, 5).map(s => ({
@@ -240,270 +884,1188 @@ export class LocalStorageManager {
       throw new Error(`SKU not found in current session: ${identifier}`);
     }
 
+    return { session, skuIndex };
+  }
+
+  // Replace one SKU in place, update progress incrementally and persist that row.
+  // The SKU's newest event is pushed onto the session undo stack unless undoStack is given.
+  commitSkuUpdate(session, skuIndex, updatedSku, description, undoStack = null) {
+    const previouslyCounted = session.skus[skuIndex].counted;
+    session.skus[skuIndex] = updatedSku;
+
+    const countedItems = session.countProgress.counted +
+      (updatedSku.counted ? 1 : 0) - (previouslyCounted ? 1 : 0);
+    const percentage = Math.round((countedItems / session.skus.length) * 100);
+
+    console.log('Progress update:', {
+      countedItems,
+      total: session.skus.length,
+      percentage,
+      previouslyCounted
+    });
+
+    const lastEvent = updatedSku.events[updatedSku.events.length - 1];
+    const updatedSession = {
+      ...session,
+      countProgress: {
+        ...session.countProgress,
+        counted: countedItems,
+        percentage
+      },
+      eventSequence: lastEvent.sequence,
+      undoStack: undoStack || [
+        ...(session.undoStack || []),
+        { sku: updatedSku.sku, eventId: lastEvent.id }
+      ].slice(-MAX_UNDO_EVENTS),
+      lastActivity: new Date().toISOString()
+    };
+    this.activeSessions.set(session.id, updatedSession);
+    this.persist(() => sessionDatabase.saveSku(updatedSession, updatedSku, skuIndex), description);
+
+    return updatedSession;
+  }
+
+  // Enhanced SKU Counting Operations with barcode support.
+  // Each call adds a count line (optionally tagged with a bin) to the SKU's
+  // running total. Pass options.partial when more bins of the same SKU are
+  // still to be counted so the tolerance check waits for the last line.
+  // A GS1 identifier's lot/expiry/serial/count AIs are kept on the line; pass
+  // options.gs1 (a parseGS1 result) when counting by SKU after a GS1 scan.
+  countSku(identifier, quantity, notes = '', sessionId = this.currentSessionId, options = {}) {
+    if (!validateQuantity(quantity)) {
+      throw new Error('Invalid quantity');
+    }
+    this.assertPersistentStorage();
+
+    console.log('Counting SKU:', identifier, 'Quantity:', quantity, 'Options:', options);
+
+    const { session, skuIndex } = this.locateSku(identifier, sessionId);
+
     console.log('Found SKU at index:', skuIndex, session.skus[skuIndex]);
 
-    // Update SKU count
-    const updatedSkus = [...session.skus];
-    const previouslyCounted = updatedSkus[skuIndex].counted;
-    
-    updatedSkus[skuIndex] = {
-      ...updatedSkus[skuIndex],
-      counted: true,
-      countedQuantity: parseInt(quantity),
-      countedTime: new Date().toISOString(),
-      notes: notes
+    const currentSku = session.skus[skuIndex];
+    const previouslyCounted = currentSku.counted;
+    const countedTime = new Date().toISOString();
+    const existingLines = getCountLines(currentSku);
+    const line = {
+      id: `line_${Date.now()}_${existingLines.length}`,
+      quantity: parseInt(quantity),
+      bin: options.bin ? options.bin.toString().trim() : null,
+      countedTime,
+      notes
+    };
+
+    // Lot, expiry, serial and count from a GS1 scan travel with the line
+    const gs1 = getGS1LineData(options.gs1 || parseGS1(identifier));
+    if (gs1) {
+      line.gs1 = gs1;
+    }
+    const countLines = [...existingLines, line];
+    const { tolerance, isRecount, recountRequired, countAttempts, total } = evaluateCount(
+      currentSku, session, countLines, { partial: options.partial, countedTime, notes }
+    );
+
+    // A rejected attempt keeps its lines in countAttempts; the recount starts empty
+    const startRecount = recountRequired && !isRecount;
+    const updatedSku = appendSkuEvent(buildSkuFromLines({
+      ...currentSku,
+      notes,
+      recountRequired,
+      countAttempts
+    }, startRecount ? [] : countLines), currentSku, session, {
+      type: isRecount ? 'recount' : 'count',
+      lineId: line.id,
+      quantity: line.quantity,
+      bin: line.bin,
+      notes,
+      recountRequired
+    });
+
+    if (startRecount) {
+      console.log('Count outside tolerance, recount required:', identifier, total);
+    }
+
+    const updatedSession = this.commitSkuUpdate(session, skuIndex, updatedSku, 'SKU count');
+
+    // Update app state with last scanned barcode
+    this.updateAppState({ lastBarcodeScanned: identifier });
+
+    return {
+      success: true,
+      session: { ...updatedSession },
+      skuData: updatedSku,
+      line,
+      wasAlreadyCounted: previouslyCounted,
+      recountRequired,
+      tolerance
+    };
+  }
+
+  // Close a count built from partial lines: checks the running total against the
+  // variance tolerance, exactly as a final countSku would, without adding a line
+  finishSkuCount(identifier, sessionId = this.currentSessionId) {
+    this.assertPersistentStorage();
+    const { session, skuIndex } = this.locateSku(identifier, sessionId);
+    const currentSku = session.skus[skuIndex];
+    const countLines = getCountLines(currentSku);
+    if (countLines.length === 0) {
+      throw new Error(`${currentSku.sku} has no count lines to finish`);
+    }
+
+    const { tolerance, isRecount, recountRequired, countAttempts, total } = evaluateCount(
+      currentSku, session, countLines, { countedTime: new Date().toISOString(), notes: currentSku.notes || '' }
+    );
+
+    // A rejected attempt keeps its lines in countAttempts; the recount starts empty
+    const startRecount = recountRequired && !isRecount;
+    const updatedSku = appendSkuEvent(buildSkuFromLines({
+      ...currentSku,
+      recountRequired,
+      countAttempts
+    }, startRecount ? [] : countLines), currentSku, session, {
+      type: 'finish',
+      quantity: total,
+      recountRequired
+    });
+
+    if (startRecount) {
+      console.log('Count outside tolerance, recount required:', identifier, total);
+    }
+
+    const updatedSession = this.commitSkuUpdate(session, skuIndex, updatedSku, 'SKU count finished');
+
+    return {
+      success: true,
+      session: { ...updatedSession },
+      skuData: updatedSku,
+      recountRequired,
+      tolerance
     };
+  }
+
+  // Correct a single count line (quantity, bin or notes); the tolerance check is not re-run
+  updateCountLine(identifier, lineId, updates, sessionId = this.currentSessionId) {
+    if (updates.quantity !== undefined && !validateQuantity(updates.quantity)) {
+      throw new Error('Invalid quantity');
+    }
+    this.assertPersistentStorage();
+
+    const { session, skuIndex } = this.locateSku(identifier, sessionId);
+    const currentSku = session.skus[skuIndex];
+    const countLines = getCountLines(currentSku);
+
+    if (!countLines.some(line => line.id === lineId)) {
+      throw new Error(`Count line not found: ${lineId}`);
+    }
+
+    const updatedLines = countLines.map(line => (line.id === lineId ? {
+      ...line,
+      ...(updates.quantity !== undefined && { quantity: parseInt(updates.quantity) }),
+      ...(updates.bin !== undefined && { bin: updates.bin ? updates.bin.toString().trim() : null }),
+      ...(updates.notes !== undefined && { notes: updates.notes })
+    } : line));
+
+    const editedLine = updatedLines.find(line => line.id === lineId);
+    const updatedSku = appendSkuEvent(buildSkuFromLines(currentSku, updatedLines), currentSku, session, {
+      type: 'edit',
+      lineId,
+      quantity: editedLine.quantity,
+      bin: editedLine.bin
+    });
+    const updatedSession = this.commitSkuUpdate(session, skuIndex, updatedSku, 'count line update');
+
+    return {
+      success: true,
+      session: { ...updatedSession },
+      skuData: updatedSku
+    };
+  }
+
+  deleteCountLine(identifier, lineId, sessionId = this.currentSessionId) {
+    this.assertPersistentStorage();
+
+    const { session, skuIndex } = this.locateSku(identifier, sessionId);
+    const currentSku = session.skus[skuIndex];
+    const countLines = getCountLines(currentSku);
+
+    if (!countLines.some(line => line.id === lineId)) {
+      throw new Error(`Count line not found: ${lineId}`);
+    }
+
+    const deletedLine = countLines.find(line => line.id === lineId);
+    const remainingLines = countLines.filter(line => line.id !== lineId);
+    const updatedSku = appendSkuEvent(buildSkuFromLines(currentSku, remainingLines), currentSku, session, {
+      type: remainingLines.length === 0 ? 'uncount' : 'delete_line',
+      lineId,
+      quantity: deletedLine.quantity,
+      bin: deletedLine.bin
+    });
+    const updatedSession = this.commitSkuUpdate(session, skuIndex, updatedSku, 'count line delete');
+
+    return {
+      success: true,
+      session: { ...updatedSession },
+      skuData: updatedSku
+    };
+  }
+
+  // The change "undo last count" would revert, or null when there is nothing to undo
+  getLastUndoableEvent(sessionId = this.currentSessionId) {
+    const session = this.getSessionState(sessionId);
+    if (!session || !session.undoStack || session.undoStack.length === 0) return null;
+
+    const { sku: identifier, eventId } = session.undoStack[session.undoStack.length - 1];
+    const position = this.findSkuPosition(identifier, session.id);
+    if (position === -1) return null;
+
+    const sku = session.skus[position];
+    const event = (sku.events || []).find(e => e.id === eventId);
+    return event ? { sku, event } : null;
+  }
+
+  // Revert the most recent count change in the session. The reverted event
+  // stays in the log and an 'undo' event is appended after it.
+  undoLastCount(sessionId = this.currentSessionId) {
+    this.assertPersistentStorage();
+
+    const session = this.getSessionState(sessionId);
+    if (!session) {
+      throw new Error('No active session');
+    }
+
+    const lastChange = this.getLastUndoableEvent(session.id);
+    const undoStack = (session.undoStack || []).slice(0, -1);
+    if (!lastChange) {
+      if (undoStack.length < (session.undoStack || []).length) {
+        this.updateSession(session.id, { undoStack }); // drop a stale entry
+      }
+      return { success: false, error: 'Nothing to undo' };
+    }
+
+    const { sku: currentSku, event } = lastChange;
+    const skuIndex = this.findSkuPosition(currentSku.sku, session.id);
+
+    console.log('Undoing count event:', currentSku.sku, event.type, event.id);
+
+    const updatedSku = appendSkuEvent({
+      ...currentSku,
+      ...event.previous
+    }, currentSku, session, {
+      type: 'undo',
+      undoneEventId: event.id,
+      undoneType: event.type
+    });
+    const updatedSession = this.commitSkuUpdate(session, skuIndex, updatedSku, 'undo', undoStack);
+
+    return {
+      success: true,
+      session: { ...updatedSession },
+      skuData: updatedSku,
+      undoneEvent: event
+    };
+  }
+
+  // Found items: stock discovered on the floor that is not in the uploaded list.
+  // Kept apart from skus so they never affect SKU progress or variance.
+  addFoundItem(identifier, quantity, details = {}, sessionId = this.currentSessionId) {
+    this.assertPersistentStorage();
+
+    const session = this.getSessionState(sessionId);
+    if (!session) {
+      throw new Error('No active session');
+    }
+
+    if (!validateSku(identifier ? identifier.toString() : '')) {
+      throw new Error('Identifier is required');
+    }
+
+    if (!validateQuantity(quantity)) {
+      throw new Error('Invalid quantity');
+    }
+
+    if (this.findSkuPosition(identifier, session.id) !== -1) {
+      throw new Error(`${identifier} is already in this session - count it normally`);
+    }
+
+    const foundItems = session.foundItems || [];
+    const foundItem = {
+      id: `found_${Date.now()}_${foundItems.length}`,
+      identifier: identifier.toString().trim(),
+      quantity: parseInt(quantity),
+      description: details.description || '',
+      notes: details.notes || '',
+      photo: details.photo || null, // data URL, kept small by the caller
+      foundTime: new Date().toISOString()
+    };
+
+    console.log('Recording found item:', foundItem.identifier, 'Quantity:', foundItem.quantity);
+
+    const updatedSession = this.updateSession(session.id, {
+      foundItems: [...foundItems, foundItem]
+    });
+    this.persist(() => sessionDatabase.saveFoundItem(session.id, foundItem, foundItems.length), 'found item');
+
+    return {
+      success: true,
+      session: updatedSession,
+      foundItem
+    };
+  }
+
+  removeFoundItem(foundItemId, sessionId = this.currentSessionId) {
+    this.assertPersistentStorage();
+
+    const session = this.getSessionState(sessionId);
+    if (!session) {
+      throw new Error('No active session');
+    }
+
+    const foundItems = session.foundItems || [];
+    if (!foundItems.some(item => item.id === foundItemId)) {
+      throw new Error(`Found item not found: ${foundItemId}`);
+    }
+
+    const updatedSession = this.updateSession(session.id, {
+      foundItems: foundItems.filter(item => item.id !== foundItemId)
+    });
+    this.persist(() => sessionDatabase.deleteFoundItem(session.id, foundItemId), 'found item removal');
+
+    return {
+      success: true,
+      session: updatedSession
+    };
+  }
+
+  // Enhanced Search with barcode support
+  searchSkus(searchTerm, includeDescriptions = true) {
+    const session = this.getSessionState();
+    if (!session || !session.skus) return [];
+
+    const term = searchTerm.toLowerCase().trim();
+    if (term.length === 0) return [];
+
+    return session.skus.filter(sku => {
+      // Search in SKU
+      if (sku.sku.toLowerCase().includes(term)) return true;
+      
+      // Search in barcode
+      if (sku.barcode && sku.barcode.toLowerCase().includes(term)) return true;
+      
+      // Search in alternate ID
+      if (sku.alternateId && sku.alternateId.toLowerCase().includes(term)) return true;
+      
+      // Search in description if enabled
+      if (includeDescriptions && sku.description && sku.description.toLowerCase().includes(term)) return true;
+      
+      return false;
+    }).sort((a, b) => {
+      // Prioritize exact matches
+      const aExact = a.sku.toLowerCase() === term || a.barcode.toLowerCase() === term;
+      const bExact = b.sku.toLowerCase() === term || b.barcode.toLowerCase() === term;
+      
+      if (aExact && !bExact) return -1;
+      if (!aExact && bExact) return 1;
+      
+      // Then prioritize uncounted items
+      if (!a.counted && b.counted) return -1;
+      if (a.counted && !b.counted) return 1;
+      
+      return 0;
+    });
+  }
+
+  getSkuByIdentifier(identifier) {
+    const session = this.getSessionState();
+    if (!session || !session.skus) return null;
+
+    const position = this.findSkuPosition(identifier);
+    return position === -1 ? undefined : session.skus[position];
+  }
+
+  // Enhanced Statistics and Progress
+  getCountStatistics(sessionId = this.currentSessionId) {
+    const session = this.getSessionState(sessionId);
+    if (!session) return null;
+
+    const countedSkus = session.skus.filter(sku => sku.counted);
+    const uncountedSkus = session.skus.filter(sku => !sku.counted);
+    const recountSkus = session.skus.filter(sku => sku.recountRequired);
+    const foundItems = session.foundItems || [];
+    
+    // Calculate time spent
+    const startTime = new Date(session.countProgress.startTime);
+    const currentTime = new Date();
+    const timeSpent = currentTime - startTime;
+
+    // Calculate average time per SKU
+    const avgTimePerSku = countedSkus.length > 0 ? timeSpent / countedSkus.length : 0;
+
+    // Estimate remaining time
+    const estimatedRemainingTime = uncountedSkus.length * avgTimePerSku;
+
+    return {
+      total: session.skus.length,
+      counted: countedSkus.length,
+      remaining: uncountedSkus.length,
+      recountRequired: recountSkus.length,
+      foundItems: foundItems.length,
+      foundQuantity: foundItems.reduce((total, item) => total + item.quantity, 0),
+      percentage: session.skus.length > 0 ? Math.round((countedSkus.length / session.skus.length) * 100) : 0,
+      timeSpent: timeSpent,
+      avgTimePerSku: avgTimePerSku,
+      estimatedRemainingTime: estimatedRemainingTime,
+      sessionStatus: session.status,
+      lastActivity: session.lastActivity,
+      barcodeSupport: session.barcodeSupport || false,
+      hasBarcode: session.uploadData?.hasBarcode || false
+    };
+  }
+
+  getDashboardStats() {
+    const session = this.getCurrentSession();
+    const appState = this.getAppState();
+    const stats = this.getCountStatistics();
+
+    return {
+      currentSession: {
+        active: !!session,
+        filename: session?.uploadData?.filename || null,
+        uploadDate: session?.uploadDate || null,
+        progress: stats || { total: 0, counted: 0, percentage: 0 },
+        barcodeSupport: session?.barcodeSupport || false,
+        hasBarcode: session?.uploadData?.hasBarcode || false
+      },
+      activeSessions: [...this.activeSessions.values()].map(activeSession => ({
+        id: activeSession.id,
+        name: activeSession.name || activeSession.uploadData?.filename || 'Unnamed session',
+        filename: activeSession.uploadData?.filename || null,
+        uploadDate: activeSession.uploadDate,
+        lastActivity: activeSession.lastActivity,
+        progress: activeSession.countProgress,
+        blindCount: !!activeSession.blindCount,
+        foundItems: (activeSession.foundItems || []).length,
+        parentSessionName: activeSession.parentSessionName || null,
+        isCurrent: activeSession.id === this.currentSessionId
+      })),
+      history: {
+        totalSessions: appState.totalSessionsCompleted || 0,
+        lastCompletedSession: this.getLastCompletedSession(),
+        lastBarcodeScanned: appState.lastBarcodeScanned || null
+      }
+    };
+  }
+
+  // Inventory valuation: extended cost of expected vs counted stock and the
+  // dollar value of variances. Only counted SKUs with a unit cost contribute
+  // to shrink/overage; SKUs without a cost are reported as missingCost.
+  getValuationReport(sessionId = this.currentSessionId, topN = 10) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    const report = {
+      sessionId: session.id,
+      sessionName: session.name || session.uploadData?.filename,
+      hasCost: false,
+      hasPrice: false,
+      expectedValue: 0,
+      countedValue: 0,
+      uncountedExpectedValue: 0,
+      expectedRetail: 0,
+      countedRetail: 0,
+      shrinkValue: 0,
+      overageValue: 0,
+      netVarianceValue: 0,
+      netVarianceRetail: 0,
+      missingCost: 0,
+      topVariances: []
+    };
+
+    const variances = [];
+
+    session.skus.forEach(sku => {
+      if (hasValue(sku.unitPrice)) {
+        report.hasPrice = true;
+        report.expectedRetail += sku.expectedQuantity * sku.unitPrice;
+        if (sku.counted) {
+          report.countedRetail += sku.countedQuantity * sku.unitPrice;
+          report.netVarianceRetail += (sku.countedQuantity - sku.expectedQuantity) * sku.unitPrice;
+        }
+      }
+
+      if (!hasValue(sku.unitCost)) {
+        report.missingCost += 1;
+        return;
+      }
+
+      report.hasCost = true;
+      report.expectedValue += sku.expectedQuantity * sku.unitCost;
+
+      if (!sku.counted) {
+        report.uncountedExpectedValue += sku.expectedQuantity * sku.unitCost;
+        return;
+      }
+
+      const valueVariance = (sku.countedQuantity - sku.expectedQuantity) * sku.unitCost;
+      report.countedValue += sku.countedQuantity * sku.unitCost;
+
+      if (valueVariance < 0) {
+        report.shrinkValue += -valueVariance;
+      } else {
+        report.overageValue += valueVariance;
+      }
+
+      if (valueVariance !== 0) {
+        variances.push({
+          sku: sku.sku,
+          description: sku.description,
+          expectedQuantity: sku.expectedQuantity,
+          countedQuantity: sku.countedQuantity,
+          variance: sku.countedQuantity - sku.expectedQuantity,
+          unitCost: sku.unitCost,
+          valueVariance: roundMoney(valueVariance)
+        });
+      }
+    });
+
+    report.netVarianceValue = report.overageValue - report.shrinkValue;
+    ['expectedValue', 'countedValue', 'uncountedExpectedValue', 'expectedRetail', 'countedRetail',
+      'shrinkValue', 'overageValue', 'netVarianceValue', 'netVarianceRetail'].forEach(key => {
+      report[key] = roundMoney(report[key]);
+    });
+
+    report.topVariances = variances
+      .sort((a, b) => Math.abs(b.valueVariance) - Math.abs(a.valueVariance))
+      .slice(0, topN);
+
+    return report;
+  }
+
+  // SKUs of a session worth recounting. Criteria (any match qualifies):
+  // { varianceUnits, variancePercent, uncounted, withNotes, notesContain, recountRequired }
+  getRecountCandidates(sessionId, criteria = {}) {
+    const session = this.getSession(sessionId);
+    if (!session) return [];
+
+    const varianceUnits = criteria.varianceUnits === '' || criteria.varianceUnits === undefined
+      ? null : parseFloat(criteria.varianceUnits);
+    const variancePercent = criteria.variancePercent === '' || criteria.variancePercent === undefined
+      ? null : parseFloat(criteria.variancePercent);
+    const notesFilter = (criteria.notesContain || '').trim().toLowerCase();
+
+    return session.skus
+      .map(sku => {
+        const variance = sku.counted ? sku.countedQuantity - sku.expectedQuantity : null;
+        const notes = [sku.notes, ...getCountLines(sku).map(line => line.notes)]
+          .filter(Boolean)
+          .join('; ');
+        const reasons = [];
+
+        if (variance !== null && variance !== 0) {
+          const percent = sku.expectedQuantity > 0 ? (Math.abs(variance) / sku.expectedQuantity) * 100 : Infinity;
+          if ((varianceUnits !== null && !isNaN(varianceUnits) && Math.abs(variance) > varianceUnits) ||
+              (variancePercent !== null && !isNaN(variancePercent) && percent > variancePercent)) {
+            reasons.push('variance');
+          }
+        }
+        if (criteria.uncounted && !sku.counted) {
+          reasons.push('uncounted');
+        }
+        if (criteria.recountRequired && sku.recountRequired) {
+          reasons.push('recount');
+        }
+        if ((criteria.withNotes || notesFilter) && notes &&
+            (!notesFilter || notes.toLowerCase().includes(notesFilter))) {
+          reasons.push('notes');
+        }
+
+        return {
+          id: sku.id,
+          sku: sku.sku,
+          description: sku.description,
+          expectedQuantity: sku.expectedQuantity,
+          countedQuantity: sku.counted ? sku.countedQuantity : null,
+          variance,
+          notes,
+          reasons
+        };
+      })
+      .filter(candidate => candidate.reasons.length > 0);
+  }
+
+  // New active session holding fresh copies of the chosen SKUs, linked to the session
+  // they came from. rootSessionId/rootSkuId point at the original count so recounts of
+  // recounts reconcile into the same report.
+  createRecountSession(parentSessionId, skuIds, options = {}) {
+    const parent = this.getSession(parentSessionId);
+    if (!parent) {
+      throw new Error(`Session not found: ${parentSessionId}`);
+    }
+
+    const selectedIds = new Set(skuIds);
+    const selected = parent.skus.filter(sku => selectedIds.has(sku.id));
+    if (selected.length === 0) {
+      throw new Error('Select at least one SKU to recount');
+    }
+
+    const skus = selected.map((sku, index) => ({
+      ...buildSkuFromRow({
+        sku: sku.sku,
+        barcode: sku.barcode,
+        alternateId: sku.alternateId,
+        description: sku.description,
+        expected_quantity: sku.expectedQuantity,
+        unit_cost: sku.unitCost,
+        unit_price: sku.unitPrice,
+        tolerance: sku.varianceTolerance,
+        originalRow: sku.originalRow
+      }, index),
+      parentSkuId: sku.id,
+      rootSkuId: sku.rootSkuId || sku.id
+    }));
+
+    const parentName = parent.name || parent.uploadData?.filename || parent.id;
+    const rootSessionId = parent.rootSessionId || parent.id;
+    const root = this.getSession(rootSessionId) || parent;
+    const recountNumber = (this.getRecountFamily(rootSessionId)?.recounts.length || 0) + 1;
+
+    const session = this.createNewSession(null, {
+      name: options.name || `Recount ${recountNumber} - ${root.name || root.uploadData?.filename || root.id}`,
+      blindCount: options.blindCount ?? parent.blindCount,
+      varianceTolerance: parent.varianceTolerance
+    });
+
+    const updatedSession = this.updateSession(session.id, {
+      uploadData: {
+        filename: parent.uploadData?.filename || null,
+        uploadTime: new Date().toISOString(),
+        totalSkus: skus.length,
+        hasBarcode: !!parent.uploadData?.hasBarcode,
+        hasSku: true,
+        hasCost: skus.some(item => item.unitCost !== null),
+        hasPrice: skus.some(item => item.unitPrice !== null)
+      },
+      skus,
+      countProgress: {
+        ...session.countProgress,
+        total: skus.length
+      },
+      barcodeSupport: !!parent.barcodeSupport,
+      parentSessionId: parent.id,
+      parentSessionName: parentName,
+      rootSessionId,
+      recountNumber
+    });
+
+    console.log('Recount session created:', updatedSession.id, 'from', parent.id, skus.length, 'SKUs');
+    return updatedSession;
+  }
+
+  // The original session and every recount made from it, in the order they were created
+  getRecountFamily(sessionId) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+
+    const rootId = session.rootSessionId || session.id;
+    const root = this.getSession(rootId);
+    if (!root) return null;
+
+    const recounts = [...this.activeSessions.values(), ...this.sessionHistory]
+      .filter(candidate => candidate.rootSessionId === rootId)
+      .sort((a, b) => (a.recountNumber || 0) - (b.recountNumber || 0));
+
+    return { root, recounts };
+  }
+
+  // Sessions that have at least one recount, for pickers
+  getReconcilableSessions() {
+    const rootIds = new Set(
+      [...this.activeSessions.values(), ...this.sessionHistory]
+        .map(session => session.rootSessionId)
+        .filter(Boolean)
+    );
+    return [...rootIds].map(id => this.getSession(id)).filter(Boolean);
+  }
+
+  // Combined final report: each original SKU takes its latest recounted quantity,
+  // falling back to the original count when no recount counted it
+  getReconciliationReport(sessionId) {
+    const family = this.getRecountFamily(sessionId);
+    if (!family) return null;
+
+    const { root, recounts } = family;
+    const recountIndexes = recounts.map(recount => new Map(
+      recount.skus.map(sku => [sku.rootSkuId, sku])
+    ));
+
+    const rows = root.skus.map(sku => {
+      const originalQuantity = sku.counted ? sku.countedQuantity : null;
+      let finalQuantity = originalQuantity;
+      let finalSource = sku.counted ? 'original' : null;
+
+      const recountResults = [];
+      recounts.forEach((recount, index) => {
+        const recountSku = recountIndexes[index].get(sku.id);
+        if (!recountSku) return;
+
+        recountResults.push({
+          sessionId: recount.id,
+          quantity: recountSku.counted ? recountSku.countedQuantity : null
+        });
+        if (recountSku.counted) {
+          finalQuantity = recountSku.countedQuantity;
+          finalSource = recount.id;
+        }
+      });
+
+      const variance = finalQuantity === null ? null : finalQuantity - sku.expectedQuantity;
+
+      return {
+        sku: sku.sku,
+        barcode: sku.barcode,
+        description: sku.description,
+        expectedQuantity: sku.expectedQuantity,
+        unitCost: sku.unitCost ?? null,
+        originalQuantity,
+        recounts: recountResults,
+        finalQuantity,
+        finalSource,
+        variance,
+        valueVariance: variance !== null && hasValue(sku.unitCost) ? roundMoney(variance * sku.unitCost) : null,
+        changed: finalSource !== null && finalSource !== 'original' && finalQuantity !== originalQuantity
+      };
+    });
+
+    const originalVariance = root.skus
+      .filter(sku => sku.counted)
+      .reduce((total, sku) => total + (sku.countedQuantity - sku.expectedQuantity), 0);
+
+    return {
+      rootSessionId: root.id,
+      rootName: root.name || root.uploadData?.filename || root.id,
+      sessions: [root, ...recounts].map(session => ({
+        id: session.id,
+        name: session.name || session.uploadData?.filename || session.id,
+        status: session.status,
+        uploadDate: session.uploadDate,
+        total: session.skus.length,
+        counted: session.skus.filter(sku => sku.counted).length
+      })),
+      rows,
+      summary: {
+        totalSkus: rows.length,
+        recountedSkus: rows.filter(row => row.recounts.length > 0).length,
+        changedSkus: rows.filter(row => row.changed).length,
+        originalUncounted: rows.filter(row => row.originalQuantity === null).length,
+        finalUncounted: rows.filter(row => row.finalQuantity === null).length,
+        originalNetVariance: originalVariance,
+        finalNetVariance: rows.reduce((total, row) => total + (row.variance || 0), 0),
+        finalValueVariance: roundMoney(rows.reduce((total, row) => total + (row.valueVariance || 0), 0))
+      }
+    };
+  }
+
+  exportReconciliationCSV(sessionId) {
+    const report = this.getReconciliationReport(sessionId);
+    if (!report) return null;
+
+    const recountSessions = report.sessions.slice(1);
+    const sessionNames = new Map(report.sessions.map(session => [session.id, session.name]));
+
+    const headers = [
+      'SKU',
+      'Barcode',
+      'Description',
+      'Expected Qty',
+      'Original Count',
+      ...recountSessions.map(session => session.name),
+      'Final Qty',
+      'Final Source',
+      'Variance',
+      'Unit Cost',
+      'Value Variance'
+    ];
+
+    const rows = report.rows.map(row => {
+      const recountQuantities = recountSessions.map(session => {
+        const result = row.recounts.find(recount => recount.sessionId === session.id);
+        return result && result.quantity !== null ? result.quantity : '';
+      });
+
+      return [
+        row.sku,
+        row.barcode || '',
+        row.description || '',
+        row.expectedQuantity,
+        row.originalQuantity ?? '',
+        ...recountQuantities,
+        row.finalQuantity ?? '',
+        row.finalSource === 'original' ? 'Original' : sessionNames.get(row.finalSource) || '',
+        row.variance ?? '',
+        row.unitCost ?? '',
+        row.valueVariance ?? ''
+      ];
+    });
+
+    return [headers, ...rows]
+      .map(row => row.map(escapeCSVValue).join(','))
+      .join('\r\n') + '\r\n';
+  }
+
+  // Trend analysis: completed sessions oldest first. Recounts are left out - they
+  // hold only a subset of SKUs and would skew per-session accuracy.
+  getTrendSessions() {
+    const completedAt = (session) => new Date(session.countProgress?.endTime || session.uploadDate).getTime();
+    return this.sessionHistory
+      .filter(session => !session.rootSessionId)
+      .sort((a, b) => completedAt(a) - completedAt(b));
+  }
+
+  // Inventory record accuracy per session: counted SKUs whose count matched the record
+  getAccuracyTrend() {
+    return this.getTrendSessions().map(session => {
+      const counted = session.skus.filter(sku => sku.counted);
+      const exactMatches = counted.filter(sku => sku.countedQuantity === sku.expectedQuantity).length;
+      const variances = counted.map(sku => sku.countedQuantity - sku.expectedQuantity);
+
+      return {
+        sessionId: session.id,
+        name: session.name || session.uploadData?.filename || session.id,
+        date: session.countProgress?.endTime || session.uploadDate,
+        totalSkus: session.skus.length,
+        countedSkus: counted.length,
+        exactMatches,
+        accuracy: counted.length > 0 ? Math.round((exactMatches / counted.length) * 1000) / 10 : null,
+        completeness: session.skus.length > 0 ? Math.round((counted.length / session.skus.length) * 100) : 0,
+        netVariance: variances.reduce((total, variance) => total + variance, 0),
+        grossVariance: variances.reduce((total, variance) => total + Math.abs(variance), 0)
+      };
+    });
+  }
+
+  // SKUs that are wrong session after session, worst miss rate first.
+  // Only SKUs counted in at least minSessions sessions are ranked.
+  getChronicVarianceSkus({ minSessions = 2, limit = 25 } = {}) {
+    const stats = new Map(); // normalized SKU -> running totals
+
+    this.getTrendSessions().forEach(session => {
+      session.skus.forEach(sku => {
+        if (!sku.counted) return;
+
+        const key = normalizeIdentifier(sku.sku);
+        if (!stats.has(key)) {
+          stats.set(key, {
+            sku: sku.sku,
+            description: sku.description,
+            sessions: 0,
+            misses: 0,
+            netVariance: 0,
+            grossVariance: 0,
+            grossValueVariance: 0,
+            lastVariance: 0
+          });
+        }
+
+        const entry = stats.get(key);
+        const variance = sku.countedQuantity - sku.expectedQuantity;
+        entry.sessions++;
+        entry.misses += variance !== 0 ? 1 : 0;
+        entry.netVariance += variance;
+        entry.grossVariance += Math.abs(variance);
+        entry.grossValueVariance += hasValue(sku.unitCost) ? Math.abs(variance * sku.unitCost) : 0;
+        entry.lastVariance = variance;
+        entry.description = sku.description || entry.description;
+      });
+    });
+
+    return [...stats.values()]
+      .filter(entry => entry.sessions >= minSessions && entry.misses > 0)
+      .map(entry => ({
+        ...entry,
+        missRate: Math.round((entry.misses / entry.sessions) * 1000) / 10,
+        averageVariance: Math.round((entry.grossVariance / entry.sessions) * 10) / 10,
+        grossValueVariance: roundMoney(entry.grossValueVariance)
+      }))
+      .sort((a, b) => b.missRate - a.missRate || b.grossVariance - a.grossVariance)
+      .slice(0, limit);
+  }
+
+  // Expected vs counted for one SKU (by SKU or barcode) in every session that listed it
+  getSkuTrend(identifier) {
+    const key = normalizeIdentifier(identifier);
+    if (!key) return null;
+
+    let match = null;
+    const points = [];
+
+    this.getTrendSessions().forEach(session => {
+      const sku = session.skus.find(candidate => (
+        normalizeIdentifier(candidate.sku) === key || normalizeIdentifier(candidate.barcode) === key
+      ));
+      if (!sku) return;
+
+      match = sku;
+      const variance = sku.counted ? sku.countedQuantity - sku.expectedQuantity : null;
+      points.push({
+        sessionId: session.id,
+        sessionName: session.name || session.uploadData?.filename || session.id,
+        date: session.countProgress?.endTime || session.uploadDate,
+        expected: sku.expectedQuantity,
+        counted: sku.counted ? sku.countedQuantity : null,
+        variance,
+        valueVariance: variance !== null && hasValue(sku.unitCost) ? roundMoney(variance * sku.unitCost) : null
+      });
+    });
+
+    return match ? { sku: match.sku, description: match.description, points } : null;
+  }
+
+  // History Management
+  addToHistory(session) {
+    this.sessionHistory.unshift(session); // Add to beginning
+
+    this.persist(() => sessionDatabase.saveHistoryEntries([session]), 'session history')
+      .then(() => this.archiveExpiredHistoryInBackground());
+  }
+
+  getSessionHistory() {
+    return [...this.sessionHistory];
+  }
+
+  getLastCompletedSession() {
+    const history = this.getSessionHistory();
+    return history.find(session => session.status === 'completed') || null;
+  }
+
+  // Session-level details that may change after counting ends (active or history)
+  updateSessionDetails(sessionId, updates) {
+    this.assertPersistentStorage();
+
+    if (this.activeSessions.has(sessionId)) {
+      return this.updateSession(sessionId, updates);
+    }
+
+    const index = this.sessionHistory.findIndex(session => session.id === sessionId);
+    if (index === -1) return null;
+
+    const updatedSession = { ...this.sessionHistory[index], ...updates };
+    this.sessionHistory[index] = updatedSession;
+    this.persist(() => sessionDatabase.saveHistoryEntries([updatedSession]), 'session history');
+    return { ...updatedSession };
+  }
+
+  // Names of the people who counted, shown on reports; works for finished sessions too
+  setSessionCounters(sessionId, counters) {
+    const names = [...new Set(counters.map(name => name.trim()).filter(Boolean))];
+    return this.updateSessionDetails(sessionId, { counters: names });
+  }
 
-    // Calculate progress
-    const countedItems = updatedSkus.filter(item => item.counted).length;
-    const percentage = Math.round((countedItems / updatedSkus.length) * 100);
+  // Pinned sessions stay in history whatever the retention policy says
+  setSessionPinned(sessionId, pinned) {
+    return this.updateSessionDetails(sessionId, { pinned: !!pinned });
+  }
 
-    console.log('Progress update:', {
-      countedItems,
-      total: updatedSkus.length,
-      percentage,
-      previouslyCounted
-    });
+  // Retention policy: { maxAgeDays, maxSessions }, null = no limit
+  getRetentionPolicy() {
+    return { ...DEFAULT_RETENTION_POLICY, ...(this.getUserPreferences().retentionPolicy || {}) };
+  }
 
-    const updatedSession = this.updateCurrentSession({
-      skus: updatedSkus,
-      countProgress: {
-        ...session.countProgress,
-        counted: countedItems,
-        percentage
+  setRetentionPolicy({ maxAgeDays, maxSessions }) {
+    const parseLimit = (value, label) => {
+      if (value === null || value === undefined || value === '') return null;
+      const limit = Number(value);
+      if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`${label} must be a whole number of at least 1, or blank for no limit`);
       }
-    });
-
-    // Update app state with last scanned barcode
-    this.updateAppState({ lastBarcodeScanned: identifier });
+      return limit;
+    };
 
-    return {
-      success: true,
-      session: updatedSession,
-      skuData: updatedSkus[skuIndex],
-      wasAlreadyCounted: previouslyCounted
+    const retentionPolicy = {
+      maxAgeDays: parseLimit(maxAgeDays, 'Maximum age'),
+      maxSessions: parseLimit(maxSessions, 'Maximum sessions')
     };
+    this.updateUserPreferences({ retentionPolicy });
+    return retentionPolicy;
   }
 
-  // Enhanced Search with barcode support
-  searchSkus(searchTerm, includeDescriptions = true) {
-    const session = this.getCurrentSession();
-    if (!session || !session.skus) return [];
-
-    const term = searchTerm.toLowerCase().trim();
-    if (term.length === 0) return [];
+  // Unpinned history sessions past the maximum age or beyond the newest maxSessions
+  getExpiredHistory(policy = this.getRetentionPolicy()) {
+    const cutoff = policy.maxAgeDays ? Date.now() - policy.maxAgeDays * 24 * 60 * 60 * 1000 : null;
+    let kept = 0;
 
-    return session.skus.filter(sku => {
-      // Search in SKU
-      if (sku.sku.toLowerCase().includes(term)) return true;
-      
-      // Search in barcode
-      if (sku.barcode && sku.barcode.toLowerCase().includes(term)) return true;
-      
-      // Search in alternate ID
-      if (sku.alternateId && sku.alternateId.toLowerCase().includes(term)) return true;
-      
-      // Search in description if enabled
-      if (includeDescriptions && sku.description && sku.description.toLowerCase().includes(term)) return true;
-      
-      return false;
-    }).sort((a, b) => {
-      // Prioritize exact matches
-      const aExact = a.sku.toLowerCase() === term || a.barcode.toLowerCase() === term;
-      const bExact = b.sku.toLowerCase() === term || b.barcode.toLowerCase() === term;
-      
-      if (aExact && !bExact) return -1;
-      if (!aExact && bExact) return 1;
-      
-      // Then prioritize uncounted items
-      if (!a.counted && b.counted) return -1;
-      if (a.counted && !b.counted) return 1;
-      
-      return 0;
-    });
-  }
+    // History is newest first, so the count limit keeps the most recent sessions
+    return this.sessionHistory.filter(session => {
+      if (session.pinned) return false;
 
-  getSkuByIdentifier(identifier) {
-    const session = this.getCurrentSession();
-    if (!session || !session.skus) return null;
+      const completedAt = new Date(session.countProgress?.endTime || session.uploadDate).getTime();
+      if (cutoff !== null && completedAt < cutoff) return true;
 
-    const normalizedIdentifier = normalizeIdentifier(identifier);
-    return session.skus.find(sku => {
-      return normalizeIdentifier(sku.sku) === normalizedIdentifier ||
-             normalizeIdentifier(sku.barcode) === normalizedIdentifier ||
-             (sku.alternateId && normalizeIdentifier(sku.alternateId) === normalizedIdentifier);
+      kept++;
+      return policy.maxSessions !== null && kept > policy.maxSessions;
     });
   }
 
-  // Enhanced Statistics and Progress
-  getCountStatistics() {
-    const session = this.getCurrentSession();
-    if (!session) return null;
-
-    const countedSkus = session.skus.filter(sku => sku.counted);
-    const uncountedSkus = session.skus.filter(sku => !sku.counted);
-    
-    // Calculate time spent
-    const startTime = new Date(session.countProgress.startTime);
-    const currentTime = new Date();
-    const timeSpent = currentTime - startTime;
+  // Compress expired sessions into the archive; resolves to the number archived.
+  // Archives live in IndexedDB only, so without it history is left as it is.
+  // Sessions leave history only once their archive is written; a failed write
+  // rejects and leaves them where they were.
+  async archiveExpiredHistory() {
+    if (this.storageBackend !== 'indexeddb') return 0;
 
-    // Calculate average time per SKU
-    const avgTimePerSku = countedSkus.length > 0 ? timeSpent / countedSkus.length : 0;
+    const expired = this.getExpiredHistory();
+    if (expired.length === 0) return 0;
 
-    // Estimate remaining time
-    const estimatedRemainingTime = uncountedSkus.length * avgTimePerSku;
+    const archives = await Promise.all(expired.map(createArchive));
+    await sessionDatabase.archiveHistoryEntries(archives);
 
-    return {
-      total: session.skus.length,
-      counted: countedSkus.length,
-      remaining: uncountedSkus.length,
-      percentage: session.skus.length > 0 ? Math.round((countedSkus.length / session.skus.length) * 100) : 0,
-      timeSpent: timeSpent,
-      avgTimePerSku: avgTimePerSku,
-      estimatedRemainingTime: estimatedRemainingTime,
-      sessionStatus: session.status,
-      lastActivity: session.lastActivity,
-      barcodeSupport: session.barcodeSupport || false,
-      hasBarcode: session.uploadData?.hasBarcode || false
-    };
+    const archivedIds = new Set(archives.map(archive => archive.summary.id));
+    this.sessionHistory = this.sessionHistory.filter(session => !archivedIds.has(session.id));
+    console.log(`Archived ${archives.length} sessions:`, [...archivedIds]);
+    return archives.length;
   }
 
-  getDashboardStats() {
-    const session = this.getCurrentSession();
-    const appState = this.getAppState();
-    const stats = this.getCountStatistics();
-
-    return {
-      currentSession: {
-        active: !!session,
-        filename: session?.uploadData?.filename || null,
-        uploadDate: session?.uploadDate || null,
-        progress: stats || { total: 0, counted: 0, percentage: 0 },
-        barcodeSupport: session?.barcodeSupport || false,
-        hasBarcode: session?.uploadData?.hasBarcode || false
-      },
-      history: {
-        totalSessions: appState.totalSessionsCompleted || 0,
-        lastCompletedSession: this.getLastCompletedSession(),
-        lastBarcodeScanned: appState.lastBarcodeScanned || null
-      }
-    };
+  // Background archiving after history grows; a failure is retried next time
+  archiveExpiredHistoryInBackground() {
+    return this.archiveExpiredHistory().catch(error => {
+      console.error('Error persisting session archive:', error);
+      return 0;
+    });
   }
 
-  // History Management
-  addToHistory(session) {
-    try {
-      const history = this.getSessionHistory();
-      history.unshift(session); // Add to beginning
-      
-      // Keep only last 100 sessions (increased for better history)
-      if (history.length > 100) {
-        history.splice(100);
-      }
-      
-      localStorage.setItem(STORAGE_KEYS.SESSION_HISTORY, JSON.stringify(history));
-    } catch (error) {
-      console.error('Error adding to history:', error);
-    }
+  // Summaries of every archived session, most recently completed first
+  async getArchivedSessions() {
+    if (this.storageBackend !== 'indexeddb') return [];
+    return sessionDatabase.loadArchives();
   }
 
-  getSessionHistory() {
-    try {
-      const history = localStorage.getItem(STORAGE_KEYS.SESSION_HISTORY);
-      return history ? JSON.parse(history) : [];
-    } catch (error) {
-      console.error('Error getting session history:', error);
-      return [];
+  // Decompress an archived session for viewing. It is reachable through getSession
+  // (reports, exports) but is never counted into or written back.
+  async openArchivedSession(sessionId) {
+    if (!this.openedArchives.has(sessionId)) {
+      const data = await sessionDatabase.loadArchiveData(sessionId);
+      if (!data) return null;
+      this.openedArchives.set(sessionId, { ...(await readArchive(data)), archived: true });
     }
+    return { ...this.openedArchives.get(sessionId) };
   }
 
-  getLastCompletedSession() {
-    const history = this.getSessionHistory();
-    return history.find(session => session.status === 'completed') || null;
+  closeArchivedSession(sessionId) {
+    this.openedArchives.delete(sessionId);
   }
 
   // Enhanced Data Export with barcode support
   exportSessionData(sessionId = null) {
     const session = sessionId ? 
-      this.getSessionHistory().find(s => s.id === sessionId) : 
-      this.getCurrentSession();
+      this.getSession(sessionId) : 
+      this.getSessionState();
 
     if (!session) return null;
 
+    // A blind session keeps expected quantities and variance out of every export until it is completed
+    const expectedHidden = !!session.blindCount && session.status !== 'completed';
+    const unlessHidden = (value) => (expectedHidden ? null : value);
+
     const exportData = {
       sessionInfo: {
         id: session.id,
+        name: session.name || session.uploadData?.filename,
         filename: session.uploadData?.filename,
         uploadDate: session.uploadDate,
         status: session.status,
+        blindCount: !!session.blindCount,
+        expectedHidden,
+        varianceTolerance: session.varianceTolerance || null,
         countProgress: session.countProgress,
         barcodeSupport: session.barcodeSupport || false,
-        hasBarcode: session.uploadData?.hasBarcode || false
+        hasBarcode: session.uploadData?.hasBarcode || false,
+        merges: session.merges || [],
+        parentSessionId: session.parentSessionId || null,
+        counters: session.counters || []
       },
       results: session.skus.map(sku => ({
         sku: sku.sku,
         barcode: sku.barcode,
         alternateId: sku.alternateId,
         description: sku.description,
-        expectedQuantity: sku.expectedQuantity,
+        expectedQuantity: unlessHidden(sku.expectedQuantity),
         countedQuantity: sku.countedQuantity,
         counted: sku.counted,
         countedTime: sku.countedTime,
         notes: sku.notes,
-        variance: sku.counted ? (sku.countedQuantity - sku.expectedQuantity) : null
+        variance: sku.counted ? unlessHidden(sku.countedQuantity - sku.expectedQuantity) : null,
+        unitCost: sku.unitCost ?? null,
+        unitPrice: sku.unitPrice ?? null,
+        expectedValue: hasValue(sku.unitCost) ? unlessHidden(roundMoney(sku.expectedQuantity * sku.unitCost)) : null,
+        countedValue: hasValue(sku.unitCost) && sku.counted ? roundMoney(sku.countedQuantity * sku.unitCost) : null,
+        valueVariance: hasValue(sku.unitCost) && sku.counted
+          ? unlessHidden(roundMoney((sku.countedQuantity - sku.expectedQuantity) * sku.unitCost))
+          : null,
+        varianceTolerance: sku.varianceTolerance || session.varianceTolerance || null,
+        recountRequired: !!sku.recountRequired,
+        finalQuantity: sku.counted ? sku.countedQuantity : null,
+        countLines: getCountLines(sku),
+        countAttempts: sku.countAttempts || [],
+        missingFromUpload: !!sku.missingFromUpload
+      })),
+      // Every count change in the session, oldest first (snapshots used for undo are left out)
+      eventLog: session.skus
+        .flatMap(sku => (sku.events || []).map(({ previous, ...event }) => ({
+          sku: sku.sku,
+          ...event
+        })))
+        .sort((a, b) => a.sequence - b.sequence),
+      foundItems: (session.foundItems || []).map(item => ({
+        identifier: item.identifier,
+        description: item.description,
+        quantity: item.quantity,
+        foundTime: item.foundTime,
+        notes: item.notes,
+        photo: item.photo
       }))
     };
 
     return exportData;
   }
 
-  exportToCSV(sessionId = null) {
+  // Per-session CSV; columns are export engine column ids
+  exportToCSV(sessionId = null, columns = SESSION_EXPORT_COLUMNS) {
     const exportData = this.exportSessionData(sessionId);
     if (!exportData) return null;
 
-    const headers = [
-      'SKU',
-      'Barcode', 
-      'Alternate ID',
-      'Description',
-      'Expected Quantity',
-      'Counted Quantity',
-      'Variance',
-      'Status',
-      'Counted Time',
-      'Notes'
-    ];
+    return serializeExport([exportData], {
+      format: 'csv',
+      columns: exportData.sessionInfo.expectedHidden ? withoutExpectedColumns(columns) : columns
+    });
+  }
 
-    const csvRows = [
-      headers.join(','),
-      ...exportData.results.map(row => [
-        `"${row.sku}"`,
-        `"${row.barcode || ''}"`,
-        `"${row.alternateId || ''}"`,
-        `"${row.description}"`,
-        row.expectedQuantity,
-        row.countedQuantity || '',
-        row.variance || '',
-        row.counted ? 'Counted' : 'Not Counted',
-        row.countedTime ? new Date(row.countedTime).toLocaleString() : '',
-        `"${row.notes}"`
-      ].join(','))
-    ];
+  // Several sessions in one file: options { format: 'csv' | 'json' | 'ndjson', columns, includeFoundItems }
+  exportSessions(sessionIds, options = {}) {
+    const sessions = sessionIds
+      .map(sessionId => this.exportSessionData(sessionId))
+      .filter(Boolean);
+    if (sessions.length === 0) return null;
 
-    return csvRows.join('\n');
+    return serializeExport(sessions, options);
   }
 
   // Utility Methods
   clearCurrentSession() {
-    localStorage.removeItem(STORAGE_KEYS.CURRENT_SESSION);
+    this.cancelSession(this.currentSessionId);
   }
 
+  // Resolves once IndexedDB has been cleared, so callers can safely reload
   clearAllData() {
-    Object.values(STORAGE_KEYS).forEach(key => {
+    [...Object.values(STORAGE_KEYS), ...Object.values(LEGACY_STORAGE_KEYS)].forEach(key => {
       localStorage.removeItem(key);
     });
+    this.activeSessions = new Map();
+    this.identifierIndexes = new Map();
+    this.currentSessionId = null;
+    this.sessionHistory = [];
+    this.openedArchives = new Map();
+
+    const cleared = this.persist(() => sessionDatabase.clearDatabase(), 'data reset');
     this.initializeStorage();
+    return cleared;
   }
 
   getAppState() {
@@ -541,6 +2103,115 @@ export class LocalStorageManager {
     return newPrefs;
   }
 
+  // Column mapping profiles: a saved field -> source column mapping per CSV header signature
+  getColumnMappingProfiles() {
+    return this.getUserPreferences().columnMappingProfiles || [];
+  }
+
+  findColumnMappingProfile(headers) {
+    const signature = getHeaderSignature(headers);
+    return this.getColumnMappingProfiles().find(profile => profile.signature === signature) || null;
+  }
+
+  // One profile per name and per signature; saving again replaces the old one
+  saveColumnMappingProfile(name, headers, mapping) {
+    const profileName = (name || '').trim();
+    if (!profileName) {
+      throw new Error('Profile name is required');
+    }
+
+    const signature = getHeaderSignature(headers);
+    const profile = {
+      name: profileName,
+      signature,
+      headers: [...headers],
+      mapping: { ...mapping },
+      updatedAt: new Date().toISOString()
+    };
+
+    const profiles = this.getColumnMappingProfiles()
+      .filter(existing => existing.name !== profileName && existing.signature !== signature);
+
+    this.updateUserPreferences({ columnMappingProfiles: [...profiles, profile] });
+    return profile;
+  }
+
+  deleteColumnMappingProfile(name) {
+    this.updateUserPreferences({
+      columnMappingProfiles: this.getColumnMappingProfiles().filter(profile => profile.name !== name)
+    });
+  }
+
+  // Export templates: a saved format plus ordered column ids for DataExporter
+  getExportTemplates() {
+    return this.getUserPreferences().exportTemplates || [];
+  }
+
+  // Saving under an existing name replaces that template
+  saveExportTemplate(name, { format, columns }) {
+    const templateName = (name || '').trim();
+    if (!templateName) {
+      throw new Error('Template name is required');
+    }
+    if (!columns || columns.length === 0) {
+      throw new Error('Select at least one column');
+    }
+
+    const template = {
+      name: templateName,
+      format,
+      columns: [...columns],
+      updatedAt: new Date().toISOString()
+    };
+
+    const templates = this.getExportTemplates().filter(existing => existing.name !== templateName);
+    this.updateUserPreferences({ exportTemplates: [...templates, template] });
+    return template;
+  }
+
+  deleteExportTemplate(name) {
+    this.updateUserPreferences({
+      exportTemplates: this.getExportTemplates().filter(template => template.name !== name)
+    });
+  }
+
+  // Keyboard-wedge scanner: burst timing, prefix/suffix and auto-submit
+  getWedgeScannerSettings() {
+    return { ...DEFAULT_WEDGE_SETTINGS, ...(this.getUserPreferences().wedgeScanner || {}) };
+  }
+
+  saveWedgeScannerSettings(updates) {
+    const settings = { ...this.getWedgeScannerSettings(), ...updates };
+
+    const maxKeyInterval = Number(settings.maxKeyInterval);
+    if (!Number.isInteger(maxKeyInterval) || maxKeyInterval < 5 || maxKeyInterval > 500) {
+      throw new Error('Maximum key interval must be a whole number of milliseconds between 5 and 500');
+    }
+    const minLength = Number(settings.minLength);
+    if (!Number.isInteger(minLength) || minLength < 1) {
+      throw new Error('Minimum length must be a whole number of at least 1');
+    }
+    if (!settings.suffix) {
+      throw new Error('A suffix is required so scans can be told apart from typing');
+    }
+    const groupSeparator = settings.groupSeparator || '';
+    if (groupSeparator && groupSeparator === settings.suffix) {
+      throw new Error('The group separator key must differ from the suffix');
+    }
+
+    const wedgeScanner = {
+      enabled: !!settings.enabled,
+      prefix: settings.prefix || '',
+      suffix: settings.suffix,
+      maxKeyInterval,
+      minLength,
+      groupSeparator,
+      autoSubmit: !!settings.autoSubmit
+    };
+    this.updateUserPreferences({ wedgeScanner });
+    return wedgeScanner;
+  }
+
   // Data validation and cleanup
   validateSession(session) {
     if (!session || typeof session !== 'object') return false;
@@ -549,32 +2220,206 @@ export class LocalStorageManager {
     return true;
   }
 
-  cleanupOldData() {
-    try {
-      const history = this.getSessionHistory();
-      const thirtyDaysAgo = new Date();
-      thirtyDaysAgo.setDate(thirtyDaysAgo.getDate() - 30);
+  // Backup Restore - reads the JSON file produced by DataExporter's full backup
+  parseBackup(backupData) {
+    if (!backupData || typeof backupData !== 'object' || Array.isArray(backupData)) {
+      return { valid: false, errors: ['Backup file does not contain a JSON object'] };
+    }
 
-      const cleanedHistory = history.filter(session => {
-        const sessionDate = new Date(session.uploadDate);
-        return sessionDate > thirtyDaysAgo;
-      });
+    const errors = [];
+    if (!SUPPORTED_BACKUP_VERSIONS.includes(backupData.version)) {
+      errors.push(`Unsupported backup version: ${backupData.version || 'missing'} (expected ${SUPPORTED_BACKUP_VERSIONS.join(' or ')})`);
+    }
+    if (backupData.sessionHistory !== undefined && !Array.isArray(backupData.sessionHistory)) {
+      errors.push('sessionHistory must be a list of sessions');
+    }
+    if (backupData.activeSessions !== undefined && !Array.isArray(backupData.activeSessions)) {
+      errors.push('activeSessions must be a list of sessions');
+    }
+    if (backupData.currentSession && typeof backupData.currentSession !== 'object') {
+      errors.push('currentSession must be a session object');
+    }
+    if (errors.length > 0) {
+      return { valid: false, errors };
+    }
 
-      localStorage.setItem(STORAGE_KEYS.SESSION_HISTORY, JSON.stringify(cleanedHistory));
-      
+    // Version 2.0 backups only carry the single current session
+    const activeCandidates = backupData.activeSessions || 
+      (backupData.currentSession ? [backupData.currentSession] : []);
+    const historyCandidates = backupData.sessionHistory || [];
+
+    // Empty placeholder sessions from older versions are not worth restoring
+    const activeSessions = activeCandidates.filter(session => 
+      this.validateSession(session) && session.skus.length > 0
+    );
+    const history = historyCandidates.filter(session => this.validateSession(session));
+
+    if (activeSessions.length === 0 && history.length === 0) {
+      return { valid: false, errors: ['Backup does not contain any valid sessions'] };
+    }
+
+    return {
+      valid: true,
+      errors: [],
+      version: backupData.version,
+      exportDate: backupData.exportDate || null,
+      activeSessions,
+      history,
+      skipped: (activeCandidates.length - activeSessions.length) + (historyCandidates.length - history.length),
+      appState: backupData.appState && typeof backupData.appState === 'object' ? backupData.appState : null,
+      userPreferences: backupData.userPreferences && typeof backupData.userPreferences === 'object' ? backupData.userPreferences : null
+    };
+  }
+
+  // Work out what a restore would change; mode is 'merge' or 'replace'
+  planRestore(parsed, mode) {
+    const summarize = (session) => ({
+      id: session.id,
+      name: session.name || session.uploadData?.filename || 'Unknown',
+      total: session.skus.length,
+      counted: session.skus.filter(sku => sku.counted).length
+    });
+
+    if (mode === 'replace') {
       return {
-        success: true,
-        cleaned: history.length - cleanedHistory.length
+        activeSessions: {
+          added: parsed.activeSessions,
+          skipped: [],
+          removed: [...this.activeSessions.values()]
+        },
+        history: {
+          added: parsed.history,
+          skipped: [],
+          removed: [...this.sessionHistory]
+        },
+        summarize
       };
+    }
+
+    // Merge keeps whatever is already on this device when ids collide
+    const knownIds = new Set([
+      ...this.activeSessions.keys(),
+      ...this.sessionHistory.map(session => session.id)
+    ]);
+
+    return {
+      activeSessions: {
+        added: parsed.activeSessions.filter(session => !knownIds.has(session.id)),
+        skipped: parsed.activeSessions.filter(session => knownIds.has(session.id)),
+        removed: []
+      },
+      history: {
+        added: parsed.history.filter(session => !knownIds.has(session.id)),
+        skipped: parsed.history.filter(session => knownIds.has(session.id)),
+        removed: []
+      },
+      summarize
+    };
+  }
+
+  previewRestore(backupData, mode = 'merge') {
+    const parsed = this.parseBackup(backupData);
+    if (!parsed.valid) return parsed;
+
+    const plan = this.planRestore(parsed, mode);
+
+    return {
+      valid: true,
+      errors: [],
+      mode,
+      version: parsed.version,
+      exportDate: parsed.exportDate,
+      skippedInvalid: parsed.skipped,
+      activeSessions: {
+        added: plan.activeSessions.added.map(plan.summarize),
+        skipped: plan.activeSessions.skipped.map(plan.summarize),
+        removed: plan.activeSessions.removed.map(plan.summarize)
+      },
+      history: {
+        added: plan.history.added.length,
+        skipped: plan.history.skipped.length,
+        removed: plan.history.removed.length
+      },
+      replacesSettings: mode === 'replace' && !!(parsed.appState || parsed.userPreferences)
+    };
+  }
+
+  restoreBackup(backupData, mode = 'merge') {
+    const parsed = this.parseBackup(backupData);
+    if (!parsed.valid) {
+      return { success: false, error: parsed.errors.join('; ') };
+    }
+
+    const preview = this.previewRestore(backupData, mode);
+    const plan = this.planRestore(parsed, mode);
+    const addedSessions = plan.activeSessions.added.map(session => ({ ...session, status: 'active' }));
+
+    if (mode === 'replace') {
+      this.activeSessions = new Map();
+      this.identifierIndexes = new Map();
+      this.sessionHistory = [];
+
+      if (parsed.userPreferences) {
+        localStorage.setItem(STORAGE_KEYS.USER_PREFERENCES, JSON.stringify(parsed.userPreferences));
+      }
+      if (parsed.appState) {
+        localStorage.setItem(STORAGE_KEYS.APP_STATE, JSON.stringify(parsed.appState));
+      }
+    }
+
+    addedSessions.forEach(session => this.setSessionState(session));
+
+    this.sessionHistory = sessionDatabase.sortHistory([...this.sessionHistory, ...plan.history.added]);
+
+    if (mode === 'merge') {
+      const appState = this.getAppState();
+      this.updateAppState({
+        totalSessionsCompleted: (appState.totalSessionsCompleted || 0) + plan.history.added.length
+      });
+    }
+
+    const { lastActiveSession } = this.getAppState();
+    if (mode === 'replace' && lastActiveSession && this.activeSessions.has(lastActiveSession)) {
+      this.currentSessionId = lastActiveSession;
+    } else if (!this.getSessionState()) {
+      this.selectMostRecentSession();
+    }
+
+    // Archives are not part of a backup, so a replace keeps them
+    this.persist(async () => {
+      if (mode === 'replace') {
+        const { SESSIONS, SESSION_PROGRESS, SKUS, FOUND_ITEMS, HISTORY } = sessionDatabase.STORES;
+        await sessionDatabase.clearDatabase([SESSIONS, SESSION_PROGRESS, SKUS, FOUND_ITEMS, HISTORY]);
+      }
+      for (const session of addedSessions) {
+        await sessionDatabase.saveSession(session);
+      }
+      await sessionDatabase.saveHistoryEntries(plan.history.added);
+    }, 'restored backup').then(() => this.archiveExpiredHistoryInBackground());
+
+    console.log('Backup restored:', {
+      mode,
+      activeSessions: addedSessions.length,
+      historySessions: plan.history.added.length
+    });
+
+    return { success: true, preview };
+  }
+
+  // Archive whatever the retention policy no longer keeps in history
+  async applyRetentionPolicy() {
+    try {
+      const archived = await this.archiveExpiredHistory();
+      return { success: true, archived };
     } catch (error) {
-      console.error('Error cleaning up old data:', error);
+      console.error('Error applying retention policy:', error);
       return { success: false, error: error.message };
     }
   }
 
   // Enhanced debugging methods
   debugCurrentSession() {
-    const session = this.getCurrentSession();
+    const session = this.getSessionState();
     if (!session) {
       console.log('No current session');
       return;
@@ -582,6 +2427,8 @@ export class LocalStorageManager {
 
     console.log('Current Session Debug:', {
       id: session.id,
+      storageBackend: this.storageBackend,
+      activeSessions: this.activeSessions.size,
       status: session.status,
       totalSkus: session.skus.length,
       countedSkus: session.skus.filter(s => s.counted).length,
@@ -633,7 +2480,7 @@ export const storageHelpers = {
 
     const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
     const session = sessionId ? 
-      localStorageManager.getSessionHistory().find(s => s.id === sessionId) : 
+      localStorageManager.getSession(sessionId) : 
       localStorageManager.getCurrentSession();
     
     const filename = `inventory_count_${session?.uploadData?.filename || 'session'}_${new Date().toISOString().split('T')[0]}.csv`;
@@ -642,15 +2489,38 @@ export const storageHelpers = {
     return true;
   },
 
+  // Export engine download; options { format, columns, includeFoundItems }
+  exportSessions: (sessionIds, options = {}) => {
+    const content = localStorageManager.exportSessions(sessionIds, options);
+    if (!content) return false;
+
+    const { extension, mimeType } = getExportFormat(options.format);
+    const blob = new Blob([content], { type: mimeType });
+    const filename = `inventory_export_${sessionIds.length}_sessions_${new Date().toISOString().split('T')[0]}.${extension}`;
+
+    storageHelpers.downloadBlob(blob, filename);
+    return true;
+  },
+
+  exportReconciliationAsCSV: (sessionId) => {
+    const csvContent = localStorageManager.exportReconciliationCSV(sessionId);
+    if (!csvContent) return false;
+
+    const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+    const filename = `reconciliation_${sessionId}_${new Date().toISOString().split('T')[0]}.csv`;
+
+    storageHelpers.downloadBlob(blob, filename);
+    return true;
+  },
+
   // Validate barcode format
   isValidBarcode: (barcode) => {
     if (!barcode || typeof barcode !== 'string') return false;
-    
-    const cleaned = barcode.replace(/\D/g, ''); // Remove non-digits
-    
-    // Check common barcode lengths
-    const validLengths = [8, 10, 12, 13, 14]; // EAN-8, UPC-A, EAN-13, etc.
-    return validLengths.includes(cleaned.length);
+
+    // GTIN-8/12/13/14 or UPC-E with a correct check digit, or a GS1 element
+    // string carrying one; spaces and dashes from typed entries are ignored
+    const cleaned = parseGS1(barcode) ? barcode : barcode.replace(/[\s-]/g, '');
+    return getGtinKeys(cleaned).length > 0;
   },
 
   // Debug helper
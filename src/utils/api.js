@@ -1,6 +1,8 @@
 // src/utils/api.js - Complete Dual Tracking System API - v5.2.2-LOOP-FIXED
 // FIXED: Removed immediate execution and circular dependencies while preserving all functionality
 
+import { barcodesMatch } from './gtin';
+
 // =====================================================
 // API BASE CONFIGURATION - ENHANCED VERSION
 // =====================================================
@@ -1108,8 +1110,11 @@ export const supabaseReplacementAPI = {
         return componentWithStatus;
       }
       
+      // Same product in another GTIN form (e.g. UPC-A stored, EAN-13 scanned)
       const components = await componentsAPI.getComponents();
-      return components.find(c => c.barcode === barcode) || null;
+      return components.find(c => c.barcode === barcode) ||
+        components.find(c => barcodesMatch(c.barcode, barcode)) ||
+        null;
     } catch (error) {
       console.error('Error in getComponentByBarcode:', error);
       return null;
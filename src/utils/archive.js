@@ -0,0 +1,62 @@
+// archive.js - Compressed session archives for history past the retention policy
+
+/**
+ * Sessions are stored as gzip-compressed JSON via CompressionStream. Browsers
+ * without it keep plain JSON text, so a session is never dropped for lack of
+ * compression. The summary holds what the archive browser lists.
+ */
+
+const canCompress = () => typeof CompressionStream !== 'undefined';
+
+const completedDate = (session) => session.countProgress?.endTime || session.uploadDate;
+
+const compress = async (text) => {
+  const stream = new Blob([text]).stream().pipeThrough(new CompressionStream('gzip'));
+  return new Response(stream).arrayBuffer();
+};
+
+const decompress = async (bytes) => {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('gzip'));
+  return new Response(stream).text();
+};
+
+// { summary, data } for sessionDatabase.archiveHistoryEntries
+export const createArchive = async (session) => {
+  const json = JSON.stringify(session);
+  const originalSize = new Blob([json]).size;
+  const data = canCompress()
+    ? { encoding: 'gzip', content: await compress(json) }
+    : { encoding: 'json', content: json };
+
+  return {
+    summary: {
+      id: session.id,
+      name: session.name || session.uploadData?.filename || session.id,
+      filename: session.uploadData?.filename || '',
+      uploadDate: session.uploadDate,
+      completedDate: completedDate(session),
+      archivedDate: new Date().toISOString(),
+      status: session.status,
+      countProgress: session.countProgress,
+      parentSessionId: session.parentSessionId || null,
+      rootSessionId: session.rootSessionId || null,
+      hasCost: !!session.uploadData?.hasCost,
+      encoding: data.encoding,
+      originalSize,
+      size: data.encoding === 'gzip' ? data.content.byteLength : originalSize
+    },
+    data
+  };
+};
+
+// Full session back from an archive data record
+export const readArchive = async ({ encoding, content }) => {
+  const json = encoding === 'gzip' ? await decompress(content) : content;
+  return JSON.parse(json);
+};
+
+export const formatBytes = (bytes) => {
+  if (bytes < 1024) return `${bytes} B`;
+  if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+  return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+};
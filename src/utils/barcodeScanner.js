@@ -0,0 +1,287 @@
+// barcodeScanner.js - Camera barcode scanning with pluggable decoder backends
+import { isBarcodeMisread } from './gtin';
+
+/**
+ * The scanner owns the camera: one getUserMedia stream shown in a <video>, whose
+ * frames are handed to a decoder backend. The browser's BarcodeDetector is used
+ * when it is available; otherwise Quagga (loaded on demand) decodes captured
+ * frames. Every backend goes through the same confidence filter and
+ * duplicate-frame suppression.
+ */
+
+// Symbologies we scan, by BarcodeDetector format name and Quagga reader
+export const SCAN_FORMATS = [
+  { native: 'code_128', quagga: 'code_128_reader' },
+  { native: 'ean_13', quagga: 'ean_reader' },
+  { native: 'ean_8', quagga: 'ean_8_reader' },
+  { native: 'upc_a', quagga: 'upc_reader' },
+  { native: 'upc_e', quagga: 'upc_e_reader' },
+  { native: 'code_39', quagga: 'code_39_reader' },
+  { native: 'codabar', quagga: 'codabar_reader' },
+  { native: 'itf', quagga: 'i2of5_reader' },
+  // GS1 DataMatrix on supplier cases; Quagga only reads 1D codes
+  { native: 'data_matrix', quagga: null }
+];
+
+// Formats that carry a GTIN check digit; a frame that fails it is a misread
+const CHECK_DIGIT_FORMATS = ['ean_13', 'ean_8', 'upc_a', 'upc_e'];
+
+const CAMERA_CONSTRAINTS = {
+  video: {
+    facingMode: { ideal: 'environment' },
+    width: { ideal: 1280 },
+    height: { ideal: 720 }
+  },
+  audio: false
+};
+
+// Frames Quagga decodes are scaled down to this width; larger frames only slow it down
+const QUAGGA_FRAME_WIDTH = 800;
+
+// 1 - median per-character error of a Quagga result, so 1 is a perfect read
+const getQuaggaConfidence = (codeResult) => {
+  const errors = (codeResult.decodedCodes || [])
+    .filter(decoded => typeof decoded.error === 'number')
+    .map(decoded => decoded.error)
+    .sort((a, b) => a - b);
+  if (errors.length === 0) return 0;
+
+  const middle = Math.floor(errors.length / 2);
+  const median = errors.length % 2 ? errors[middle] : (errors[middle - 1] + errors[middle]) / 2;
+  return Math.max(0, 1 - median);
+};
+
+const createNativeDecoder = async () => {
+  if (typeof window === 'undefined' || !('BarcodeDetector' in window)) return null;
+
+  const supported = await window.BarcodeDetector.getSupportedFormats();
+  const formats = SCAN_FORMATS.map(format => format.native).filter(format => supported.includes(format));
+  if (formats.length === 0) return null;
+
+  const detector = new window.BarcodeDetector({ formats });
+  return {
+    name: 'native',
+    // The platform detector does not report confidence and rarely misreads
+    confirmations: 1,
+    detect: async (video) => {
+      const barcodes = await detector.detect(video);
+      return barcodes.map(barcode => ({ code: barcode.rawValue, format: barcode.format, confidence: 1 }));
+    }
+  };
+};
+
+const createQuaggaDecoder = async () => {
+  const module = await import('quagga');
+  const Quagga = module.default || module;
+  const readers = SCAN_FORMATS.map(format => format.quagga).filter(Boolean);
+  const canvas = document.createElement('canvas');
+
+  return {
+    name: 'quagga',
+    // Quagga misreads single frames now and then, so a code must repeat before it counts
+    confirmations: 2,
+    detect: (video) => new Promise(resolve => {
+      if (!video.videoWidth) {
+        resolve([]);
+        return;
+      }
+
+      const scale = Math.min(1, QUAGGA_FRAME_WIDTH / video.videoWidth);
+      canvas.width = Math.round(video.videoWidth * scale);
+      canvas.height = Math.round(video.videoHeight * scale);
+      canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+      Quagga.decodeSingle({
+        src: canvas.toDataURL('image/jpeg', 0.9),
+        numOfWorkers: 0,
+        inputStream: { size: canvas.width },
+        locator: { patchSize: 'medium', halfSample: true },
+        decoder: { readers },
+        locate: true
+      }, (result) => {
+        const codeResult = result && result.codeResult;
+        resolve(codeResult && codeResult.code
+          ? [{ code: codeResult.code, format: codeResult.format, confidence: getQuaggaConfidence(codeResult) }]
+          : []);
+      });
+    })
+  };
+};
+
+/**
+ * Backend factories, tried in order. A factory resolves to
+ * { name, confirmations, detect(video) => Promise<[{ code, format, confidence }]>, dispose? }
+ * or null when it cannot run in this browser.
+ */
+export const DECODER_BACKENDS = {
+  native: createNativeDecoder,
+  quagga: createQuaggaDecoder
+};
+
+const loadDecoder = async (backends) => {
+  for (const backend of backends) {
+    const factory = typeof backend === 'function' ? backend : DECODER_BACKENDS[backend];
+    if (!factory) continue;
+
+    try {
+      const decoder = await factory();
+      if (decoder) return decoder;
+    } catch (error) {
+      console.warn('Barcode decoder backend unavailable:', backend, error);
+    }
+  }
+  throw new Error('No barcode decoder is available in this browser');
+};
+
+export const isCameraSupported = () => {
+  if (typeof navigator === 'undefined' || !navigator.mediaDevices || !navigator.mediaDevices.getUserMedia) {
+    return false;
+  }
+  // getUserMedia only works on HTTPS (and localhost)
+  return window.isSecureContext !== false || window.location.hostname === 'localhost';
+};
+
+export const describeCameraError = (error) => {
+  switch (error && error.name) {
+    case 'NotAllowedError':
+      return 'Camera permission denied. Please allow camera access and try again.';
+    case 'NotFoundError':
+      return 'No camera found on this device.';
+    case 'NotSupportedError':
+      return 'Camera not supported on this device.';
+    case 'NotReadableError':
+      return 'Camera is in use by another application.';
+    default:
+      return (error && error.message) || 'Camera access denied or not available';
+  }
+};
+
+/**
+ * options:
+ *   onDetected({ code, format, confidence, backend }) - called once per accepted code
+ *   continuous     - keep scanning after a code (default: stop after the first)
+ *   minConfidence  - 0..1, results below it are ignored
+ *   cooldownMs     - a code is reported again only after it has left the view and
+ *                    at least this long after it was last reported
+ *   frameInterval  - ms between decoded frames
+ *   backends       - backend names or factories, in order of preference
+ */
+export const createBarcodeScanner = ({
+  onDetected,
+  continuous = false,
+  minConfidence = 0.75,
+  cooldownMs = 1500,
+  frameInterval = 150,
+  backends = ['native', 'quagga']
+} = {}) => {
+  let stream = null;
+  let video = null;
+  let decoder = null;
+  let timer = null;
+  let run = 0; // bumped on stop, so a start still waiting on the camera gives up
+  let candidate = { code: null, hits: 0 };
+  let lastAccepted = { code: null, at: 0, left: false };
+
+  const stop = () => {
+    run++;
+    clearTimeout(timer);
+    timer = null;
+
+    if (stream) {
+      stream.getTracks().forEach(track => track.stop());
+      stream = null;
+    }
+    if (video) {
+      video.srcObject = null;
+      video = null;
+    }
+    if (decoder && decoder.dispose) {
+      decoder.dispose();
+    }
+    decoder = null;
+  };
+
+  const handleResult = ({ code, format, confidence }) => {
+    if (!code || confidence < minConfidence) return;
+    if (CHECK_DIGIT_FORMATS.includes(format) && isBarcodeMisread(code)) return;
+
+    // The same code on consecutive frames before it counts
+    candidate = candidate.code === code
+      ? { code, hits: candidate.hits + 1 }
+      : { code, hits: 1 };
+    if (candidate.hits < decoder.confirmations) return;
+
+    // A label held in front of the camera is reported once, not on every frame;
+    // the next identical label counts once the first has left the view
+    const now = Date.now();
+    if (lastAccepted.code === code && (!lastAccepted.left || now - lastAccepted.at < cooldownMs)) {
+      return;
+    }
+    lastAccepted = { code, at: now, left: false };
+
+    const backend = decoder.name;
+    if (!continuous) stop();
+    onDetected({ code, format, confidence, backend });
+  };
+
+  const scanFrame = async (frameRun) => {
+    if (frameRun !== run) return;
+
+    try {
+      const results = await decoder.detect(video);
+
+      // A code missing from a frame has left the view: confirmations start over
+      const codes = results.map(result => result.code);
+      if (!codes.includes(candidate.code)) {
+        candidate = { code: null, hits: 0 };
+      }
+      if (!codes.includes(lastAccepted.code)) {
+        lastAccepted.left = true;
+      }
+
+      for (const result of results) {
+        if (frameRun !== run) break;
+        handleResult(result);
+      }
+    } catch (error) {
+      console.warn('Barcode frame decode failed:', error);
+    }
+
+    if (frameRun === run) {
+      timer = setTimeout(() => scanFrame(frameRun), frameInterval);
+    }
+  };
+
+  // Resolves to the backend name once frames are being decoded
+  const start = async (videoElement) => {
+    stop();
+    const thisRun = run;
+
+    try {
+      const mediaStream = await navigator.mediaDevices.getUserMedia(CAMERA_CONSTRAINTS);
+      if (thisRun !== run) {
+        // Closed while the permission prompt was open
+        mediaStream.getTracks().forEach(track => track.stop());
+        return null;
+      }
+
+      stream = mediaStream;
+      video = videoElement;
+      video.srcObject = stream;
+      await video.play().catch(() => {});
+
+      const loadedDecoder = await loadDecoder(backends);
+      if (thisRun !== run) return null;
+
+      decoder = loadedDecoder;
+      console.log('Barcode scanner started with', decoder.name, 'decoder');
+      scanFrame(thisRun);
+      return decoder.name;
+    } catch (error) {
+      if (thisRun === run) stop();
+      throw error;
+    }
+  };
+
+  return { start, stop };
+};
@@ -0,0 +1,249 @@
+// countSheet.js - Printable PDF count sheets for paper counts
+import { PAGE_MARGIN, loadJsPDF, fitText, addPageFooters, formatPdfDateTime } from './pdf';
+
+/**
+ * JsBarcode is loaded on demand, like jsPDF, so it only downloads when a sheet
+ * with barcodes is printed. The key-in grid uses the same grouping and sort as the
+ * sheet, so results can be typed back in the order they were written down.
+ */
+
+export const COUNT_SHEET_GROUPINGS = [
+  { value: 'none', label: 'No grouping' },
+  { value: 'prefix', label: 'SKU prefix' },
+  { value: 'bin', label: 'Last counted bin' },
+  { value: 'status', label: 'Count status' }
+];
+
+export const COUNT_SHEET_SORTS = [
+  { value: 'file', label: 'File order' },
+  { value: 'sku', label: 'SKU' },
+  { value: 'description', label: 'Description' }
+];
+
+const STATUS_GROUPS = {
+  recount: 'Recount required',
+  uncounted: 'Not counted',
+  counted: 'Counted'
+};
+
+// Text before the first separator, e.g. "ABC" for "ABC-1234"
+const getSkuPrefix = (sku) => {
+  const match = /^([^-_./\s]+)[-_./\s]/.exec(sku.sku || '');
+  return match ? match[1].toUpperCase() : 'Other';
+};
+
+const getLastBin = (sku) => {
+  const lines = sku.countLines || [];
+  for (let i = lines.length - 1; i >= 0; i--) {
+    if (lines[i].bin) return lines[i].bin;
+  }
+  return 'No bin';
+};
+
+const getStatusGroup = (sku) => {
+  if (sku.recountRequired) return STATUS_GROUPS.recount;
+  return sku.counted ? STATUS_GROUPS.counted : STATUS_GROUPS.uncounted;
+};
+
+const GROUP_KEYS = {
+  prefix: getSkuPrefix,
+  bin: getLastBin,
+  status: getStatusGroup
+};
+
+const compareSkus = (sortBy) => (a, b) => {
+  switch (sortBy) {
+    case 'sku':
+      return (a.sku || '').localeCompare(b.sku || '', undefined, { numeric: true });
+    case 'description':
+      return (a.description || '').localeCompare(b.description || '') ||
+        (a.sku || '').localeCompare(b.sku || '', undefined, { numeric: true });
+    default:
+      return (a.originalRow || 0) - (b.originalRow || 0);
+  }
+};
+
+// [{ title, skus }] in print order; title is null when not grouped
+export const buildCountSheetSections = (skus, { groupBy = 'none', sortBy = 'file', onlyUncounted = false } = {}) => {
+  const selected = skus
+    .filter(sku => !onlyUncounted || !sku.counted || sku.recountRequired)
+    .sort(compareSkus(sortBy));
+
+  const getGroup = GROUP_KEYS[groupBy];
+  if (!getGroup) {
+    return selected.length > 0 ? [{ title: null, skus: selected }] : [];
+  }
+
+  const groups = new Map();
+  selected.forEach(sku => {
+    const title = getGroup(sku);
+    if (!groups.has(title)) groups.set(title, []);
+    groups.get(title).push(sku);
+  });
+
+  const statusOrder = Object.values(STATUS_GROUPS);
+  return [...groups.entries()]
+    .sort(([a], [b]) => (groupBy === 'status'
+      ? statusOrder.indexOf(a) - statusOrder.indexOf(b)
+      : a.localeCompare(b, undefined, { numeric: true })))
+    .map(([title, groupSkus]) => ({ title, skus: groupSkus }));
+};
+
+const loadJsBarcode = async () => {
+  const module = await import('jsbarcode');
+  return module.default || module;
+};
+
+// Code 128 image as a PNG data URL; null when the value cannot be encoded
+const renderBarcode = (JsBarcode, value) => {
+  try {
+    const canvas = document.createElement('canvas');
+    JsBarcode(canvas, value, { format: 'CODE128', displayValue: false, margin: 0, height: 40, width: 2 });
+    return canvas.toDataURL('image/png');
+  } catch (error) {
+    console.warn('Could not render barcode for', value, error);
+    return null;
+  }
+};
+
+const HEADER_HEIGHT = 64;
+const FOOTER_HEIGHT = 36;
+const COLUMN_HEADER_HEIGHT = 18;
+const GROUP_HEIGHT = 20;
+
+// Build the count sheet PDF for a session; returns a Blob
+export const exportCountSheetPDF = async (session, options = {}) => {
+  const { includeBarcodes = false, blindCount = !!session.blindCount } = options;
+  const sections = buildCountSheetSections(session.skus, options);
+  const [jsPDF, JsBarcode] = await Promise.all([
+    loadJsPDF(),
+    includeBarcodes ? loadJsBarcode() : Promise.resolve(null)
+  ]);
+
+  const doc = new jsPDF({ unit: 'pt', format: 'letter' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const rowHeight = includeBarcodes ? 40 : 22;
+  const contentBottom = pageHeight - PAGE_MARGIN - FOOTER_HEIGHT;
+
+  // Widths in points; description takes what is left
+  const fixedColumns = {
+    index: 28,
+    sku: includeBarcodes ? 130 : 100,
+    expected: blindCount ? 0 : 56,
+    bin: 64,
+    count: 64
+  };
+  const descriptionWidth = pageWidth - PAGE_MARGIN * 2 -
+    Object.values(fixedColumns).reduce((total, width) => total + width, 0);
+  const columns = [
+    { key: 'index', title: '#', width: fixedColumns.index },
+    { key: 'sku', title: 'SKU', width: fixedColumns.sku },
+    { key: 'description', title: 'Description', width: descriptionWidth },
+    ...(blindCount ? [] : [{ key: 'expected', title: 'Expected', width: fixedColumns.expected }]),
+    { key: 'bin', title: 'Bin', width: fixedColumns.bin },
+    { key: 'count', title: 'Count', width: fixedColumns.count }
+  ];
+
+  const title = session.name || session.uploadData?.filename || 'Count Session';
+  const generated = formatPdfDateTime(new Date());
+  const totalSkus = sections.reduce((total, section) => total + section.skus.length, 0);
+
+  const drawPageHeader = () => {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(14);
+    doc.text(fitText(doc, title, pageWidth - PAGE_MARGIN * 2 - 160), PAGE_MARGIN, PAGE_MARGIN + 4);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(9);
+    doc.text(`${totalSkus} items | Printed ${generated}`, PAGE_MARGIN, PAGE_MARGIN + 20);
+    if (blindCount) {
+      doc.text('Blind count - expected quantities hidden', PAGE_MARGIN, PAGE_MARGIN + 32);
+    }
+    doc.text('Counted by: ____________________', pageWidth - PAGE_MARGIN, PAGE_MARGIN + 4, { align: 'right' });
+    doc.text('Date: ____________', pageWidth - PAGE_MARGIN, PAGE_MARGIN + 20, { align: 'right' });
+
+    let x = PAGE_MARGIN;
+    const y = PAGE_MARGIN + HEADER_HEIGHT - COLUMN_HEADER_HEIGHT;
+    doc.setFont('helvetica', 'bold');
+    columns.forEach(column => {
+      doc.text(column.title, x + 2, y + 12);
+      x += column.width;
+    });
+    doc.setLineWidth(0.75);
+    doc.line(PAGE_MARGIN, y + COLUMN_HEADER_HEIGHT, pageWidth - PAGE_MARGIN, y + COLUMN_HEADER_HEIGHT);
+    doc.setFont('helvetica', 'normal');
+    return PAGE_MARGIN + HEADER_HEIGHT;
+  };
+
+  const drawRow = (sku, number, y) => {
+    let x = PAGE_MARGIN;
+    const textY = y + (includeBarcodes ? 12 : 14);
+    doc.setFontSize(9);
+
+    columns.forEach(column => {
+      switch (column.key) {
+        case 'index':
+          doc.text(String(number), x + 2, textY);
+          break;
+        case 'sku': {
+          doc.setFont('courier', 'bold');
+          doc.text(fitText(doc, sku.sku, column.width - 6), x + 2, textY);
+          doc.setFont('helvetica', 'normal');
+          const image = includeBarcodes && sku.barcode ? renderBarcode(JsBarcode, sku.barcode) : null;
+          if (image) {
+            doc.addImage(image, 'PNG', x + 2, y + 16, column.width - 10, 18);
+          }
+          break;
+        }
+        case 'description':
+          doc.text(fitText(doc, sku.description, column.width - 6), x + 2, textY);
+          break;
+        case 'expected':
+          doc.text(String(sku.expectedQuantity ?? ''), x + column.width - 8, textY, { align: 'right' });
+          break;
+        default:
+          // Blank boxes for the counter to fill in
+          doc.setLineWidth(0.5);
+          doc.rect(x + 4, y + 3, column.width - 8, Math.min(rowHeight - 6, 18));
+      }
+      x += column.width;
+    });
+
+    doc.setDrawColor(200);
+    doc.line(PAGE_MARGIN, y + rowHeight, pageWidth - PAGE_MARGIN, y + rowHeight);
+    doc.setDrawColor(0);
+  };
+
+  let y = drawPageHeader();
+  let number = 0;
+
+  sections.forEach(section => {
+    // Keep a group heading with at least its first row
+    if (section.title && y + GROUP_HEIGHT + rowHeight > contentBottom) {
+      doc.addPage();
+      y = drawPageHeader();
+    }
+    if (section.title) {
+      doc.setFillColor(235, 235, 235);
+      doc.rect(PAGE_MARGIN, y + 2, pageWidth - PAGE_MARGIN * 2, GROUP_HEIGHT - 4, 'F');
+      doc.setFont('helvetica', 'bold');
+      doc.setFontSize(10);
+      doc.text(`${section.title} (${section.skus.length})`, PAGE_MARGIN + 4, y + 14);
+      doc.setFont('helvetica', 'normal');
+      y += GROUP_HEIGHT;
+    }
+
+    section.skus.forEach(sku => {
+      if (y + rowHeight > contentBottom) {
+        doc.addPage();
+        y = drawPageHeader();
+      }
+      number++;
+      drawRow(sku, number, y);
+      y += rowHeight;
+    });
+  });
+
+  addPageFooters(doc, `Session ${session.id}`);
+  return doc.output('blob');
+};
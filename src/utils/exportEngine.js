@@ -0,0 +1,258 @@
+// exportEngine.js - Column-based CSV / JSON / NDJSON export of count sessions
+import { describeGS1 } from './gs1';
+
+/**
+ * Works on LocalStorageManager.exportSessionData output, one entry per session.
+ * Columns are picked and ordered by id; CSV follows RFC 4180 (quoted fields,
+ * doubled quotes, CRLF records). JSON keeps typed values keyed by column id.
+ */
+
+export const formatTolerance = (tolerance) => {
+  if (!tolerance) return '';
+  return tolerance.type === 'percent' ? `${tolerance.value}%` : `±${tolerance.value}`;
+};
+
+// "A1: 5; B2: 3 (lot L7, exp 2026-12-31); 4" - lines without a bin show just the quantity
+export const formatCountLines = (lines) => (
+  (lines || []).map(line => {
+    const text = line.bin ? `${line.bin}: ${line.quantity}` : `${line.quantity}`;
+    const gs1 = describeGS1(line.gs1);
+    return gs1 ? `${text} (${gs1})` : text;
+  }).join('; ')
+);
+
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV (Excel compatible)', extension: 'csv', mimeType: 'text/csv;charset=utf-8;' },
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json;charset=utf-8;' },
+  { value: 'ndjson', label: 'NDJSON (one item per line)', extension: 'ndjson', mimeType: 'application/x-ndjson;charset=utf-8;' }
+];
+
+const getCountStatus = (row) => {
+  if (row.recountRequired) return 'Recount Required';
+  return row.counted ? 'Counted' : 'Not Counted';
+};
+
+/**
+ * scope 'session' columns describe the session a row belongs to; 'item' columns the SKU.
+ * value() is the typed value used by JSON; text() (when present) is the CSV rendering.
+ */
+export const EXPORT_COLUMNS = [
+  { id: 'sessionId', label: 'Session ID', scope: 'session', value: (row, info) => info.id },
+  { id: 'sessionName', label: 'Session Name', scope: 'session', value: (row, info) => info.name || '' },
+  { id: 'filename', label: 'Filename', scope: 'session', value: (row, info) => info.filename || '' },
+  {
+    id: 'uploadDate',
+    label: 'Upload Date',
+    scope: 'session',
+    value: (row, info) => info.uploadDate,
+    text: (row, info) => new Date(info.uploadDate).toLocaleDateString()
+  },
+  { id: 'sessionStatus', label: 'Session Status', scope: 'session', value: (row, info) => info.status },
+  { id: 'totalItems', label: 'Total Items', scope: 'session', value: (row, info) => info.countProgress?.total || 0 },
+  { id: 'countedItems', label: 'Counted Items', scope: 'session', value: (row, info) => info.countProgress?.counted || 0 },
+  { id: 'progress', label: 'Progress %', scope: 'session', value: (row, info) => info.countProgress?.percentage || 0 },
+  { id: 'sku', label: 'SKU', scope: 'item', value: row => row.sku },
+  { id: 'barcode', label: 'Barcode', scope: 'item', value: row => row.barcode || '' },
+  { id: 'alternateId', label: 'Alternate ID', scope: 'item', value: row => row.alternateId || '' },
+  { id: 'description', label: 'Description', scope: 'item', value: row => row.description || '' },
+  { id: 'expectedQuantity', label: 'Expected Quantity', scope: 'item', value: row => row.expectedQuantity },
+  { id: 'countedQuantity', label: 'Counted Quantity', scope: 'item', value: row => (row.counted ? row.countedQuantity : null) },
+  { id: 'variance', label: 'Variance', scope: 'item', value: row => row.variance },
+  { id: 'countStatus', label: 'Status', scope: 'item', value: getCountStatus },
+  {
+    id: 'countedTime',
+    label: 'Counted Time',
+    scope: 'item',
+    value: row => row.countedTime || null,
+    text: row => (row.countedTime ? new Date(row.countedTime).toLocaleString() : '')
+  },
+  { id: 'notes', label: 'Notes', scope: 'item', value: row => row.notes || '' },
+  {
+    id: 'tolerance',
+    label: 'Tolerance',
+    scope: 'item',
+    value: row => row.varianceTolerance || null,
+    text: row => formatTolerance(row.varianceTolerance)
+  },
+  {
+    id: 'countAttempts',
+    label: 'Count Attempts',
+    scope: 'item',
+    value: row => row.countAttempts.map(attempt => attempt.quantity),
+    text: row => row.countAttempts.map(attempt => attempt.quantity).join('; ')
+  },
+  {
+    id: 'countLines',
+    label: 'Count Lines',
+    scope: 'item',
+    value: row => row.countLines.map(({ bin, quantity, countedTime, notes, gs1 }) => ({ bin, quantity, countedTime, notes, gs1: gs1 || null })),
+    text: row => formatCountLines(row.countLines)
+  },
+  { id: 'unitCost', label: 'Unit Cost', scope: 'item', value: row => row.unitCost },
+  { id: 'unitPrice', label: 'Unit Price', scope: 'item', value: row => row.unitPrice },
+  { id: 'expectedValue', label: 'Expected Value', scope: 'item', value: row => row.expectedValue },
+  { id: 'countedValue', label: 'Counted Value', scope: 'item', value: row => row.countedValue },
+  { id: 'valueVariance', label: 'Value Variance', scope: 'item', value: row => row.valueVariance },
+  {
+    id: 'missingFromUpload',
+    label: 'Missing From Latest File',
+    scope: 'item',
+    value: row => !!row.missingFromUpload,
+    text: row => (row.missingFromUpload ? 'Yes' : '')
+  }
+];
+
+// Columns of the per-session CSV (CountSession / Dashboard "Export")
+export const SESSION_EXPORT_COLUMNS = [
+  'sku', 'barcode', 'alternateId', 'description', 'expectedQuantity', 'countedQuantity',
+  'variance', 'countStatus', 'countedTime', 'notes', 'tolerance', 'countAttempts',
+  'countLines', 'unitCost', 'expectedValue', 'countedValue', 'valueVariance'
+];
+
+// Columns derived from the expected quantity; blind sessions leave them out until completed
+const EXPECTED_COLUMN_IDS = ['expectedQuantity', 'variance', 'expectedValue', 'valueVariance'];
+
+export const withoutExpectedColumns = (columnIds) => columnIds.filter(id => !EXPECTED_COLUMN_IDS.includes(id));
+
+// Multi-session exports lead with the session each row came from
+export const MULTI_SESSION_EXPORT_COLUMNS = [
+  'sessionId', 'filename', 'uploadDate', 'sessionStatus', 'totalItems', 'countedItems', 'progress',
+  ...SESSION_EXPORT_COLUMNS
+];
+
+export const getExportFormat = (format) => (
+  EXPORT_FORMATS.find(option => option.value === format) || EXPORT_FORMATS[0]
+);
+
+// Column definitions in the requested order; unknown ids (e.g. from an old template) are skipped
+export const resolveExportColumns = (columnIds) => (
+  (columnIds || [])
+    .map(id => EXPORT_COLUMNS.find(column => column.id === id))
+    .filter(Boolean)
+);
+
+// RFC 4180 field: quoted when it holds a comma, quote, line break or edge whitespace
+export const escapeCSVValue = (value) => {
+  if (value === null || value === undefined) return '';
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCSVLine = (values) => values.map(escapeCSVValue).join(',');
+
+const columnText = (column, row, info) => (column.text ? column.text(row, info) : column.value(row, info));
+
+const pickValues = (columns, row, info) => Object.fromEntries(
+  columns.map(column => [column.id, column.value(row, info) ?? null])
+);
+
+const foundItemRecord = (item) => ({
+  identifier: item.identifier,
+  description: item.description || '',
+  quantity: item.quantity,
+  foundTime: item.foundTime,
+  notes: item.notes || '',
+  hasPhoto: !!item.photo
+});
+
+const serializeCSV = (sessions, columns, includeFoundItems) => {
+  const lines = [toCSVLine(columns.map(column => column.label))];
+
+  sessions.forEach(({ sessionInfo, results }) => {
+    results.forEach(row => {
+      lines.push(toCSVLine(columns.map(column => columnText(column, row, sessionInfo))));
+    });
+  });
+
+  // Found items go in their own block below the uploaded SKUs
+  const withSession = columns.some(column => column.scope === 'session');
+  const foundRows = sessions.flatMap(({ sessionInfo, foundItems }) => foundItems.map(item => [
+    ...(withSession ? [sessionInfo.id, sessionInfo.filename || ''] : []),
+    item.identifier,
+    item.description || '',
+    item.quantity,
+    new Date(item.foundTime).toLocaleString(),
+    item.notes || '',
+    item.photo ? 'Yes' : 'No'
+  ]));
+
+  if (includeFoundItems && foundRows.length > 0) {
+    lines.push(
+      '',
+      toCSVLine(['Found Items (not in uploaded list)']),
+      toCSVLine([
+        ...(withSession ? ['Session ID', 'Filename'] : []),
+        'Identifier', 'Description', 'Quantity', 'Found Time', 'Notes', 'Photo'
+      ]),
+      ...foundRows.map(toCSVLine)
+    );
+  }
+
+  return lines.join('\r\n') + '\r\n';
+};
+
+// Session details once per session; items carry only the item columns, eventLog every count change
+const serializeJSON = (sessions, columns, includeFoundItems) => {
+  const itemColumns = columns.filter(column => column.scope === 'item');
+
+  return JSON.stringify({
+    exportDate: new Date().toISOString(),
+    columns: itemColumns.map(column => column.id),
+    sessions: sessions.map(({ sessionInfo, results, foundItems, eventLog }) => ({
+      id: sessionInfo.id,
+      name: sessionInfo.name || '',
+      filename: sessionInfo.filename || '',
+      uploadDate: sessionInfo.uploadDate,
+      status: sessionInfo.status,
+      blindCount: sessionInfo.blindCount,
+      countProgress: sessionInfo.countProgress,
+      items: results.map(row => pickValues(itemColumns, row, sessionInfo)),
+      eventLog: eventLog || [],
+      ...(includeFoundItems && { foundItems: foundItems.map(foundItemRecord) })
+    }))
+  }, null, 2);
+};
+
+// One self-contained record per line; every record carries its session id
+const serializeNDJSON = (sessions, columns, includeFoundItems) => {
+  const records = sessions.flatMap(({ sessionInfo, results, foundItems, eventLog }) => [
+    ...results.map(row => ({
+      recordType: 'item',
+      sessionId: sessionInfo.id,
+      ...pickValues(columns, row, sessionInfo)
+    })),
+    ...(eventLog || []).map(event => ({
+      recordType: 'event',
+      sessionId: sessionInfo.id,
+      ...event
+    })),
+    ...(includeFoundItems ? foundItems.map(item => ({
+      recordType: 'foundItem',
+      sessionId: sessionInfo.id,
+      ...foundItemRecord(item)
+    })) : [])
+  ]);
+
+  return records.map(record => JSON.stringify(record)).join('\n') + '\n';
+};
+
+const SERIALIZERS = {
+  csv: serializeCSV,
+  json: serializeJSON,
+  ndjson: serializeNDJSON
+};
+
+// sessions: exportSessionData results; returns the file content as a string
+export const serializeExport = (sessions, { format = 'csv', columns = MULTI_SESSION_EXPORT_COLUMNS, includeFoundItems = true } = {}) => {
+  const serialize = SERIALIZERS[format];
+  if (!serialize) {
+    throw new Error(`Unsupported export format: ${format}`);
+  }
+
+  const resolvedColumns = resolveExportColumns(columns);
+  if (resolvedColumns.length === 0) {
+    throw new Error('Select at least one column to export');
+  }
+
+  return serialize(sessions, resolvedColumns, includeFoundItems);
+};
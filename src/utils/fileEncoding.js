@@ -0,0 +1,83 @@
+// fileEncoding.js - Character encoding detection for uploaded text files
+
+/**
+ * Legacy WMS exports arrive as UTF-16 or Windows-1252, often with a byte order mark.
+ * Detection looks at the first bytes only; the result is passed to Papa Parse as
+ * its `encoding` option (FileReader labels).
+ */
+
+const SAMPLE_BYTES = 64 * 1024;
+
+export const ENCODING_OPTIONS = [
+  { value: 'utf-8', label: 'UTF-8' },
+  { value: 'utf-16le', label: 'UTF-16 LE' },
+  { value: 'utf-16be', label: 'UTF-16 BE' },
+  { value: 'windows-1252', label: 'Windows-1252 (Western)' }
+];
+
+export const getEncodingLabel = (encoding) => (
+  ENCODING_OPTIONS.find(option => option.value === encoding)?.label || encoding
+);
+
+const detectBom = (bytes) => {
+  if (bytes[0] === 0xEF && bytes[1] === 0xBB && bytes[2] === 0xBF) return 'utf-8';
+  if (bytes[0] === 0xFF && bytes[1] === 0xFE) return 'utf-16le';
+  if (bytes[0] === 0xFE && bytes[1] === 0xFF) return 'utf-16be';
+  return null;
+};
+
+// ASCII text in UTF-16 has a zero byte in every other position
+const detectUtf16WithoutBom = (bytes) => {
+  const length = Math.min(bytes.length, 4096) & ~1;
+  if (length < 4) return null;
+
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < length; i += 2) {
+    if (bytes[i] === 0) evenZeros++;
+    if (bytes[i + 1] === 0) oddZeros++;
+  }
+
+  const pairs = length / 2;
+  if (oddZeros / pairs > 0.3 && evenZeros / pairs < 0.05) return 'utf-16le';
+  if (evenZeros / pairs > 0.3 && oddZeros / pairs < 0.05) return 'utf-16be';
+  return null;
+};
+
+const isValidUtf8 = (bytes, isPartial) => {
+  try {
+    // stream: true so a character cut off at the end of a partial sample is not an error
+    new TextDecoder('utf-8', { fatal: true }).decode(bytes, { stream: isPartial });
+    return true;
+  } catch (error) {
+    return false;
+  }
+};
+
+// Returns { encoding, hasBom, reason }
+export const detectFileEncoding = async (file) => {
+  const buffer = await file.slice(0, SAMPLE_BYTES).arrayBuffer();
+  const bytes = new Uint8Array(buffer);
+
+  const bomEncoding = detectBom(bytes);
+  if (bomEncoding) {
+    return { encoding: bomEncoding, hasBom: true, reason: 'byte order mark' };
+  }
+
+  const utf16Encoding = detectUtf16WithoutBom(bytes);
+  if (utf16Encoding) {
+    return { encoding: utf16Encoding, hasBom: false, reason: 'byte pattern' };
+  }
+
+  if (isValidUtf8(bytes, file.size > SAMPLE_BYTES)) {
+    return { encoding: 'utf-8', hasBom: false, reason: 'valid UTF-8' };
+  }
+
+  // Not UTF-8 - the usual single-byte export from Windows tools
+  return { encoding: 'windows-1252', hasBom: false, reason: 'not valid UTF-8' };
+};
+
+// FileReader drops the BOM, but Papa Parse can still see one on the first header
+export const stripBom = (text) => (
+  typeof text === 'string' ? text.replace(/^\uFEFF/, '') : text
+);
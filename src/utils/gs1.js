@@ -0,0 +1,210 @@
+// gs1.js - GS1-128 / GS1 DataMatrix element strings: application identifiers (AIs)
+
+/**
+ * A GS1 barcode is a run of AI + value pairs, e.g. (01)09501101530003(10)AB12(17)261231.
+ * Scanners send it in one of three shapes: with the AIs in brackets (as printed
+ * under the bars), raw after a symbology identifier such as "]C1" or "]d2", or
+ * raw with FNC1 sent as the GS control character. In raw data a variable-length
+ * value ends at a GS (or the end of the data); fixed-length values need none.
+ */
+
+const GROUP_SEPARATOR = '\u001d';
+
+// Symbology identifiers that announce GS1 data: GS1-128, DataMatrix, QR, DataBar, Code 16K
+const GS1_SYMBOLOGY_IDS = [']C1', ']d2', ']Q3', ']e0', ']J1'];
+
+// The AIs we read; `field` is where the value goes on the parsed result
+export const GS1_AIS = {
+  '01': { field: 'gtin', label: 'GTIN', length: 14, numeric: true },
+  '02': { field: 'content', label: 'GTIN of contained items', length: 14, numeric: true },
+  '10': { field: 'lot', label: 'Batch/lot', maxLength: 20 },
+  '11': { field: 'productionDate', label: 'Production date', length: 6, numeric: true, date: true },
+  '17': { field: 'expiryDate', label: 'Expiry date', length: 6, numeric: true, date: true },
+  '21': { field: 'serial', label: 'Serial number', maxLength: 20 },
+  '30': { field: 'variableCount', label: 'Variable count', maxLength: 8, numeric: true },
+  '37': { field: 'count', label: 'Count of trade items', maxLength: 8, numeric: true }
+};
+
+// Fixed value lengths by the AI's first two digits, from the GS1 General Specifications.
+// Lets raw data be walked past AIs we do not read without needing a GS after them.
+const PREDEFINED_LENGTHS = {
+  '00': 18, '01': 14, '02': 14, '03': 14, '04': 16,
+  '11': 6, '12': 6, '13': 6, '14': 6, '15': 6, '16': 6, '17': 6, '18': 6, '19': 6,
+  '20': 2,
+  '31': 6, '32': 6, '33': 6, '34': 6, '35': 6, '36': 6,
+  '41': 13
+};
+
+// Digits in an AI by its first two, from the GS1 General Specifications (00-04 and
+// 14/18/19 are reserved but keep their predefined lengths). null for prefixes with
+// no AIs assigned: unknown AIs in brackets are kept as-is, in raw data they end the parse.
+const aiCodeLength = (prefix) => {
+  if (/^(0[0-4]|1\d|2[0-2]|3[07]|9\d)$/.test(prefix)) return 2;
+  if (/^(2[3-5]|4[0-2]|71)$/.test(prefix)) return 3;
+  if (/^(3[1-69]|43|7[02]|8[0-2])$/.test(prefix)) return 4;
+  return null;
+};
+
+// YYMMDD to YYYY-MM-DD. The century is the one that puts the year within 49 years
+// back / 50 years ahead of today; day 00 means the last day of the month.
+export const parseGS1Date = (text) => {
+  if (!/^\d{6}$/.test(text)) return null;
+
+  const yy = parseInt(text.slice(0, 2), 10);
+  const month = parseInt(text.slice(2, 4), 10);
+  let day = parseInt(text.slice(4, 6), 10);
+  if (month < 1 || month > 12) return null;
+
+  const currentYear = new Date().getFullYear();
+  let year = Math.floor(currentYear / 100) * 100 + yy;
+  if (year - currentYear > 50) year -= 100;
+  if (currentYear - year > 49) year += 100;
+
+  const lastDay = new Date(Date.UTC(year, month, 0)).getUTCDate();
+  if (day === 0) day = lastDay;
+  if (day > lastDay) return null;
+
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+// Element string "(01)…(10)…" as printed under the bars
+const splitBracketed = (text) => {
+  const elements = [];
+  const pattern = /\((\d{2,4})\)([^(]*)/g;
+  let consumed = 0;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    if (match.index !== consumed) return null;
+    elements.push({ ai: match[1], value: match[2].replace(new RegExp(GROUP_SEPARATOR, 'g'), '') });
+    consumed = pattern.lastIndex;
+  }
+  return consumed === text.length && elements.length > 0 ? elements : null;
+};
+
+// Raw element string; FNC1 separators already turned into GS characters
+const splitRaw = (text) => {
+  const elements = [];
+  let position = 0;
+
+  while (position < text.length) {
+    if (text[position] === GROUP_SEPARATOR) {
+      position++;
+      continue;
+    }
+
+    const prefix = text.slice(position, position + 2);
+    const definition = GS1_AIS[prefix];
+    const codeLength = definition ? prefix.length : aiCodeLength(prefix);
+    if (!codeLength) return null;
+    const ai = text.slice(position, position + codeLength);
+    if (ai.length !== codeLength || !/^\d+$/.test(ai)) return null;
+    position += ai.length;
+
+    const fixedLength = definition ? definition.length : PREDEFINED_LENGTHS[prefix];
+    let value;
+    if (fixedLength) {
+      value = text.slice(position, position + fixedLength);
+      if (value.length !== fixedLength) return null;
+      position += fixedLength;
+    } else {
+      // Every AI outside the predefined lengths ends at a GS, known to us or not
+      const end = text.indexOf(GROUP_SEPARATOR, position);
+      value = text.slice(position, end === -1 ? undefined : end);
+      position += value.length;
+    }
+    elements.push({ ai, value });
+  }
+
+  return elements.length > 0 ? elements : null;
+};
+
+// GS1 mod-10 check digit, as in gtin.js (which imports this module)
+const hasValidCheckDigit = (digits) => {
+  const sum = digits.slice(0, -1).split('').reverse()
+    .reduce((total, digit, index) => total + parseInt(digit, 10) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === parseInt(digits.slice(-1), 10);
+};
+
+const isValidElement = ({ ai, value }) => {
+  const definition = GS1_AIS[ai];
+  if (!definition) return value.length > 0;
+  if (definition.numeric && !/^\d+$/.test(value)) return false;
+  if (definition.length && value.length !== definition.length) return false;
+  if (definition.maxLength && (value.length === 0 || value.length > definition.maxLength)) return false;
+  if (definition.date && !parseGS1Date(value)) return false;
+  return true;
+};
+
+/**
+ * Parse scanned text as a GS1 element string. Returns null for anything that is
+ * not unmistakably GS1, so plain SKUs and barcodes are never reinterpreted:
+ * bare digits only count when they start with AI 01/02 and either hold another
+ * AI too or are just that AI with a GTIN whose check digit is right.
+ *
+ * Result: { gtin, content, lot, serial, productionDate, expiryDate (YYYY-MM-DD),
+ * variableCount, count (numbers), elements: [{ ai, value }] } with absent AIs left out.
+ */
+export const parseGS1 = (input) => {
+  if (input === null || input === undefined) return null;
+  let text = input.toString().trim();
+  if (!text) return null;
+
+  let marked = false;
+  const symbologyId = GS1_SYMBOLOGY_IDS.find(id => text.startsWith(id));
+  if (symbologyId) {
+    text = text.slice(symbologyId.length);
+    marked = true;
+  }
+  if (text.startsWith(GROUP_SEPARATOR)) {
+    text = text.slice(1); // leading FNC1
+    marked = true;
+  }
+
+  let elements = null;
+  if (text.startsWith('(')) {
+    elements = splitBracketed(text);
+  } else if (marked || text.includes(GROUP_SEPARATOR) || /^0[12]\d{14}./.test(text)) {
+    elements = splitRaw(text);
+  } else if (/^0[12]\d{14}$/.test(text) && hasValidCheckDigit(text.slice(2))) {
+    elements = splitRaw(text); // a GS1-128 label carrying only the GTIN
+  }
+  if (!elements || !elements.every(isValidElement)) return null;
+  if (!elements.some(element => element.ai === '01' || element.ai === '02')) return null;
+
+  const result = { elements };
+  elements.forEach(({ ai, value }) => {
+    const definition = GS1_AIS[ai];
+    if (!definition) return;
+    if (definition.date) {
+      result[definition.field] = parseGS1Date(value);
+    } else if (definition.field === 'count' || definition.field === 'variableCount') {
+      result[definition.field] = parseInt(value, 10);
+    } else {
+      result[definition.field] = value;
+    }
+  });
+  return result;
+};
+
+// What a count line keeps from a scan: lot, dates, serial and counts
+export const getGS1LineData = (parsed) => {
+  if (!parsed) return null;
+  const data = {};
+  ['gtin', 'lot', 'expiryDate', 'productionDate', 'serial', 'variableCount', 'count'].forEach(field => {
+    if (parsed[field] !== undefined) data[field] = parsed[field];
+  });
+  return data;
+};
+
+// "lot AB12, exp 2026-12-31, serial 42" for status messages and exports
+export const describeGS1 = (data) => {
+  if (!data) return '';
+  return [
+    data.lot && `lot ${data.lot}`,
+    data.expiryDate && `exp ${data.expiryDate}`,
+    data.productionDate && `made ${data.productionDate}`,
+    data.serial && `serial ${data.serial}`,
+    data.count !== undefined && `count ${data.count}`,
+    data.variableCount !== undefined && `qty ${data.variableCount}`
+  ].filter(Boolean).join(', ');
+};
@@ -0,0 +1,86 @@
+import { describeGS1, getGS1LineData, parseGS1, parseGS1Date } from './gs1';
+
+const GS = '\u001d';
+
+describe('parseGS1', () => {
+  it('reads bracketed element strings', () => {
+    const parsed = parseGS1('(01)09501101530003(10)AB12(17)261231');
+    expect(parsed.gtin).toBe('09501101530003');
+    expect(parsed.lot).toBe('AB12');
+    expect(parsed.expiryDate).toBe('2026-12-31');
+  });
+
+  it('reads raw data after a symbology identifier', () => {
+    const parsed = parseGS1(`]C1010950110153000310LOT7${GS}21S1`);
+    expect(parsed.gtin).toBe('09501101530003');
+    expect(parsed.lot).toBe('LOT7');
+    expect(parsed.serial).toBe('S1');
+  });
+
+  it('reads raw data with FNC1 sent as GS', () => {
+    const parsed = parseGS1(`${GS}01095011015300031726123110LOT7${GS}3712`);
+    expect(parsed.expiryDate).toBe('2026-12-31');
+    expect(parsed.lot).toBe('LOT7');
+    expect(parsed.count).toBe(12);
+  });
+
+  it('reads bare digits holding AI 01 and another AI', () => {
+    const parsed = parseGS1('010950110153000310LOT7');
+    expect(parsed.gtin).toBe('09501101530003');
+    expect(parsed.lot).toBe('LOT7');
+  });
+
+  it('reads a bare AI 01 only when its check digit is right', () => {
+    expect(parseGS1('0109501101530003').gtin).toBe('09501101530003');
+    expect(parseGS1('0109501101530004')).toBeNull();
+  });
+
+  it('walks past 4-digit AIs, including 39xx', () => {
+    const weight = parseGS1(']C10109501101530003310300015010LOT7');
+    expect(weight.elements.map(element => element.ai)).toEqual(['01', '3103', '10']);
+
+    const price = parseGS1(`]C10109501101530003392210${GS}10LOT7`);
+    expect(price.elements).toEqual([
+      { ai: '01', value: '09501101530003' },
+      { ai: '3922', value: '10' },
+      { ai: '10', value: 'LOT7' }
+    ]);
+    expect(price.lot).toBe('LOT7');
+  });
+
+  it('rejects raw data with an unassigned AI prefix', () => {
+    expect(parseGS1(']C1010950110153000377123')).toBeNull();
+    expect(parseGS1(`]C10109501101530003${GS}6512`)).toBeNull();
+  });
+
+  it('leaves plain SKUs and barcodes alone', () => {
+    expect(parseGS1('ABC-123')).toBeNull();
+    expect(parseGS1('012345678905')).toBeNull();
+    expect(parseGS1('')).toBeNull();
+    expect(parseGS1(null)).toBeNull();
+  });
+
+  it('rejects invalid values', () => {
+    expect(parseGS1('(01)0950110153000(10)AB12')).toBeNull();
+    expect(parseGS1('(01)09501101530003(17)261341')).toBeNull();
+  });
+});
+
+describe('parseGS1Date', () => {
+  it('treats day 00 as the last day of the month', () => {
+    expect(parseGS1Date('260200')).toBe('2026-02-28');
+  });
+
+  it('rejects impossible dates', () => {
+    expect(parseGS1Date('261301')).toBeNull();
+    expect(parseGS1Date('260231')).toBeNull();
+  });
+});
+
+describe('getGS1LineData and describeGS1', () => {
+  it('keeps lot, expiry and serial for a count line', () => {
+    const data = getGS1LineData(parseGS1('(01)09501101530003(17)261231(10)AB12(21)42'));
+    expect(data).toEqual({ gtin: '09501101530003', lot: 'AB12', expiryDate: '2026-12-31', serial: '42' });
+    expect(describeGS1(data)).toBe('lot AB12, exp 2026-12-31, serial 42');
+  });
+});
@@ -0,0 +1,108 @@
+// gtin.js - Barcode normalization: GTIN check digits, UPC-E expansion, GTIN-8/12/13/14 equivalence
+import { parseGS1 } from './gs1';
+
+/**
+ * One product can be scanned in several forms: UPC-A 012345678905, the same
+ * code as EAN-13 0012345678905 or GTIN-14 00012345678905, a UPC-E on a small
+ * pack, or inside a GS1 element string. All of them reduce to one 14-digit GTIN,
+ * which is what matching compares once the scanned text itself is not a known
+ * identifier. A numeric code of a GTIN length whose check digit is wrong is a
+ * misread (or a typo) and is rejected instead of being looked up.
+ */
+
+export const GTIN_LENGTHS = [8, 12, 13, 14];
+
+// GS1 mod-10 check digit for the digits before it (weights 3,1,3,... from the right)
+export const calculateCheckDigit = (digits) => {
+  const sum = digits.split('').reverse()
+    .reduce((total, digit, index) => total + parseInt(digit, 10) * (index % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10;
+};
+
+export const isValidGtin = (code) => {
+  const text = code === null || code === undefined ? '' : code.toString().trim();
+  if (!/^\d+$/.test(text) || !GTIN_LENGTHS.includes(text.length)) return false;
+  return calculateCheckDigit(text.slice(0, -1)) === parseInt(text.slice(-1), 10);
+};
+
+// 8-digit UPC-E (number system 0/1, six digits, check digit) to its 12-digit UPC-A,
+// or null when it is not a valid UPC-E
+export const expandUpcE = (code) => {
+  const text = code === null || code === undefined ? '' : code.toString().trim();
+  if (!/^[01]\d{7}$/.test(text)) return null;
+
+  const numberSystem = text[0];
+  const [d1, d2, d3, d4, d5, d6] = text.slice(1, 7);
+  let body;
+  if (d6 === '0' || d6 === '1' || d6 === '2') {
+    body = `${d1}${d2}${d6}0000${d3}${d4}${d5}`;
+  } else if (d6 === '3') {
+    body = `${d1}${d2}${d3}00000${d4}${d5}`;
+  } else if (d6 === '4') {
+    body = `${d1}${d2}${d3}${d4}00000${d5}`;
+  } else {
+    body = `${d1}${d2}${d3}${d4}${d5}0000${d6}`;
+  }
+
+  const upcA = `${numberSystem}${body}${text[7]}`;
+  return isValidGtin(upcA) ? upcA : null;
+};
+
+export const toGtin14 = (code) => (isValidGtin(code) ? code.toString().trim().padStart(14, '0') : null);
+
+/**
+ * Every GTIN-14 the scanned text can stand for: the code itself when its check
+ * digit is right, the UPC-A an 8-digit UPC-E expands to, and the GTINs (AI 01/02)
+ * of a GS1 element string. An 8-digit code can be a valid EAN-8 and UPC-E at once,
+ * so both are returned. Empty for anything that is not a valid GTIN.
+ */
+export const getGtinKeys = (code) => {
+  if (code === null || code === undefined) return [];
+
+  const gs1 = parseGS1(code);
+  const candidates = gs1
+    ? [gs1.gtin, gs1.content]
+    : [code.toString().trim(), expandUpcE(code)];
+
+  return candidates
+    .map(toGtin14)
+    .filter((key, index, keys) => key && keys.indexOf(key) === index);
+};
+
+// A code shaped like a GTIN (or a GS1 string) whose check digit fails in every reading
+export const isBarcodeMisread = (code) => {
+  if (code === null || code === undefined) return false;
+
+  const gs1 = parseGS1(code);
+  if (gs1) return getGtinKeys(code).length === 0;
+
+  const text = code.toString().trim();
+  return /^\d+$/.test(text) && GTIN_LENGTHS.includes(text.length) && getGtinKeys(text).length === 0;
+};
+
+// Same text, or the same product in another GTIN form
+export const barcodesMatch = (a, b) => {
+  if (!a || !b) return false;
+  if (a.toString().trim().toLowerCase() === b.toString().trim().toLowerCase()) return true;
+
+  const keys = getGtinKeys(a);
+  return keys.length > 0 && getGtinKeys(b).some(key => keys.includes(key));
+};
+
+export const describeMisread = (code) => (
+  `"${code}" failed the barcode check digit - probably a misread. Please scan it again.`
+);
+
+/**
+ * A component from an API list for a scanned code: its barcode or id as typed,
+ * else the same GTIN in another form. misread is true when nothing matched as
+ * typed and the check digit fails - the scan should be rejected, not looked up.
+ */
+export const matchComponent = (components, code) => {
+  const exact = (components || []).find(comp => comp.barcode === code || comp.id === code);
+  if (exact) return { component: exact, misread: false };
+  if (isBarcodeMisread(code)) return { component: null, misread: true };
+
+  const component = (components || []).find(comp => barcodesMatch(comp.barcode, code));
+  return { component: component || null, misread: false };
+};
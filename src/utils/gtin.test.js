@@ -0,0 +1,94 @@
+import {
+  barcodesMatch,
+  calculateCheckDigit,
+  expandUpcE,
+  getGtinKeys,
+  isBarcodeMisread,
+  isValidGtin,
+  matchComponent,
+  toGtin14
+} from './gtin';
+
+describe('check digits', () => {
+  it('calculates the GS1 mod-10 check digit', () => {
+    expect(calculateCheckDigit('01234567890')).toBe(5);
+    expect(calculateCheckDigit('950110153000')).toBe(3);
+    expect(calculateCheckDigit('9638507')).toBe(4);
+  });
+
+  it('accepts GTIN-8/12/13/14 with a correct check digit only', () => {
+    expect(isValidGtin('96385074')).toBe(true);
+    expect(isValidGtin('012345678905')).toBe(true);
+    expect(isValidGtin('9501101530003')).toBe(true);
+    expect(isValidGtin('09501101530003')).toBe(true);
+    expect(isValidGtin('012345678904')).toBe(false);
+    expect(isValidGtin('12345')).toBe(false);
+    expect(isValidGtin('01234567890A')).toBe(false);
+    expect(isValidGtin(null)).toBe(false);
+  });
+});
+
+describe('expandUpcE', () => {
+  it('expands each UPC-E pattern to its UPC-A', () => {
+    expect(expandUpcE('04252614')).toBe('042100005264');
+    expect(expandUpcE('01234531')).toBe('012300000451');
+    expect(expandUpcE('01234558')).toBe('012345000058');
+  });
+
+  it('rejects codes that are not UPC-E', () => {
+    expect(expandUpcE('04252615')).toBeNull();
+    expect(expandUpcE('24252614')).toBeNull();
+    expect(expandUpcE('4252614')).toBeNull();
+  });
+});
+
+describe('GTIN-14 keys', () => {
+  it('pads a valid GTIN to 14 digits', () => {
+    expect(toGtin14('012345678905')).toBe('00012345678905');
+    expect(toGtin14('012345678904')).toBeNull();
+  });
+
+  it('gives one key for every form of the same product', () => {
+    const key = ['00012345678905'];
+    expect(getGtinKeys('012345678905')).toEqual(key);
+    expect(getGtinKeys('0012345678905')).toEqual(key);
+    expect(getGtinKeys('00012345678905')).toEqual(key);
+    expect(getGtinKeys('(01)00012345678905(10)AB12')).toEqual(key);
+  });
+
+  it('includes the UPC-A a UPC-E expands to', () => {
+    expect(getGtinKeys('04252614')).toContain('00042100005264');
+  });
+
+  it('has no keys for text that is not a GTIN', () => {
+    expect(getGtinKeys('ABC-123')).toEqual([]);
+    expect(getGtinKeys('012345678904')).toEqual([]);
+    expect(getGtinKeys(null)).toEqual([]);
+  });
+
+  it('matches barcodes across forms', () => {
+    expect(barcodesMatch('012345678905', '00012345678905')).toBe(true);
+    expect(barcodesMatch('042100005264', '04252614')).toBe(true);
+    expect(barcodesMatch('012345678905', '9501101530003')).toBe(false);
+  });
+});
+
+describe('misreads', () => {
+  it('flags GTIN-shaped codes whose check digit fails', () => {
+    expect(isBarcodeMisread('012345678904')).toBe(true);
+    expect(isBarcodeMisread('(01)09501101530004')).toBe(true);
+  });
+
+  it('does not flag valid GTINs or plain SKUs', () => {
+    expect(isBarcodeMisread('012345678905')).toBe(false);
+    expect(isBarcodeMisread('04252614')).toBe(false);
+    expect(isBarcodeMisread('SKU-1001')).toBe(false);
+    expect(isBarcodeMisread('12345')).toBe(false);
+  });
+
+  it('rejects a misread instead of matching a component', () => {
+    const components = [{ id: 'c1', barcode: '012345678905' }];
+    expect(matchComponent(components, '00012345678905').component).toBe(components[0]);
+    expect(matchComponent(components, '012345678904')).toEqual({ component: null, misread: true });
+  });
+});
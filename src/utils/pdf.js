@@ -0,0 +1,46 @@
+// pdf.js - Shared jsPDF helpers for count sheets and session reports
+
+export const PAGE_MARGIN = 36;
+
+// jsPDF is loaded on demand (like ExcelJS) so it only downloads when a PDF is made
+export const loadJsPDF = async () => {
+  const module = await import('jspdf');
+  return module.jsPDF || module.default;
+};
+
+// "YYYY-MM-DD HH:mm" in local time. jsPDF's built-in fonts only encode WinAnsi text,
+// and locale formats can carry characters outside it (e.g. U+202F before AM/PM).
+export const formatPdfDateTime = (value) => {
+  const date = new Date(value);
+  const pad = (number) => String(number).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())} ${pad(date.getHours())}:${pad(date.getMinutes())}`;
+};
+
+// Single line that fits the width, ending in "..." when cut (Helvetica has no ellipsis character)
+export const fitText = (doc, text, width) => {
+  const value = (text ?? '').toString();
+  if (doc.getTextWidth(value) <= width) return value;
+
+  let cut = value;
+  while (cut.length > 0 && doc.getTextWidth(`${cut}...`) > width) {
+    cut = cut.slice(0, -1);
+  }
+  return `${cut}...`;
+};
+
+// "Page n of m" plus a left-hand note on every page, once the page count is known
+export const addPageFooters = (doc, leftText) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const pageCount = doc.getNumberOfPages();
+
+  for (let page = 1; page <= pageCount; page++) {
+    doc.setPage(page);
+    doc.setFont('helvetica', 'normal');
+    doc.setFontSize(8);
+    doc.text(`Page ${page} of ${pageCount}`, pageWidth - PAGE_MARGIN, pageHeight - PAGE_MARGIN, { align: 'right' });
+    if (leftText) {
+      doc.text(leftText, PAGE_MARGIN, pageHeight - PAGE_MARGIN);
+    }
+  }
+};
@@ -0,0 +1,155 @@
+// scanWedge.js - Keyboard-wedge scanners: tell scan bursts apart from human typing
+
+/**
+ * Handheld scanners in keyboard mode type a barcode far faster than a person can
+ * and end it with a suffix (usually Enter). One keydown listener on window, in
+ * the capture phase so it runs before any field, buffers keystrokes. A burst whose
+ * keys all arrive within maxKeyInterval ms and that ends with the suffix is a scan:
+ * its characters are taken back out of whichever field had focus and the suffix
+ * never reaches that field, so a scan cannot land in (or submit) the wrong box.
+ * Only the most recently subscribed screen receives scans.
+ *
+ * GS1 codes with variable-length fields (lot, serial) carry the group separator
+ * (ASCII 29). Scanners type it as Ctrl+], or as whatever key the scanner has
+ * been set to substitute (settings.groupSeparator); inside a burst either one
+ * becomes \x1D in the code.
+ */
+
+export const DEFAULT_WEDGE_SETTINGS = {
+  enabled: true,
+  prefix: '',
+  suffix: 'Enter', // 'Enter', 'Tab' or literal characters
+  maxKeyInterval: 40,
+  minLength: 4,
+  groupSeparator: '', // key the scanner types for GS, e.g. 'F8' or '~'; Ctrl+] always works
+  autoSubmit: false // count a quantity of 1 for each scan
+};
+
+export const GROUP_SEPARATOR = '\x1D';
+
+const SUFFIX_KEYS = ['Enter', 'Tab'];
+const MODIFIER_KEYS = ['Shift', 'Control', 'Alt', 'Meta', 'CapsLock', 'AltGraph'];
+
+const subscribers = []; // [{ onScan, settings }], last one is active
+let burst = null; // { text, lastTime, field, fieldValue }
+let listening = false;
+
+const activeSubscriber = () => subscribers[subscribers.length - 1];
+
+const isTextField = (element) => (
+  !!element && (element.tagName === 'INPUT' || element.tagName === 'TEXTAREA')
+);
+
+// Put a field back as it was before the burst, in a way React's onChange sees
+const restoreField = (field, value) => {
+  if (!isTextField(field) || field.value === value) return;
+
+  const prototype = field.tagName === 'TEXTAREA' ? window.HTMLTextAreaElement.prototype : window.HTMLInputElement.prototype;
+  const setValue = Object.getOwnPropertyDescriptor(prototype, 'value').set;
+  setValue.call(field, value);
+  field.dispatchEvent(new Event('input', { bubbles: true }));
+};
+
+// The scanned code, or null when the burst is not a scan under these settings
+const readScan = (text, settings) => {
+  if (settings.prefix && !text.startsWith(settings.prefix)) return null;
+
+  const code = text.slice(settings.prefix.length).trim();
+  return code.length >= settings.minLength ? code : null;
+};
+
+const isGroupSeparatorKey = (event, settings) => (
+  (event.ctrlKey && !event.altKey && !event.metaKey && (event.key === ']' || event.code === 'BracketRight')) ||
+  (!!settings.groupSeparator && event.key === settings.groupSeparator)
+);
+
+const finishBurst = (event, text) => {
+  const subscriber = activeSubscriber();
+  const code = readScan(text, subscriber.settings);
+  const { field, fieldValue } = burst;
+  burst = null;
+  if (!code) return;
+
+  event.preventDefault();
+  event.stopPropagation();
+  restoreField(field, fieldValue);
+  subscriber.onScan(code);
+};
+
+const handleKeyDown = (event) => {
+  const subscriber = activeSubscriber();
+  if (!subscriber || MODIFIER_KEYS.includes(event.key)) return;
+
+  const { suffix, maxKeyInterval } = subscriber.settings;
+  const now = event.timeStamp || Date.now();
+
+  // Too slow since the last key: a person typing, so start over from this key
+  if (burst && now - burst.lastTime > maxKeyInterval) {
+    burst = null;
+  }
+
+  // Group separator mid-scan; outside a burst the key does whatever it normally does
+  if (burst && isGroupSeparatorKey(event, subscriber.settings)) {
+    event.preventDefault();
+    burst.text += GROUP_SEPARATOR;
+    burst.lastTime = now;
+    return;
+  }
+
+  if (event.ctrlKey || event.altKey || event.metaKey) {
+    burst = null;
+    return;
+  }
+
+  if (SUFFIX_KEYS.includes(event.key)) {
+    if (burst && event.key === suffix) {
+      finishBurst(event, burst.text);
+    } else {
+      burst = null;
+    }
+    return;
+  }
+
+  if (event.key.length !== 1) {
+    burst = null; // arrows, Backspace, ... are never part of a scan
+    return;
+  }
+
+  if (!burst) {
+    const field = document.activeElement;
+    burst = { text: '', lastTime: now, field, fieldValue: isTextField(field) ? field.value : null };
+  }
+  burst.text += event.key;
+  burst.lastTime = now;
+
+  // Literal suffix characters: the burst ends as soon as they arrive
+  if (!SUFFIX_KEYS.includes(suffix) && suffix && burst.text.endsWith(suffix)) {
+    finishBurst(event, burst.text.slice(0, -suffix.length));
+  }
+};
+
+/**
+ * Route scans to onScan(code) until the returned function is called.
+ * A newer subscription takes over until it unsubscribes.
+ */
+export const subscribeToWedgeScans = (onScan, settings = {}) => {
+  const subscriber = { onScan, settings: { ...DEFAULT_WEDGE_SETTINGS, ...settings } };
+  subscribers.push(subscriber);
+  burst = null;
+
+  if (!listening) {
+    window.addEventListener('keydown', handleKeyDown, true);
+    listening = true;
+  }
+
+  return () => {
+    const index = subscribers.indexOf(subscriber);
+    if (index !== -1) subscribers.splice(index, 1);
+    burst = null;
+
+    if (subscribers.length === 0 && listening) {
+      window.removeEventListener('keydown', handleKeyDown, true);
+      listening = false;
+    }
+  };
+};
@@ -0,0 +1,344 @@
+// sessionDatabase.js - IndexedDB persistence for count sessions and history
+
+/**
+ * Each SKU is stored as its own record so a count only rewrites one row
+ * instead of the whole session blob. A count also touches the session's small
+ * progress record (counters, undo stack); the session record itself, and the
+ * found items with their photos, are only written when they change. Archived
+ * sessions keep their summary and their compressed data in separate stores so
+ * browsing never loads the data.
+ */
+
+const DB_NAME = 'inventory_insights';
+const DB_VERSION = 3;
+
+export const STORES = {
+  SESSIONS: 'sessions',
+  SESSION_PROGRESS: 'sessionProgress',
+  SKUS: 'skus',
+  FOUND_ITEMS: 'foundItems',
+  HISTORY: 'history',
+  ARCHIVES: 'archives',
+  ARCHIVE_DATA: 'archiveData'
+};
+
+// Session fields a count changes; everything else is in the session record
+const PROGRESS_FIELDS = ['countProgress', 'eventSequence', 'undoStack', 'lastActivity'];
+
+let databasePromise = null;
+
+// Promise wrappers for the IndexedDB request/transaction events
+const requestToPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+const transactionDone = (transaction) => new Promise((resolve, reject) => {
+  transaction.oncomplete = () => resolve();
+  transaction.onerror = () => reject(transaction.error);
+  transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+});
+
+// Key range covering every SKU (or found item) record of one session ([sessionId, *])
+const sessionSkuRange = (sessionId) => IDBKeyRange.bound([sessionId], [sessionId, []]);
+
+export const isIndexedDBAvailable = () => {
+  try {
+    return typeof window !== 'undefined' && !!window.indexedDB;
+  } catch (error) {
+    return false;
+  }
+};
+
+export const openDatabase = () => {
+  if (!databasePromise) {
+    databasePromise = new Promise((resolve, reject) => {
+      const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+      request.onupgradeneeded = (event) => {
+        const db = request.result;
+
+        if (!db.objectStoreNames.contains(STORES.SESSIONS)) {
+          db.createObjectStore(STORES.SESSIONS, { keyPath: 'id' });
+        }
+
+        if (!db.objectStoreNames.contains(STORES.SKUS)) {
+          const skuStore = db.createObjectStore(STORES.SKUS, { keyPath: ['sessionId', 'id'] });
+          skuStore.createIndex('sessionId', 'sessionId', { unique: false });
+          skuStore.createIndex('sku', 'sku', { unique: false });
+          skuStore.createIndex('barcode', 'barcode', { unique: false });
+          skuStore.createIndex('alternateId', 'alternateId', { unique: false });
+        }
+
+        if (!db.objectStoreNames.contains(STORES.HISTORY)) {
+          db.createObjectStore(STORES.HISTORY, { keyPath: 'id' });
+        }
+
+        // Version 2: compressed archives of sessions past the retention policy
+        if (!db.objectStoreNames.contains(STORES.ARCHIVES)) {
+          db.createObjectStore(STORES.ARCHIVES, { keyPath: 'id' });
+        }
+
+        if (!db.objectStoreNames.contains(STORES.ARCHIVE_DATA)) {
+          db.createObjectStore(STORES.ARCHIVE_DATA, { keyPath: 'id' });
+        }
+
+        // Version 3: per-count progress and found items out of the session record
+        if (!db.objectStoreNames.contains(STORES.SESSION_PROGRESS)) {
+          db.createObjectStore(STORES.SESSION_PROGRESS, { keyPath: 'id' });
+        }
+
+        if (!db.objectStoreNames.contains(STORES.FOUND_ITEMS)) {
+          const foundStore = db.createObjectStore(STORES.FOUND_ITEMS, { keyPath: ['sessionId', 'id'] });
+          foundStore.createIndex('sessionId', 'sessionId', { unique: false });
+
+          if (event.oldVersion >= 1) {
+            moveFoundItemsOutOfSessions(request.transaction);
+          }
+        }
+      };
+
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => reject(request.error);
+      request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+    });
+
+    // Allow a later retry if opening failed
+    databasePromise.catch(() => {
+      databasePromise = null;
+    });
+  }
+
+  return databasePromise;
+};
+
+// Session records hold everything except the SKU list and found items
+export const toSessionMeta = (session) => {
+  const { skus, foundItems, ...meta } = session;
+  if (meta.uploadData && meta.uploadData.skusToCount) {
+    const { skusToCount, ...uploadData } = meta.uploadData;
+    meta.uploadData = uploadData;
+  }
+  return meta;
+};
+
+const toProgressRecord = (session) => {
+  const record = { id: session.id };
+  PROGRESS_FIELDS.forEach(field => {
+    if (session[field] !== undefined) record[field] = session[field];
+  });
+  return record;
+};
+
+// SKU and found item rows carry their session and their place in its list
+const toRowRecord = (sessionId, row, position) => ({
+  ...row,
+  sessionId,
+  position
+});
+
+const fromRowRecord = (record) => {
+  const { sessionId, position, ...row } = record;
+  return row;
+};
+
+// Sessions written before version 3 carry their found items inline
+const moveFoundItemsOutOfSessions = (transaction) => {
+  const foundStore = transaction.objectStore(STORES.FOUND_ITEMS);
+  const cursorRequest = transaction.objectStore(STORES.SESSIONS).openCursor();
+  cursorRequest.onsuccess = () => {
+    const cursor = cursorRequest.result;
+    if (!cursor) return;
+
+    const { foundItems, ...meta } = cursor.value;
+    if (Array.isArray(foundItems)) {
+      foundItems.forEach((item, position) => foundStore.put(toRowRecord(meta.id, item, position)));
+      cursor.update(meta);
+    }
+    cursor.continue();
+  };
+};
+
+const groupBySession = (records) => {
+  const groups = new Map();
+  records.forEach(record => {
+    if (!groups.has(record.sessionId)) {
+      groups.set(record.sessionId, []);
+    }
+    groups.get(record.sessionId).push(record);
+  });
+  groups.forEach(group => group.sort((a, b) => a.position - b.position));
+  return groups;
+};
+
+const historySortKey = (session) => (
+  new Date(session.countProgress?.endTime || session.uploadDate || 0).getTime()
+);
+
+// Newest completed session first
+export const sortHistory = (history) => (
+  history.sort((a, b) => historySortKey(b) - historySortKey(a))
+);
+
+// Load every stored session (with SKUs) plus the history list, newest first
+export const loadAll = async () => {
+  const db = await openDatabase();
+  const storeNames = [STORES.SESSIONS, STORES.SESSION_PROGRESS, STORES.SKUS, STORES.FOUND_ITEMS, STORES.HISTORY];
+  const transaction = db.transaction(storeNames, 'readonly');
+
+  const [sessionMetas, progressRecords, skuRecords, foundItemRecords, history] = await Promise.all(
+    storeNames.map(name => requestToPromise(transaction.objectStore(name).getAll()))
+  );
+
+  const progressBySession = new Map(progressRecords.map(record => [record.id, record]));
+  const skusBySession = groupBySession(skuRecords);
+  const foundItemsBySession = groupBySession(foundItemRecords);
+
+  // The progress record is written with every count, so it is never older than the session record
+  const sessions = sessionMetas.map(meta => ({
+    ...meta,
+    ...(progressBySession.get(meta.id) || {}),
+    skus: (skusBySession.get(meta.id) || []).map(fromRowRecord),
+    foundItems: (foundItemsBySession.get(meta.id) || []).map(fromRowRecord)
+  }));
+
+  return {
+    sessions,
+    history: sortHistory(history)
+  };
+};
+
+// Full write: session and progress records plus all of its SKU and found item rows
+export const saveSession = async (session) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    [STORES.SESSIONS, STORES.SESSION_PROGRESS, STORES.SKUS, STORES.FOUND_ITEMS], 'readwrite'
+  );
+  const skuStore = transaction.objectStore(STORES.SKUS);
+  const foundStore = transaction.objectStore(STORES.FOUND_ITEMS);
+
+  transaction.objectStore(STORES.SESSIONS).put(toSessionMeta(session));
+  transaction.objectStore(STORES.SESSION_PROGRESS).put(toProgressRecord(session));
+  skuStore.delete(sessionSkuRange(session.id));
+  (session.skus || []).forEach((sku, position) => {
+    skuStore.put(toRowRecord(session.id, sku, position));
+  });
+  foundStore.delete(sessionSkuRange(session.id));
+  (session.foundItems || []).forEach((item, position) => {
+    foundStore.put(toRowRecord(session.id, item, position));
+  });
+
+  return transactionDone(transaction);
+};
+
+// Session details without SKUs or found items
+export const saveSessionMeta = async (session) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORES.SESSIONS, STORES.SESSION_PROGRESS], 'readwrite');
+  transaction.objectStore(STORES.SESSIONS).put(toSessionMeta(session));
+  transaction.objectStore(STORES.SESSION_PROGRESS).put(toProgressRecord(session));
+  return transactionDone(transaction);
+};
+
+// Constant-time count write: one SKU row and the session's progress record
+export const saveSku = async (session, sku, position) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORES.SESSION_PROGRESS, STORES.SKUS], 'readwrite');
+  transaction.objectStore(STORES.SESSION_PROGRESS).put(toProgressRecord(session));
+  transaction.objectStore(STORES.SKUS).put(toRowRecord(session.id, sku, position));
+  return transactionDone(transaction);
+};
+
+// Append a batch of SKU rows (streamed imports) starting at a list position
+export const saveSkus = async (session, skus, startPosition) => {
+  const db = await openDatabase();
+  const transaction = db.transaction([STORES.SESSIONS, STORES.SESSION_PROGRESS, STORES.SKUS], 'readwrite');
+  const skuStore = transaction.objectStore(STORES.SKUS);
+  transaction.objectStore(STORES.SESSIONS).put(toSessionMeta(session));
+  transaction.objectStore(STORES.SESSION_PROGRESS).put(toProgressRecord(session));
+  skus.forEach((sku, offset) => {
+    skuStore.put(toRowRecord(session.id, sku, startPosition + offset));
+  });
+  return transactionDone(transaction);
+};
+
+// One found item row, at its place in the session's list
+export const saveFoundItem = async (sessionId, item, position) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.FOUND_ITEMS, 'readwrite');
+  transaction.objectStore(STORES.FOUND_ITEMS).put(toRowRecord(sessionId, item, position));
+  return transactionDone(transaction);
+};
+
+export const deleteFoundItem = async (sessionId, itemId) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.FOUND_ITEMS, 'readwrite');
+  transaction.objectStore(STORES.FOUND_ITEMS).delete([sessionId, itemId]);
+  return transactionDone(transaction);
+};
+
+export const deleteSession = async (sessionId) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(
+    [STORES.SESSIONS, STORES.SESSION_PROGRESS, STORES.SKUS, STORES.FOUND_ITEMS], 'readwrite'
+  );
+  transaction.objectStore(STORES.SESSIONS).delete(sessionId);
+  transaction.objectStore(STORES.SESSION_PROGRESS).delete(sessionId);
+  transaction.objectStore(STORES.SKUS).delete(sessionSkuRange(sessionId));
+  transaction.objectStore(STORES.FOUND_ITEMS).delete(sessionSkuRange(sessionId));
+  return transactionDone(transaction);
+};
+
+export const saveHistoryEntries = async (sessions) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.HISTORY, 'readwrite');
+  const historyStore = transaction.objectStore(STORES.HISTORY);
+  sessions.forEach(session => historyStore.put(session));
+  return transactionDone(transaction);
+};
+
+export const deleteHistoryEntries = async (sessionIds) => {
+  if (sessionIds.length === 0) return;
+
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.HISTORY, 'readwrite');
+  const historyStore = transaction.objectStore(STORES.HISTORY);
+  sessionIds.forEach(id => historyStore.delete(id));
+  return transactionDone(transaction);
+};
+
+// Move sessions out of history in one transaction: archives = [{ summary, data }]
+export const archiveHistoryEntries = async (archives) => {
+  if (archives.length === 0) return;
+
+  const db = await openDatabase();
+  const transaction = db.transaction([STORES.HISTORY, STORES.ARCHIVES, STORES.ARCHIVE_DATA], 'readwrite');
+  archives.forEach(({ summary, data }) => {
+    transaction.objectStore(STORES.ARCHIVES).put(summary);
+    transaction.objectStore(STORES.ARCHIVE_DATA).put({ id: summary.id, ...data });
+    transaction.objectStore(STORES.HISTORY).delete(summary.id);
+  });
+  return transactionDone(transaction);
+};
+
+// Archive summaries only, most recently completed first
+export const loadArchives = async () => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.ARCHIVES, 'readonly');
+  const summaries = await requestToPromise(transaction.objectStore(STORES.ARCHIVES).getAll());
+  return summaries.sort((a, b) => new Date(b.completedDate || 0) - new Date(a.completedDate || 0));
+};
+
+export const loadArchiveData = async (sessionId) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(STORES.ARCHIVE_DATA, 'readonly');
+  return requestToPromise(transaction.objectStore(STORES.ARCHIVE_DATA).get(sessionId));
+};
+
+// storeNames defaults to everything; a backup restore keeps the archives
+export const clearDatabase = async (storeNames = Object.values(STORES)) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(storeNames, 'readwrite');
+  storeNames.forEach(name => transaction.objectStore(name).clear());
+  return transactionDone(transaction);
+};
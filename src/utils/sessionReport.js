@@ -0,0 +1,328 @@
+// sessionReport.js - Printable PDF reconciliation report for a count session
+import { PAGE_MARGIN, loadJsPDF, fitText, addPageFooters, formatPdfDateTime } from './pdf';
+import { formatCurrency, formatTolerance, storageHelpers } from './LocalStorageManager';
+
+/**
+ * Built entirely from LocalStorageManager.exportSessionData, so a report can be
+ * produced offline from the stored session. Takes the same input as the XLSX export.
+ */
+
+const TOP_VARIANCE_COUNT = 10;
+const FOOTER_HEIGHT = 24;
+
+const sumBy = (items, selector) => items.reduce((total, item) => total + (selector(item) || 0), 0);
+
+const formatDateTime = (value) => (value ? formatPdfDateTime(value) : '-');
+
+const formatSigned = (value) => (value > 0 ? `+${value}` : String(value));
+
+const formatSignedCurrency = (value) => (
+  value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${formatCurrency(value)}`
+);
+
+// Headline numbers for the report; accuracy is the share of counted SKUs with no variance
+export const buildSessionReportSummary = ({ sessionInfo, results, foundItems }) => {
+  const counted = results.filter(row => row.counted);
+  const exactMatches = counted.filter(row => row.variance === 0).length;
+  const hasCost = results.some(row => row.unitCost !== null);
+
+  const countTimes = results
+    .flatMap(row => row.countLines.map(line => line.countedTime))
+    .filter(Boolean)
+    .sort();
+  const startTime = sessionInfo.countProgress?.startTime || sessionInfo.uploadDate;
+  const endTime = sessionInfo.countProgress?.endTime || countTimes[countTimes.length - 1] || null;
+  const duration = sessionInfo.countProgress?.timeSpent ||
+    (endTime ? new Date(endTime).getTime() - new Date(startTime).getTime() : 0);
+
+  return {
+    totalSkus: results.length,
+    countedSkus: counted.length,
+    uncountedSkus: results.length - counted.length,
+    countedPercent: results.length > 0 ? Math.round((counted.length / results.length) * 100) : 0,
+    exactMatches,
+    accuracy: counted.length > 0 ? Math.round((exactMatches / counted.length) * 1000) / 10 : null,
+    recountRequired: results.filter(row => row.recountRequired).length,
+    netVarianceUnits: sumBy(counted, row => row.variance),
+    grossVarianceUnits: sumBy(counted, row => Math.abs(row.variance)),
+    hasCost,
+    expectedValue: hasCost ? sumBy(results, row => row.expectedValue) : null,
+    countedValue: hasCost ? sumBy(counted, row => row.countedValue) : null,
+    netValueVariance: hasCost ? Math.round(sumBy(counted, row => row.valueVariance) * 100) / 100 : null,
+    grossValueVariance: hasCost ? Math.round(sumBy(counted, row => Math.abs(row.valueVariance || 0)) * 100) / 100 : null,
+    foundItems: foundItems.length,
+    startTime,
+    endTime,
+    firstCountTime: countTimes[0] || null,
+    lastCountTime: countTimes[countTimes.length - 1] || null,
+    duration
+  };
+};
+
+// Table with a shaded header row that repeats after each page break; returns the new y
+const drawTable = (doc, y, columns, rows, { title, emptyText } = {}) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const contentBottom = pageHeight - PAGE_MARGIN - FOOTER_HEIGHT;
+  const rowHeight = 16;
+  const tableWidth = pageWidth - PAGE_MARGIN * 2;
+  const flexWidth = tableWidth - sumBy(columns, column => column.width);
+
+  const widths = columns.map(column => column.width || flexWidth);
+
+  const drawHeader = (top) => {
+    doc.setFillColor(235, 235, 235);
+    doc.rect(PAGE_MARGIN, top, tableWidth, rowHeight, 'F');
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(8);
+    let x = PAGE_MARGIN;
+    columns.forEach((column, index) => {
+      const textX = column.align === 'right' ? x + widths[index] - 3 : x + 3;
+      doc.text(column.title, textX, top + 11, { align: column.align || 'left' });
+      x += widths[index];
+    });
+    doc.setFont('helvetica', 'normal');
+    return top + rowHeight;
+  };
+
+  // Keep the title with the header and at least one row
+  if (y + 24 + rowHeight * 2 > contentBottom) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+
+  if (title) {
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(11);
+    doc.text(title, PAGE_MARGIN, y + 12);
+    doc.setFont('helvetica', 'normal');
+    y += 20;
+  }
+
+  if (rows.length === 0) {
+    doc.setFontSize(9);
+    doc.text(emptyText || 'None', PAGE_MARGIN, y + 10);
+    return y + 24;
+  }
+
+  y = drawHeader(y);
+  rows.forEach(row => {
+    if (y + rowHeight > contentBottom) {
+      doc.addPage();
+      y = drawHeader(PAGE_MARGIN);
+    }
+
+    doc.setFontSize(8);
+    let x = PAGE_MARGIN;
+    columns.forEach((column, index) => {
+      const text = fitText(doc, column.value(row), widths[index] - 6);
+      const textX = column.align === 'right' ? x + widths[index] - 3 : x + 3;
+      doc.text(text, textX, y + 11, { align: column.align || 'left' });
+      x += widths[index];
+    });
+    doc.setDrawColor(220);
+    doc.line(PAGE_MARGIN, y + rowHeight, PAGE_MARGIN + tableWidth, y + rowHeight);
+    doc.setDrawColor(0);
+    y += rowHeight;
+  });
+
+  return y + 16;
+};
+
+const drawKpiBoxes = (doc, y, kpis) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const perRow = 4;
+  const gap = 8;
+  const boxWidth = (pageWidth - PAGE_MARGIN * 2 - gap * (perRow - 1)) / perRow;
+  const boxHeight = 40;
+
+  kpis.forEach((kpi, index) => {
+    const x = PAGE_MARGIN + (index % perRow) * (boxWidth + gap);
+    const top = y + Math.floor(index / perRow) * (boxHeight + gap);
+    doc.setDrawColor(200);
+    doc.rect(x, top, boxWidth, boxHeight);
+    doc.setDrawColor(0);
+    doc.setFontSize(7);
+    doc.text(kpi.label.toUpperCase(), x + 6, top + 12);
+    doc.setFont('helvetica', 'bold');
+    doc.setFontSize(12);
+    doc.text(fitText(doc, kpi.value, boxWidth - 12), x + 6, top + 30);
+    doc.setFont('helvetica', 'normal');
+  });
+
+  return y + Math.ceil(kpis.length / perRow) * (boxHeight + gap) + 8;
+};
+
+const drawSignatureLines = (doc, y) => {
+  const pageWidth = doc.internal.pageSize.getWidth();
+  const pageHeight = doc.internal.pageSize.getHeight();
+  const roles = ['Counted by', 'Reviewed by', 'Approved by'];
+  const blockHeight = 20 + roles.length * 36;
+
+  if (y + blockHeight > pageHeight - PAGE_MARGIN - FOOTER_HEIGHT) {
+    doc.addPage();
+    y = PAGE_MARGIN;
+  }
+
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(11);
+  doc.text('Sign-off', PAGE_MARGIN, y + 12);
+  doc.setFont('helvetica', 'normal');
+  y += 24;
+
+  const usable = pageWidth - PAGE_MARGIN * 2;
+  const columns = [
+    { label: 'Name', x: PAGE_MARGIN + 70, width: usable * 0.3 },
+    { label: 'Signature', x: PAGE_MARGIN + 80 + usable * 0.3, width: usable * 0.35 },
+    { label: 'Date', x: PAGE_MARGIN + 90 + usable * 0.65, width: usable * 0.35 - 90 }
+  ];
+
+  roles.forEach(role => {
+    doc.setFontSize(9);
+    doc.text(role, PAGE_MARGIN, y + 14);
+    columns.forEach(column => {
+      doc.line(column.x, y + 16, column.x + column.width, y + 16);
+      doc.setFontSize(7);
+      doc.text(column.label, column.x, y + 25);
+    });
+    y += 36;
+  });
+
+  return y;
+};
+
+// Build the reconciliation report PDF from exportSessionData output; returns a Blob
+export const exportSessionReportPDF = async (exportData) => {
+  const { sessionInfo, results, foundItems } = exportData;
+  const summary = buildSessionReportSummary(exportData);
+  // Blind session still being counted: no expected quantities or variance anywhere
+  const showExpected = !sessionInfo.expectedHidden;
+  const jsPDF = await loadJsPDF();
+
+  const doc = new jsPDF({ unit: 'pt', format: 'letter' });
+  const pageWidth = doc.internal.pageSize.getWidth();
+  let y = PAGE_MARGIN;
+
+  // Header
+  doc.setFont('helvetica', 'bold');
+  doc.setFontSize(16);
+  doc.text('Inventory Count Reconciliation Report', PAGE_MARGIN, y + 12);
+  doc.setFontSize(11);
+  doc.text(fitText(doc, sessionInfo.name || sessionInfo.id, pageWidth - PAGE_MARGIN * 2), PAGE_MARGIN, y + 30);
+  doc.setFont('helvetica', 'normal');
+  y += 46;
+
+  const details = [
+    ['File', sessionInfo.filename || '-'],
+    ['Session ID', sessionInfo.id],
+    ['Status', sessionInfo.status === 'completed' ? 'Completed' : 'In progress'],
+    ['Uploaded', formatDateTime(sessionInfo.uploadDate)],
+    ['Count started', formatDateTime(summary.startTime)],
+    ['Count finished', sessionInfo.countProgress?.endTime ? formatDateTime(summary.endTime) : 'Not completed'],
+    ['First count', formatDateTime(summary.firstCountTime)],
+    ['Last count', formatDateTime(summary.lastCountTime)],
+    ['Duration', storageHelpers.formatTime(summary.duration)],
+    ['Counters', (sessionInfo.counters || []).join(', ') || 'Not recorded'],
+    ['Blind count', sessionInfo.blindCount ? 'Yes' : 'No'],
+    ['Default tolerance', formatTolerance(sessionInfo.varianceTolerance) || 'None'],
+    ...(sessionInfo.merges?.length > 0 ? [['Merged files', sessionInfo.merges.map(merge => merge.filename).join(', ')]] : []),
+    ...(sessionInfo.parentSessionId ? [['Recount of', sessionInfo.parentSessionId]] : [])
+  ];
+
+  const columnWidth = (pageWidth - PAGE_MARGIN * 2) / 2;
+  doc.setFontSize(9);
+  details.forEach(([label, value], index) => {
+    const x = PAGE_MARGIN + (index % 2) * columnWidth;
+    const rowY = y + Math.floor(index / 2) * 14;
+    doc.setTextColor(110);
+    doc.text(label, x, rowY + 10);
+    doc.setTextColor(0);
+    doc.text(fitText(doc, value, columnWidth - 96), x + 90, rowY + 10);
+  });
+  y += Math.ceil(details.length / 2) * 14 + 16;
+
+  // Summary KPIs
+  y = drawKpiBoxes(doc, y, [
+    { label: 'Counted', value: `${summary.countedSkus} / ${summary.totalSkus} (${summary.countedPercent}%)` },
+    { label: 'Uncounted', value: String(summary.uncountedSkus) },
+    { label: 'Accuracy', value: summary.accuracy === null || !showExpected ? '-' : `${summary.accuracy}%` },
+    { label: 'Recount flagged', value: String(summary.recountRequired) },
+    ...(showExpected ? [
+      { label: 'Net variance (units)', value: formatSigned(summary.netVarianceUnits) },
+      { label: 'Gross variance (units)', value: String(summary.grossVarianceUnits) }
+    ] : []),
+    ...(summary.hasCost && showExpected ? [
+      { label: 'Net value variance', value: formatSignedCurrency(summary.netValueVariance) },
+      { label: 'Gross value variance', value: formatCurrency(summary.grossValueVariance) },
+      { label: 'Expected value', value: formatCurrency(summary.expectedValue) }
+    ] : []),
+    ...(summary.hasCost ? [
+      { label: 'Counted value', value: formatCurrency(summary.countedValue) }
+    ] : []),
+    { label: 'Found items', value: String(summary.foundItems) }
+  ]);
+
+  const varianceRows = showExpected ? results.filter(row => row.counted && row.variance !== 0) : [];
+  const varianceColumns = [
+    { title: 'SKU', width: 90, value: row => row.sku },
+    { title: 'Description', value: row => row.description },
+    { title: 'Expected', width: 52, align: 'right', value: row => String(row.expectedQuantity) },
+    { title: 'Counted', width: 52, align: 'right', value: row => String(row.countedQuantity) },
+    { title: 'Variance', width: 52, align: 'right', value: row => formatSigned(row.variance) },
+    ...(summary.hasCost ? [
+      { title: 'Unit Cost', width: 60, align: 'right', value: row => formatCurrency(row.unitCost) },
+      { title: 'Value Var.', width: 70, align: 'right', value: row => formatSignedCurrency(row.valueVariance) }
+    ] : [])
+  ];
+
+  // Largest by value when costs are known, otherwise by units
+  const magnitude = (row) => Math.abs(summary.hasCost ? row.valueVariance || 0 : row.variance);
+  const topVariances = [...varianceRows]
+    .sort((a, b) => magnitude(b) - magnitude(a))
+    .slice(0, TOP_VARIANCE_COUNT);
+
+  if (showExpected) {
+    y = drawTable(doc, y, varianceColumns, topVariances, {
+      title: 'Top Variances',
+      emptyText: 'No variances - every counted item matched its expected quantity'
+    });
+
+    y = drawTable(doc, y, varianceColumns, [...varianceRows].sort((a, b) => (
+      (a.sku || '').localeCompare(b.sku || '', undefined, { numeric: true })
+    )), {
+      title: `All Variances (${varianceRows.length})`,
+      emptyText: 'No variances'
+    });
+  }
+
+  const uncountedRows = results.filter(row => !row.counted);
+  y = drawTable(doc, y, [
+    { title: 'SKU', width: 110, value: row => row.sku },
+    { title: 'Description', value: row => row.description },
+    ...(showExpected ? [
+      { title: 'Expected', width: 60, align: 'right', value: row => String(row.expectedQuantity) }
+    ] : []),
+    ...(summary.hasCost && showExpected ? [
+      { title: 'Expected Value', width: 80, align: 'right', value: row => formatCurrency(row.expectedValue) }
+    ] : [])
+  ], uncountedRows, {
+    title: `Uncounted Items (${uncountedRows.length})`,
+    emptyText: 'Every item was counted'
+  });
+
+  if (foundItems.length > 0) {
+    y = drawTable(doc, y, [
+      { title: 'Identifier', width: 110, value: item => item.identifier },
+      { title: 'Description', value: item => item.description },
+      { title: 'Quantity', width: 60, align: 'right', value: item => String(item.quantity) },
+      { title: 'Found', width: 110, value: item => formatDateTime(item.foundTime) }
+    ], foundItems, {
+      title: `Found Items Not in File (${foundItems.length})`
+    });
+  }
+
+  drawSignatureLines(doc, y);
+  addPageFooters(doc, `${sessionInfo.name || sessionInfo.id} | Generated ${formatPdfDateTime(new Date())}`);
+
+  return doc.output('blob');
+};
@@ -0,0 +1,254 @@
+// spreadsheet.js - Excel (.xlsx) import and export for count sessions
+
+/**
+ * ExcelJS is loaded on demand (like Quagga) so CSV-only users never download it.
+ * Import returns rows in the same { header: text } shape Papa Parse produces,
+ * so XLSX files go through the normal column mapping and validation.
+ */
+
+const CURRENCY_FORMAT = '$#,##0.00';
+const DATE_FORMAT = 'yyyy-mm-dd hh:mm';
+
+const loadExcelJS = async () => {
+  const module = await import('exceljs');
+  return module.default || module;
+};
+
+export const isExcelFile = (file) => (
+  !!file && (/\.xlsx$/i.test(file.name) ||
+    file.type === 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet')
+);
+
+// Cell value as text, keeping leading zeros that Excel only shows via a 0000 number format
+const cellToText = (cell) => {
+  const { value } = cell;
+  if (value === null || value === undefined) return '';
+
+  if (typeof value === 'number') {
+    const zeroPad = /^0+$/.exec(cell.numFmt || '');
+    return zeroPad ? String(value).padStart(zeroPad[0].length, '0') : String(value);
+  }
+
+  if (value instanceof Date) {
+    return value.toISOString().split('T')[0];
+  }
+
+  return (cell.text || '').toString();
+};
+
+export const readWorkbook = async (file) => {
+  const ExcelJS = await loadExcelJS();
+  const workbook = new ExcelJS.Workbook();
+  await workbook.xlsx.load(await file.arrayBuffer());
+  return workbook;
+};
+
+export const getSheetNames = (workbook) => (
+  workbook.worksheets
+    .filter(worksheet => worksheet.state !== 'hidden' && worksheet.state !== 'veryHidden')
+    .map(worksheet => worksheet.name)
+);
+
+// First non-empty row is the header; returns { fields, data } like Papa Parse with header: true
+export const readSheetRows = (workbook, sheetName) => {
+  const worksheet = workbook.getWorksheet(sheetName);
+  if (!worksheet) {
+    throw new Error(`Sheet not found: ${sheetName}`);
+  }
+
+  const fields = [];
+  const columnFields = {}; // column number -> header
+  const data = [];
+
+  worksheet.eachRow({ includeEmpty: false }, (row) => {
+    if (fields.length === 0) {
+      row.eachCell({ includeEmpty: false }, (cell, columnNumber) => {
+        const baseName = cellToText(cell).trim();
+        if (!baseName) return;
+
+        // Same renaming Papa Parse applies to duplicate headers
+        let header = baseName;
+        let suffix = 1;
+        while (fields.includes(header)) {
+          header = `${baseName}_${suffix}`;
+          suffix++;
+        }
+
+        fields.push(header);
+        columnFields[columnNumber] = header;
+      });
+      return;
+    }
+
+    const record = {};
+    let hasValue = false;
+    Object.entries(columnFields).forEach(([columnNumber, header]) => {
+      const text = cellToText(row.getCell(Number(columnNumber))).trim();
+      record[header] = text;
+      if (text) hasValue = true;
+    });
+
+    if (hasValue) {
+      data.push(record);
+    }
+  });
+
+  return { fields, data };
+};
+
+// Add a sheet with a bold, frozen, filterable header row
+const addSheet = (workbook, name, columns, rows) => {
+  const worksheet = workbook.addWorksheet(name, {
+    views: [{ state: 'frozen', ySplit: 1 }]
+  });
+
+  worksheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.key,
+    width: column.width || 14,
+    style: column.numFmt ? { numFmt: column.numFmt } : {}
+  }));
+
+  worksheet.getRow(1).font = { bold: true };
+  worksheet.autoFilter = {
+    from: { row: 1, column: 1 },
+    to: { row: 1, column: columns.length }
+  };
+
+  rows.forEach(row => worksheet.addRow(row));
+  return worksheet;
+};
+
+const toDate = (value) => (value ? new Date(value) : null);
+
+const sumBy = (items, selector) => items.reduce((total, item) => total + (selector(item) || 0), 0);
+
+// Build the export workbook from LocalStorageManager.exportSessionData results
+export const buildSessionsWorkbook = async (sessions) => {
+  const ExcelJS = await loadExcelJS();
+  const workbook = new ExcelJS.Workbook();
+  workbook.created = new Date();
+
+  addSheet(workbook, 'Summary', [
+    { header: 'Session ID', key: 'id', width: 24 },
+    { header: 'Name', key: 'name', width: 24 },
+    { header: 'Filename', key: 'filename', width: 24 },
+    { header: 'Upload Date', key: 'uploadDate', width: 18, numFmt: DATE_FORMAT },
+    { header: 'Status', key: 'status', width: 12 },
+    { header: 'Blind Count', key: 'blindCount', width: 12 },
+    { header: 'Total SKUs', key: 'total' },
+    { header: 'Counted', key: 'counted' },
+    { header: 'Progress', key: 'progress', numFmt: '0%' },
+    { header: 'Recount Required', key: 'recountRequired' },
+    { header: 'Found Items', key: 'foundItems' },
+    { header: 'Expected Value', key: 'expectedValue', width: 16, numFmt: CURRENCY_FORMAT },
+    { header: 'Counted Value', key: 'countedValue', width: 16, numFmt: CURRENCY_FORMAT },
+    { header: 'Net Value Variance', key: 'valueVariance', width: 18, numFmt: CURRENCY_FORMAT }
+  ], sessions.map(({ sessionInfo, results, foundItems }) => {
+    const hasCost = results.some(row => row.unitCost !== null);
+    const showExpected = hasCost && !sessionInfo.expectedHidden;
+    return {
+      id: sessionInfo.id,
+      name: sessionInfo.name || '',
+      filename: sessionInfo.filename || '',
+      uploadDate: toDate(sessionInfo.uploadDate),
+      status: sessionInfo.status,
+      blindCount: sessionInfo.blindCount ? 'Yes' : 'No',
+      total: sessionInfo.countProgress?.total || 0,
+      counted: sessionInfo.countProgress?.counted || 0,
+      progress: (sessionInfo.countProgress?.percentage || 0) / 100,
+      recountRequired: results.filter(row => row.recountRequired).length,
+      foundItems: foundItems.length,
+      expectedValue: showExpected ? sumBy(results, row => row.expectedValue) : null,
+      countedValue: hasCost ? sumBy(results, row => row.countedValue) : null,
+      valueVariance: showExpected ? sumBy(results, row => row.valueVariance) : null
+    };
+  }));
+
+  addSheet(workbook, 'Counted Lines', [
+    { header: 'Session', key: 'session', width: 24 },
+    { header: 'SKU', key: 'sku', width: 18 },
+    { header: 'Barcode', key: 'barcode', width: 18 },
+    { header: 'Description', key: 'description', width: 32 },
+    { header: 'Bin', key: 'bin', width: 12 },
+    { header: 'Quantity', key: 'quantity' },
+    { header: 'SKU Total', key: 'total' },
+    { header: 'Counted Time', key: 'countedTime', width: 18, numFmt: DATE_FORMAT },
+    { header: 'Lot', key: 'lot', width: 14 },
+    { header: 'Expiry', key: 'expiryDate', width: 12 },
+    { header: 'Serial', key: 'serial', width: 16 },
+    { header: 'Notes', key: 'notes', width: 24 }
+  ], sessions.flatMap(({ sessionInfo, results }) => (
+    results.filter(row => row.counted).flatMap(row => row.countLines.map(line => ({
+      session: sessionInfo.name || sessionInfo.id,
+      sku: row.sku,
+      barcode: row.barcode || '',
+      description: row.description || '',
+      bin: line.bin || '',
+      quantity: line.quantity,
+      total: row.countedQuantity,
+      countedTime: toDate(line.countedTime),
+      lot: line.gs1?.lot || '',
+      expiryDate: line.gs1?.expiryDate || '',
+      serial: line.gs1?.serial || '',
+      notes: line.notes || ''
+    })))
+  )));
+
+  addSheet(workbook, 'Variances', [
+    { header: 'Session', key: 'session', width: 24 },
+    { header: 'SKU', key: 'sku', width: 18 },
+    { header: 'Barcode', key: 'barcode', width: 18 },
+    { header: 'Description', key: 'description', width: 32 },
+    { header: 'Expected Qty', key: 'expected' },
+    { header: 'Counted Qty', key: 'counted' },
+    { header: 'Variance', key: 'variance' },
+    { header: 'Unit Cost', key: 'unitCost', numFmt: CURRENCY_FORMAT },
+    { header: 'Value Variance', key: 'valueVariance', width: 16, numFmt: CURRENCY_FORMAT },
+    { header: 'Count Attempts', key: 'attempts', width: 16 }
+  ], sessions.flatMap(({ sessionInfo, results }) => (
+    // Blind sessions still in progress export no variance (it is null)
+    results.filter(row => row.counted && row.variance !== null && row.variance !== 0).map(row => ({
+      session: sessionInfo.name || sessionInfo.id,
+      sku: row.sku,
+      barcode: row.barcode || '',
+      description: row.description || '',
+      expected: row.expectedQuantity,
+      counted: row.countedQuantity,
+      variance: row.variance,
+      unitCost: row.unitCost,
+      valueVariance: row.valueVariance,
+      attempts: row.countAttempts.map(attempt => attempt.quantity).join('; ')
+    }))
+  )));
+
+  const foundRows = sessions.flatMap(({ sessionInfo, foundItems }) => foundItems.map(item => ({
+    session: sessionInfo.name || sessionInfo.id,
+    identifier: item.identifier,
+    description: item.description || '',
+    quantity: item.quantity,
+    foundTime: toDate(item.foundTime),
+    notes: item.notes || ''
+  })));
+
+  if (foundRows.length > 0) {
+    addSheet(workbook, 'Found Items', [
+      { header: 'Session', key: 'session', width: 24 },
+      { header: 'Identifier', key: 'identifier', width: 18 },
+      { header: 'Description', key: 'description', width: 32 },
+      { header: 'Quantity', key: 'quantity' },
+      { header: 'Found Time', key: 'foundTime', width: 18, numFmt: DATE_FORMAT },
+      { header: 'Notes', key: 'notes', width: 24 }
+    ], foundRows);
+  }
+
+  return workbook;
+};
+
+export const exportSessionsAsXLSX = async (sessions) => {
+  const workbook = await buildSessionsWorkbook(sessions);
+  const buffer = await workbook.xlsx.writeBuffer();
+  return new Blob([buffer], {
+    type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+  });
+};